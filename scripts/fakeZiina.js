@@ -0,0 +1,193 @@
+// Fake Ziina
+// Local stand-in for the Ziina payment API for development and testing. It creates payment intents and refunds,
+// serves a pay page with complete / fail / cancel buttons and sends signed webhooks back to the backend.
+//
+// Run: ZIINA_WEBHOOK_SECRET=<secret> npm run fake-ziina
+// Then start the backend with ZIINA_API_URL=http://localhost:4010/api and store the same secret as
+// webhook_secret in the ziina api_configurations row.
+const express = require('express');
+const crypto = require('crypto');
+
+const FINAL_STATUSES = ['completed', 'failed', 'canceled'];
+
+function createFakeZiina({
+  webhookUrl = 'http://localhost:3001/api/payments/ziina/webhook',
+  webhookSecret,
+  baseUrl = 'http://localhost:4010',
+  refundDelayMs = 1000
+} = {}) {
+  const app = express();
+  const intents = new Map();
+  const refunds = new Map();
+  const sentEvents = [];
+
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: false }));
+
+  // Sign and deliver one event. Resending the same event object exercises de-duplication.
+  async function deliver(event) {
+    const body = JSON.stringify(event);
+    const signature = crypto.createHmac('sha256', webhookSecret).update(body).digest('hex');
+
+    const response = await fetch(webhookUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Hmac-Signature': signature },
+      body
+    });
+
+    sentEvents.push({ event, status: response.status, body: await response.json().catch(() => null) });
+    return response.status;
+  }
+
+  function setStatus(intent, status) {
+    intent.status = status;
+    intent.updated_at = new Date().toISOString();
+    return {
+      id: `evt_${crypto.randomBytes(8).toString('hex')}`,
+      event: 'payment_intent.status.updated',
+      data: { ...intent }
+    };
+  }
+
+  app.post('/api/payment_intent', (req, res) => {
+    const { amount, currency_code, success_url, cancel_url } = req.body;
+
+    if (!Number.isInteger(amount) || amount <= 0 || !currency_code) {
+      return res.status(400).json({ message: 'amount (in fils) and currency_code are required' });
+    }
+
+    const id = crypto.randomUUID();
+    const intent = {
+      id,
+      amount,
+      currency_code,
+      status: 'requires_payment_instrument',
+      success_url: success_url || null,
+      cancel_url: cancel_url || null,
+      redirect_url: `${baseUrl}/pay/${id}`,
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    };
+    intents.set(id, intent);
+
+    return res.status(201).json(intent);
+  });
+
+  app.get('/api/payment_intent/:id', (req, res) => {
+    const intent = intents.get(req.params.id);
+    if (!intent) {
+      return res.status(404).json({ message: 'Payment intent not found' });
+    }
+    return res.json(intent);
+  });
+
+  // Refunds are accepted as pending and completed a moment later with a refund.status.updated webhook
+  app.post('/api/refund', (req, res) => {
+    const { id, payment_intent_id, amount, currency_code } = req.body;
+    const intent = intents.get(payment_intent_id);
+
+    if (!intent || intent.status !== 'completed') {
+      return res.status(400).json({ message: 'Payment intent not found or not completed' });
+    }
+
+    const alreadyRefunded = [...refunds.values()]
+      .filter(refund => refund.payment_intent_id === payment_intent_id && refund.id !== id && refund.status !== 'failed')
+      .reduce((sum, refund) => sum + refund.amount, 0);
+    if (!Number.isInteger(amount) || amount <= 0 || alreadyRefunded + amount > intent.amount) {
+      return res.status(400).json({ message: 'Refund amount exceeds the payment' });
+    }
+
+    // Same id again returns the existing refund
+    if (refunds.has(id)) {
+      return res.json(refunds.get(id));
+    }
+
+    const refund = { id, payment_intent_id, amount, currency_code, status: 'pending', created_at: new Date().toISOString() };
+    refunds.set(id, refund);
+
+    setTimeout(() => {
+      refund.status = 'completed';
+      deliver({
+        id: `evt_${crypto.randomBytes(8).toString('hex')}`,
+        event: 'refund.status.updated',
+        data: { ...refund }
+      }).catch(error => console.error('Fake Ziina - refund webhook delivery failed:', error.message));
+    }, refundDelayMs);
+
+    return res.status(201).json(refund);
+  });
+
+  app.get('/api/refund/:id', (req, res) => {
+    const refund = refunds.get(req.params.id);
+    if (!refund) {
+      return res.status(404).json({ message: 'Refund not found' });
+    }
+    return res.json(refund);
+  });
+
+  app.get('/pay/:id', (req, res) => {
+    const intent = intents.get(req.params.id);
+    if (!intent) {
+      return res.status(404).send('Payment intent not found');
+    }
+
+    const buttons = FINAL_STATUSES
+      .map(status => `<form method="post" action="/pay/${intent.id}/${status}"><button>${status}</button></form>`)
+      .join('');
+    return res.send(`<h1>Fake Ziina</h1><p>${(intent.amount / 100).toFixed(2)} ${intent.currency_code} - ${intent.status}</p>${buttons}`);
+  });
+
+  // Finish a payment as the customer would, then send the webhook and redirect like Ziina does
+  app.post('/pay/:id/:status', async (req, res) => {
+    const intent = intents.get(req.params.id);
+    if (!intent || !FINAL_STATUSES.includes(req.params.status)) {
+      return res.status(404).send('Payment intent not found');
+    }
+
+    const event = setStatus(intent, req.params.status);
+    try {
+      await deliver(event);
+    } catch (error) {
+      console.error('Fake Ziina - webhook delivery failed:', error.message);
+    }
+
+    const redirect = req.params.status === 'completed' ? intent.success_url : intent.cancel_url;
+    return redirect ? res.redirect(redirect) : res.json(intent);
+  });
+
+  // Test helpers: resend the last event of an intent (duplicate delivery) and inspect what was sent
+  app.post('/_fake/payment_intent/:id/resend', async (req, res) => {
+    const last = [...sentEvents].reverse().find(sent => sent.event.data.id === req.params.id);
+    if (!last) {
+      return res.status(404).json({ message: 'No event sent for this payment intent' });
+    }
+    return res.json({ webhook_status: await deliver(last.event) });
+  });
+
+  app.get('/_fake/events', (req, res) => res.json(sentEvents));
+
+  return { app, intents, refunds, sentEvents, deliver, setStatus };
+}
+
+if (require.main === module) {
+  const port = parseInt(process.env.FAKE_ZIINA_PORT || '4010', 10);
+  const webhookSecret = process.env.ZIINA_WEBHOOK_SECRET;
+
+  if (!webhookSecret) {
+    console.error('Set ZIINA_WEBHOOK_SECRET to the webhook_secret stored for ziina in api_configurations');
+    process.exit(1);
+  }
+
+  const { app } = createFakeZiina({
+    webhookUrl: process.env.FAKE_ZIINA_WEBHOOK_URL,
+    webhookSecret,
+    baseUrl: `http://localhost:${port}`
+  });
+  app.listen(port, () => {
+    console.log(`Fake Ziina listening on http://localhost:${port} (API at /api)`);
+  });
+}
+
+module.exports = {
+  createFakeZiina
+};
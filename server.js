@@ -11,6 +11,139 @@ const {
   sendAdminNotification, 
   sendEmail 
 } = require('./services/emailService');
+const { getCategoryIdBySlug, reserveCapacity, attachSlotCapacity } = require('./services/capacityService');
+const { insertAppointment } = require('./services/appointmentService');
+const { calculateQuote, redeemOfferCode, quoteMismatches } = require('./services/quoteService');
+const {
+  DEFAULT_WINDOW_DAYS,
+  formatDate,
+  timeToMinutes,
+  generateAvailability,
+  clearTemplateAvailability,
+  startAvailabilityGenerator
+} = require('./services/availabilityService');
+const {
+  placeHold,
+  getActiveHold,
+  extendHoldForPayment,
+  releaseHold,
+  startHoldSweeper
+} = require('./services/holdService');
+const { enqueueBookingNotifications, registerNotificationJobs } = require('./services/notificationService');
+const {
+  FREQUENCIES,
+  generateSeriesAppointments,
+  getSeries,
+  getSeriesOccurrences,
+  startSeriesGenerator
+} = require('./services/seriesService');
+const {
+  checkAssignment,
+  assignTechnician,
+  getTechnician,
+  setSkills,
+  setWorkingHours,
+  validateWorkingHours
+} = require('./services/technicianService');
+const {
+  validateCoordinates,
+  getTechnicianJobs,
+  getTechnicianJob,
+  recordJobAction
+} = require('./services/jobService');
+const { buildFinancialReport, reportToCsv } = require('./services/reportService');
+const {
+  COD_DISCREPANCY_TYPES,
+  COD_STATE_COLUMNS,
+  validateCollectedAmount,
+  withCodPaymentStatus,
+  recordCodCollectionForJob,
+  getTechnicianSettlement,
+  getCodDiscrepancies
+} = require('./services/codService');
+const {
+  APPOINTMENT_STATUSES,
+  changeAppointmentStatus,
+  transitionAppointmentStatus,
+  cancelAppointments,
+  getStatusHistory
+} = require('./services/statusService');
+const { validateReminderOffsets, registerReminderJobs, startReminderScheduler } = require('./services/reminderService');
+const { JOB_STATUSES, retryJob, startJobWorker } = require('./services/queueService');
+const { resolveServiceZone, validateZone } = require('./services/zoneService');
+const { CALENDAR_VIEWS, MAX_RANGE_DAYS, getViewRange, getCalendar } = require('./services/calendarService');
+const { wantsPagination, buildListQuery, buildPage } = require('./services/listQueryService');
+const {
+  MAX_UPLOAD_BYTES,
+  MAX_FILES_PER_UPLOAD,
+  UPLOAD_DIR,
+  UPLOAD_PUBLIC_PATH,
+  photoUpload,
+  listAttachments,
+  getAttachment,
+  saveAttachments,
+  deleteAttachment
+} = require('./services/uploadService');
+const { REVIEW_STATUSES, validateReview, createReview, moderateReview, attachRatings } = require('./services/reviewService');
+const {
+  SHARE_SCOPES,
+  DEFAULT_SHARE_SCOPE,
+  resolveExpiry,
+  createShareLink,
+  listShareLinks,
+  revokeShareLink,
+  openShareLink,
+  getSharedAppointmentView,
+  getShareAccessLog
+} = require('./services/shareService');
+const { applyPaymentStatus, applyPaymentOutcome, processZiinaWebhook } = require('./services/ziinaService');
+const { getPaymentProvider, getActivePaymentProvider } = require('./services/paymentProviderService');
+const {
+  getRefundablePayments,
+  createRefund,
+  syncRefund,
+  getAppointmentRefunds,
+  summarizeRefunds
+} = require('./services/refundService');
+const {
+  WALLET_ENTRY_TYPES,
+  WALLET_SOURCES,
+  getWalletBalance,
+  validateWalletAmount,
+  addWalletEntry,
+  recordWalletEntry,
+  resolveWalletSpend
+} = require('./services/walletService');
+const {
+  GIFT_CARD_STATUSES,
+  formatGiftCard,
+  validateGiftCardInput,
+  getGiftCardByCode,
+  getGiftCardTransactions,
+  createGiftCard,
+  issueGiftCard,
+  resolveGiftCardSpend,
+  redeemGiftCard,
+  voidGiftCard,
+  registerGiftCardJobs
+} = require('./services/giftCardService');
+const {
+  DOCUMENT_FORMATS,
+  getInvoice,
+  listAppointmentInvoices,
+  issueInvoice,
+  issueCreditNote,
+  registerInvoiceJobs,
+  canRenderInvoicePdf,
+  renderInvoiceHtml,
+  renderInvoicePdf
+} = require('./services/invoiceService');
+const {
+  MISMATCH_TYPES,
+  reconcilePendingPayments,
+  getPaymentMismatches,
+  startPaymentReconciler
+} = require('./services/reconciliationService');
 
 // Load environment variables
 dotenv.config();
@@ -66,7 +199,15 @@ app.use((req, res, next) => {
   next();
 });
 
-app.use(express.json());
+// Keep the raw body as well: webhook signatures are computed over the exact bytes received
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
+
+// Attachments stored on local disk (development, or when Cloudinary is not configured)
+app.use(UPLOAD_PUBLIC_PATH, express.static(UPLOAD_DIR));
 
 // Health check endpoint for production debugging
 app.get('/api/health', async (req, res) => {
@@ -913,6 +1054,505 @@ async function initializeDatabase() {
       )
     `);
     
+    // Create availability_templates table for recurring weekly availability
+    await dbConnection.query(`
+      CREATE TABLE IF NOT EXISTS availability_templates (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        service_category_id INT NULL,
+        days_of_week JSON NOT NULL COMMENT 'Array of weekdays, 0 = Sunday ... 6 = Saturday',
+        start_time TIME NOT NULL,
+        end_time TIME NOT NULL,
+        slot_duration_minutes INT NOT NULL DEFAULT 60,
+        max_appointments_per_slot INT NOT NULL DEFAULT 1,
+        max_appointments_per_day INT NOT NULL DEFAULT 10,
+        extra_price DECIMAL(10,2) DEFAULT 0.00,
+        is_active BOOLEAN DEFAULT TRUE,
+        created_by INT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (service_category_id) REFERENCES service_categories(id) ON DELETE CASCADE,
+        FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+      )
+    `);
+    
+    // Create booking_series table for recurring (subscription) bookings
+    await dbConnection.query(`
+      CREATE TABLE IF NOT EXISTS booking_series (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        frequency ENUM('weekly', 'biweekly', 'monthly') NOT NULL,
+        start_date DATE NOT NULL,
+        appointment_time TIME NOT NULL,
+        end_date DATE NULL,
+        occurrence_count INT NULL,
+        status ENUM('active', 'paused', 'cancelled', 'completed') DEFAULT 'active',
+        paused_until DATE NULL,
+        skipped_dates JSON NULL,
+        service_category_slug VARCHAR(100) NULL,
+        booking_data JSON NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        INDEX idx_series_user (user_id),
+        INDEX idx_series_status (status)
+      )
+    `);
+    
+    // Create technicians table (field staff, linked to a user account for login)
+    await dbConnection.query(`
+      CREATE TABLE IF NOT EXISTS technicians (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL UNIQUE,
+        is_active BOOLEAN DEFAULT TRUE,
+        notes TEXT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+    
+    // Create technician_skills table (which service categories a technician can perform)
+    await dbConnection.query(`
+      CREATE TABLE IF NOT EXISTS technician_skills (
+        technician_id INT NOT NULL,
+        service_category_id INT NOT NULL,
+        PRIMARY KEY (technician_id, service_category_id),
+        FOREIGN KEY (technician_id) REFERENCES technicians(id) ON DELETE CASCADE,
+        FOREIGN KEY (service_category_id) REFERENCES service_categories(id) ON DELETE CASCADE
+      )
+    `);
+    
+    // Create technician_working_hours table (weekly schedule)
+    await dbConnection.query(`
+      CREATE TABLE IF NOT EXISTS technician_working_hours (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        technician_id INT NOT NULL,
+        day_of_week TINYINT NOT NULL COMMENT '0 = Sunday ... 6 = Saturday',
+        start_time TIME NOT NULL,
+        end_time TIME NOT NULL,
+        FOREIGN KEY (technician_id) REFERENCES technicians(id) ON DELETE CASCADE,
+        UNIQUE KEY unique_technician_day (technician_id, day_of_week)
+      )
+    `);
+    
+    // Create technician_days_off table
+    await dbConnection.query(`
+      CREATE TABLE IF NOT EXISTS technician_days_off (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        technician_id INT NOT NULL,
+        date DATE NOT NULL,
+        reason VARCHAR(255) NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (technician_id) REFERENCES technicians(id) ON DELETE CASCADE,
+        UNIQUE KEY unique_technician_day_off (technician_id, date)
+      )
+    `);
+    
+    // Create technician_job_events table (on my way / started / completed, with optional GPS)
+    await dbConnection.query(`
+      CREATE TABLE IF NOT EXISTS technician_job_events (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        appointment_id INT NOT NULL,
+        technician_id INT NULL,
+        action ENUM('on_my_way', 'started', 'completed') NOT NULL,
+        latitude DECIMAL(10, 7) NULL,
+        longitude DECIMAL(10, 7) NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (appointment_id) REFERENCES appointments(id) ON DELETE CASCADE,
+        FOREIGN KEY (technician_id) REFERENCES technicians(id) ON DELETE SET NULL,
+        UNIQUE KEY unique_job_action (appointment_id, action)
+      )
+    `);
+    
+    // Create appointment_status_history table (timeline of status changes)
+    await dbConnection.query(`
+      CREATE TABLE IF NOT EXISTS appointment_status_history (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        appointment_id INT NOT NULL,
+        from_status VARCHAR(20) NULL,
+        to_status VARCHAR(20) NOT NULL,
+        actor_type ENUM('customer', 'admin', 'technician', 'system') NOT NULL DEFAULT 'system',
+        actor_user_id INT NULL,
+        reason VARCHAR(255) NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (appointment_id) REFERENCES appointments(id) ON DELETE CASCADE,
+        FOREIGN KEY (actor_user_id) REFERENCES users(id) ON DELETE SET NULL,
+        INDEX idx_status_history_appointment (appointment_id, created_at)
+      )
+    `);
+    
+    // Create appointment_reminders table (log of reminders sent, one row per appointment, offset and
+    // appointment time, so a rescheduled appointment is reminded again)
+    await dbConnection.query(`
+      CREATE TABLE IF NOT EXISTS appointment_reminders (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        appointment_id INT NOT NULL,
+        offset_minutes INT NOT NULL,
+        scheduled_for DATETIME NOT NULL,
+        channel VARCHAR(20) NOT NULL DEFAULT 'email',
+        status ENUM('sending', 'sent', 'failed', 'skipped') NOT NULL DEFAULT 'sending',
+        error TEXT NULL,
+        requeue_count INT NOT NULL DEFAULT 0,
+        sent_at TIMESTAMP NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (appointment_id) REFERENCES appointments(id) ON DELETE CASCADE,
+        UNIQUE KEY unique_appointment_reminder (appointment_id, offset_minutes, scheduled_for)
+      )
+    `);
+    
+    // Create background_jobs table (persistent queue for notifications and other async work)
+    await dbConnection.query(`
+      CREATE TABLE IF NOT EXISTS background_jobs (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        type VARCHAR(100) NOT NULL,
+        payload JSON NOT NULL,
+        status ENUM('pending', 'processing', 'completed', 'dead') NOT NULL DEFAULT 'pending',
+        attempts INT NOT NULL DEFAULT 0,
+        max_attempts INT NOT NULL DEFAULT 5,
+        run_at DATETIME NOT NULL,
+        locked_at DATETIME NULL,
+        last_error TEXT NULL,
+        completed_at DATETIME NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_jobs_due (status, run_at),
+        INDEX idx_jobs_type (type)
+      )
+    `);
+    
+    // Create service_zones table (coverage areas as a polygon or emirate/community lists)
+    await dbConnection.query(`
+      CREATE TABLE IF NOT EXISTS service_zones (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        zone_type ENUM('polygon', 'areas') NOT NULL DEFAULT 'areas',
+        polygon JSON NULL COMMENT 'Array of [latitude, longitude] points',
+        emirates JSON NULL,
+        communities JSON NULL,
+        surcharge DECIMAL(10,2) DEFAULT 0.00,
+        priority INT DEFAULT 0,
+        is_active BOOLEAN DEFAULT TRUE,
+        created_by INT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+      )
+    `);
+    
+    // Create service_zone_categories table (per-category availability and surcharge inside a zone)
+    await dbConnection.query(`
+      CREATE TABLE IF NOT EXISTS service_zone_categories (
+        zone_id INT NOT NULL,
+        service_category_id INT NOT NULL,
+        is_available BOOLEAN DEFAULT TRUE,
+        surcharge DECIMAL(10,2) NULL COMMENT 'Overrides the zone surcharge when set',
+        PRIMARY KEY (zone_id, service_category_id),
+        FOREIGN KEY (zone_id) REFERENCES service_zones(id) ON DELETE CASCADE,
+        FOREIGN KEY (service_category_id) REFERENCES service_categories(id) ON DELETE CASCADE
+      )
+    `);
+    
+    // Create appointment_attachments table (problem photos from customers, before/after photos from technicians)
+    await dbConnection.query(`
+      CREATE TABLE IF NOT EXISTS appointment_attachments (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        appointment_id INT NOT NULL,
+        kind ENUM('problem', 'before', 'after') NOT NULL,
+        storage VARCHAR(20) NOT NULL COMMENT 'Storage driver: cloudinary or local',
+        storage_key VARCHAR(255) NOT NULL,
+        url VARCHAR(500) NOT NULL,
+        mime_type VARCHAR(50) NOT NULL,
+        size_bytes INT NOT NULL,
+        original_name VARCHAR(255) NULL,
+        uploaded_by INT NULL,
+        uploader_type ENUM('customer', 'technician', 'admin') NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (appointment_id) REFERENCES appointments(id) ON DELETE CASCADE,
+        FOREIGN KEY (uploaded_by) REFERENCES users(id) ON DELETE SET NULL,
+        INDEX idx_attachments_appointment (appointment_id)
+      )
+    `);
+    
+    // Create reviews table (one rating per completed appointment, moderated by admins)
+    await dbConnection.query(`
+      CREATE TABLE IF NOT EXISTS reviews (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        appointment_id INT NOT NULL UNIQUE,
+        user_id INT NOT NULL,
+        service_item_id INT NULL,
+        service_category_slug VARCHAR(100) NULL,
+        rating TINYINT NOT NULL,
+        comment TEXT NULL,
+        status ENUM('published', 'hidden') DEFAULT 'published',
+        moderation_note VARCHAR(255) NULL,
+        moderated_by INT NULL,
+        moderated_at TIMESTAMP NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (appointment_id) REFERENCES appointments(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (service_item_id) REFERENCES service_items(id) ON DELETE SET NULL,
+        FOREIGN KEY (moderated_by) REFERENCES users(id) ON DELETE SET NULL,
+        INDEX idx_reviews_item_status (service_item_id, status)
+      )
+    `);
+    
+    // Create shared_appointments table (share links for an appointment, revocable, with a PII scope)
+    await dbConnection.query(`
+      CREATE TABLE IF NOT EXISTS shared_appointments (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        appointment_id INT NOT NULL,
+        share_token VARCHAR(255) UNIQUE NOT NULL,
+        scope ENUM('full', 'limited') DEFAULT 'limited',
+        label VARCHAR(100) NULL,
+        expires_at DATETIME NOT NULL,
+        created_by INT NULL,
+        revoked_at DATETIME NULL,
+        revoked_by INT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (appointment_id) REFERENCES appointments(id) ON DELETE CASCADE,
+        FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+        FOREIGN KEY (revoked_by) REFERENCES users(id) ON DELETE SET NULL
+      )
+    `);
+    
+    // Create shared_appointment_access_log table (every open of a share link)
+    await dbConnection.query(`
+      CREATE TABLE IF NOT EXISTS shared_appointment_access_log (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        share_id INT NOT NULL,
+        appointment_id INT NOT NULL,
+        outcome ENUM('viewed', 'expired', 'revoked') NOT NULL,
+        viewer_user_id INT NULL COMMENT 'Set when the viewer was logged in',
+        ip_address VARCHAR(45) NULL,
+        user_agent VARCHAR(255) NULL,
+        accessed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (share_id) REFERENCES shared_appointments(id) ON DELETE CASCADE,
+        FOREIGN KEY (viewer_user_id) REFERENCES users(id) ON DELETE SET NULL,
+        INDEX idx_share_access_appointment (appointment_id, accessed_at)
+      )
+    `);
+    
+    // Create payment_webhook_events table (raw provider webhooks, de-duplicated by event id)
+    await dbConnection.query(`
+      CREATE TABLE IF NOT EXISTS payment_webhook_events (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        provider VARCHAR(30) NOT NULL,
+        event_id VARCHAR(128) NOT NULL,
+        event_type VARCHAR(100) NULL,
+        payment_id VARCHAR(255) NULL,
+        status VARCHAR(50) NULL,
+        payload JSON NOT NULL,
+        processing_status ENUM('received', 'processed', 'ignored', 'failed') DEFAULT 'received',
+        note TEXT NULL,
+        received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        processed_at TIMESTAMP NULL,
+        UNIQUE KEY unique_provider_event (provider, event_id),
+        INDEX idx_webhook_events_payment (payment_id)
+      )
+    `);
+    
+    // Create refunds table (full or partial refunds of a completed payment)
+    await dbConnection.query(`
+      CREATE TABLE IF NOT EXISTS refunds (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        payment_id INT NOT NULL,
+        appointment_id INT NULL,
+        amount DECIMAL(10, 2) NOT NULL,
+        currency VARCHAR(10) NOT NULL DEFAULT 'AED',
+        reason VARCHAR(500) NULL,
+        status ENUM('pending', 'processing', 'completed', 'failed') DEFAULT 'pending',
+        failure_reason TEXT NULL,
+        provider VARCHAR(50) NOT NULL,
+        provider_refund_id VARCHAR(255) NULL,
+        requested_by INT NULL,
+        requested_by_type ENUM('admin', 'user', 'system') DEFAULT 'admin',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        completed_at TIMESTAMP NULL,
+        FOREIGN KEY (payment_id) REFERENCES payments(id) ON DELETE CASCADE,
+        FOREIGN KEY (appointment_id) REFERENCES appointments(id) ON DELETE SET NULL,
+        FOREIGN KEY (requested_by) REFERENCES users(id) ON DELETE SET NULL,
+        UNIQUE KEY unique_provider_refund (provider_refund_id),
+        INDEX idx_refunds_appointment (appointment_id)
+      )
+    `);
+    
+    // Create invoice_sequences table (next gap-free number per tax document type)
+    await dbConnection.query(`
+      CREATE TABLE IF NOT EXISTS invoice_sequences (
+        document_type VARCHAR(20) PRIMARY KEY,
+        next_number INT NOT NULL DEFAULT 1
+      )
+    `);
+    
+    // Create invoices table (tax invoices and credit notes; seller and customer details are frozen at issue)
+    await dbConnection.query(`
+      CREATE TABLE IF NOT EXISTS invoices (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        document_type ENUM('invoice', 'credit_note') NOT NULL,
+        invoice_number VARCHAR(30) NOT NULL UNIQUE,
+        appointment_id INT NULL,
+        user_id INT NULL,
+        original_invoice_id INT NULL,
+        refund_id INT NULL,
+        reason VARCHAR(500) NULL,
+        seller_name VARCHAR(255) NOT NULL,
+        seller_trn VARCHAR(30) NOT NULL,
+        seller_address VARCHAR(500) NULL,
+        customer_name VARCHAR(255) NULL,
+        customer_email VARCHAR(255) NULL,
+        customer_phone VARCHAR(30) NULL,
+        customer_address TEXT NULL,
+        currency VARCHAR(10) NOT NULL DEFAULT 'AED',
+        subtotal DECIMAL(10, 2) NOT NULL,
+        vat_rate DECIMAL(5, 4) NOT NULL,
+        vat_amount DECIMAL(10, 2) NOT NULL,
+        total DECIMAL(10, 2) NOT NULL,
+        issued_by INT NULL,
+        issued_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (appointment_id) REFERENCES appointments(id) ON DELETE SET NULL,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
+        FOREIGN KEY (original_invoice_id) REFERENCES invoices(id),
+        FOREIGN KEY (refund_id) REFERENCES refunds(id) ON DELETE SET NULL,
+        FOREIGN KEY (issued_by) REFERENCES users(id) ON DELETE SET NULL,
+        UNIQUE KEY unique_invoice_refund (refund_id),
+        INDEX idx_invoices_appointment (appointment_id, document_type),
+        INDEX idx_invoices_issued (issued_at)
+      )
+    `);
+    
+    // Create invoice_lines table
+    await dbConnection.query(`
+      CREATE TABLE IF NOT EXISTS invoice_lines (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        invoice_id INT NOT NULL,
+        line_number INT NOT NULL,
+        code VARCHAR(30) NOT NULL,
+        description VARCHAR(500) NOT NULL,
+        quantity INT NOT NULL DEFAULT 1,
+        unit_price DECIMAL(10, 2) NOT NULL,
+        amount DECIMAL(10, 2) NOT NULL,
+        vat_rate DECIMAL(5, 4) NOT NULL,
+        vat_amount DECIMAL(10, 2) NOT NULL,
+        total DECIMAL(10, 2) NOT NULL,
+        FOREIGN KEY (invoice_id) REFERENCES invoices(id) ON DELETE CASCADE,
+        UNIQUE KEY unique_invoice_line (invoice_id, line_number)
+      )
+    `);
+    
+    // Create wallet_transactions table (append-only store credit ledger per user)
+    await dbConnection.query(`
+      CREATE TABLE IF NOT EXISTS wallet_transactions (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        type ENUM('credit', 'debit') NOT NULL,
+        amount DECIMAL(10, 2) NOT NULL,
+        balance_after DECIMAL(10, 2) NOT NULL,
+        reason VARCHAR(500) NOT NULL,
+        source VARCHAR(30) NOT NULL,
+        appointment_id INT NULL,
+        created_by INT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (appointment_id) REFERENCES appointments(id) ON DELETE SET NULL,
+        FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+        INDEX idx_wallet_user (user_id, id)
+      )
+    `);
+    
+    // Create gift_cards table (prepaid vouchers spent at booking, see giftCardService)
+    await dbConnection.query(`
+      CREATE TABLE IF NOT EXISTS gift_cards (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        code VARCHAR(20) NOT NULL UNIQUE,
+        title VARCHAR(150) NOT NULL,
+        service_category_slug VARCHAR(100) NULL,
+        initial_amount DECIMAL(10, 2) NOT NULL,
+        balance DECIMAL(10, 2) NOT NULL,
+        currency VARCHAR(3) DEFAULT 'AED',
+        status ENUM('pending', 'active', 'redeemed', 'void') NOT NULL DEFAULT 'pending',
+        purchaser_user_id INT NULL,
+        recipient_name VARCHAR(150) NULL,
+        recipient_email VARCHAR(255) NULL,
+        message TEXT NULL,
+        order_id VARCHAR(100) NULL UNIQUE,
+        activated_at TIMESTAMP NULL,
+        expires_at TIMESTAMP NULL,
+        voided_at TIMESTAMP NULL,
+        voided_by INT NULL,
+        void_reason VARCHAR(500) NULL,
+        created_by INT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (purchaser_user_id) REFERENCES users(id) ON DELETE SET NULL,
+        FOREIGN KEY (voided_by) REFERENCES users(id) ON DELETE SET NULL,
+        FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+        INDEX idx_gift_cards_status (status, created_at),
+        INDEX idx_gift_cards_purchaser (purchaser_user_id)
+      )
+    `);
+    
+    // Create gift_card_transactions table (redemptions at booking and refunds back onto the card)
+    await dbConnection.query(`
+      CREATE TABLE IF NOT EXISTS gift_card_transactions (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        gift_card_id INT NOT NULL,
+        type ENUM('redeem', 'refund') NOT NULL,
+        amount DECIMAL(10, 2) NOT NULL,
+        balance_after DECIMAL(10, 2) NOT NULL,
+        appointment_id INT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (gift_card_id) REFERENCES gift_cards(id) ON DELETE CASCADE,
+        FOREIGN KEY (appointment_id) REFERENCES appointments(id) ON DELETE SET NULL,
+        INDEX idx_gift_card_transactions_card (gift_card_id, id)
+      )
+    `);
+    
+    // Create cod_collections table (cash taken by the technician at a cash-on-delivery job, one per appointment)
+    await dbConnection.query(`
+      CREATE TABLE IF NOT EXISTS cod_collections (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        appointment_id INT NOT NULL UNIQUE,
+        technician_id INT NULL,
+        collected_amount DECIMAL(10, 2) NOT NULL,
+        currency VARCHAR(3) DEFAULT 'AED',
+        notes VARCHAR(500) NULL,
+        payment_id INT NULL,
+        collected_by INT NULL,
+        collected_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (appointment_id) REFERENCES appointments(id) ON DELETE CASCADE,
+        FOREIGN KEY (technician_id) REFERENCES technicians(id) ON DELETE SET NULL,
+        FOREIGN KEY (payment_id) REFERENCES payments(id) ON DELETE SET NULL,
+        FOREIGN KEY (collected_by) REFERENCES users(id) ON DELETE SET NULL,
+        INDEX idx_cod_collections_technician (technician_id, collected_at)
+      )
+    `);
+    
+    // Create slot_holds table for short-lived reservations during checkout and payment
+    await dbConnection.query(`
+      CREATE TABLE IF NOT EXISTS slot_holds (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        order_id VARCHAR(255) NOT NULL UNIQUE,
+        time_slot_id INT NULL,
+        appointment_date DATE NOT NULL,
+        appointment_time TIME NOT NULL,
+        service_category_slug VARCHAR(100) NULL,
+        booking_data JSON NOT NULL,
+        status ENUM('active', 'confirmed', 'expired', 'released') DEFAULT 'active',
+        expires_at DATETIME NOT NULL,
+        appointment_id INT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (time_slot_id) REFERENCES available_time_slots(id) ON DELETE SET NULL,
+        FOREIGN KEY (appointment_id) REFERENCES appointments(id) ON DELETE SET NULL,
+        INDEX idx_hold_slot (appointment_date, appointment_time, status, expires_at)
+      )
+    `);
+    
     // Insert default contact_address if table is empty
     try {
       const [existingSettings] = await dbConnection.query('SELECT COUNT(*) as count FROM website_settings');
@@ -1276,42 +1916,404 @@ async function initializeDatabase() {
     } catch (error) {
       console.log('Error during appointments slug columns migration:', error.message);
     }
-    
-    // Seed initial data
-    await seedInitialData(dbConnection);
-    
-    dbConnection.release();
-    
-    // Return the configured pool for the application to use
-    return dbPool;
-  } catch (error) {
-    console.error('Error initializing database:', error);
-    process.exit(1); // Exit if database initialization fails
-  }
-}
-
-// Create a connection pool for the application after database is initialized
-let pool;
 
-// Function to seed initial data
-async function seedInitialData(connection) {
-  try {
-    // Check if time slots already exist
-    const [timeSlotCount] = await connection.query('SELECT COUNT(*) as count FROM available_time_slots');
-    
-    if (timeSlotCount[0].count === 0) {
-      console.log('Seeding initial time slots...');
-      const timeSlots = [
-        ['09:00:00', '09:30:00'],
-        ['10:00:00', '10:30:00'],
-        ['11:00:00', '11:30:00'],
-        ['14:00:00', '14:30:00'], // 2:00 PM - 2:30 PM
-        ['15:00:00', '15:30:00'], // 3:00 PM - 3:30 PM
-        ['16:00:00', '16:30:00']  // 4:00 PM - 4:30 PM
-      ];
+    // Migration: Add server-side quote columns to appointments table if they don't exist
+    try {
+      const [totalAmountColumn] = await dbConnection.query(`
+        SHOW COLUMNS FROM appointments LIKE 'total_amount'
+      `);
       
-      // Get today's date for seeding
-      const today = new Date();
+      if (totalAmountColumn.length === 0) {
+        console.log('Adding quote columns to appointments table...');
+        
+        await dbConnection.query(`
+          ALTER TABLE appointments 
+          ADD COLUMN offer_code VARCHAR(20) NULL,
+          ADD COLUMN discount_amount DECIMAL(10, 2) DEFAULT 0.00,
+          ADD COLUMN vat_amount DECIMAL(10, 2) DEFAULT 0.00,
+          ADD COLUMN total_amount DECIMAL(10, 2) NULL
+        `);
+        
+        console.log('Migration completed: appointments table now includes offer_code, discount_amount, vat_amount and total_amount columns');
+      } else {
+        console.log('Quote columns already exist in appointments table');
+      }
+    } catch (error) {
+      console.log('Error during appointments quote columns migration:', error.message);
+    }
+
+    // Migration: Track whether availability rows came from a template or were set by hand
+    for (const table of ['available_dates', 'available_time_slots']) {
+      try {
+        const [sourceColumn] = await dbConnection.query(`
+          SHOW COLUMNS FROM ${table} LIKE 'source'
+        `);
+        
+        if (sourceColumn.length === 0) {
+          console.log(`Adding source and template_id columns to ${table} table...`);
+          
+          await dbConnection.query(`
+            ALTER TABLE ${table} 
+            ADD COLUMN source ENUM('manual', 'template') DEFAULT 'manual',
+            ADD COLUMN template_id INT NULL,
+            ADD CONSTRAINT fk_${table}_template 
+            FOREIGN KEY (template_id) REFERENCES availability_templates(id) ON DELETE SET NULL
+          `);
+          
+          console.log(`Migration completed: ${table} table now includes source and template_id columns`);
+        } else {
+          console.log(`source column already exists in ${table} table`);
+        }
+      } catch (error) {
+        console.log(`Error during ${table} source migration:`, error.message);
+      }
+    }
+
+    // Migration: Link appointments to the recurring booking series that generated them
+    try {
+      const [seriesIdColumn] = await dbConnection.query(`
+        SHOW COLUMNS FROM appointments LIKE 'series_id'
+      `);
+      
+      if (seriesIdColumn.length === 0) {
+        console.log('Adding series_id column to appointments table...');
+        
+        await dbConnection.query(`
+          ALTER TABLE appointments 
+          ADD COLUMN series_id INT NULL,
+          ADD CONSTRAINT fk_appointments_series 
+          FOREIGN KEY (series_id) REFERENCES booking_series(id) ON DELETE SET NULL
+        `);
+        
+        console.log('Migration completed: appointments table now includes series_id column');
+      } else {
+        console.log('series_id column already exists in appointments table');
+      }
+    } catch (error) {
+      console.log('Error during appointments series_id migration:', error.message);
+    }
+
+    // Migration: Add technician assignment columns to appointments table
+    try {
+      const [technicianColumn] = await dbConnection.query(`
+        SHOW COLUMNS FROM appointments LIKE 'technician_id'
+      `);
+      
+      if (technicianColumn.length === 0) {
+        console.log('Adding technician assignment columns to appointments table...');
+        
+        await dbConnection.query(`
+          ALTER TABLE appointments 
+          ADD COLUMN technician_id INT NULL,
+          ADD COLUMN assigned_at TIMESTAMP NULL,
+          ADD CONSTRAINT fk_appointments_technician 
+          FOREIGN KEY (technician_id) REFERENCES technicians(id) ON DELETE SET NULL,
+          ADD INDEX idx_appointments_technician_date (technician_id, appointment_date)
+        `);
+        
+        console.log('Migration completed: appointments table now includes technician_id and assigned_at columns');
+      } else {
+        console.log('technician_id column already exists in appointments table');
+      }
+    } catch (error) {
+      console.log('Error during appointments technician migration:', error.message);
+    }
+
+    // Migration: Add reminder_offsets to service_categories (minutes before the appointment, NULL = default)
+    try {
+      const [reminderOffsetsColumn] = await dbConnection.query(`
+        SHOW COLUMNS FROM service_categories LIKE 'reminder_offsets'
+      `);
+      
+      if (reminderOffsetsColumn.length === 0) {
+        console.log('Adding reminder_offsets column to service_categories table...');
+        
+        await dbConnection.query(`
+          ALTER TABLE service_categories 
+          ADD COLUMN reminder_offsets JSON NULL
+        `);
+        
+        console.log('Migration completed: service_categories table now includes reminder_offsets column');
+      } else {
+        console.log('reminder_offsets column already exists in service_categories table');
+      }
+    } catch (error) {
+      console.log('Error during service_categories reminder_offsets migration:', error.message);
+    }
+
+    // Migration: Add service zone columns to appointments table
+    try {
+      const [zoneColumn] = await dbConnection.query(`
+        SHOW COLUMNS FROM appointments LIKE 'service_zone_id'
+      `);
+      
+      if (zoneColumn.length === 0) {
+        console.log('Adding service zone columns to appointments table...');
+        
+        await dbConnection.query(`
+          ALTER TABLE appointments 
+          ADD COLUMN zone_surcharge DECIMAL(10,2) DEFAULT 0.00,
+          ADD COLUMN service_zone_id INT NULL,
+          ADD CONSTRAINT fk_appointments_service_zone 
+          FOREIGN KEY (service_zone_id) REFERENCES service_zones(id) ON DELETE SET NULL
+        `);
+        
+        console.log('Migration completed: appointments table now includes zone_surcharge and service_zone_id columns');
+      } else {
+        console.log('Service zone columns already exist in appointments table');
+      }
+    } catch (error) {
+      console.log('Error during appointments service zone migration:', error.message);
+    }
+
+    // Migration: Add scope, label and revocation columns to shared_appointments
+    // (the table used to be created on the fly by the share endpoint)
+    try {
+      const [scopeColumn] = await dbConnection.query(`
+        SHOW COLUMNS FROM shared_appointments LIKE 'scope'
+      `);
+      
+      if (scopeColumn.length === 0) {
+        console.log('Adding share link management columns to shared_appointments table...');
+        
+        await dbConnection.query(`
+          ALTER TABLE shared_appointments 
+          ADD COLUMN scope ENUM('full', 'limited') DEFAULT 'limited',
+          ADD COLUMN label VARCHAR(100) NULL,
+          ADD COLUMN created_by INT NULL,
+          ADD COLUMN revoked_at DATETIME NULL,
+          ADD COLUMN revoked_by INT NULL,
+          ADD CONSTRAINT fk_shared_appointments_created_by 
+          FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+          ADD CONSTRAINT fk_shared_appointments_revoked_by 
+          FOREIGN KEY (revoked_by) REFERENCES users(id) ON DELETE SET NULL
+        `);
+        
+        console.log('Migration completed: shared_appointments table now includes scope, label and revocation columns');
+      } else {
+        console.log('Share link management columns already exist in shared_appointments table');
+      }
+    } catch (error) {
+      console.log('Error during shared_appointments migration:', error.message);
+    }
+
+    // Migration: Link payments to their appointment instead of parsing order_id
+    try {
+      const [appointmentIdColumn] = await dbConnection.query(`
+        SHOW COLUMNS FROM payments LIKE 'appointment_id'
+      `);
+      
+      if (appointmentIdColumn.length === 0) {
+        console.log('Adding appointment_id and last_reconciled_at columns to payments table...');
+        
+        await dbConnection.query(`
+          ALTER TABLE payments 
+          ADD COLUMN appointment_id INT NULL AFTER order_id,
+          ADD COLUMN last_reconciled_at TIMESTAMP NULL,
+          ADD CONSTRAINT fk_payments_appointment 
+          FOREIGN KEY (appointment_id) REFERENCES appointments(id) ON DELETE SET NULL,
+          ADD INDEX idx_payments_status_created (status, created_at)
+        `);
+        
+        // Backfill from appointment_<id> orders and from slot holds that became appointments
+        await dbConnection.query(`
+          UPDATE payments p
+          JOIN appointments a ON p.order_id = CONCAT('appointment_', a.id)
+          SET p.appointment_id = a.id
+        `);
+        await dbConnection.query(`
+          UPDATE payments p
+          JOIN slot_holds h ON p.order_id = h.order_id
+          SET p.appointment_id = h.appointment_id
+          WHERE h.appointment_id IS NOT NULL
+        `);
+        
+        console.log('Migration completed: payments table now includes appointment_id');
+      } else {
+        console.log('appointment_id column already exists in payments table');
+      }
+    } catch (error) {
+      console.log('Error during payments appointment_id migration:', error.message);
+    }
+
+    // Migration: Part of the booking total paid from the customer's wallet
+    try {
+      const [walletAmountColumn] = await dbConnection.query(`
+        SHOW COLUMNS FROM appointments LIKE 'wallet_amount'
+      `);
+      
+      if (walletAmountColumn.length === 0) {
+        console.log('Adding wallet_amount column to appointments table...');
+        
+        await dbConnection.query(`
+          ALTER TABLE appointments 
+          ADD COLUMN wallet_amount DECIMAL(10, 2) DEFAULT 0.00 AFTER total_amount
+        `);
+        
+        console.log('Migration completed: appointments table now includes wallet_amount');
+      } else {
+        console.log('wallet_amount column already exists in appointments table');
+      }
+    } catch (error) {
+      console.log('Error during appointments wallet_amount migration:', error.message);
+    }
+
+    // Migration: Part of the booking total paid from a gift card
+    try {
+      const [giftCardAmountColumn] = await dbConnection.query(`
+        SHOW COLUMNS FROM appointments LIKE 'gift_card_amount'
+      `);
+      
+      if (giftCardAmountColumn.length === 0) {
+        console.log('Adding gift_card_amount column to appointments table...');
+        
+        await dbConnection.query(`
+          ALTER TABLE appointments 
+          ADD COLUMN gift_card_amount DECIMAL(10, 2) DEFAULT 0.00 AFTER wallet_amount
+        `);
+        
+        console.log('Migration completed: appointments table now includes gift_card_amount');
+      } else {
+        console.log('gift_card_amount column already exists in appointments table');
+      }
+    } catch (error) {
+      console.log('Error during appointments gift_card_amount migration:', error.message);
+    }
+
+    // Migration: Service item a booking was priced for, so re-quotes find the same pricing row
+    try {
+      const [serviceItemSlugColumn] = await dbConnection.query(`
+        SHOW COLUMNS FROM appointments LIKE 'service_item_slug'
+      `);
+      
+      if (serviceItemSlugColumn.length === 0) {
+        console.log('Adding service_item_slug column to appointments table...');
+        
+        await dbConnection.query(`
+          ALTER TABLE appointments 
+          ADD COLUMN service_item_slug VARCHAR(100) NULL AFTER service_items_category
+        `);
+        
+        console.log('Migration completed: appointments table now includes service_item_slug');
+      } else {
+        console.log('service_item_slug column already exists in appointments table');
+      }
+    } catch (error) {
+      console.log('Error during appointments service_item_slug migration:', error.message);
+    }
+
+    // Migration: Per-customer usage limit of offer codes
+    try {
+      const [usageLimitPerUserColumn] = await dbConnection.query(`
+        SHOW COLUMNS FROM offer_codes LIKE 'usage_limit_per_user'
+      `);
+      
+      if (usageLimitPerUserColumn.length === 0) {
+        console.log('Adding usage_limit_per_user column to offer_codes table...');
+        
+        await dbConnection.query(`
+          ALTER TABLE offer_codes 
+          ADD COLUMN usage_limit_per_user INT NULL COMMENT 'NULL means unlimited usage per customer' AFTER usage_limit
+        `);
+        
+        console.log('Migration completed: offer_codes table now includes usage_limit_per_user');
+      } else {
+        console.log('usage_limit_per_user column already exists in offer_codes table');
+      }
+    } catch (error) {
+      console.log('Error during offer_codes usage_limit_per_user migration:', error.message);
+    }
+
+    // Migration: Indexes for filtering and keyset pagination of the admin lists
+    const listIndexes = [
+      { table: 'appointments', name: 'idx_appointments_date_time', columns: 'appointment_date, appointment_time, id' },
+      { table: 'appointments', name: 'idx_appointments_status_date', columns: 'status, appointment_date' },
+      { table: 'appointments', name: 'idx_appointments_category_date', columns: 'service_category_slug, appointment_date' },
+      { table: 'appointments', name: 'idx_appointments_payment_date', columns: 'payment_method, appointment_date' },
+      { table: 'appointments', name: 'idx_appointments_created', columns: 'created_at, id' },
+      { table: 'users', name: 'idx_users_created', columns: 'created_at, id' },
+      { table: 'support_tickets', name: 'idx_support_tickets_status_created', columns: 'status, created_at' },
+      { table: 'support_tickets', name: 'idx_support_tickets_created', columns: 'created_at, id' }
+    ];
+
+    for (const index of listIndexes) {
+      try {
+        const [existingIndex] = await dbConnection.query(
+          `SHOW INDEX FROM ${index.table} WHERE Key_name = ?`,
+          [index.name]
+        );
+
+        if (existingIndex.length === 0) {
+          console.log(`Adding ${index.name} index to ${index.table} table...`);
+          await dbConnection.query(`ALTER TABLE ${index.table} ADD INDEX ${index.name} (${index.columns})`);
+          console.log(`Migration completed: ${index.table} table now has ${index.name} index`);
+        }
+      } catch (error) {
+        console.log(`Error adding ${index.name} index:`, error.message);
+      }
+    }
+
+    // Migration: Make time slots unique per category instead of per date only
+    try {
+      const [oldUniqueKey] = await dbConnection.query(`
+        SHOW INDEX FROM available_time_slots WHERE Key_name = 'unique_time_slot'
+      `);
+      
+      if (oldUniqueKey.length > 0) {
+        console.log('Replacing unique_time_slot key on available_time_slots table...');
+        
+        await dbConnection.query(`
+          ALTER TABLE available_time_slots 
+          DROP INDEX unique_time_slot,
+          ADD UNIQUE KEY unique_category_time_slot (date, start_time, end_time, service_category_id)
+        `);
+        
+        console.log('Migration completed: time slots are now unique per date, time and category');
+      }
+    } catch (error) {
+      console.log('Error during available_time_slots unique key migration:', error.message);
+    }
+    
+    // Seed initial data
+    await seedInitialData(dbConnection);
+    
+    dbConnection.release();
+    
+    // Return the configured pool for the application to use
+    return dbPool;
+  } catch (error) {
+    console.error('Error initializing database:', error);
+    process.exit(1); // Exit if database initialization fails
+  }
+}
+
+// Create a connection pool for the application after database is initialized
+let pool;
+
+// Serve the app from another pool - the tests use it to run the routes against an in-memory database
+function usePool(db) {
+  pool = db;
+}
+
+// Function to seed initial data
+async function seedInitialData(connection) {
+  try {
+    // Check if time slots already exist
+    const [timeSlotCount] = await connection.query('SELECT COUNT(*) as count FROM available_time_slots');
+    
+    if (timeSlotCount[0].count === 0) {
+      console.log('Seeding initial time slots...');
+      const timeSlots = [
+        ['09:00:00', '09:30:00'],
+        ['10:00:00', '10:30:00'],
+        ['11:00:00', '11:30:00'],
+        ['14:00:00', '14:30:00'], // 2:00 PM - 2:30 PM
+        ['15:00:00', '15:30:00'], // 3:00 PM - 3:30 PM
+        ['16:00:00', '16:30:00']  // 4:00 PM - 4:30 PM
+      ];
+      
+      // Get today's date for seeding
+      const today = new Date();
       const formattedDate = today.toISOString().split('T')[0]; // YYYY-MM-DD format
       
       for (const [start_time, end_time] of timeSlots) {
@@ -1951,12 +2953,13 @@ app.get('/api/user/appointments', authenticateToken, async (req, res) => {
         id, user_id, service, appointment_date, appointment_time, status, 
         location, price, notes, room_type, room_type_slug, property_type, property_type_slug, 
         quantity, service_category, service_category_slug, service_items_category, extra_price, cod_fee, payment_method,
-        created_at, updated_at
-       FROM appointments WHERE user_id = ? ORDER BY appointment_date DESC, appointment_time DESC`,
+        offer_code, discount_amount, zone_surcharge, vat_amount, total_amount, created_at, updated_at,
+        ${COD_STATE_COLUMNS}
+       FROM appointments a WHERE user_id = ? ORDER BY appointment_date DESC, appointment_time DESC`,
       [req.user.id]
     );
     
-    return res.json(rows);
+    return res.json(rows.map(withCodPaymentStatus));
   } catch (error) {
     console.error('Error fetching appointments:', error);
     return res.status(500).json({ message: 'Server error' });
@@ -1973,8 +2976,9 @@ app.get('/api/user/appointments/:id', authenticateToken, async (req, res) => {
         id, user_id, service, appointment_date, appointment_time, status, 
         location, price, notes, room_type, room_type_slug, property_type, property_type_slug, 
         quantity, service_category, service_category_slug, service_items_category, extra_price, cod_fee, payment_method,
-        created_at, updated_at
-       FROM appointments WHERE id = ? AND user_id = ?`,
+        offer_code, discount_amount, zone_surcharge, vat_amount, total_amount, wallet_amount, gift_card_amount, created_at, updated_at,
+        ${COD_STATE_COLUMNS}
+       FROM appointments a WHERE id = ? AND user_id = ?`,
       [id, req.user.id]
     );
     
@@ -1982,57 +2986,260 @@ app.get('/api/user/appointments/:id', authenticateToken, async (req, res) => {
       return res.status(404).json({ message: 'Appointment not found or not authorized' });
     }
     
-    return res.json(rows[0]);
+    const refunds = await getAppointmentRefunds(pool, id);
+    const payments = await getRefundablePayments(pool, id);
+    const paidAmount = payments.length > 0 ? payments.reduce((sum, payment) => sum + parseFloat(payment.amount), 0) : null;
+    
+    return res.json({
+      ...withCodPaymentStatus(rows[0]),
+      ...summarizeRefunds(refunds, paidAmount),
+      refunds: refunds.map(refund => ({
+        id: refund.id,
+        amount: refund.amount,
+        currency: refund.currency,
+        status: refund.status,
+        created_at: refund.created_at,
+        completed_at: refund.completed_at
+      }))
+    });
   } catch (error) {
     console.error('Error fetching appointment:', error);
     return res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Get upcoming appointments for the user
-app.get('/api/user/appointments/upcoming', authenticateToken, async (req, res) => {
+// Send a tax document as a PDF or HTML download. Documents the PDF fonts can't draw
+// (e.g. an Arabic customer name) are always sent as HTML.
+function sendInvoiceDocument(res, invoice, format) {
+  if (format === 'html' || !canRenderInvoicePdf(invoice)) {
+    res.set('Content-Type', 'text/html; charset=utf-8');
+    res.set('Content-Disposition', `inline; filename="${invoice.invoice_number}.html"`);
+    return res.send(renderInvoiceHtml(invoice));
+  }
+  
+  res.set('Content-Type', 'application/pdf');
+  res.set('Content-Disposition', `attachment; filename="${invoice.invoice_number}.pdf"`);
+  return res.send(renderInvoicePdf(invoice));
+}
+
+// Tax invoice and credit notes of the user's appointment. The invoice is issued when the appointment
+// is confirmed and paid in full, or completed.
+app.get('/api/user/appointments/:id/invoices', authenticateToken, async (req, res) => {
   try {
-    const [rows] = await pool.execute(
-      `SELECT * FROM appointments 
-       WHERE user_id = ? AND 
-       (appointment_date > CURDATE() OR 
-        (appointment_date = CURDATE() AND appointment_time >= CURTIME())) AND
-       status NOT IN ('completed', 'cancelled')
-       ORDER BY appointment_date ASC, appointment_time ASC`,
-      [req.user.id]
+    const [appointments] = await pool.execute(
+      'SELECT id FROM appointments WHERE id = ? AND user_id = ?',
+      [req.params.id, req.user.id]
     );
     
-    return res.json(rows);
+    if (appointments.length === 0) {
+      return res.status(404).json({ message: 'Appointment not found or not authorized' });
+    }
+    
+    const invoices = await listAppointmentInvoices(pool, req.params.id);
+    
+    return res.json(invoices);
   } catch (error) {
-    console.error('Error fetching upcoming appointments:', error);
+    console.error('Error fetching invoices:', error);
     return res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Get past appointments for the user
-app.get('/api/user/appointments/past', authenticateToken, async (req, res) => {
+// Download one of the user's tax documents (?format=pdf, the default, or html)
+app.get('/api/user/appointments/:id/invoices/:invoiceId', authenticateToken, async (req, res) => {
   try {
-    const [rows] = await pool.execute(
-      `SELECT * FROM appointments 
-       WHERE user_id = ? AND 
-       (appointment_date < CURDATE() OR 
-        (appointment_date = CURDATE() AND appointment_time < CURTIME()) OR
-        status = 'completed')
-       ORDER BY appointment_date DESC, appointment_time DESC`,
-      [req.user.id]
+    const format = req.query.format || 'pdf';
+    if (!DOCUMENT_FORMATS.includes(format)) {
+      return res.status(400).json({ message: `Format must be one of: ${DOCUMENT_FORMATS.join(', ')}` });
+    }
+    
+    const [appointments] = await pool.execute(
+      'SELECT id FROM appointments WHERE id = ? AND user_id = ?',
+      [req.params.id, req.user.id]
     );
     
-    return res.json(rows);
+    if (appointments.length === 0) {
+      return res.status(404).json({ message: 'Appointment not found or not authorized' });
+    }
+    
+    const invoice = await getInvoice(pool, req.params.invoiceId, { appointmentId: req.params.id });
+    if (!invoice) {
+      return res.status(404).json({ message: 'Invoice not found' });
+    }
+    
+    return sendInvoiceDocument(res, invoice, format);
   } catch (error) {
-    console.error('Error fetching past appointments:', error);
+    console.error('Error downloading invoice:', error);
     return res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Ziina Payment API endpoints
-
-// Create Ziina payment
-app.post('/api/payments/ziina/create', authenticateToken, async (req, res) => {
+const WALLET_TRANSACTION_LIST = {
+  filters: {
+    user_id: { column: 'wt.user_id', type: 'eq' },
+    type: { column: 'wt.type', type: 'list', values: WALLET_ENTRY_TYPES },
+    source: { column: 'wt.source', type: 'list', values: WALLET_SOURCES },
+    date_from: { column: 'wt.created_at', type: 'gte' },
+    date_to: { column: 'wt.created_at', type: 'lte' }
+  },
+  searchColumns: ['wt.reason'],
+  sorts: {
+    created_at: [{ column: 'wt.id' }]
+  },
+  defaultSort: 'created_at',
+  defaultOrder: 'desc'
+};
+
+// Balance and a page of ledger entries of one user's wallet
+async function sendWallet(res, userId, query) {
+  const listQuery = buildListQuery(WALLET_TRANSACTION_LIST, { ...query, user_id: userId });
+  if (!listQuery.success) {
+    return res.status(400).json({ message: listQuery.message, error_code: listQuery.error_code });
+  }
+  
+  const [rows] = await pool.execute(`
+    SELECT 
+      wt.id, wt.type, wt.amount, wt.balance_after, wt.reason, wt.source, wt.appointment_id, wt.created_at,
+      ${listQuery.cursorSelect}
+    FROM wallet_transactions wt
+    ${listQuery.where}
+    ${listQuery.orderBy}
+    ${listQuery.limitClause}
+  `, listQuery.params);
+  
+  const balance = await getWalletBalance(pool, userId);
+  
+  return res.json({ balance, currency: 'AED', transactions: buildPage(rows, listQuery) });
+}
+
+// The user's wallet balance and history
+app.get('/api/user/wallet', authenticateToken, async (req, res) => {
+  try {
+    return await sendWallet(res, req.user.id, req.query);
+  } catch (error) {
+    console.error('Error fetching wallet:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Check an optional gift card category restriction, returns an error message or null
+async function checkGiftCardCategory(slug) {
+  if (!slug) {
+    return null;
+  }
+  const [categories] = await pool.execute('SELECT id FROM service_categories WHERE slug = ? AND is_active = TRUE', [slug]);
+  return categories.length === 0 ? 'service_category_slug is not an active service category' : null;
+}
+
+// Buy a gift card. The card stays pending until it is paid through /api/payments/create with its order_id,
+// then it activates and the recipient is emailed the code.
+// Body: amount, recipient_email, optional title, recipient_name, message, service_category_slug.
+app.post('/api/user/gift-cards', authenticateToken, async (req, res) => {
+  try {
+    const validation = validateGiftCardInput(req.body);
+    if (validation.error) {
+      return res.status(400).json({ message: validation.error });
+    }
+    
+    const categoryError = await checkGiftCardCategory(validation.values.serviceCategorySlug);
+    if (categoryError) {
+      return res.status(400).json({ message: categoryError });
+    }
+    
+    const card = await createGiftCard(pool, validation.values, { purchaserUserId: req.user.id });
+    
+    return res.status(201).json({
+      ...formatGiftCard(card),
+      recipient_email: card.recipient_email,
+      message: card.message,
+      order_id: card.order_id
+    });
+  } catch (error) {
+    console.error('Error creating gift card:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Gift cards the user has bought
+app.get('/api/user/gift-cards', authenticateToken, async (req, res) => {
+  try {
+    const [cards] = await pool.execute(
+      'SELECT * FROM gift_cards WHERE purchaser_user_id = ? ORDER BY created_at DESC',
+      [req.user.id]
+    );
+    
+    return res.json(cards.map(card => ({
+      ...formatGiftCard(card),
+      recipient_email: card.recipient_email,
+      message: card.message,
+      order_id: card.order_id
+    })));
+  } catch (error) {
+    console.error('Error fetching gift cards:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Balance and expiry of a gift card code, e.g. before using it at checkout
+app.get('/api/user/gift-cards/lookup/:code', authenticateToken, async (req, res) => {
+  try {
+    const card = await getGiftCardByCode(pool, req.params.code);
+    
+    if (!card) {
+      return res.status(404).json({ message: 'Gift card not found', error_code: 'GIFT_CARD_NOT_FOUND' });
+    }
+    
+    return res.json(formatGiftCard(card));
+  } catch (error) {
+    console.error('Error looking up gift card:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get upcoming appointments for the user
+app.get('/api/user/appointments/upcoming', authenticateToken, async (req, res) => {
+  try {
+    const [rows] = await pool.execute(
+      `SELECT * FROM appointments 
+       WHERE user_id = ? AND 
+       (appointment_date > CURDATE() OR 
+        (appointment_date = CURDATE() AND appointment_time >= CURTIME())) AND
+       status NOT IN ('completed', 'cancelled')
+       ORDER BY appointment_date ASC, appointment_time ASC`,
+      [req.user.id]
+    );
+    
+    return res.json(rows);
+  } catch (error) {
+    console.error('Error fetching upcoming appointments:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get past appointments for the user
+app.get('/api/user/appointments/past', authenticateToken, async (req, res) => {
+  try {
+    const [rows] = await pool.execute(
+      `SELECT * FROM appointments 
+       WHERE user_id = ? AND 
+       (appointment_date < CURDATE() OR 
+        (appointment_date = CURDATE() AND appointment_time < CURTIME()) OR
+        status = 'completed')
+       ORDER BY appointment_date DESC, appointment_time DESC`,
+      [req.user.id]
+    );
+    
+    return res.json(rows);
+  } catch (error) {
+    console.error('Error fetching past appointments:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Payment API endpoints
+// The /api/payments/ziina/* paths predate the provider abstraction and stay as aliases
+
+// Create a payment with the active payment provider
+app.post(['/api/payments/create', '/api/payments/ziina/create'], authenticateToken, async (req, res) => {
   try {
     const { amount, currency, description, order_id, customer_email, customer_phone, return_url, cancel_url } = req.body;
     
@@ -2060,76 +3267,159 @@ app.post('/api/payments/ziina/create', authenticateToken, async (req, res) => {
       return res.status(500).json({ message: 'Database not available' });
     }
 
-    // Get Ziina API key from database configuration
-    const [ziinaConfigs] = await pool.execute(
-      'SELECT api_key FROM api_configurations WHERE service_name = ? AND status = "active"',
-      ['ziina']
-    );
-    
-    if (ziinaConfigs.length === 0) {
-      console.error('Backend - Ziina API key not configured in database');
-      return res.status(500).json({ message: 'Ziina API key not configured in database' });
+    // Payments for a slot hold must charge the server-side quote while the hold is still active
+    let hold = null;
+    let paymentAmount = amount;
+    if (String(order_id).startsWith('hold_')) {
+      hold = await getActiveHold(pool, order_id, req.user.id);
+      if (!hold) {
+        return res.status(409).json({
+          success: false,
+          message: 'Your slot reservation has expired. Please choose a time slot again.',
+          error_code: 'HOLD_EXPIRED'
+        });
+      }
+      const booking = typeof hold.booking_data === 'string' ? JSON.parse(hold.booking_data) : hold.booking_data;
+      paymentAmount = booking.total_amount;
     }
-    
-    const ziinaApiKey = ziinaConfigs[0].api_key;
-    console.log('Backend - Ziina API key from database:', ziinaApiKey ? 'Configured' : 'Not configured');
 
-    // Create payment with Ziina API
-    console.log('Backend - Making Ziina API request...');
-    const ziinaPayload = {
-      amount: amount * 100, // Convert to fils (100 AED = 10000 fils)
-      currency_code: currency,
-      success_url: return_url,
-      cancel_url: cancel_url,
-      test: true // Test mode for development
-    };
-    console.log('Backend - Ziina API payload:', ziinaPayload);
-    
-    const ziinaResponse = await fetch('https://api-v2.ziina.com/api/payment_intent', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${ziinaApiKey}`,
-        'Accept': 'application/json'
-      },
-      body: JSON.stringify(ziinaPayload)
-    });
+    // Gift card purchases charge the card's amount, and only the customer who is buying it can pay for it
+    if (String(order_id).startsWith('giftcard_')) {
+      const [giftCards] = await pool.execute(
+        'SELECT initial_amount, status FROM gift_cards WHERE order_id = ? AND purchaser_user_id = ?',
+        [order_id, req.user.id]
+      );
+      if (giftCards.length === 0) {
+        return res.status(404).json({ success: false, message: 'Gift card not found or not authorized' });
+      }
+      if (giftCards[0].status !== 'pending') {
+        return res.status(409).json({
+          success: false,
+          message: 'This gift card has already been paid for',
+          error_code: 'NOTHING_TO_PAY'
+        });
+      }
+      paymentAmount = parseFloat(giftCards[0].initial_amount);
 
-    const ziinaData = await ziinaResponse.json();
-    console.log('Backend - Ziina API response status:', ziinaResponse.status);
-    console.log('Backend - Ziina API response:', ziinaData);
+      // One checkout per card: a payment still open with the provider is handed back instead of starting another
+      const [pendingPayments] = await pool.execute(
+        "SELECT payment_id, payment_method FROM payments WHERE order_id = ? AND status = 'pending' ORDER BY id DESC LIMIT 1",
+        [order_id]
+      );
+      if (pendingPayments.length > 0) {
+        const pending = pendingPayments[0];
+        const pendingProvider = await getPaymentProvider(pool, pending.payment_method);
+        const current = pendingProvider ? await pendingProvider.getStatus(pending.payment_id) : { ok: false };
+
+        if (current.ok && (current.status === 'pending' || !current.status) && current.redirect_url) {
+          return res.json({
+            success: true,
+            payment_id: pending.payment_id,
+            payment_url: current.redirect_url,
+            status: 'pending',
+            provider: pendingProvider.name,
+            mode: pendingProvider.mode,
+            message: 'Payment already in progress'
+          });
+        }
+        if (!current.ok || current.status === 'pending' || !current.status) {
+          return res.status(409).json({
+            success: false,
+            message: 'A payment for this gift card is already in progress',
+            error_code: 'PAYMENT_IN_PROGRESS'
+          });
+        }
 
-    if (!ziinaResponse.ok) {
-      console.error('Backend - Ziina API error:', {
-        status: ziinaResponse.status,
-        statusText: ziinaResponse.statusText,
-        data: ziinaData
-      });
+        // It finished without us hearing about it yet
+        const { applied, payment } = await applyPaymentStatus(pool, pending.payment_id, current.status);
+        if (applied) {
+          await applyPaymentOutcome(pool, payment);
+        }
+        if (current.status === 'completed') {
+          return res.status(409).json({
+            success: false,
+            message: 'This gift card has already been paid for',
+            error_code: 'NOTHING_TO_PAY'
+          });
+        }
+      }
+    }
+
+    // Payments for an existing appointment are linked to it (hold payments are linked once the hold is confirmed)
+    // and charge its total less what the wallet and any gift card paid
+    let appointmentId = null;
+    if (String(order_id).startsWith('appointment_')) {
+      const [appointments] = await pool.execute(
+        'SELECT id, total_amount, wallet_amount, gift_card_amount FROM appointments WHERE id = ? AND user_id = ?',
+        [String(order_id).replace('appointment_', ''), req.user.id]
+      );
+      if (appointments.length === 0) {
+        return res.status(404).json({ success: false, message: 'Appointment not found or not authorized' });
+      }
+      appointmentId = appointments[0].id;
+      
+      if (appointments[0].total_amount !== null) {
+        paymentAmount = Math.round((parseFloat(appointments[0].total_amount) - parseFloat(appointments[0].wallet_amount || 0)
+          - parseFloat(appointments[0].gift_card_amount || 0)) * 100) / 100;
+        if (paymentAmount <= 0) {
+          return res.status(409).json({
+            success: false,
+            message: 'This appointment has already been paid from the wallet or a gift card',
+            error_code: 'NOTHING_TO_PAY'
+          });
+        }
+      }
+    }
+
+    const provider = await getActivePaymentProvider(pool);
+    if (!provider) {
+      console.error('Backend - No payment provider configured in database');
+      return res.status(500).json({ message: 'No payment provider configured' });
+    }
+
+    console.log(`Backend - Creating payment with ${provider.name} (${provider.mode})...`);
+    const intent = await provider.createIntent({
+      amount: paymentAmount,
+      currency,
+      orderId: order_id,
+      description,
+      successUrl: return_url,
+      cancelUrl: cancel_url
+    });
+
+    if (!intent.ok) {
+      console.error('Backend - Payment provider error:', { provider: provider.name, message: intent.message, data: intent.data });
       return res.status(400).json({ 
         success: false,
-        message: ziinaData.message || 'Failed to create payment with Ziina',
-        error: ziinaData
+        message: intent.message,
+        error: intent.data
       });
     }
 
     // Store payment record in database
-    const paymentId = ziinaData.id;
-    const [paymentResult] = await pool.execute(
-      `INSERT INTO payments (user_id, order_id, payment_id, amount, currency, status, payment_method, created_at) 
-       VALUES (?, ?, ?, ?, ?, ?, ?, NOW())`,
-      [req.user.id, order_id, paymentId, amount, currency, 'pending', 'ziina']
+    await pool.execute(
+      `INSERT INTO payments (user_id, order_id, appointment_id, payment_id, amount, currency, status, payment_method, created_at) 
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+      [req.user.id, order_id, appointmentId, intent.payment_id, paymentAmount, currency, intent.status, provider.name]
     );
 
+    // Keep the slot reserved while the customer is on the checkout page
+    if (hold) {
+      await extendHoldForPayment(pool, hold.id);
+    }
+
     res.json({
       success: true,
-      payment_id: ziinaData.id,
-      payment_url: ziinaData.redirect_url,
-      status: ziinaData.status || 'pending',
+      payment_id: intent.payment_id,
+      payment_url: intent.redirect_url,
+      status: intent.status,
+      provider: provider.name,
+      mode: provider.mode,
       message: 'Payment created successfully'
     });
 
   } catch (error) {
-    console.error('Backend - Error creating Ziina payment:', {
+    console.error('Backend - Error creating payment:', {
       message: error.message,
       stack: error.stack,
       name: error.name
@@ -2142,86 +3432,87 @@ app.post('/api/payments/ziina/create', authenticateToken, async (req, res) => {
   }
 });
 
-// Get Ziina payment status
-app.get('/api/payments/ziina/status/:paymentId', authenticateToken, async (req, res) => {
+// Get payment status from the provider that took the payment
+app.get(['/api/payments/status/:paymentId', '/api/payments/ziina/status/:paymentId'], authenticateToken, async (req, res) => {
   try {
     const { paymentId } = req.params;
     
-    // Get Ziina API key from database configuration
-    const [ziinaConfigs] = await pool.execute(
-      'SELECT api_key FROM api_configurations WHERE service_name = ? AND status = "active"',
-      ['ziina']
+    const [payments] = await pool.execute(
+      'SELECT order_id, payment_method, created_at, updated_at FROM payments WHERE payment_id = ?',
+      [paymentId]
     );
     
-    if (ziinaConfigs.length === 0) {
-      return res.status(500).json({ message: 'Ziina API key not configured in database' });
+    const provider = payments.length > 0
+      ? await getPaymentProvider(pool, payments[0].payment_method)
+      : await getActivePaymentProvider(pool);
+    
+    if (!provider) {
+      return res.status(500).json({ message: 'Payment provider not configured' });
     }
     
-    const ziinaApiKey = ziinaConfigs[0].api_key;
-
-    // Get payment status from Ziina API
-    const ziinaResponse = await fetch(`https://api-v2.ziina.com/api/payment_intent/${paymentId}`, {
-      method: 'GET',
-      headers: {
-        'Authorization': `Bearer ${ziinaApiKey}`,
-        'Accept': 'application/json'
-      }
-    });
-
-    const ziinaData = await ziinaResponse.json();
-
-    if (!ziinaResponse.ok) {
-      console.error('Ziina API error:', ziinaData);
-      return res.status(400).json({ 
-        message: ziinaData.message || 'Failed to get payment status from Ziina'
-      });
+    const result = await provider.getStatus(paymentId);
+    
+    if (!result.ok) {
+      console.error('Payment provider error:', { provider: provider.name, message: result.message, data: result.data });
+      return res.status(400).json({ message: result.message });
     }
 
-    // Update payment status in database
-    await pool.execute(
-      'UPDATE payments SET status = ?, updated_at = NOW() WHERE payment_id = ?',
-      [ziinaData.status, paymentId]
-    );
+    // Update payment status in database (forward only, same as the webhook)
+    const { applied, payment } = await applyPaymentStatus(pool, paymentId, result.status);
+    if (applied) {
+      await applyPaymentOutcome(pool, payment);
+    }
 
     res.json({
-      payment_id: ziinaData.payment_id,
-      status: ziinaData.status,
-      amount: ziinaData.amount / 100, // Convert from cents
-      currency: ziinaData.currency,
-      order_id: ziinaData.order_id,
-      created_at: ziinaData.created_at,
-      updated_at: ziinaData.updated_at
+      payment_id: paymentId,
+      status: result.status,
+      provider_status: result.provider_status,
+      provider: provider.name,
+      amount: result.amount,
+      currency: result.currency,
+      order_id: payments.length > 0 ? payments[0].order_id : null,
+      created_at: payments.length > 0 ? payments[0].created_at : null,
+      updated_at: payments.length > 0 ? payments[0].updated_at : null
     });
 
   } catch (error) {
-    console.error('Error getting Ziina payment status:', error);
+    console.error('Error getting payment status:', error);
     res.status(500).json({ message: 'Internal server error' });
   }
 });
 
 // Ziina webhook handler
+// Deliveries must carry a valid X-Hmac-Signature (HMAC-SHA256 of the raw body with the webhook_secret
+// from the ziina api_configurations row). Events are stored once per event id and payment status only moves forward.
 app.post('/api/payments/ziina/webhook', async (req, res) => {
   try {
-    const { payment_id, status, order_id } = req.body;
+    const provider = await getPaymentProvider(pool, 'ziina');
     
-    console.log('Ziina webhook received:', { payment_id, status, order_id });
-
-    // Update payment status in database
-    await pool.execute(
-      'UPDATE payments SET status = ?, updated_at = NOW() WHERE payment_id = ?',
-      [status, payment_id]
-    );
+    if (!provider || !provider.webhookSecret) {
+      console.error('Ziina webhook rejected: webhook_secret is not configured');
+      return res.status(503).json({ message: 'Webhook secret not configured' });
+    }
+    
+    if (!provider.verifyWebhook(req.rawBody, req.headers)) {
+      console.error('Ziina webhook rejected: invalid signature');
+      return res.status(401).json({ message: 'Invalid signature' });
+    }
+    
+    const result = await processZiinaWebhook(pool, req.body, req.rawBody);
 
-    // Update appointment status if payment is completed
-    if (status === 'completed' && order_id) {
-      const appointmentId = order_id.replace('appointment_', '');
-      await pool.execute(
-        'UPDATE appointments SET status = ? WHERE id = ?',
-        ['confirmed', appointmentId]
-      );
+    if (result.outcome === 'invalid') {
+      console.error('Ziina webhook rejected: malformed payload');
+      return res.status(400).json({ message: 'Malformed webhook payload' });
     }
+    
+    console.log('Ziina webhook received:', {
+      event_id: result.event.event_id,
+      payment_id: result.event.payment_id,
+      status: result.event.raw_status,
+      outcome: result.outcome
+    });
 
-    res.status(200).json({ message: 'Webhook processed successfully' });
+    res.status(200).json({ message: 'Webhook processed successfully', outcome: result.outcome });
 
   } catch (error) {
     console.error('Error processing Ziina webhook:', error);
@@ -2229,6 +3520,195 @@ app.post('/api/payments/ziina/webhook', async (req, res) => {
   }
 });
 
+// Extract the start time of a slot and convert it to 24-hour HH:MM:SS
+// e.g. "2:00 PM - 2:30 PM" -> "14:00:00"
+function extractStartTime(timeInput) {
+  if (!timeInput) return timeInput;
+  
+  // If it's already in correct format (like "14:00:00"), return as is
+  if (timeInput.match(/^\d{2}:\d{2}(:\d{2})?$/)) {
+    return timeInput;
+  }
+  
+  // Extract start time from range like "2:00 PM - 2:30 PM"
+  const startTimeStr = timeInput.split(' - ')[0];
+  
+  // Convert 12-hour format to 24-hour format for database
+  const [time, modifier] = startTimeStr.trim().split(' ');
+  let [hours, minutes] = time.split(':');
+  
+  if (hours === '12') {
+    hours = '00';
+  }
+  
+  if (modifier === 'PM') {
+    hours = parseInt(hours, 10) + 12;
+  }
+  
+  return `${hours.toString().padStart(2, '0')}:${minutes}:00`;
+}
+
+// Get an itemised price quote for a booking (public endpoint)
+app.post('/api/quotes', async (req, res) => {
+  try {
+    const { appointment_date, appointment_time } = req.body;
+    
+    let formattedDate = null;
+    if (appointment_date) {
+      const dateObj = new Date(appointment_date);
+      if (isNaN(dateObj.getTime())) {
+        return res.status(400).json({ success: false, message: 'Invalid date format. Please provide date in YYYY-MM-DD format' });
+      }
+      formattedDate = dateObj.toISOString().split('T')[0];
+    }
+    
+    const result = await calculateQuote(pool, {
+      ...req.body,
+      user_id: req.user ? req.user.id : null,
+      appointment_date: formattedDate,
+      appointment_time: extractStartTime(appointment_time)
+    });
+    
+    if (!result.success) {
+      return res.status(result.error_code === 'PRICING_NOT_FOUND' ? 404 : 400).json({
+        success: false,
+        message: result.message,
+        error_code: result.error_code,
+        details: result.details
+      });
+    }
+    
+    return res.json({ success: true, quote: result.quote });
+  } catch (error) {
+    console.error('Error calculating quote:', error);
+    return res.status(500).json({ success: false, message: 'Server error while calculating quote' });
+  }
+});
+
+// Hold a time slot while the customer checks out and pays
+app.post('/api/user/slot-holds', authenticateToken, async (req, res) => {
+  try {
+    const {
+      service,
+      appointment_date,
+      appointment_time,
+      location,
+      notes,
+      room_type,
+      room_type_slug,
+      property_type,
+      property_type_slug,
+      quantity,
+      service_category,
+      service_category_slug,
+      service_items_category,
+      service_item_slug,
+      payment_method,
+      offer_code
+    } = req.body;
+    
+    if (!service || !appointment_date || !appointment_time || !location) {
+      return res.status(400).json({ message: 'All required fields must be provided' });
+    }
+    
+    const dateObj = new Date(appointment_date);
+    if (isNaN(dateObj.getTime())) {
+      return res.status(400).json({ message: 'Invalid date format. Please provide date in YYYY-MM-DD format' });
+    }
+    const formattedDate = dateObj.toISOString().split('T')[0];
+    const formattedTime = extractStartTime(appointment_time);
+    
+    const quoteResult = await calculateQuote(pool, {
+      service_category_slug,
+      property_type_slug,
+      room_type_slug,
+      service_item_slug,
+      quantity,
+      appointment_date: formattedDate,
+      appointment_time: formattedTime,
+      payment_method,
+      offer_code,
+      location,
+      user_id: req.user.id
+    });
+    
+    if (!quoteResult.success) {
+      return res.status(400).json({
+        message: quoteResult.message,
+        error_code: quoteResult.error_code,
+        details: quoteResult.details
+      });
+    }
+    
+    const quote = quoteResult.quote;
+    
+    const holdResult = await placeHold(pool, {
+      userId: req.user.id,
+      date: formattedDate,
+      time: formattedTime,
+      categorySlug: service_category_slug,
+      bookingData: {
+        service,
+        location,
+        notes,
+        room_type,
+        room_type_slug,
+        property_type,
+        property_type_slug,
+        quantity: quantity || 1,
+        service_category,
+        service_items_category,
+        service_item_slug,
+        payment_method,
+        offer_code: quote.offer ? quote.offer.code : null,
+        price: quote.price,
+        extra_price: quote.extra_price,
+        zone_surcharge: quote.zone_surcharge,
+        service_zone_id: quote.service_zone ? quote.service_zone.id : null,
+        cod_fee: quote.cod_fee,
+        discount_amount: quote.discount_amount,
+        vat_amount: quote.vat_amount,
+        total_amount: quote.total
+      }
+    });
+    
+    if (!holdResult.success) {
+      return res.status(409).json({
+        message: holdResult.message,
+        error_code: holdResult.error_code,
+        details: holdResult.details
+      });
+    }
+    
+    return res.status(201).json({
+      message: 'Time slot held successfully',
+      hold_id: holdResult.hold.id,
+      order_id: holdResult.hold.order_id,
+      expires_at: holdResult.hold.expires_at,
+      quote
+    });
+  } catch (error) {
+    console.error('Error creating slot hold:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Release a slot hold (e.g. the customer went back to pick another time)
+app.delete('/api/user/slot-holds/:id', authenticateToken, async (req, res) => {
+  try {
+    const released = await releaseHold(pool, req.params.id, req.user.id);
+    
+    if (!released) {
+      return res.status(404).json({ message: 'Active slot hold not found' });
+    }
+    
+    return res.json({ message: 'Slot hold released successfully' });
+  } catch (error) {
+    console.error('Error releasing slot hold:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Create a new appointment
 app.post('/api/user/appointments', authenticateToken, async (req, res) => {
   try {
@@ -2253,10 +3733,14 @@ app.post('/api/user/appointments', authenticateToken, async (req, res) => {
       service_category,
       service_category_slug,
       service_items_category,
+      service_item_slug,
       extra_price,
       cod_fee,
       payment_method,
-      status
+      offer_code,
+      use_wallet,
+      wallet_amount,
+      gift_card_code
     } = req.body;
     
     // Debug: Log the received data
@@ -2276,49 +3760,17 @@ app.post('/api/user/appointments', authenticateToken, async (req, res) => {
       extra_price,
       cod_fee,
       payment_method,
-      status,
       user_id: req.user.id
     });
     console.log('Backend - Type of appointment_date:', typeof appointment_date);
     console.log('Backend - Raw appointment_time received:', appointment_time);
     
-    // Helper function to extract and convert time
-    const extractStartTime = (timeInput) => {
-      if (!timeInput) return timeInput;
-      
-      // If it's already in correct format (like "14:00:00"), return as is
-      if (timeInput.match(/^\d{2}:\d{2}(:\d{2})?$/)) {
-        return timeInput;
-      }
-      
-      // Extract start time from range like "2:00 PM - 2:30 PM"
-      const startTimeStr = timeInput.split(' - ')[0];
-      
-      // Convert 12-hour format to 24-hour format for database
-      const convertTo24Hour = (time12h) => {
-        const [time, modifier] = time12h.trim().split(' ');
-        let [hours, minutes] = time.split(':');
-        
-        if (hours === '12') {
-          hours = '00';
-        }
-        
-        if (modifier === 'PM') {
-          hours = parseInt(hours, 10) + 12;
-        }
-        
-        return `${hours.toString().padStart(2, '0')}:${minutes}:00`;
-      };
-      
-      return convertTo24Hour(startTimeStr);
-    };
-    
     // Convert appointment_time to proper format
     const formattedTime = extractStartTime(appointment_time);
     console.log('Backend - Converted appointment_time:', formattedTime);
     
     // Validate input
-    if (!service || !appointment_date || !appointment_time || !location || !price) {
+    if (!service || !appointment_date || !appointment_time || !location) {
       return res.status(400).json({ message: 'All required fields must be provided' });
     }
     
@@ -2337,120 +3789,234 @@ app.post('/api/user/appointments', authenticateToken, async (req, res) => {
       return res.status(400).json({ message: 'Invalid date format. Please provide date in YYYY-MM-DD format' });
     }
     
-    // Convert location object to JSON string
-    const locationJSON = JSON.stringify(location);
+    // Work out the price on the server - client amounts are never trusted
+    const quoteResult = await calculateQuote(pool, {
+      service_category_slug,
+      property_type_slug,
+      room_type_slug,
+      service_item_slug,
+      quantity,
+      appointment_date: formattedDate,
+      appointment_time: formattedTime,
+      payment_method,
+      offer_code,
+      location,
+      user_id: req.user.id
+    });
     
-    // Insert new appointment with new fields including service_items_category
-    const [result] = await pool.execute(
-      `INSERT INTO appointments 
-       (user_id, service, appointment_date, appointment_time, location, price, notes, 
-        room_type, room_type_slug, property_type, property_type_slug, quantity, 
-        service_category, service_category_slug, service_items_category, extra_price, cod_fee, payment_method, status) 
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-      [
-        req.user.id, 
-        service, 
-        formattedDate, // Use the formatted date instead of raw appointment_date
-        formattedTime, // Use the formatted time instead of raw appointment_time
-        locationJSON, 
-        price, 
-        notes || null,
-        room_type || null,
-        room_type_slug || null,
-        property_type || null,
-        property_type_slug || null,
-        quantity || 1,
-        service_category || null,
-        service_category_slug || null,
-        service_items_category || null,
-        extra_price || 0.00,
-        cod_fee || 0.00,
-        payment_method || null,
-        status || 'pending'
-      ]
-    );
+    if (!quoteResult.success) {
+      return res.status(400).json({
+        message: quoteResult.message,
+        error_code: quoteResult.error_code,
+        details: quoteResult.details
+      });
+    }
     
-    console.log('Backend - Appointment created successfully:', {
-      insertId: result.insertId,
-      affectedRows: result.affectedRows
-    });
-
-    // Send email notifications after successful appointment creation
+    const quote = quoteResult.quote;
+    const priceAdjusted = quoteMismatches(quote, { price, extra_price, cod_fee });
+    if (priceAdjusted) {
+      console.warn('Backend - Client amounts did not match server quote, overwriting:', {
+        user_id: req.user.id,
+        client: { price, extra_price, cod_fee },
+        server: { price: quote.price, extra_price: quote.extra_price, cod_fee: quote.cod_fee }
+      });
+    }
+    
+    // Part of the total paid from a gift card, checked again when it is redeemed
+    let giftCardSpend = 0;
+    if (gift_card_code) {
+      const giftCard = await getGiftCardByCode(pool, gift_card_code);
+      const spend = resolveGiftCardSpend(req.body, quote.total, giftCard, service_category_slug);
+      if (!spend.success) {
+        const status = spend.error_code === 'GIFT_CARD_NOT_FOUND' ? 404 : spend.error_code === 'INVALID_GIFT_CARD_AMOUNT' ? 400 : 409;
+        return res.status(status).json({
+          message: spend.message,
+          error_code: spend.error_code,
+          details: spend.details
+        });
+      }
+      giftCardSpend = spend.amount;
+    }
+    
+    // Part of what is left paid from the wallet, checked again when it is debited
+    let walletSpend = 0;
+    if (payment_method === 'wallet' || use_wallet !== undefined || wallet_amount !== undefined) {
+      const remaining = Math.round((quote.total - giftCardSpend) * 100) / 100;
+      const spend = resolveWalletSpend(req.body, remaining, await getWalletBalance(pool, req.user.id));
+      if (!spend.success) {
+        return res.status(spend.error_code === 'INSUFFICIENT_WALLET_BALANCE' ? 409 : 400).json({
+          message: spend.message,
+          error_code: spend.error_code,
+          details: spend.details
+        });
+      }
+      walletSpend = spend.amount;
+    }
+    
+    // Nothing left to pay online or in cash: the booking is paid for, so it is confirmed straight away
+    const paidInFull = walletSpend + giftCardSpend >= quote.total - 0.005;
+    
+    // Reserve slot/date capacity and insert inside one transaction so the
+    // row locks stop two customers from taking the last place
+    const connection = await pool.getConnection();
+    let appointmentId;
     try {
-      // Get user details for email
-      const [userResult] = await pool.execute(
-        'SELECT fullName, email, phone FROM users WHERE id = ?',
-        [req.user.id]
-      );
-      
-      if (userResult.length > 0) {
-        const user = userResult[0];
-        
-        // Format address properly for email
-        let formattedAddress = location;
-        if (typeof location === 'object' && location !== null) {
-          // Extract meaningful address components
-          const addressParts = [];
-          
-          if (location.address_line1) {
-            addressParts.push(location.address_line1);
-          }
-          
-          if (location.address_line2 && location.address_line2 !== "0" && location.address_line2.trim() !== "") {
-            addressParts.push(`Apt/Unit: ${location.address_line2}`);
-          }
-          
-          if (location.city) {
-            addressParts.push(location.city);
-          }
-          
-          if (location.state) {
-            addressParts.push(location.state);
-          }
-          
-          if (location.country) {
-            addressParts.push(location.country);
-          }
-          
-          formattedAddress = addressParts.join(', ');
+      await connection.beginTransaction();
+
+      const capacity = await reserveCapacity(connection, {
+        date: formattedDate,
+        time: formattedTime,
+        categorySlug: service_category_slug
+      });
+
+      if (!capacity.success) {
+        await connection.rollback();
+        connection.release();
+        return res.status(409).json({
+          message: capacity.message,
+          error_code: capacity.error_code,
+          details: capacity.details
+        });
+      }
+
+      // New bookings always start pending, see statusService for transitions
+      appointmentId = await insertAppointment(connection, {
+        user_id: req.user.id,
+        service,
+        appointment_date: formattedDate,
+        appointment_time: formattedTime,
+        location,
+        price: quote.price,
+        notes,
+        room_type,
+        room_type_slug,
+        property_type,
+        property_type_slug,
+        quantity,
+        service_category,
+        service_category_slug,
+        service_items_category,
+        service_item_slug,
+        extra_price: quote.extra_price,
+        cod_fee: quote.cod_fee,
+        payment_method,
+        status: 'pending',
+        offer_code: quote.offer ? quote.offer.code : null,
+        discount_amount: quote.discount_amount,
+        vat_amount: quote.vat_amount,
+        total_amount: quote.total,
+        wallet_amount: walletSpend,
+        gift_card_amount: giftCardSpend,
+        zone_surcharge: quote.zone_surcharge,
+        service_zone_id: quote.service_zone ? quote.service_zone.id : null
+      }, { actorType: 'customer', actorId: req.user.id, reason: 'Appointment booked' });
+
+      // Take a use of the offer code, checking its limits again now the offer row is locked
+      if (quote.offer) {
+        const redemption = await redeemOfferCode(connection, {
+          code: quote.offer.code,
+          userId: req.user.id,
+          appointmentId,
+          orderAmount: quote.service_subtotal,
+          discountAmount: quote.discount_amount
+        });
+
+        if (!redemption.success) {
+          await connection.rollback();
+          connection.release();
+          return res.status(409).json({
+            message: redemption.message,
+            error_code: redemption.error_code,
+            details: redemption.details
+          });
+        }
+      }
+
+      // Spend from the gift card and record it as a completed payment of the appointment
+      if (giftCardSpend > 0) {
+        const redemption = await redeemGiftCard(connection, {
+          code: gift_card_code,
+          amount: giftCardSpend,
+          appointmentId: appointmentId,
+          categorySlug: service_category_slug
+        });
+
+        if (!redemption.success) {
+          await connection.rollback();
+          connection.release();
+          return res.status(409).json({
+            message: redemption.message,
+            error_code: redemption.error_code,
+            details: redemption.details
+          });
         }
 
-        // Prepare email data
-        const emailData = {
-          appointment_id: result.insertId,
-          customer_name: user.fullName,
-          customer_email: user.email,
-          customer_phone: user.phone,
-          service_name: service,
-          appointment_date: appointment_date,
-          appointment_time: appointment_time,
-          address: formattedAddress,
-          total_amount: (parseFloat(price) + parseFloat(extra_price || 0) + parseFloat(cod_fee || 0)) * 1.05, // Including 5% VAT
-          payment_method: payment_method,
-          notes: notes || '',
-          room_type: room_type,
-          property_type: property_type,
-          quantity: quantity || 1
-        };
+        await connection.execute(
+          `INSERT INTO payments (user_id, order_id, appointment_id, payment_id, amount, currency, status, payment_method, created_at) 
+           VALUES (?, ?, ?, ?, ?, 'AED', 'completed', 'gift_card', NOW())`,
+          [req.user.id, `appointment_${appointmentId}`, appointmentId, `giftcard_${redemption.transaction.id}`, giftCardSpend]
+        );
+      }
+
+      // Debit the wallet and record it as a completed payment of the appointment
+      if (walletSpend > 0) {
+        const debit = await addWalletEntry(connection, {
+          userId: req.user.id,
+          type: 'debit',
+          amount: walletSpend,
+          reason: `Booking #${appointmentId}`,
+          source: 'booking',
+          appointmentId: appointmentId
+        });
+
+        if (!debit.success) {
+          await connection.rollback();
+          connection.release();
+          return res.status(409).json({
+            message: debit.message,
+            error_code: debit.error_code,
+            details: debit.details
+          });
+        }
 
-        // Send confirmation email to customer
-        console.log('Backend - Sending appointment confirmation email...');
-        const confirmationResult = await sendAppointmentConfirmation(emailData);
-        console.log('Backend - Confirmation email result:', confirmationResult);
+        await connection.execute(
+          `INSERT INTO payments (user_id, order_id, appointment_id, payment_id, amount, currency, status, payment_method, created_at) 
+           VALUES (?, ?, ?, ?, ?, 'AED', 'completed', 'wallet', NOW())`,
+          [req.user.id, `appointment_${appointmentId}`, appointmentId, `wallet_${debit.entry.id}`, walletSpend]
+        );
+      }
 
-        // Send notification email to admin
-        console.log('Backend - Sending admin notification email...');
-        const adminResult = await sendAdminNotification(emailData);
-        console.log('Backend - Admin notification email result:', adminResult);
+      if (paidInFull) {
+        await changeAppointmentStatus(connection, {
+          appointmentId,
+          toStatus: 'confirmed',
+          actorType: 'system',
+          reason: 'Paid in full from the wallet or a gift card'
+        });
       }
-    } catch (emailError) {
-      // Don't fail the appointment creation if email fails
-      console.error('Backend - Error sending emails (appointment still created):', emailError);
+
+      // Queued in the same transaction, the worker sends them once the booking is committed
+      await enqueueBookingNotifications(connection, appointmentId);
+
+      await connection.commit();
+      connection.release();
+    } catch (insertError) {
+      try { await connection.rollback(); } catch (e) { /* ignore */ }
+      connection.release();
+      throw insertError;
     }
     
+    console.log('Backend - Appointment created successfully:', { appointment_id: appointmentId });
+
     return res.status(201).json({ 
       message: 'Appointment created successfully',
-      appointment_id: result.insertId
+      appointment_id: appointmentId,
+      status: paidInFull ? 'confirmed' : 'pending',
+      price_adjusted: priceAdjusted,
+      wallet_amount: walletSpend,
+      gift_card_amount: giftCardSpend,
+      amount_due: Math.round((quote.total - walletSpend - giftCardSpend) * 100) / 100,
+      quote
     });
   } catch (error) {
     console.error('Backend - Error creating appointment:', {
@@ -2512,23 +4078,36 @@ app.post('/api/user/appointments', authenticateToken, async (req, res) => {
   }
 });
 
-// Update appointment (status, date/time, location, payment method)
+// Update appointment (cancel, date/time, location, payment method)
 app.put('/api/user/appointments/:id', authenticateToken, async (req, res) => {
   try {
     const { id } = req.params;
     const { 
       status, 
+      status_reason,
       appointment_date, 
       appointment_time, 
       location, 
       payment_method, 
-      price, 
       notes 
     } = req.body;
     
+    // Customers can only cancel - every other status change is made by staff
+    if (status && status !== 'cancelled') {
+      return res.status(403).json({
+        message: 'Customers can only cancel appointments',
+        error_code: 'INVALID_STATUS_TRANSITION'
+      });
+    }
+    
     // Verify the appointment belongs to the user
     const [appointmentCheck] = await pool.execute(
-      'SELECT id FROM appointments WHERE id = ? AND user_id = ?',
+      `SELECT a.id, DATE_FORMAT(a.appointment_date, "%Y-%m-%d") as appointment_date, a.appointment_time,
+              a.service_category_slug, a.property_type_slug, a.room_type_slug, a.service_item_slug, a.quantity,
+              a.payment_method, a.offer_code, a.discount_amount, a.total_amount, a.location,
+              (SELECT COALESCE(SUM(p.amount), 0) FROM payments p
+               WHERE p.appointment_id = a.id AND p.status = 'completed') as paid_amount
+       FROM appointments a WHERE a.id = ? AND a.user_id = ?`,
       [id, req.user.id]
     );
     
@@ -2536,23 +4115,101 @@ app.put('/api/user/appointments/:id', authenticateToken, async (req, res) => {
       return res.status(404).json({ message: 'Appointment not found or not authorized' });
     }
     
-    // Build the update query dynamically based on provided fields
-    let updateQuery = 'UPDATE appointments SET ';
-    const updateValues = [];
+    const existingAppointment = appointmentCheck[0];
+    const formattedTime = appointment_time ? extractStartTime(appointment_time) : null;
+    
+    let formattedDate = null;
+    if (appointment_date) {
+      const dateObj = new Date(appointment_date);
+      if (isNaN(dateObj.getTime())) {
+        return res.status(400).json({ message: 'Invalid date format. Please provide date in YYYY-MM-DD format' });
+      }
+      formattedDate = dateObj.toISOString().split('T')[0];
+    }
+    
+    // Moving to another date or time takes a place in the new slot
+    const rescheduled = (formattedDate && formattedDate !== existingAppointment.appointment_date)
+      || (formattedTime && formattedTime !== existingAppointment.appointment_time);
+    
+    // Date, slot, address and payment method all affect the price, so re-quote on the server
+    let quote = null;
+    if (appointment_date || appointment_time || payment_method || location) {
+      const quoteResult = await calculateQuote(pool, {
+        service_category_slug: existingAppointment.service_category_slug,
+        property_type_slug: existingAppointment.property_type_slug,
+        room_type_slug: existingAppointment.room_type_slug,
+        service_item_slug: existingAppointment.service_item_slug,
+        quantity: existingAppointment.quantity,
+        appointment_date: formattedDate || existingAppointment.appointment_date,
+        appointment_time: formattedTime || existingAppointment.appointment_time,
+        payment_method: payment_method || existingAppointment.payment_method,
+        carried_discount: { code: existingAppointment.offer_code, amount: existingAppointment.discount_amount },
+        location: location || existingAppointment.location
+      });
+      
+      if (!quoteResult.success) {
+        return res.status(400).json({
+          message: quoteResult.message,
+          error_code: quoteResult.error_code,
+          details: quoteResult.details
+        });
+      }
+      
+      quote = quoteResult.quote;
+    }
+    
+    // Once money was taken against the booked total, changes that move the price or how it is paid go through support
+    const paidAmount = parseFloat(existingAppointment.paid_amount) || 0;
+    if (paidAmount > 0) {
+      const bookedTotal = existingAppointment.total_amount === null ? null : parseFloat(existingAppointment.total_amount);
+      const priceChanged = quote && (bookedTotal === null || Math.abs(quote.total - bookedTotal) >= 0.01);
+      const methodChanged = payment_method && payment_method !== existingAppointment.payment_method;
+      
+      if (priceChanged || methodChanged) {
+        return res.status(409).json({
+          message: 'This booking is already paid, so this change needs our support team',
+          error_code: 'PAID_BOOKING_CHANGE',
+          details: {
+            paid_amount: paidAmount,
+            total_amount: bookedTotal,
+            new_total_amount: quote ? quote.total : bookedTotal,
+            payment_method_changed: !!methodChanged
+          }
+        });
+      }
+    }
     
     if (status) {
-      updateQuery += 'status = ?, ';
-      updateValues.push(status);
+      const statusResult = await transitionAppointmentStatus(pool, {
+        appointmentId: id,
+        toStatus: status,
+        actorType: 'customer',
+        actorId: req.user.id,
+        reason: status_reason || 'Cancelled by customer',
+        userId: req.user.id
+      });
+      
+      if (!statusResult.success) {
+        return res.status(409).json({
+          message: statusResult.message,
+          error_code: statusResult.error_code,
+          details: statusResult.details
+        });
+      }
     }
     
-    if (appointment_date) {
+    // Build the update query dynamically based on provided fields
+    let updateQuery = 'UPDATE appointments SET ';
+    const updateValues = [];
+    
+    if (formattedDate) {
       updateQuery += 'appointment_date = ?, ';
-      updateValues.push(appointment_date);
+      updateValues.push(formattedDate);
     }
     
     if (appointment_time) {
       updateQuery += 'appointment_time = ?, ';
-      updateValues.push(appointment_time);
+      updateValues.push(formattedTime);
     }
     
     if (location) {
@@ -2567,9 +4224,12 @@ app.put('/api/user/appointments/:id', authenticateToken, async (req, res) => {
       updateValues.push(payment_method);
     }
     
-    if (price !== undefined) {
-      updateQuery += 'price = ?, ';
-      updateValues.push(price);
+    if (quote) {
+      updateQuery += 'price = ?, extra_price = ?, zone_surcharge = ?, service_zone_id = ?, cod_fee = ?, discount_amount = ?, vat_amount = ?, total_amount = ?, ';
+      updateValues.push(
+        quote.price, quote.extra_price, quote.zone_surcharge, quote.service_zone ? quote.service_zone.id : null,
+        quote.cod_fee, quote.discount_amount, quote.vat_amount, quote.total
+      );
     }
     
     if (notes !== undefined) {
@@ -2587,869 +4247,3351 @@ app.put('/api/user/appointments/:id', authenticateToken, async (req, res) => {
     updateQuery += ' WHERE id = ? AND user_id = ?';
     updateValues.push(id, req.user.id);
     
-    // Execute the update
-    await pool.execute(updateQuery, updateValues);
+    // Check capacity and update in one transaction, so the row locks stop two reschedules
+    // (or a reschedule and a new booking) from taking the last place
+    const connection = await pool.getConnection();
+    try {
+      await connection.beginTransaction();
+      
+      if (rescheduled) {
+        const capacity = await reserveCapacity(connection, {
+          date: formattedDate || existingAppointment.appointment_date,
+          time: formattedTime || existingAppointment.appointment_time,
+          categorySlug: existingAppointment.service_category_slug,
+          excludeAppointmentId: existingAppointment.id
+        });
+        
+        if (!capacity.success) {
+          await connection.rollback();
+          connection.release();
+          return res.status(409).json({
+            message: capacity.message,
+            error_code: capacity.error_code,
+            details: capacity.details
+          });
+        }
+      }
+      
+      await connection.execute(updateQuery, updateValues);
+      
+      await connection.commit();
+      connection.release();
+    } catch (updateError) {
+      try { await connection.rollback(); } catch (e) { /* ignore */ }
+      connection.release();
+      throw updateError;
+    }
+    
+    // A reschedule can clash with the assigned technician's other jobs - unassign so admins reassign
+    let technicianUnassigned = false;
+    if (appointment_date || appointment_time) {
+      const [updated] = await pool.execute(
+        `SELECT id, DATE_FORMAT(appointment_date, '%Y-%m-%d') as appointment_date, appointment_time,
+                service_category_slug, technician_id
+         FROM appointments WHERE id = ?`,
+        [id]
+      );
+      
+      if (updated.length > 0 && updated[0].technician_id) {
+        const check = await checkAssignment(pool, updated[0].technician_id, updated[0]);
+        if (!check.success) {
+          await assignTechnician(pool, id, null);
+          technicianUnassigned = true;
+        }
+      }
+    }
     
-    return res.json({ message: 'Appointment updated successfully' });
+    return res.json({ message: 'Appointment updated successfully', quote, technician_unassigned: technicianUnassigned });
   } catch (error) {
     console.error('Error updating appointment:', error);
     return res.status(500).json({ message: 'Server error' });
   }
 });
 
-// User Addresses API
+// Appointment Photo Attachments API
 
-// Get all addresses for the user
-app.get('/api/user/addresses', authenticateToken, async (req, res) => {
+// Photos are sent as multipart/form-data in the "photos" field (up to MAX_FILES_PER_UPLOAD per request)
+function handlePhotoUpload(req, res, next) {
+  photoUpload.array('photos', MAX_FILES_PER_UPLOAD)(req, res, error => {
+    if (!error) {
+      return next();
+    }
+    
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({
+        message: `Each photo can be at most ${Math.round(MAX_UPLOAD_BYTES / (1024 * 1024))} MB`,
+        error_code: 'FILE_TOO_LARGE'
+      });
+    }
+    if (error.code === 'LIMIT_FILE_COUNT' || error.code === 'LIMIT_UNEXPECTED_FILE') {
+      return res.status(400).json({
+        message: `Upload up to ${MAX_FILES_PER_UPLOAD} photos in the "photos" field`,
+        error_code: 'TOO_MANY_FILES'
+      });
+    }
+    if (error.code === 'UNSUPPORTED_FILE_TYPE') {
+      return res.status(415).json({ message: error.message, error_code: error.code });
+    }
+    
+    console.error('Error receiving photo upload:', error);
+    return res.status(400).json({ message: 'Invalid upload', error_code: 'INVALID_UPLOAD' });
+  });
+}
+
+// Send a saveAttachments result as the response
+function sendAttachmentResult(res, result) {
+  if (!result.success) {
+    const status = result.error_code === 'UNSUPPORTED_FILE_TYPE' ? 415 : 400;
+    return res.status(status).json({
+      message: result.message,
+      error_code: result.error_code,
+      details: result.details
+    });
+  }
+  
+  return res.status(201).json({
+    message: 'Photos uploaded successfully',
+    attachments: result.attachments
+  });
+}
+
+// Attach photos of the problem to the user's appointment
+app.post('/api/user/appointments/:id/attachments', authenticateToken, handlePhotoUpload, async (req, res) => {
   try {
-    const [rows] = await pool.execute(
-      'SELECT * FROM user_addresses WHERE user_id = ? ORDER BY is_default DESC, created_at DESC',
-      [req.user.id]
+    const [appointments] = await pool.execute(
+      'SELECT id, status FROM appointments WHERE id = ? AND user_id = ?',
+      [req.params.id, req.user.id]
     );
     
-    return res.json(rows);
+    if (appointments.length === 0) {
+      return res.status(404).json({ message: 'Appointment not found or not authorized' });
+    }
+    
+    if (['completed', 'cancelled'].includes(appointments[0].status)) {
+      return res.status(409).json({
+        message: `Photos can't be added to a ${appointments[0].status} appointment`,
+        error_code: 'APPOINTMENT_CLOSED'
+      });
+    }
+    
+    const result = await saveAttachments(pool, {
+      appointmentId: appointments[0].id,
+      files: req.files,
+      kind: 'problem',
+      uploadedBy: req.user.id,
+      uploaderType: 'customer'
+    });
+    
+    return sendAttachmentResult(res, result);
   } catch (error) {
-    console.error('Error fetching addresses:', error);
+    console.error('Error uploading appointment photos:', error);
     return res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Add a new address
-app.post('/api/user/addresses', authenticateToken, async (req, res) => {
+// List photos attached to the user's appointment (including technician before/after photos)
+app.get('/api/user/appointments/:id/attachments', authenticateToken, async (req, res) => {
   try {
-    const { 
-      address_type, 
-      address_line1, 
-      address_line2, 
-      city, 
-      state, 
-      postal_code, 
-      country, 
-      is_default 
-    } = req.body;
-    
-    // Validate input
-    if (!address_type || !address_line1 || !city || !state || !postal_code) {
-      return res.status(400).json({ message: 'All required fields must be provided' });
-    }
+    const [appointments] = await pool.execute(
+      'SELECT id FROM appointments WHERE id = ? AND user_id = ?',
+      [req.params.id, req.user.id]
+    );
     
-    // If this is set as default, unset any existing default address
-    if (is_default) {
-      await pool.execute(
-        'UPDATE user_addresses SET is_default = FALSE WHERE user_id = ?',
-        [req.user.id]
-      );
+    if (appointments.length === 0) {
+      return res.status(404).json({ message: 'Appointment not found or not authorized' });
     }
     
-    // Insert new address
-    const [result] = await pool.execute(
-      `INSERT INTO user_addresses 
-       (user_id, address_type, address_line1, address_line2, city, state, postal_code, country, is_default) 
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-      [
-        req.user.id, 
-        address_type, 
-        address_line1, 
-        address_line2 || null, 
-        city, 
-        state, 
-        postal_code, 
-        country || 'United States', 
-        is_default || false
-      ]
-    );
+    const attachments = await listAttachments(pool, appointments[0].id);
     
-    return res.status(201).json({ 
-      message: 'Address added successfully',
-      address_id: result.insertId
-    });
+    return res.json(attachments);
   } catch (error) {
-    console.error('Error adding address:', error);
+    console.error('Error fetching appointment photos:', error);
     return res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Update an address
-app.put('/api/user/addresses/:id', authenticateToken, async (req, res) => {
+// Delete one of the user's own photos while the appointment is still open
+app.delete('/api/user/appointments/:id/attachments/:attachmentId', authenticateToken, async (req, res) => {
   try {
-    const { id } = req.params;
-    const { 
-      address_type, 
-      address_line1, 
-      address_line2, 
-      city, 
-      state, 
-      postal_code, 
-      country, 
-      is_default 
-    } = req.body;
-    
-    // Verify the address belongs to the user
-    const [addressCheck] = await pool.execute(
-      'SELECT id FROM user_addresses WHERE id = ? AND user_id = ?',
-      [id, req.user.id]
+    const [appointments] = await pool.execute(
+      'SELECT id, status FROM appointments WHERE id = ? AND user_id = ?',
+      [req.params.id, req.user.id]
     );
     
-    if (addressCheck.length === 0) {
-      return res.status(404).json({ message: 'Address not found or not authorized' });
-    }
-    
-    // If this is set as default, unset any existing default address
-    if (is_default) {
-      await pool.execute(
-        'UPDATE user_addresses SET is_default = FALSE WHERE user_id = ? AND id != ?',
-        [req.user.id, id]
-      );
+    if (appointments.length === 0) {
+      return res.status(404).json({ message: 'Appointment not found or not authorized' });
     }
     
-    // Build the update query dynamically based on provided fields
-    let updateQuery = 'UPDATE user_addresses SET ';
-    const updateValues = [];
+    const attachment = await getAttachment(pool, appointments[0].id, req.params.attachmentId);
     
-    if (address_type) {
-      updateQuery += 'address_type = ?, ';
-      updateValues.push(address_type);
+    if (!attachment || attachment.uploaded_by !== req.user.id || attachment.uploader_type !== 'customer') {
+      return res.status(404).json({ message: 'Photo not found or not authorized' });
     }
     
-    if (address_line1) {
-      updateQuery += 'address_line1 = ?, ';
-      updateValues.push(address_line1);
+    if (['completed', 'cancelled'].includes(appointments[0].status)) {
+      return res.status(409).json({
+        message: `Photos can't be removed from a ${appointments[0].status} appointment`,
+        error_code: 'APPOINTMENT_CLOSED'
+      });
     }
     
-    if (address_line2 !== undefined) {
-      updateQuery += 'address_line2 = ?, ';
-      updateValues.push(address_line2);
-    }
-    
-    if (city) {
-      updateQuery += 'city = ?, ';
-      updateValues.push(city);
-    }
+    await deleteAttachment(pool, attachment);
     
-    if (state) {
-      updateQuery += 'state = ?, ';
-      updateValues.push(state);
-    }
+    return res.json({ message: 'Photo deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting appointment photo:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Reviews API
+
+// Rate a completed appointment (1-5 stars) with an optional comment. Only once per appointment.
+app.post('/api/user/appointments/:id/review', authenticateToken, async (req, res) => {
+  try {
+    const { rating, comment } = req.body;
     
-    if (postal_code) {
-      updateQuery += 'postal_code = ?, ';
-      updateValues.push(postal_code);
+    const validationError = validateReview({ rating, comment });
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
     }
     
-    if (country) {
-      updateQuery += 'country = ?, ';
-      updateValues.push(country);
-    }
+    const result = await createReview(pool, {
+      appointmentId: req.params.id,
+      userId: req.user.id,
+      rating,
+      comment
+    });
     
-    if (is_default !== undefined) {
-      updateQuery += 'is_default = ?, ';
-      updateValues.push(is_default);
+    if (!result.success) {
+      const status = result.error_code === 'APPOINTMENT_NOT_FOUND' ? 404 : 409;
+      return res.status(status).json({
+        message: result.message,
+        error_code: result.error_code,
+        details: result.details
+      });
     }
     
-    // Remove trailing comma and space
-    updateQuery = updateQuery.slice(0, -2);
-    
-    // Add WHERE clause
-    updateQuery += ' WHERE id = ? AND user_id = ?';
-    updateValues.push(id, req.user.id);
+    return res.status(201).json({
+      message: 'Thank you for your review',
+      review: result.review
+    });
+  } catch (error) {
+    console.error('Error creating review:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get the user's review of an appointment
+app.get('/api/user/appointments/:id/review', authenticateToken, async (req, res) => {
+  try {
+    const [reviews] = await pool.execute(
+      `SELECT id, appointment_id, rating, comment, status, created_at
+       FROM reviews WHERE appointment_id = ? AND user_id = ?`,
+      [req.params.id, req.user.id]
+    );
     
-    // Execute the update
-    await pool.execute(updateQuery, updateValues);
+    if (reviews.length === 0) {
+      return res.status(404).json({ message: 'No review for this appointment' });
+    }
     
-    return res.json({ message: 'Address updated successfully' });
+    return res.json(reviews[0]);
   } catch (error) {
-    console.error('Error updating address:', error);
+    console.error('Error fetching review:', error);
     return res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Delete an address
-app.delete('/api/user/addresses/:id', authenticateToken, async (req, res) => {
+// Recurring Booking Series API
+
+// Create a recurring booking series (e.g. every Tuesday at 10:00)
+app.post('/api/user/booking-series', authenticateToken, async (req, res) => {
   try {
-    const { id } = req.params;
+    const {
+      service,
+      start_date,
+      appointment_time,
+      frequency,
+      end_date,
+      occurrence_count,
+      location,
+      notes,
+      room_type,
+      room_type_slug,
+      property_type,
+      property_type_slug,
+      quantity,
+      service_category,
+      service_category_slug,
+      service_items_category,
+      service_item_slug,
+      payment_method
+    } = req.body;
     
-    // Verify the address belongs to the user
-    const [addressCheck] = await pool.execute(
-      'SELECT id, is_default FROM user_addresses WHERE id = ? AND user_id = ?',
-      [id, req.user.id]
-    );
+    if (!service || !start_date || !appointment_time || !location || !frequency) {
+      return res.status(400).json({ message: 'All required fields must be provided' });
+    }
     
-    if (addressCheck.length === 0) {
-      return res.status(404).json({ message: 'Address not found or not authorized' });
+    if (!FREQUENCIES.includes(frequency)) {
+      return res.status(400).json({ message: `Frequency must be one of: ${FREQUENCIES.join(', ')}` });
     }
     
-    // Delete the address
-    await pool.execute(
-      'DELETE FROM user_addresses WHERE id = ? AND user_id = ?',
-      [id, req.user.id]
-    );
+    if (!end_date && !occurrence_count) {
+      return res.status(400).json({ message: 'Either end_date or occurrence_count is required' });
+    }
     
-    // If this was the default address, set another address as default if available
-    if (addressCheck[0].is_default) {
-      const [remainingAddresses] = await pool.execute(
-        'SELECT id FROM user_addresses WHERE user_id = ? LIMIT 1',
-        [req.user.id]
-      );
-      
-      if (remainingAddresses.length > 0) {
-        await pool.execute(
-          'UPDATE user_addresses SET is_default = TRUE WHERE id = ?',
-          [remainingAddresses[0].id]
-        );
-      }
+    if (occurrence_count !== undefined && occurrence_count !== null &&
+        (!Number.isInteger(occurrence_count) || occurrence_count < 1)) {
+      return res.status(400).json({ message: 'occurrence_count must be a positive whole number' });
     }
     
-    return res.json({ message: 'Address deleted successfully' });
+    const startDateObj = new Date(start_date);
+    if (isNaN(startDateObj.getTime()) || (end_date && isNaN(new Date(end_date).getTime()))) {
+      return res.status(400).json({ message: 'Invalid date format. Please provide date in YYYY-MM-DD format' });
+    }
+    const formattedStartDate = startDateObj.toISOString().split('T')[0];
+    const formattedEndDate = end_date ? new Date(end_date).toISOString().split('T')[0] : null;
+    
+    if (formattedEndDate && formattedEndDate < formattedStartDate) {
+      return res.status(400).json({ message: 'End date must be after start date' });
+    }
+    
+    const bookingData = {
+      service,
+      location,
+      notes,
+      room_type,
+      room_type_slug,
+      property_type,
+      property_type_slug,
+      quantity: quantity || 1,
+      service_category,
+      service_items_category,
+      service_item_slug,
+      payment_method
+    };
+    
+    // Make sure the series can be priced before saving it
+    const quoteResult = await calculateQuote(pool, { ...bookingData, service_category_slug });
+    if (!quoteResult.success) {
+      return res.status(400).json({
+        message: quoteResult.message,
+        error_code: quoteResult.error_code,
+        details: quoteResult.details
+      });
+    }
+    
+    const [result] = await pool.execute(
+      `INSERT INTO booking_series 
+       (user_id, frequency, start_date, appointment_time, end_date, occurrence_count, service_category_slug, booking_data) 
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        req.user.id, frequency, formattedStartDate, extractStartTime(appointment_time), formattedEndDate,
+        occurrence_count || null, service_category_slug || null, JSON.stringify(bookingData)
+      ]
+    );
+    
+    const series = await getSeries(pool, result.insertId);
+    const summary = await generateSeriesAppointments(pool, series);
+    
+    return res.status(201).json({
+      message: 'Booking series created successfully',
+      series_id: result.insertId,
+      created_appointments: summary.created,
+      unbooked_occurrences: summary.conflicts
+    });
   } catch (error) {
-    console.error('Error deleting address:', error);
+    console.error('Error creating booking series:', error);
     return res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Support Tickets API
-
-// Get all support tickets for the user
-app.get('/api/user/support-tickets', authenticateToken, async (req, res) => {
+// Get all booking series for the user
+app.get('/api/user/booking-series', authenticateToken, async (req, res) => {
   try {
     const [rows] = await pool.execute(
-      'SELECT * FROM support_tickets WHERE user_id = ? ORDER BY created_at DESC',
+      `SELECT id, frequency, DATE_FORMAT(start_date, '%Y-%m-%d') as start_date, appointment_time,
+              DATE_FORMAT(end_date, '%Y-%m-%d') as end_date, occurrence_count, status,
+              DATE_FORMAT(paused_until, '%Y-%m-%d') as paused_until, service_category_slug, booking_data, created_at,
+              (SELECT COUNT(*) FROM appointments WHERE series_id = booking_series.id AND status != 'cancelled') as booked_count
+       FROM booking_series WHERE user_id = ? ORDER BY created_at DESC`,
       [req.user.id]
     );
     
     return res.json(rows);
   } catch (error) {
-    console.error('Error fetching support tickets:', error);
+    console.error('Error fetching booking series:', error);
     return res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Create a new support ticket
-app.post('/api/user/support-tickets', authenticateToken, async (req, res) => {
+// Get a booking series with its occurrences
+app.get('/api/user/booking-series/:id', authenticateToken, async (req, res) => {
   try {
-    const { subject, message } = req.body;
+    const series = await getSeries(pool, req.params.id, req.user.id);
     
-    // Validate input
-    if (!subject || !message) {
-      return res.status(400).json({ message: 'Subject and message are required' });
+    if (!series) {
+      return res.status(404).json({ message: 'Booking series not found or not authorized' });
     }
     
-    // Insert new support ticket
-    const [result] = await pool.execute(
-      'INSERT INTO support_tickets (user_id, subject, message) VALUES (?, ?, ?)',
-      [req.user.id, subject, message]
-    );
+    const occurrences = await getSeriesOccurrences(pool, series);
     
-    return res.status(201).json({ 
-      message: 'Support ticket created successfully',
-      ticket_id: result.insertId
-    });
+    return res.json({ ...series, occurrences });
   } catch (error) {
-    console.error('Error creating support ticket:', error);
+    console.error('Error fetching booking series:', error);
     return res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Available Dates API
-
-// Get all available dates (public endpoint)
-app.get('/api/available-dates', async (req, res) => {
+// Pause a booking series, either indefinitely or until a date
+app.post('/api/user/booking-series/:id/pause', authenticateToken, async (req, res) => {
   try {
-    const { categoryId } = req.query;
+    const { until } = req.body;
     
-    let query = `
-      SELECT 
-        ad.id, 
-        DATE_FORMAT(ad.date, "%Y-%m-%d") as date,
-        DATE_FORMAT(ad.date, "%M %d, %Y") as formatted_date,
-        DATE_FORMAT(ad.date, "%W") as day_name,
-        DATE_FORMAT(ad.date, "%a") as day_short,
-        DATE_FORMAT(ad.date, "%b") as month_short,
-        DATE_FORMAT(ad.date, "%d") as day_number,
-        DATE_FORMAT(ad.date, "%Y") as year,
-        ad.is_available, 
-        ad.max_appointments, 
-        ad.created_at,
-        sc.name as service_category_name,
-        sc.slug as service_category_slug
-      FROM available_dates ad
-      LEFT JOIN service_categories sc ON ad.service_category_id = sc.id
-      WHERE ad.is_available = TRUE AND ad.date >= CURDATE()
-    `;
+    const series = await getSeries(pool, req.params.id, req.user.id);
+    if (!series) {
+      return res.status(404).json({ message: 'Booking series not found or not authorized' });
+    }
     
-    const params = [];
+    if (series.status !== 'active' && series.status !== 'paused') {
+      return res.status(400).json({ message: `Cannot pause a ${series.status} booking series` });
+    }
     
-    if (categoryId) {
-      if (categoryId === 'null' || categoryId === '') {
-        // Show only dates with no specific category (general dates)
-        query += ' AND ad.service_category_id IS NULL';
-      } else {
-        // Show only dates for the specific category
-        query += ' AND ad.service_category_id = ?';
-        params.push(categoryId);
+    let pausedUntil = null;
+    if (until) {
+      const untilObj = new Date(until);
+      if (isNaN(untilObj.getTime())) {
+        return res.status(400).json({ message: 'Invalid date format. Please provide date in YYYY-MM-DD format' });
       }
+      pausedUntil = untilObj.toISOString().split('T')[0];
     }
     
-    query += ' ORDER BY ad.date ASC';
+    // An end date keeps the series running afterwards, no end date pauses it until resumed
+    await pool.execute(
+      'UPDATE booking_series SET status = ?, paused_until = ? WHERE id = ?',
+      [pausedUntil ? 'active' : 'paused', pausedUntil, series.id]
+    );
     
-    const [rows] = await pool.execute(query, params);
+    // Free the slots already booked inside the pause
+    let pausedQuery = `SELECT id FROM appointments 
+                       WHERE series_id = ? AND appointment_date >= CURDATE() AND status IN ('pending', 'confirmed')`;
+    const pausedParams = [series.id];
+    if (pausedUntil) {
+      pausedQuery += ' AND appointment_date <= ?';
+      pausedParams.push(pausedUntil);
+    }
+    const [pausedAppointments] = await pool.execute(pausedQuery, pausedParams);
+    const cancelled = await cancelAppointments(pool, pausedAppointments.map(row => row.id), {
+      actorType: 'customer',
+      actorId: req.user.id,
+      reason: 'Booking series paused'
+    });
     
-    console.log('🔍 Public API - Available dates:', rows);
-    return res.json(rows);
+    return res.json({
+      message: 'Booking series paused successfully',
+      paused_until: pausedUntil,
+      cancelled_appointments: cancelled.length
+    });
   } catch (error) {
-    console.error('Error fetching available dates:', error);
+    console.error('Error pausing booking series:', error);
     return res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Get available time slots (public endpoint)
-app.get('/api/available-time-slots', async (req, res) => {
+// Resume a paused booking series
+app.post('/api/user/booking-series/:id/resume', authenticateToken, async (req, res) => {
   try {
-    if (!pool) {
-      return res.status(500).json({ message: 'Database not available' });
+    const series = await getSeries(pool, req.params.id, req.user.id);
+    if (!series) {
+      return res.status(404).json({ message: 'Booking series not found or not authorized' });
     }
     
-    const { date, categoryId } = req.query;
-    
-    if (!date) {
-      return res.status(400).json({ message: 'Date parameter is required' });
+    if (series.status !== 'paused' && !series.paused_until) {
+      return res.status(400).json({ message: 'Booking series is not paused' });
     }
+    
+    await pool.execute(
+      "UPDATE booking_series SET status = 'active', paused_until = NULL WHERE id = ?",
+      [series.id]
+    );
+    
+    const summary = await generateSeriesAppointments(pool, await getSeries(pool, series.id));
+    
+    return res.json({
+      message: 'Booking series resumed successfully',
+      created_appointments: summary.created,
+      unbooked_occurrences: summary.conflicts
+    });
+  } catch (error) {
+    console.error('Error resuming booking series:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
 
-    // Extract just the date part if datetime string is passed
-    const dateOnly = date.includes('T') ? date.split('T')[0] : date;
-    console.log('🔍 Public API - Time slots for date:', dateOnly, 'categoryId:', categoryId);
-
-    let query = `SELECT id, start_time, end_time, is_available, extra_price, max_appointments, date, service_category_id
-                 FROM available_time_slots 
-                 WHERE date = ? AND is_available = 1`;
-    let params = [dateOnly];
+// Cancel a single occurrence (skip that date)
+app.delete('/api/user/booking-series/:id/occurrences/:date', authenticateToken, async (req, res) => {
+  try {
+    const { date } = req.params;
     
-    // Category filtering logic
-    if (categoryId) {
-      if (categoryId === 'null' || categoryId === '') {
-        // Show only time slots with no specific category (general time slots)
-        query += ` AND service_category_id IS NULL`;
-      } else {
-        // Show only time slots for the specific category
-        query += ` AND service_category_id = ?`;
-        params.push(categoryId);
-      }
-    } else {
-      // If no categoryId provided, show all time slots (backward compatibility)
-      // This case handles when category filtering is not used
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return res.status(400).json({ message: 'Invalid date format. Please provide date in YYYY-MM-DD format' });
     }
     
-    query += ` ORDER BY start_time ASC`;
-
-    const [rows] = await pool.execute(query, params);
-
-    console.log('🔍 Public API - Found time slots:', rows.length);
-    res.json(rows);
+    const series = await getSeries(pool, req.params.id, req.user.id);
+    if (!series) {
+      return res.status(404).json({ message: 'Booking series not found or not authorized' });
+    }
+    
+    const occurrences = await getSeriesOccurrences(pool, series);
+    if (!occurrences.some(occurrence => occurrence.date === date)) {
+      return res.status(404).json({ message: 'No occurrence of this series on that date' });
+    }
+    
+    const skipped = series.skipped_dates
+      ? (typeof series.skipped_dates === 'string' ? JSON.parse(series.skipped_dates) : series.skipped_dates)
+      : [];
+    if (!skipped.includes(date)) {
+      skipped.push(date);
+    }
+    
+    await pool.execute('UPDATE booking_series SET skipped_dates = ? WHERE id = ?', [JSON.stringify(skipped), series.id]);
+    
+    const [occurrenceAppointments] = await pool.execute(
+      `SELECT id FROM appointments 
+       WHERE series_id = ? AND appointment_date = ? AND status IN ('pending', 'confirmed')`,
+      [series.id, date]
+    );
+    await cancelAppointments(pool, occurrenceAppointments.map(row => row.id), {
+      actorType: 'customer',
+      actorId: req.user.id,
+      reason: 'Series occurrence skipped'
+    });
+    
+    return res.json({ message: 'Occurrence cancelled successfully', date });
   } catch (error) {
-    console.error('Error fetching available time slots:', error);
-    res.status(500).json({ message: 'Internal server error' });
+    console.error('Error cancelling series occurrence:', error);
+    return res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Admin API for managing dates (requires admin role)
-app.get('/api/admin/available-dates', authenticateToken, isAdmin, async (req, res) => {
+// Cancel a whole booking series and its upcoming appointments
+app.delete('/api/user/booking-series/:id', authenticateToken, async (req, res) => {
+  try {
+    const series = await getSeries(pool, req.params.id, req.user.id);
+    if (!series) {
+      return res.status(404).json({ message: 'Booking series not found or not authorized' });
+    }
+    
+    await pool.execute("UPDATE booking_series SET status = 'cancelled' WHERE id = ?", [series.id]);
+    
+    const [upcomingAppointments] = await pool.execute(
+      `SELECT id FROM appointments 
+       WHERE series_id = ? AND appointment_date >= CURDATE() AND status IN ('pending', 'confirmed')`,
+      [series.id]
+    );
+    const cancelled = await cancelAppointments(pool, upcomingAppointments.map(row => row.id), {
+      actorType: 'customer',
+      actorId: req.user.id,
+      reason: 'Booking series cancelled'
+    });
+    
+    return res.json({
+      message: 'Booking series cancelled successfully',
+      cancelled_appointments: cancelled.length
+    });
+  } catch (error) {
+    console.error('Error cancelling booking series:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// User Addresses API
+
+// Get all addresses for the user
+app.get('/api/user/addresses', authenticateToken, async (req, res) => {
   try {
     const [rows] = await pool.execute(
-      `SELECT 
-        ad.id, 
-        DATE_FORMAT(ad.date, "%Y-%m-%d") as date,
-        DATE_FORMAT(ad.date, "%M %d, %Y") as formatted_date,
-        DATE_FORMAT(ad.date, "%W") as day_name,
-        DATE_FORMAT(ad.date, "%a") as day_short,
-        DATE_FORMAT(ad.date, "%b") as month_short,
-        DATE_FORMAT(ad.date, "%d") as day_number,
-        DATE_FORMAT(ad.date, "%Y") as year,
-        ad.is_available, 
-        ad.max_appointments, 
-        ad.created_at,
-        ad.service_category_id,
-        sc.name as service_category_name,
-        sc.slug as service_category_slug
-      FROM available_dates ad
-      LEFT JOIN service_categories sc ON ad.service_category_id = sc.id
-      ORDER BY ad.date ASC`
+      'SELECT * FROM user_addresses WHERE user_id = ? ORDER BY is_default DESC, created_at DESC',
+      [req.user.id]
     );
     
-    console.log('🔍 Raw rows from MySQL:', rows);
+    return res.json(rows);
+  } catch (error) {
+    console.error('Error fetching addresses:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Add a new address
+app.post('/api/user/addresses', authenticateToken, async (req, res) => {
+  try {
+    const { 
+      address_type, 
+      address_line1, 
+      address_line2, 
+      city, 
+      state, 
+      postal_code, 
+      country, 
+      is_default 
+    } = req.body;
+    
+    // Validate input
+    if (!address_type || !address_line1 || !city || !state || !postal_code) {
+      return res.status(400).json({ message: 'All required fields must be provided' });
+    }
+    
+    // If this is set as default, unset any existing default address
+    if (is_default) {
+      await pool.execute(
+        'UPDATE user_addresses SET is_default = FALSE WHERE user_id = ?',
+        [req.user.id]
+      );
+    }
+    
+    // Insert new address
+    const [result] = await pool.execute(
+      `INSERT INTO user_addresses 
+       (user_id, address_type, address_line1, address_line2, city, state, postal_code, country, is_default) 
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        req.user.id, 
+        address_type, 
+        address_line1, 
+        address_line2 || null, 
+        city, 
+        state, 
+        postal_code, 
+        country || 'United States', 
+        is_default || false
+      ]
+    );
+    
+    return res.status(201).json({ 
+      message: 'Address added successfully',
+      address_id: result.insertId
+    });
+  } catch (error) {
+    console.error('Error adding address:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update an address
+app.put('/api/user/addresses/:id', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { 
+      address_type, 
+      address_line1, 
+      address_line2, 
+      city, 
+      state, 
+      postal_code, 
+      country, 
+      is_default 
+    } = req.body;
+    
+    // Verify the address belongs to the user
+    const [addressCheck] = await pool.execute(
+      'SELECT id FROM user_addresses WHERE id = ? AND user_id = ?',
+      [id, req.user.id]
+    );
+    
+    if (addressCheck.length === 0) {
+      return res.status(404).json({ message: 'Address not found or not authorized' });
+    }
+    
+    // If this is set as default, unset any existing default address
+    if (is_default) {
+      await pool.execute(
+        'UPDATE user_addresses SET is_default = FALSE WHERE user_id = ? AND id != ?',
+        [req.user.id, id]
+      );
+    }
+    
+    // Build the update query dynamically based on provided fields
+    let updateQuery = 'UPDATE user_addresses SET ';
+    const updateValues = [];
+    
+    if (address_type) {
+      updateQuery += 'address_type = ?, ';
+      updateValues.push(address_type);
+    }
+    
+    if (address_line1) {
+      updateQuery += 'address_line1 = ?, ';
+      updateValues.push(address_line1);
+    }
+    
+    if (address_line2 !== undefined) {
+      updateQuery += 'address_line2 = ?, ';
+      updateValues.push(address_line2);
+    }
+    
+    if (city) {
+      updateQuery += 'city = ?, ';
+      updateValues.push(city);
+    }
+    
+    if (state) {
+      updateQuery += 'state = ?, ';
+      updateValues.push(state);
+    }
+    
+    if (postal_code) {
+      updateQuery += 'postal_code = ?, ';
+      updateValues.push(postal_code);
+    }
+    
+    if (country) {
+      updateQuery += 'country = ?, ';
+      updateValues.push(country);
+    }
+    
+    if (is_default !== undefined) {
+      updateQuery += 'is_default = ?, ';
+      updateValues.push(is_default);
+    }
+    
+    // Remove trailing comma and space
+    updateQuery = updateQuery.slice(0, -2);
+    
+    // Add WHERE clause
+    updateQuery += ' WHERE id = ? AND user_id = ?';
+    updateValues.push(id, req.user.id);
+    
+    // Execute the update
+    await pool.execute(updateQuery, updateValues);
+    
+    return res.json({ message: 'Address updated successfully' });
+  } catch (error) {
+    console.error('Error updating address:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete an address
+app.delete('/api/user/addresses/:id', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    // Verify the address belongs to the user
+    const [addressCheck] = await pool.execute(
+      'SELECT id, is_default FROM user_addresses WHERE id = ? AND user_id = ?',
+      [id, req.user.id]
+    );
+    
+    if (addressCheck.length === 0) {
+      return res.status(404).json({ message: 'Address not found or not authorized' });
+    }
+    
+    // Delete the address
+    await pool.execute(
+      'DELETE FROM user_addresses WHERE id = ? AND user_id = ?',
+      [id, req.user.id]
+    );
+    
+    // If this was the default address, set another address as default if available
+    if (addressCheck[0].is_default) {
+      const [remainingAddresses] = await pool.execute(
+        'SELECT id FROM user_addresses WHERE user_id = ? LIMIT 1',
+        [req.user.id]
+      );
+      
+      if (remainingAddresses.length > 0) {
+        await pool.execute(
+          'UPDATE user_addresses SET is_default = TRUE WHERE id = ?',
+          [remainingAddresses[0].id]
+        );
+      }
+    }
+    
+    return res.json({ message: 'Address deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting address:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Support Tickets API
+
+// Get all support tickets for the user
+app.get('/api/user/support-tickets', authenticateToken, async (req, res) => {
+  try {
+    const [rows] = await pool.execute(
+      'SELECT * FROM support_tickets WHERE user_id = ? ORDER BY created_at DESC',
+      [req.user.id]
+    );
     
     return res.json(rows);
   } catch (error) {
-    console.error('Error fetching available dates:', error);
+    console.error('Error fetching support tickets:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create a new support ticket
+app.post('/api/user/support-tickets', authenticateToken, async (req, res) => {
+  try {
+    const { subject, message } = req.body;
+    
+    // Validate input
+    if (!subject || !message) {
+      return res.status(400).json({ message: 'Subject and message are required' });
+    }
+    
+    // Insert new support ticket
+    const [result] = await pool.execute(
+      'INSERT INTO support_tickets (user_id, subject, message) VALUES (?, ?, ?)',
+      [req.user.id, subject, message]
+    );
+    
+    return res.status(201).json({ 
+      message: 'Support ticket created successfully',
+      ticket_id: result.insertId
+    });
+  } catch (error) {
+    console.error('Error creating support ticket:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Available Dates API
+
+// Get all available dates (public endpoint)
+app.get('/api/available-dates', async (req, res) => {
+  try {
+    const { categoryId } = req.query;
+    
+    let query = `
+      SELECT 
+        ad.id, 
+        DATE_FORMAT(ad.date, "%Y-%m-%d") as date,
+        DATE_FORMAT(ad.date, "%M %d, %Y") as formatted_date,
+        DATE_FORMAT(ad.date, "%W") as day_name,
+        DATE_FORMAT(ad.date, "%a") as day_short,
+        DATE_FORMAT(ad.date, "%b") as month_short,
+        DATE_FORMAT(ad.date, "%d") as day_number,
+        DATE_FORMAT(ad.date, "%Y") as year,
+        ad.is_available, 
+        ad.max_appointments, 
+        ad.created_at,
+        sc.name as service_category_name,
+        sc.slug as service_category_slug
+      FROM available_dates ad
+      LEFT JOIN service_categories sc ON ad.service_category_id = sc.id
+      WHERE ad.is_available = TRUE AND ad.date >= CURDATE()
+    `;
+    
+    const params = [];
+    
+    if (categoryId) {
+      if (categoryId === 'null' || categoryId === '') {
+        // Show only dates with no specific category (general dates)
+        query += ' AND ad.service_category_id IS NULL';
+      } else {
+        // Show only dates for the specific category
+        query += ' AND ad.service_category_id = ?';
+        params.push(categoryId);
+      }
+    }
+    
+    query += ' ORDER BY ad.date ASC';
+    
+    const [rows] = await pool.execute(query, params);
+    
+    console.log('🔍 Public API - Available dates:', rows);
+    return res.json(rows);
+  } catch (error) {
+    console.error('Error fetching available dates:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Build a location object from query parameters, null when none were given
+function parseZoneLocationQuery(query) {
+  if (query.location) {
+    try {
+      return JSON.parse(query.location);
+    } catch (e) {
+      return { city: query.location };
+    }
+  }
+  
+  const { latitude, longitude, emirate, community, city } = query;
+  if (latitude === undefined && longitude === undefined && !emirate && !community && !city) {
+    return null;
+  }
+  
+  return { latitude, longitude, emirate, community, city };
+}
+
+// Check whether an address is inside a service zone (public endpoint)
+app.post('/api/service-zones/check', async (req, res) => {
+  try {
+    const { location, service_category_slug } = req.body;
+    
+    if (!location) {
+      return res.status(400).json({ message: 'Location is required' });
+    }
+    
+    const categoryId = await getCategoryIdBySlug(pool, service_category_slug);
+    const result = await resolveServiceZone(pool, location, categoryId);
+    
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        message: result.message,
+        error_code: result.error_code,
+        details: result.details
+      });
+    }
+    
+    return res.json({ success: true, zone: result.zone, surcharge: result.surcharge });
+  } catch (error) {
+    console.error('Error checking service zone:', error);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Get available time slots (public endpoint)
+app.get('/api/available-time-slots', async (req, res) => {
+  try {
+    if (!pool) {
+      return res.status(500).json({ message: 'Database not available' });
+    }
+    
+    const { date, categoryId } = req.query;
+    
+    if (!date) {
+      return res.status(400).json({ message: 'Date parameter is required' });
+    }
+
+    // Optional address (?location=<json> or ?latitude=&longitude=&emirate=&community=) is checked against service zones
+    const zoneLocation = parseZoneLocationQuery(req.query);
+    if (zoneLocation) {
+      const zoneResult = await resolveServiceZone(pool, zoneLocation, categoryId && categoryId !== 'null' ? categoryId : null);
+      if (!zoneResult.success) {
+        return res.status(400).json({
+          message: zoneResult.message,
+          error_code: zoneResult.error_code,
+          details: zoneResult.details
+        });
+      }
+    }
+
+    // Extract just the date part if datetime string is passed
+    const dateOnly = date.includes('T') ? date.split('T')[0] : date;
+    console.log('🔍 Public API - Time slots for date:', dateOnly, 'categoryId:', categoryId);
+
+    let query = `SELECT id, start_time, end_time, is_available, extra_price, max_appointments, date, service_category_id
+                 FROM available_time_slots 
+                 WHERE date = ? AND is_available = 1`;
+    let params = [dateOnly];
+    
+    // Category filtering logic
+    if (categoryId) {
+      if (categoryId === 'null' || categoryId === '') {
+        // Show only time slots with no specific category (general time slots)
+        query += ` AND service_category_id IS NULL`;
+      } else {
+        // Show only time slots for the specific category
+        query += ` AND service_category_id = ?`;
+        params.push(categoryId);
+      }
+    } else {
+      // If no categoryId provided, show all time slots (backward compatibility)
+      // This case handles when category filtering is not used
+    }
+    
+    query += ` ORDER BY start_time ASC`;
+
+    const [rows] = await pool.execute(query, params);
+
+    // Include how many places are left in each slot
+    const slotsWithCapacity = await attachSlotCapacity(pool, dateOnly, rows);
+
+    console.log('🔍 Public API - Found time slots:', rows.length);
+    res.json(slotsWithCapacity);
+  } catch (error) {
+    console.error('Error fetching available time slots:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Admin API for managing dates (requires admin role)
+app.get('/api/admin/available-dates', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const [rows] = await pool.execute(
+      `SELECT 
+        ad.id, 
+        DATE_FORMAT(ad.date, "%Y-%m-%d") as date,
+        DATE_FORMAT(ad.date, "%M %d, %Y") as formatted_date,
+        DATE_FORMAT(ad.date, "%W") as day_name,
+        DATE_FORMAT(ad.date, "%a") as day_short,
+        DATE_FORMAT(ad.date, "%b") as month_short,
+        DATE_FORMAT(ad.date, "%d") as day_number,
+        DATE_FORMAT(ad.date, "%Y") as year,
+        ad.is_available, 
+        ad.max_appointments, 
+        ad.created_at,
+        ad.service_category_id,
+        sc.name as service_category_name,
+        sc.slug as service_category_slug
+      FROM available_dates ad
+      LEFT JOIN service_categories sc ON ad.service_category_id = sc.id
+      ORDER BY ad.date ASC`
+    );
+    
+    console.log('🔍 Raw rows from MySQL:', rows);
+    
+    return res.json(rows);
+  } catch (error) {
+    console.error('Error fetching available dates:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Add new available date (admin only)
+app.post('/api/admin/available-dates', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const { date, is_available, max_appointments, service_category_id } = req.body;
+    
+    if (!date) {
+      return res.status(400).json({ message: 'Date is required' });
+    }
+    
+    const [result] = await pool.execute(
+      'INSERT INTO available_dates (date, is_available, max_appointments, service_category_id, created_by) VALUES (?, ?, ?, ?, ?)',
+      [date, is_available !== undefined ? is_available : true, max_appointments || 10, service_category_id || null, req.user.id]
+    );
+    
+    return res.status(201).json({ 
+      message: 'Available date added successfully',
+      date_id: result.insertId
+    });
+  } catch (error) {
+    console.error('Error adding available date:', error);
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(400).json({ message: 'Date already exists' });
+    }
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update available date (admin only)
+app.put('/api/admin/available-dates/:id', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { date, is_available, max_appointments, service_category_id } = req.body;
+    
+    let updateQuery = 'UPDATE available_dates SET ';
+    const updateValues = [];
+    
+    if (date) {
+      updateQuery += 'date = ?, ';
+      updateValues.push(date);
+    }
+    
+    if (is_available !== undefined) {
+      updateQuery += 'is_available = ?, ';
+      updateValues.push(is_available);
+    }
+    
+    if (max_appointments !== undefined) {
+      updateQuery += 'max_appointments = ?, ';
+      updateValues.push(max_appointments);
+    }
+    
+    if (service_category_id !== undefined) {
+      updateQuery += 'service_category_id = ?, ';
+      updateValues.push(service_category_id);
+    }
+    
+    // A hand-edited date becomes a manual override the template generator won't touch
+    updateQuery += "source = 'manual', ";
+    
+    // Remove trailing comma and space
+    updateQuery = updateQuery.slice(0, -2);
+    updateQuery += ' WHERE id = ?';
+    updateValues.push(id);
+    
+    await pool.execute(updateQuery, updateValues);
+    
+    return res.json({ message: 'Available date updated successfully' });
+  } catch (error) {
+    console.error('Error updating available date:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete available date (admin only)
+app.delete('/api/admin/available-dates/:id', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    await pool.execute('DELETE FROM available_dates WHERE id = ?', [id]);
+    
+    return res.json({ message: 'Available date deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting available date:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Admin API for managing time slots
+app.get('/api/admin/available-time-slots', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    if (!pool) {
+      return res.status(500).json({ message: 'Database not available' });
+    }
+    
+    const { date, categoryId } = req.query;
+    let query = `
+      SELECT ats.id, ats.start_time, ats.end_time, ats.is_available, ats.extra_price, 
+             ats.max_appointments, ats.created_at, ats.date, ats.service_category_id,
+             sc.name as service_category_name, sc.slug as service_category_slug
+      FROM available_time_slots ats
+      LEFT JOIN service_categories sc ON ats.service_category_id = sc.id
+    `;
+    let params = [];
+    
+    if (date || categoryId) {
+      query += ' WHERE ';
+      let conditions = [];
+      
+      if (date) {
+        conditions.push('DATE(ats.date) = ?');
+        params.push(date);
+      }
+      
+      if (categoryId) {
+        conditions.push('(ats.service_category_id = ? OR ats.service_category_id IS NULL)');
+        params.push(categoryId);
+      }
+      
+      query += conditions.join(' AND ');
+    }
+    
+    query += ' ORDER BY ats.date DESC, ats.start_time ASC';
+    
+    const [rows] = await pool.execute(query, params);
+    res.json(rows);
+  } catch (error) {
+    console.error('Error fetching time slots:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Add new time slot (admin only)
+app.post('/api/admin/available-time-slots', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    if (!pool) {
+      return res.status(500).json({ message: 'Database not available' });
+    }
+    
+    const { start_time, end_time, is_available, extra_price = 0, max_appointments = 1, date, service_category_id } = req.body;
+    
+    // Validate required fields
+    if (!start_time || !end_time || !date) {
+      return res.status(400).json({ message: 'Start time, end time, and date are required' });
+    }
+
+    // Validate time format
+    const timeRegex = /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/;
+    if (!timeRegex.test(start_time) || !timeRegex.test(end_time)) {
+      return res.status(400).json({ message: 'Invalid time format. Use HH:MM format' });
+    }
+
+    // Validate that end time is after start time
+    if (start_time >= end_time) {
+      return res.status(400).json({ message: 'End time must be after start time' });
+    }
+
+    // Check for overlapping time slots on the same date and category
+    const [overlapping] = await pool.execute(
+      `SELECT id FROM available_time_slots 
+       WHERE date = ? AND is_available = 1 
+       AND (service_category_id = ? OR (service_category_id IS NULL AND ? IS NULL))
+       AND (
+         (start_time <= ? AND end_time > ?) OR
+         (start_time < ? AND end_time >= ?) OR
+         (start_time >= ? AND end_time <= ?)
+       )`,
+      [date, service_category_id, service_category_id, start_time, start_time, end_time, end_time, start_time, end_time]
+    );
+
+    if (overlapping.length > 0) {
+      return res.status(400).json({ message: 'Time slot overlaps with existing available slot' });
+    }
+
+    // Insert new time slot
+    const [result] = await pool.execute(
+      'INSERT INTO available_time_slots (start_time, end_time, is_available, extra_price, max_appointments, date, service_category_id) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      [start_time, end_time, is_available, extra_price, max_appointments, date, service_category_id]
+    );
+
+    res.status(201).json({
+      id: result.insertId,
+      start_time,
+      end_time,
+      is_available,
+      extra_price,
+      date,
+      service_category_id,
+      message: 'Time slot created successfully'
+    });
+  } catch (error) {
+    console.error('Error creating time slot:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// PUT /api/admin/available-time-slots/:id - Update time slot (admin)
+app.put('/api/admin/available-time-slots/:id', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    if (!pool) {
+      return res.status(500).json({ message: 'Database not available' });
+    }
+    
+    const { id } = req.params;
+    const { start_time, end_time, is_available, extra_price, max_appointments, service_category_id } = req.body;
+
+    // Check if time slot exists
+    const [existing] = await pool.execute(
+      'SELECT * FROM available_time_slots WHERE id = ?',
+      [id]
+    );
+
+    if (existing.length === 0) {
+      return res.status(404).json({ message: 'Time slot not found' });
+    }
+
+    const currentSlot = existing[0];
+    
+    // If updating time fields, validate them
+    if (start_time || end_time) {
+      const newStartTime = start_time || currentSlot.start_time;
+      const newEndTime = end_time || currentSlot.end_time;
+      
+      // Validate time format
+      const timeRegex = /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/;
+      if (!timeRegex.test(newStartTime) || !timeRegex.test(newEndTime)) {
+        return res.status(400).json({ message: 'Invalid time format. Use HH:MM format' });
+      }
+
+      // Validate that end time is after start time
+      if (newStartTime >= newEndTime) {
+        return res.status(400).json({ message: 'End time must be after start time' });
+      }
+
+      // Check for overlapping time slots on the same date (excluding current slot)
+      const [overlapping] = await pool.execute(
+        `SELECT id FROM available_time_slots 
+         WHERE id != ? AND date = ? AND is_available = 1 
+         AND (
+           (start_time <= ? AND end_time > ?) OR
+           (start_time < ? AND end_time >= ?) OR
+           (start_time >= ? AND end_time <= ?)
+         )`,
+        [id, currentSlot.date, newStartTime, newStartTime, newEndTime, newEndTime, newStartTime, newEndTime]
+    );
+
+      if (overlapping.length > 0) {
+        return res.status(400).json({ message: 'Time slot overlaps with existing available slot' });
+      }
+    }
+
+    // Update the time slot
+    const [result] = await pool.execute(
+      `UPDATE available_time_slots 
+       SET start_time = COALESCE(?, start_time),
+           end_time = COALESCE(?, end_time),
+           is_available = COALESCE(?, is_available),
+           extra_price = COALESCE(?, extra_price),
+           max_appointments = COALESCE(?, max_appointments),
+           service_category_id = ?,
+           source = 'manual',
+           updated_at = NOW()
+       WHERE id = ?`,
+      [start_time, end_time, is_available, extra_price, max_appointments, service_category_id, id]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ message: 'Time slot not found' });
+    }
+
+    // Fetch updated time slot
+    const [updated] = await pool.execute(
+      'SELECT * FROM available_time_slots WHERE id = ?',
+      [id]
+    );
+
+    res.json({
+      message: 'Time slot updated successfully',
+      timeSlot: updated[0]
+    });
+  } catch (error) {
+    console.error('Error updating time slot:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Delete time slot (admin only)
+app.delete('/api/admin/available-time-slots/:id', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    await pool.execute('DELETE FROM available_time_slots WHERE id = ?', [id]);
+    
+    return res.json({ message: 'Time slot deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting time slot:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Admin API for weekly availability templates
+app.get('/api/admin/availability-templates', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const [rows] = await pool.execute(`
+      SELECT at.*, sc.name as service_category_name, sc.slug as service_category_slug
+      FROM availability_templates at
+      LEFT JOIN service_categories sc ON at.service_category_id = sc.id
+      ORDER BY at.service_category_id ASC, at.created_at ASC
+    `);
+    
+    return res.json(rows);
+  } catch (error) {
+    console.error('Error fetching availability templates:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Validate availability template fields, returns an error message or null
+function validateAvailabilityTemplate({ days_of_week, start_time, end_time, slot_duration_minutes }) {
+  if (!Array.isArray(days_of_week) || days_of_week.length === 0 ||
+      !days_of_week.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+    return 'days_of_week must be a non-empty array of weekdays (0 = Sunday ... 6 = Saturday)';
+  }
+  
+  const timeRegex = /^([01]?[0-9]|2[0-3]):[0-5][0-9](:[0-5][0-9])?$/;
+  if (!timeRegex.test(start_time) || !timeRegex.test(end_time)) {
+    return 'Invalid time format. Use HH:MM format';
+  }
+  
+  // Compared as minutes: '9:00' sorts after '10:00' as a string
+  const windowMinutes = timeToMinutes(end_time) - timeToMinutes(start_time);
+  if (windowMinutes <= 0) {
+    return 'End time must be after start time';
+  }
+  
+  if (!Number.isInteger(slot_duration_minutes) || slot_duration_minutes <= 0) {
+    return 'slot_duration_minutes must be a positive whole number';
+  }
+  
+  if (slot_duration_minutes > windowMinutes) {
+    return 'slot_duration_minutes is longer than the time between start_time and end_time';
+  }
+  
+  return null;
+}
+
+// Create availability template (admin only)
+app.post('/api/admin/availability-templates', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const {
+      name,
+      service_category_id,
+      days_of_week,
+      start_time,
+      end_time,
+      slot_duration_minutes = 60,
+      max_appointments_per_slot = 1,
+      max_appointments_per_day = 10,
+      extra_price = 0,
+      is_active = true
+    } = req.body;
+    
+    if (!name) {
+      return res.status(400).json({ message: 'Template name is required' });
+    }
+    
+    const validationError = validateAvailabilityTemplate({ days_of_week, start_time, end_time, slot_duration_minutes });
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+    
+    const [result] = await pool.execute(
+      `INSERT INTO availability_templates 
+       (name, service_category_id, days_of_week, start_time, end_time, slot_duration_minutes, 
+        max_appointments_per_slot, max_appointments_per_day, extra_price, is_active, created_by) 
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        name, service_category_id || null, JSON.stringify(days_of_week), start_time, end_time, slot_duration_minutes,
+        max_appointments_per_slot, max_appointments_per_day, extra_price, is_active, req.user.id
+      ]
+    );
+    
+    return res.status(201).json({ 
+      message: 'Availability template created successfully',
+      template_id: result.insertId
+    });
+  } catch (error) {
+    console.error('Error creating availability template:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update availability template (admin only)
+app.put('/api/admin/availability-templates/:id', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const [existing] = await pool.execute('SELECT * FROM availability_templates WHERE id = ?', [id]);
+    if (existing.length === 0) {
+      return res.status(404).json({ message: 'Availability template not found' });
+    }
+    
+    const current = existing[0];
+    const template = {
+      name: req.body.name ?? current.name,
+      service_category_id: req.body.service_category_id !== undefined ? req.body.service_category_id : current.service_category_id,
+      days_of_week: req.body.days_of_week ?? (typeof current.days_of_week === 'string' ? JSON.parse(current.days_of_week) : current.days_of_week),
+      start_time: req.body.start_time ?? current.start_time,
+      end_time: req.body.end_time ?? current.end_time,
+      slot_duration_minutes: req.body.slot_duration_minutes ?? current.slot_duration_minutes,
+      max_appointments_per_slot: req.body.max_appointments_per_slot ?? current.max_appointments_per_slot,
+      max_appointments_per_day: req.body.max_appointments_per_day ?? current.max_appointments_per_day,
+      extra_price: req.body.extra_price ?? current.extra_price,
+      is_active: req.body.is_active ?? current.is_active
+    };
+    
+    const validationError = validateAvailabilityTemplate(template);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+    
+    const connection = await pool.getConnection();
+    try {
+      await connection.beginTransaction();
+      
+      // Drop the unbooked rows made from the old hours, then generate from the new ones
+      await clearTemplateAvailability(connection, id);
+      await connection.execute(
+        `UPDATE availability_templates SET 
+         name = ?, service_category_id = ?, days_of_week = ?, start_time = ?, end_time = ?, slot_duration_minutes = ?,
+         max_appointments_per_slot = ?, max_appointments_per_day = ?, extra_price = ?, is_active = ?, updated_at = NOW()
+         WHERE id = ?`,
+        [
+          template.name, template.service_category_id, JSON.stringify(template.days_of_week), template.start_time,
+          template.end_time, template.slot_duration_minutes, template.max_appointments_per_slot,
+          template.max_appointments_per_day, template.extra_price, template.is_active, id
+        ]
+      );
+      
+      await connection.commit();
+      connection.release();
+    } catch (error) {
+      try { await connection.rollback(); } catch (e) { /* ignore */ }
+      connection.release();
+      throw error;
+    }
+    
+    // An inactive template generates nothing
+    const summary = await generateAvailability(pool, { templateId: id });
+    
+    return res.json({ message: 'Availability template updated successfully', summary });
+  } catch (error) {
+    console.error('Error updating availability template:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete availability template (admin only) - also removes its future unbooked generated rows
+app.delete('/api/admin/availability-templates/:id', authenticateToken, isAdmin, async (req, res) => {
+  const connection = await pool.getConnection();
+  try {
+    const { id } = req.params;
+    
+    await connection.beginTransaction();
+    
+    await clearTemplateAvailability(connection, id);
+    const [result] = await connection.execute('DELETE FROM availability_templates WHERE id = ?', [id]);
+    
+    if (result.affectedRows === 0) {
+      await connection.rollback();
+      connection.release();
+      return res.status(404).json({ message: 'Availability template not found' });
+    }
+    
+    await connection.commit();
+    connection.release();
+    
+    return res.json({ message: 'Availability template deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting availability template:', error);
+    try { await connection.rollback(); } catch (e) { /* ignore */ }
+    connection.release();
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Generate dates and time slots from templates now (admin only)
+app.post('/api/admin/availability-templates/generate', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const days = parseInt(req.body.days, 10) || DEFAULT_WINDOW_DAYS;
+    if (days < 1 || days > 365) {
+      return res.status(400).json({ message: 'days must be between 1 and 365' });
+    }
+    
+    const summary = await generateAvailability(pool, { days, templateId: req.body.template_id || null });
+    
+    return res.json({ message: 'Availability generated successfully', days, summary });
+  } catch (error) {
+    console.error('Error generating availability:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Admin API for service zones
+
+// Get all service zones with their category rules (admin only)
+app.get('/api/admin/service-zones', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const [zones] = await pool.execute('SELECT * FROM service_zones ORDER BY priority DESC, name ASC');
+    const [rules] = await pool.execute(`
+      SELECT szc.zone_id, szc.service_category_id, szc.is_available, szc.surcharge, sc.name as category_name, sc.slug as category_slug
+      FROM service_zone_categories szc
+      JOIN service_categories sc ON szc.service_category_id = sc.id
+    `);
+    
+    return res.json(zones.map(zone => ({
+      ...zone,
+      categories: rules.filter(rule => rule.zone_id === zone.id)
+    })));
+  } catch (error) {
+    console.error('Error fetching service zones:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Replace the category rules of a zone - [{ service_category_id, is_available, surcharge }]
+async function saveZoneCategories(connection, zoneId, categories) {
+  await connection.execute('DELETE FROM service_zone_categories WHERE zone_id = ?', [zoneId]);
+  
+  for (const category of categories) {
+    await connection.execute(
+      'INSERT INTO service_zone_categories (zone_id, service_category_id, is_available, surcharge) VALUES (?, ?, ?, ?)',
+      [
+        zoneId,
+        category.service_category_id,
+        category.is_available !== false,
+        category.surcharge === undefined || category.surcharge === null ? null : category.surcharge
+      ]
+    );
+  }
+}
+
+// Create service zone (admin only)
+app.post('/api/admin/service-zones', authenticateToken, isAdmin, async (req, res) => {
+  let connection;
+  try {
+    const { name, zone_type, polygon, emirates, communities, surcharge, priority, is_active, categories = [] } = req.body;
+    
+    const validationError = validateZone({ name, zone_type, polygon, emirates, communities, surcharge });
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+    
+    if (!Array.isArray(categories)) {
+      return res.status(400).json({ message: 'categories must be an array' });
+    }
+    
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+    
+    const [result] = await connection.execute(
+      `INSERT INTO service_zones (name, zone_type, polygon, emirates, communities, surcharge, priority, is_active, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        name,
+        zone_type,
+        zone_type === 'polygon' ? JSON.stringify(polygon) : null,
+        zone_type === 'areas' ? JSON.stringify(emirates || []) : null,
+        zone_type === 'areas' ? JSON.stringify(communities || []) : null,
+        surcharge || 0,
+        priority || 0,
+        is_active !== false,
+        req.user.id
+      ]
+    );
+    
+    await saveZoneCategories(connection, result.insertId, categories);
+    
+    await connection.commit();
+    connection.release();
+    
+    return res.status(201).json({
+      id: result.insertId,
+      message: 'Service zone created successfully'
+    });
+  } catch (error) {
+    if (connection) {
+      try { await connection.rollback(); } catch (e) { /* ignore */ }
+      connection.release();
+    }
+    console.error('Error creating service zone:', error);
+    if (error.code === 'ER_NO_REFERENCED_ROW_2') {
+      return res.status(400).json({ message: 'One or more categories reference an unknown service category' });
+    }
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update service zone (admin only)
+app.put('/api/admin/service-zones/:id', authenticateToken, isAdmin, async (req, res) => {
+  let connection;
+  try {
+    const { id } = req.params;
+    const { name, zone_type, polygon, emirates, communities, surcharge, priority, is_active, categories } = req.body;
+    
+    const [existing] = await pool.execute('SELECT id FROM service_zones WHERE id = ?', [id]);
+    if (existing.length === 0) {
+      return res.status(404).json({ message: 'Service zone not found' });
+    }
+    
+    const validationError = validateZone({ name, zone_type, polygon, emirates, communities, surcharge });
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+    
+    if (categories !== undefined && !Array.isArray(categories)) {
+      return res.status(400).json({ message: 'categories must be an array' });
+    }
+    
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+    
+    await connection.execute(
+      `UPDATE service_zones 
+       SET name = ?, zone_type = ?, polygon = ?, emirates = ?, communities = ?, surcharge = ?, priority = ?, is_active = ?
+       WHERE id = ?`,
+      [
+        name,
+        zone_type,
+        zone_type === 'polygon' ? JSON.stringify(polygon) : null,
+        zone_type === 'areas' ? JSON.stringify(emirates || []) : null,
+        zone_type === 'areas' ? JSON.stringify(communities || []) : null,
+        surcharge || 0,
+        priority || 0,
+        is_active !== false,
+        id
+      ]
+    );
+    
+    if (categories !== undefined) {
+      await saveZoneCategories(connection, id, categories);
+    }
+    
+    await connection.commit();
+    connection.release();
+    
+    return res.json({ message: 'Service zone updated successfully' });
+  } catch (error) {
+    if (connection) {
+      try { await connection.rollback(); } catch (e) { /* ignore */ }
+      connection.release();
+    }
+    console.error('Error updating service zone:', error);
+    if (error.code === 'ER_NO_REFERENCED_ROW_2') {
+      return res.status(400).json({ message: 'One or more categories reference an unknown service category' });
+    }
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete service zone (admin only)
+app.delete('/api/admin/service-zones/:id', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const [result] = await pool.execute('DELETE FROM service_zones WHERE id = ?', [req.params.id]);
+    
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ message: 'Service zone not found' });
+    }
+    
+    return res.json({ message: 'Service zone deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting service zone:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Filters, search and sort options for the admin list endpoints (see listQueryService)
+const ADMIN_APPOINTMENT_LIST = {
+  filters: {
+    status: { column: 'a.status', type: 'list', values: APPOINTMENT_STATUSES },
+    date_from: { column: 'a.appointment_date', type: 'gte' },
+    date_to: { column: 'a.appointment_date', type: 'lte' },
+    category: { column: 'a.service_category_slug', type: 'list' },
+    payment_method: { column: 'a.payment_method', type: 'list' },
+    technician_id: { column: 'a.technician_id', type: 'eq' },
+    user_id: { column: 'a.user_id', type: 'eq' }
+  },
+  searchColumns: ['u.fullName', 'u.phone', 'u.email'],
+  sorts: {
+    appointment_date: [
+      { column: 'a.appointment_date', cursor: "DATE_FORMAT(a.appointment_date, '%Y-%m-%d')" },
+      { column: 'a.appointment_time', cursor: "TIME_FORMAT(a.appointment_time, '%H:%i:%s')" },
+      { column: 'a.id' }
+    ],
+    created_at: [
+      { column: 'a.created_at', cursor: "DATE_FORMAT(a.created_at, '%Y-%m-%d %H:%i:%s')" },
+      { column: 'a.id' }
+    ]
+  },
+  defaultSort: 'appointment_date',
+  defaultOrder: 'desc'
+};
+
+const USER_LIST = {
+  filters: {
+    role: { column: 'u.role', type: 'list', values: ['user', 'manager', 'admin', 'super_admin'] },
+    date_from: { column: 'u.created_at', type: 'gte' },
+    date_to: { column: 'u.created_at', type: 'lte' }
+  },
+  searchColumns: ['u.fullName', 'u.phone', 'u.email'],
+  sorts: {
+    created_at: [
+      { column: 'u.created_at', cursor: "DATE_FORMAT(u.created_at, '%Y-%m-%d %H:%i:%s')" },
+      { column: 'u.id' }
+    ],
+    name: [{ column: 'u.fullName' }, { column: 'u.id' }]
+  },
+  defaultSort: 'created_at',
+  defaultOrder: 'desc'
+};
+
+const SUPPORT_TICKET_LIST = {
+  filters: {
+    status: { column: 'st.status', type: 'list', values: ['open', 'in_progress', 'resolved', 'closed'] },
+    priority: { column: 'st.priority', type: 'list', values: ['low', 'medium', 'high'] },
+    date_from: { column: 'st.created_at', type: 'gte' },
+    date_to: { column: 'st.created_at', type: 'lte' },
+    user_id: { column: 'st.user_id', type: 'eq' }
+  },
+  searchColumns: ['u.fullName', 'u.phone', 'u.email', 'st.subject'],
+  sorts: {
+    created_at: [
+      { column: 'st.created_at', cursor: "DATE_FORMAT(st.created_at, '%Y-%m-%d %H:%i:%s')" },
+      { column: 'st.id' }
+    ],
+    updated_at: [
+      { column: 'st.updated_at', cursor: "DATE_FORMAT(st.updated_at, '%Y-%m-%d %H:%i:%s')" },
+      { column: 'st.id' }
+    ]
+  },
+  defaultSort: 'created_at',
+  defaultOrder: 'desc'
+};
+
+// Admin API for managing appointments
+// Filters: status, date_from, date_to, category, payment_method, technician_id, user_id; q searches customer name/phone/email.
+// Pass limit (and the returned next_cursor) to page; without them the full filtered list is returned as before.
+app.get('/api/admin/appointments', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const paginate = wantsPagination(req.query);
+    const listQuery = buildListQuery(ADMIN_APPOINTMENT_LIST, req.query, { paginate });
+    if (!listQuery.success) {
+      return res.status(400).json({ message: listQuery.message, error_code: listQuery.error_code });
+    }
+    
+    const [rows] = await pool.execute(`
+      SELECT 
+        a.id, a.user_id, a.service, a.appointment_date, a.appointment_time, a.status,
+        a.location, a.price, a.notes, a.room_type, a.room_type_slug, a.property_type, a.property_type_slug, 
+        a.quantity, a.service_category, a.service_category_slug, a.service_items_category, a.extra_price, a.cod_fee, a.payment_method,
+        a.offer_code, a.discount_amount, a.zone_surcharge, a.vat_amount, a.total_amount, a.created_at, a.updated_at,
+        u.fullName as customer_name, u.phone as customer_phone,
+        a.technician_id, a.assigned_at, tu.fullName as technician_name, tu.phone as technician_phone,
+        ${COD_STATE_COLUMNS},
+        ${listQuery.cursorSelect}
+      FROM appointments a 
+      LEFT JOIN users u ON a.user_id = u.id 
+      LEFT JOIN technicians t ON a.technician_id = t.id 
+      LEFT JOIN users tu ON t.user_id = tu.id 
+      ${listQuery.where}
+      ${listQuery.orderBy}
+      ${listQuery.limitClause}
+    `, listQuery.params);
+    
+    const page = buildPage(rows, listQuery);
+    page.data = page.data.map(withCodPaymentStatus);
+    return res.json(paginate ? page : page.data);
+  } catch (error) {
+    console.error('Error fetching appointments:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Calendar view of bookings vs capacity (admin only)
+// ?view=day|week|month&date=YYYY-MM-DD, or ?start_date=&end_date= for a custom range; optional ?category=<slug>
+app.get('/api/admin/calendar', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const { view = 'week', date, start_date, end_date, category } = req.query;
+    const isDate = value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value).getTime());
+    
+    let range;
+    if (start_date || end_date) {
+      if (!isDate(start_date) || !isDate(end_date) || start_date > end_date) {
+        return res.status(400).json({ message: 'start_date and end_date must be YYYY-MM-DD dates with start_date first' });
+      }
+      
+      const days = (new Date(end_date) - new Date(start_date)) / (24 * 60 * 60 * 1000) + 1;
+      if (days > MAX_RANGE_DAYS) {
+        return res.status(400).json({ message: `Date range can be at most ${MAX_RANGE_DAYS} days` });
+      }
+      range = { startDate: start_date, endDate: end_date };
+    } else {
+      if (!CALENDAR_VIEWS.includes(view)) {
+        return res.status(400).json({ message: `View must be one of: ${CALENDAR_VIEWS.join(', ')}` });
+      }
+      
+      const anchor = date || new Date().toISOString().split('T')[0];
+      if (!isDate(anchor)) {
+        return res.status(400).json({ message: 'Invalid date format. Please provide date in YYYY-MM-DD format' });
+      }
+      range = getViewRange(view, anchor);
+    }
+    
+    const calendar = await getCalendar(pool, { ...range, categorySlug: category || null });
+    
+    return res.json({ view: start_date ? 'custom' : view, ...calendar });
+  } catch (error) {
+    console.error('Error fetching admin calendar:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update appointment status (admin only)
+app.put('/api/admin/appointments/:id/status', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status, reason } = req.body;
+    
+    if (!status) {
+      return res.status(400).json({ message: 'Status is required' });
+    }
+    
+    if (!APPOINTMENT_STATUSES.includes(status)) {
+      return res.status(400).json({ message: 'Invalid status' });
+    }
+    
+    const result = await transitionAppointmentStatus(pool, {
+      appointmentId: id,
+      toStatus: status,
+      actorType: 'admin',
+      actorId: req.user.id,
+      reason: reason || null
+    });
+    
+    if (!result.success) {
+      return res.status(result.error_code === 'APPOINTMENT_NOT_FOUND' ? 404 : 409).json({
+        message: result.message,
+        error_code: result.error_code,
+        details: result.details
+      });
+    }
+    
+    return res.json({
+      message: 'Appointment status updated successfully',
+      from_status: result.from_status,
+      status: result.to_status
+    });
+  } catch (error) {
+    console.error('Error updating appointment status:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get the status timeline of an appointment (admin only)
+app.get('/api/admin/appointments/:id/history', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const [appointments] = await pool.execute('SELECT id, status FROM appointments WHERE id = ?', [req.params.id]);
+    
+    if (appointments.length === 0) {
+      return res.status(404).json({ message: 'Appointment not found' });
+    }
+    
+    const history = await getStatusHistory(pool, req.params.id);
+    
+    return res.json({
+      appointment_id: appointments[0].id,
+      status: appointments[0].status,
+      history
+    });
+  } catch (error) {
+    console.error('Error fetching appointment status history:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// List all photos attached to an appointment (admin only)
+app.get('/api/admin/appointments/:id/attachments', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const [appointments] = await pool.execute('SELECT id FROM appointments WHERE id = ?', [req.params.id]);
+    
+    if (appointments.length === 0) {
+      return res.status(404).json({ message: 'Appointment not found' });
+    }
+    
+    const attachments = await listAttachments(pool, appointments[0].id);
+    
+    return res.json(attachments);
+  } catch (error) {
+    console.error('Error fetching appointment photos:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete any photo on an appointment (admin only)
+app.delete('/api/admin/appointments/:id/attachments/:attachmentId', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const attachment = await getAttachment(pool, req.params.id, req.params.attachmentId);
+    
+    if (!attachment) {
+      return res.status(404).json({ message: 'Photo not found' });
+    }
+    
+    await deleteAttachment(pool, attachment);
+    
+    return res.json({ message: 'Photo deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting appointment photo:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+const REVIEW_LIST = {
+  filters: {
+    status: { column: 'r.status', type: 'list', values: REVIEW_STATUSES },
+    rating: { column: 'r.rating', type: 'list', values: ['1', '2', '3', '4', '5'] },
+    category: { column: 'r.service_category_slug', type: 'list' },
+    service_item_id: { column: 'r.service_item_id', type: 'eq' },
+    date_from: { column: 'r.created_at', type: 'gte' },
+    date_to: { column: 'r.created_at', type: 'lte' }
+  },
+  searchColumns: ['u.fullName', 'u.phone', 'u.email', 'r.comment'],
+  sorts: {
+    created_at: [
+      { column: 'r.created_at', cursor: "DATE_FORMAT(r.created_at, '%Y-%m-%d %H:%i:%s')" },
+      { column: 'r.id' }
+    ],
+    rating: [{ column: 'r.rating' }, { column: 'r.id' }]
+  },
+  defaultSort: 'created_at',
+  defaultOrder: 'desc'
+};
+
+// List reviews for moderation (admin only), same paging and filters as the other admin lists
+app.get('/api/admin/reviews', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const listQuery = buildListQuery(REVIEW_LIST, req.query);
+    if (!listQuery.success) {
+      return res.status(400).json({ message: listQuery.message, error_code: listQuery.error_code });
+    }
+    
+    const [rows] = await pool.execute(`
+      SELECT 
+        r.id, r.appointment_id, r.user_id, r.service_item_id, r.service_category_slug, r.rating, r.comment,
+        r.status, r.moderation_note, r.moderated_by, r.moderated_at, r.created_at,
+        u.fullName as customer_name, u.phone as customer_phone, si.name as service_item_name,
+        ${listQuery.cursorSelect}
+      FROM reviews r
+      LEFT JOIN users u ON r.user_id = u.id
+      LEFT JOIN service_items si ON r.service_item_id = si.id
+      ${listQuery.where}
+      ${listQuery.orderBy}
+      ${listQuery.limitClause}
+    `, listQuery.params);
+    
+    return res.json(buildPage(rows, listQuery));
+  } catch (error) {
+    console.error('Error fetching reviews:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Publish or hide a review (admin only). Hidden reviews don't count towards ratings.
+app.put('/api/admin/reviews/:id/moderation', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const { status, moderation_note } = req.body;
+    
+    const result = await moderateReview(pool, req.params.id, {
+      status,
+      note: moderation_note,
+      adminId: req.user.id
+    });
+    
+    if (!result.success) {
+      return res.status(result.error_code === 'REVIEW_NOT_FOUND' ? 404 : 400).json({
+        message: result.message,
+        error_code: result.error_code
+      });
+    }
+    
+    return res.json({
+      message: 'Review updated successfully',
+      review: result.review
+    });
+  } catch (error) {
+    console.error('Error moderating review:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Assign, reassign or unassign (technician_id: null) a technician (admin only)
+app.put('/api/admin/appointments/:id/technician', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { technician_id } = req.body;
+    
+    if (technician_id === undefined) {
+      return res.status(400).json({ message: 'technician_id is required (null to unassign)' });
+    }
+    
+    const result = await assignTechnician(pool, id, technician_id);
+    
+    if (!result.success) {
+      const statusCode = result.error_code === 'APPOINTMENT_NOT_FOUND' || result.error_code === 'TECHNICIAN_NOT_FOUND' ? 404 : 409;
+      return res.status(statusCode).json({
+        message: result.message,
+        error_code: result.error_code,
+        details: result.details
+      });
+    }
+    
+    return res.json({
+      message: technician_id ? 'Technician assigned successfully' : 'Technician unassigned successfully',
+      technician_id: technician_id || null,
+      previous_technician_id: result.previous_technician_id
+    });
+  } catch (error) {
+    console.error('Error assigning technician:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// List technicians who can take an appointment (admin only)
+app.get('/api/admin/appointments/:id/available-technicians', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const [appointments] = await pool.execute(
+      `SELECT id, DATE_FORMAT(appointment_date, '%Y-%m-%d') as appointment_date, appointment_time, service_category_slug
+       FROM appointments WHERE id = ?`,
+      [req.params.id]
+    );
+    
+    if (appointments.length === 0) {
+      return res.status(404).json({ message: 'Appointment not found' });
+    }
+    
+    const [technicians] = await pool.execute(
+      `SELECT t.id, u.fullName as full_name, u.phone
+       FROM technicians t JOIN users u ON t.user_id = u.id
+       WHERE t.is_active = TRUE ORDER BY u.fullName`
+    );
+    
+    const available = [];
+    for (const technician of technicians) {
+      const check = await checkAssignment(pool, technician.id, appointments[0]);
+      if (check.success) {
+        available.push(technician);
+      }
+    }
+    
+    return res.json(available);
+  } catch (error) {
+    console.error('Error fetching available technicians:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Admin API for managing technicians
+
+// Get all technicians (admin only)
+app.get('/api/admin/technicians', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const [technicians] = await pool.execute(`
+      SELECT t.id, t.user_id, t.is_active, t.notes, t.created_at,
+             u.fullName as full_name, u.phone, u.email,
+             (SELECT COUNT(*) FROM appointments a 
+              WHERE a.technician_id = t.id AND a.appointment_date >= CURDATE() AND a.status != 'cancelled') as upcoming_jobs
+      FROM technicians t
+      JOIN users u ON t.user_id = u.id
+      ORDER BY u.fullName
+    `);
+    
+    const [skills] = await pool.execute(`
+      SELECT ts.technician_id, sc.id, sc.name, sc.slug
+      FROM technician_skills ts
+      JOIN service_categories sc ON ts.service_category_id = sc.id
+    `);
+    
+    return res.json(technicians.map(technician => ({
+      ...technician,
+      skills: skills
+        .filter(skill => skill.technician_id === technician.id)
+        .map(({ id, name, slug }) => ({ id, name, slug }))
+    })));
+  } catch (error) {
+    console.error('Error fetching technicians:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get a technician with skills, working hours, days off and upcoming jobs (admin only)
+app.get('/api/admin/technicians/:id', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const technician = await getTechnician(pool, req.params.id);
+    
+    if (!technician) {
+      return res.status(404).json({ message: 'Technician not found' });
+    }
+    
+    const [jobs] = await pool.execute(
+      `SELECT id, service, DATE_FORMAT(appointment_date, '%Y-%m-%d') as appointment_date, appointment_time, status, location
+       FROM appointments
+       WHERE technician_id = ? AND appointment_date >= CURDATE() AND status != 'cancelled'
+       ORDER BY appointment_date, appointment_time`,
+      [req.params.id]
+    );
+    
+    return res.json({ ...technician, upcoming_jobs: jobs });
+  } catch (error) {
+    console.error('Error fetching technician:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// A technician's daily cash settlement (?date=, default today) (admin only)
+app.get('/api/admin/technicians/:id/settlement', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const date = dateParam(req.query.date);
+    if (!date) {
+      return res.status(400).json({ message: 'date must be in YYYY-MM-DD format' });
+    }
+    
+    const [technicians] = await pool.execute('SELECT id FROM technicians WHERE id = ?', [req.params.id]);
+    if (technicians.length === 0) {
+      return res.status(404).json({ message: 'Technician not found' });
+    }
+    
+    const settlement = await getTechnicianSettlement(pool, technicians[0].id, date);
+    return res.json(settlement);
+  } catch (error) {
+    console.error('Error fetching technician settlement:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Cash-on-delivery jobs whose collected cash doesn't match what was due, or completed without a collection
+// (admin only). ?date_from=&date_to= (appointment dates, default the last 7 days), optional ?technician_id=&type=
+app.get('/api/admin/cod/reconciliation', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const { technician_id, type } = req.query;
+    
+    if (type && !COD_DISCREPANCY_TYPES.includes(type)) {
+      return res.status(400).json({ message: `Type must be one of: ${COD_DISCREPANCY_TYPES.join(', ')}` });
+    }
+    
+    const weekAgo = new Date();
+    weekAgo.setDate(weekAgo.getDate() - 6);
+    const dateFrom = req.query.date_from === undefined ? formatDate(weekAgo) : dateParam(req.query.date_from);
+    const dateTo = dateParam(req.query.date_to);
+    
+    if (!dateFrom || !dateTo) {
+      return res.status(400).json({ message: 'date_from and date_to must be in YYYY-MM-DD format' });
+    }
+    if (dateFrom > dateTo) {
+      return res.status(400).json({ message: 'date_from must not be after date_to' });
+    }
+    
+    const report = await getCodDiscrepancies(pool, {
+      dateFrom,
+      dateTo,
+      technicianId: technician_id || null,
+      type: type || null
+    });
+    
+    return res.json({ date_from: dateFrom, date_to: dateTo, ...report });
+  } catch (error) {
+    console.error('Error fetching cash-on-delivery reconciliation:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create a technician from an existing user or a new phone number (admin only)
+app.post('/api/admin/technicians', authenticateToken, isAdmin, async (req, res) => {
+  let connection;
+  try {
+    const { user_id, fullName, phone, email, notes, skills = [], working_hours = [] } = req.body;
+    
+    if (!user_id && (!fullName || !phone)) {
+      return res.status(400).json({ message: 'Either user_id or fullName and phone are required' });
+    }
+    
+    if (!Array.isArray(skills)) {
+      return res.status(400).json({ message: 'skills must be an array of service category ids' });
+    }
+    
+    const hoursError = validateWorkingHours(working_hours);
+    if (hoursError) {
+      return res.status(400).json({ message: hoursError });
+    }
+    
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+    
+    let userId = user_id;
+    if (!userId) {
+      const [existingUsers] = await connection.execute('SELECT id FROM users WHERE phone = ?', [phone]);
+      
+      if (existingUsers.length > 0) {
+        userId = existingUsers[0].id;
+      } else {
+        // Technicians log in with OTP like customers, the password is only a placeholder
+        const hashedPassword = await bcrypt.hash(phone + '_otp_login', 10);
+        const [userResult] = await connection.execute(
+          'INSERT INTO users (phone, fullName, email, password, registered_via_otp) VALUES (?, ?, ?, ?, ?)',
+          [phone, fullName, email || null, hashedPassword, true]
+        );
+        userId = userResult.insertId;
+      }
+    } else {
+      const [users] = await connection.execute('SELECT id FROM users WHERE id = ?', [userId]);
+      if (users.length === 0) {
+        await connection.rollback();
+        connection.release();
+        return res.status(404).json({ message: 'User not found' });
+      }
+    }
+    
+    const [result] = await connection.execute(
+      'INSERT INTO technicians (user_id, notes) VALUES (?, ?)',
+      [userId, notes || null]
+    );
+    
+    await setSkills(connection, result.insertId, skills);
+    await setWorkingHours(connection, result.insertId, working_hours);
+    
+    await connection.commit();
+    connection.release();
+    
+    const technician = await getTechnician(pool, result.insertId);
+    
+    return res.status(201).json({
+      message: 'Technician created successfully',
+      technician
+    });
+  } catch (error) {
+    if (connection) {
+      try { await connection.rollback(); } catch (e) { /* ignore */ }
+      connection.release();
+    }
+    console.error('Error creating technician:', error);
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(400).json({ message: 'This user is already a technician or the email is in use' });
+    }
+    if (error.code === 'ER_NO_REFERENCED_ROW_2') {
+      return res.status(400).json({ message: 'One or more skills reference an unknown service category' });
+    }
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update technician profile, skills and working hours (admin only)
+app.put('/api/admin/technicians/:id', authenticateToken, isAdmin, async (req, res) => {
+  let connection;
+  try {
+    const { id } = req.params;
+    const { is_active, notes, skills, working_hours } = req.body;
+    
+    if (skills !== undefined && !Array.isArray(skills)) {
+      return res.status(400).json({ message: 'skills must be an array of service category ids' });
+    }
+    
+    if (working_hours !== undefined) {
+      const hoursError = validateWorkingHours(working_hours);
+      if (hoursError) {
+        return res.status(400).json({ message: hoursError });
+      }
+    }
+    
+    const [existing] = await pool.execute('SELECT id FROM technicians WHERE id = ?', [id]);
+    if (existing.length === 0) {
+      return res.status(404).json({ message: 'Technician not found' });
+    }
+    
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+    
+    if (is_active !== undefined || notes !== undefined) {
+      await connection.execute(
+        'UPDATE technicians SET is_active = COALESCE(?, is_active), notes = COALESCE(?, notes) WHERE id = ?',
+        [is_active === undefined ? null : is_active, notes === undefined ? null : notes, id]
+      );
+    }
+    
+    if (skills !== undefined) {
+      await setSkills(connection, id, skills);
+    }
+    
+    if (working_hours !== undefined) {
+      await setWorkingHours(connection, id, working_hours);
+    }
+    
+    await connection.commit();
+    connection.release();
+    
+    const technician = await getTechnician(pool, id);
+    
+    return res.json({
+      message: 'Technician updated successfully',
+      technician
+    });
+  } catch (error) {
+    if (connection) {
+      try { await connection.rollback(); } catch (e) { /* ignore */ }
+      connection.release();
+    }
+    console.error('Error updating technician:', error);
+    if (error.code === 'ER_NO_REFERENCED_ROW_2') {
+      return res.status(400).json({ message: 'One or more skills reference an unknown service category' });
+    }
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete technician (admin only) - their jobs become unassigned
+app.delete('/api/admin/technicians/:id', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const [result] = await pool.execute('DELETE FROM technicians WHERE id = ?', [req.params.id]);
+    
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ message: 'Technician not found' });
+    }
+    
+    return res.json({ message: 'Technician deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting technician:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Add a day off for a technician (admin only)
+app.post('/api/admin/technicians/:id/days-off', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { date, reason } = req.body;
+    
+    if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return res.status(400).json({ message: 'Invalid date format. Please provide date in YYYY-MM-DD format' });
+    }
+    
+    const [existing] = await pool.execute('SELECT id FROM technicians WHERE id = ?', [id]);
+    if (existing.length === 0) {
+      return res.status(404).json({ message: 'Technician not found' });
+    }
+    
+    await pool.execute(
+      `INSERT INTO technician_days_off (technician_id, date, reason) VALUES (?, ?, ?)
+       ON DUPLICATE KEY UPDATE reason = VALUES(reason)`,
+      [id, date, reason || null]
+    );
+    
+    // Jobs already assigned on that day need someone else
+    const [assignedJobs] = await pool.execute(
+      `SELECT id FROM appointments WHERE technician_id = ? AND appointment_date = ? AND status != 'cancelled'`,
+      [id, date]
+    );
+    
+    return res.status(201).json({
+      message: 'Day off added successfully',
+      date,
+      jobs_to_reassign: assignedJobs.map(job => job.id)
+    });
+  } catch (error) {
+    console.error('Error adding technician day off:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Remove a technician day off (admin only)
+app.delete('/api/admin/technicians/:id/days-off/:date', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const [result] = await pool.execute(
+      'DELETE FROM technician_days_off WHERE technician_id = ? AND date = ?',
+      [req.params.id, req.params.date]
+    );
+    
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ message: 'Day off not found' });
+    }
+    
+    return res.json({ message: 'Day off removed successfully' });
+  } catch (error) {
+    console.error('Error removing technician day off:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// A customer's wallet balance and history (admin only)
+app.get('/api/admin/users/:id/wallet', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const [users] = await pool.execute('SELECT id FROM users WHERE id = ?', [req.params.id]);
+    
+    if (users.length === 0) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    return await sendWallet(res, users[0].id, req.query);
+  } catch (error) {
+    console.error('Error fetching wallet:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Grant store credit (type 'credit', e.g. instead of a cash refund when we cancel) or take it back
+// (type 'debit') (admin only). Body: amount, reason, optional appointment_id.
+app.post('/api/admin/users/:id/wallet/transactions', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const { type = 'credit', amount, reason, appointment_id } = req.body;
+    
+    if (!WALLET_ENTRY_TYPES.includes(type)) {
+      return res.status(400).json({ message: `Type must be one of: ${WALLET_ENTRY_TYPES.join(', ')}` });
+    }
+    
+    const validation = validateWalletAmount(amount);
+    if (validation.error) {
+      return res.status(400).json({ message: validation.error });
+    }
+    
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({ message: 'A reason is required' });
+    }
+    
+    if (appointment_id) {
+      const [appointments] = await pool.execute(
+        'SELECT id FROM appointments WHERE id = ? AND user_id = ?',
+        [appointment_id, req.params.id]
+      );
+      if (appointments.length === 0) {
+        return res.status(400).json({ message: 'appointment_id is not an appointment of this user' });
+      }
+    }
+    
+    const result = await recordWalletEntry(pool, {
+      userId: req.params.id,
+      type,
+      amount: validation.amount,
+      reason: String(reason).trim().slice(0, 500),
+      source: 'admin',
+      appointmentId: appointment_id || null,
+      createdBy: req.user.id
+    });
+    
+    if (!result.success) {
+      const status = result.error_code === 'USER_NOT_FOUND' ? 404 : 409;
+      return res.status(status).json({ message: result.message, error_code: result.error_code, details: result.details });
+    }
+    
+    return res.status(201).json(result.entry);
+  } catch (error) {
+    console.error('Error recording wallet transaction:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+const GIFT_CARD_LIST = {
+  filters: {
+    status: { column: 'gc.status', type: 'list', values: GIFT_CARD_STATUSES },
+    purchaser_user_id: { column: 'gc.purchaser_user_id', type: 'eq' },
+    category: { column: 'gc.service_category_slug', type: 'list' },
+    date_from: { column: 'gc.created_at', type: 'gte' },
+    date_to: { column: 'gc.created_at', type: 'lte' }
+  },
+  searchColumns: ['gc.code', 'gc.recipient_name', 'gc.recipient_email', 'u.fullName', 'u.email'],
+  sorts: {
+    created_at: [
+      { column: 'gc.created_at', cursor: "DATE_FORMAT(gc.created_at, '%Y-%m-%d %H:%i:%s')" },
+      { column: 'gc.id' }
+    ],
+    expires_at: [
+      // Cards that never expire sort after every dated one
+      { column: 'gc.expires_at', cursor: "DATE_FORMAT(gc.expires_at, '%Y-%m-%d %H:%i:%s')", nullsAs: "'9999-12-31 23:59:59'" },
+      { column: 'gc.id' }
+    ]
+  },
+  defaultSort: 'created_at',
+  defaultOrder: 'desc'
+};
+
+// Everything an admin sees of a card
+function formatAdminGiftCard(card) {
+  return {
+    ...formatGiftCard(card),
+    recipient_email: card.recipient_email,
+    message: card.message,
+    order_id: card.order_id,
+    purchaser_user_id: card.purchaser_user_id,
+    purchaser_name: card.purchaser_name,
+    purchaser_email: card.purchaser_email,
+    created_by: card.created_by,
+    voided_at: card.voided_at,
+    voided_by: card.voided_by,
+    void_reason: card.void_reason
+  };
+}
+
+// List gift cards (admin only). Search matches the code, recipient and purchaser.
+app.get('/api/admin/gift-cards', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const paginate = wantsPagination(req.query);
+    const listQuery = buildListQuery(GIFT_CARD_LIST, req.query, { paginate });
+    if (!listQuery.success) {
+      return res.status(400).json({ message: listQuery.message, error_code: listQuery.error_code });
+    }
+    
+    const [rows] = await pool.execute(`
+      SELECT 
+        gc.*,
+        u.fullName as purchaser_name,
+        u.email as purchaser_email,
+        ${listQuery.cursorSelect}
+      FROM gift_cards gc
+      LEFT JOIN users u ON gc.purchaser_user_id = u.id
+      ${listQuery.where}
+      ${listQuery.orderBy}
+      ${listQuery.limitClause}
+    `, listQuery.params);
+    
+    const page = buildPage(rows, listQuery);
+    page.data = page.data.map(formatAdminGiftCard);
+    return res.json(paginate ? page : page.data);
+  } catch (error) {
+    console.error('Error fetching gift cards for admin:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// A gift card with its redemptions and refunds (admin only)
+app.get('/api/admin/gift-cards/:id', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const [cards] = await pool.execute(
+      `SELECT gc.*, u.fullName as purchaser_name, u.email as purchaser_email
+       FROM gift_cards gc LEFT JOIN users u ON gc.purchaser_user_id = u.id
+       WHERE gc.id = ?`,
+      [req.params.id]
+    );
+    
+    if (cards.length === 0) {
+      return res.status(404).json({ message: 'Gift card not found' });
+    }
+    
+    return res.json({
+      ...formatAdminGiftCard(cards[0]),
+      transactions: await getGiftCardTransactions(pool, cards[0].id)
+    });
+  } catch (error) {
+    console.error('Error fetching gift card:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Issue a complimentary gift card, active straight away (admin only). Same body as a purchase,
+// recipient_email is optional and the recipient is only emailed when it is given.
+app.post('/api/admin/gift-cards', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const validation = validateGiftCardInput(req.body, { requireRecipient: false });
+    if (validation.error) {
+      return res.status(400).json({ message: validation.error });
+    }
+    
+    const categoryError = await checkGiftCardCategory(validation.values.serviceCategorySlug);
+    if (categoryError) {
+      return res.status(400).json({ message: categoryError });
+    }
+    
+    const card = await issueGiftCard(pool, validation.values, { createdBy: req.user.id });
+    
+    return res.status(201).json(formatAdminGiftCard(card));
+  } catch (error) {
+    console.error('Error issuing gift card:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Void a gift card so it can no longer be spent (admin only). Body: optional reason.
+app.post('/api/admin/gift-cards/:id/void', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const { reason } = req.body;
+    
+    const result = await voidGiftCard(pool, req.params.id, {
+      voidedBy: req.user.id,
+      reason: reason ? String(reason).trim().slice(0, 500) : null
+    });
+    
+    if (!result.success) {
+      const status = result.error_code === 'GIFT_CARD_NOT_FOUND' ? 404 : 409;
+      return res.status(status).json({ message: result.message, error_code: result.error_code });
+    }
+    
+    return res.json(formatAdminGiftCard(result.gift_card));
+  } catch (error) {
+    console.error('Error voiding gift card:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Tax invoice and credit notes of an appointment (admin only)
+app.get('/api/admin/appointments/:id/invoices', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const [appointment] = await pool.execute('SELECT id FROM appointments WHERE id = ?', [req.params.id]);
+    
+    if (appointment.length === 0) {
+      return res.status(404).json({ message: 'Appointment not found' });
+    }
+    
+    const invoices = await listAppointmentInvoices(pool, req.params.id);
+    
+    return res.json(invoices);
+  } catch (error) {
+    console.error('Error fetching invoices:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Issue the tax invoice of a fully paid or completed appointment (admin only). Returns the existing one if already issued.
+app.post('/api/admin/appointments/:id/invoices', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const result = await issueInvoice(pool, req.params.id, { issuedBy: req.user.id });
+    
+    if (!result.success) {
+      const status = result.error_code === 'APPOINTMENT_NOT_FOUND' ? 404
+        : result.error_code === 'COMPANY_TRN_NOT_CONFIGURED' ? 503 : 409;
+      return res.status(status).json({ message: result.message, error_code: result.error_code });
+    }
+    
+    return res.status(result.created ? 201 : 200).json(result.invoice);
+  } catch (error) {
+    console.error('Error issuing invoice:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Download a tax document of an appointment (admin only, ?format=pdf or html)
+app.get('/api/admin/appointments/:id/invoices/:invoiceId', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const format = req.query.format || 'pdf';
+    if (!DOCUMENT_FORMATS.includes(format)) {
+      return res.status(400).json({ message: `Format must be one of: ${DOCUMENT_FORMATS.join(', ')}` });
+    }
+    
+    const invoice = await getInvoice(pool, req.params.invoiceId, { appointmentId: req.params.id });
+    if (!invoice) {
+      return res.status(404).json({ message: 'Invoice not found' });
+    }
+    
+    return sendInvoiceDocument(res, invoice, format);
+  } catch (error) {
+    console.error('Error downloading invoice:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Credit an appointment's invoice, e.g. after a cancellation (admin only)
+// Optional: amount including VAT (default: everything not yet credited), reason.
+// Completed refunds are credited automatically.
+app.post('/api/admin/appointments/:id/credit-notes', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const { amount, reason } = req.body;
+    
+    const result = await issueCreditNote(pool, {
+      appointmentId: req.params.id,
+      amount,
+      reason: reason ? String(reason).slice(0, 500) : null,
+      issuedBy: req.user.id
+    });
+    
+    if (!result.success) {
+      const status = result.error_code === 'INVALID_CREDIT_AMOUNT' ? 400
+        : result.error_code === 'INVOICE_NOT_FOUND' ? 404
+        : result.error_code === 'COMPANY_TRN_NOT_CONFIGURED' ? 503 : 409;
+      return res.status(status).json({ message: result.message, error_code: result.error_code, details: result.details });
+    }
+    
+    return res.status(201).json(result.invoice);
+  } catch (error) {
+    console.error('Error issuing credit note:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Payments that don't match their appointment (admin only)
+// Optional: type, one of MISMATCH_TYPES
+app.get('/api/admin/payments/mismatches', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const { type } = req.query;
+    
+    if (type && !MISMATCH_TYPES.includes(type)) {
+      return res.status(400).json({ message: `Type must be one of: ${MISMATCH_TYPES.join(', ')}` });
+    }
+    
+    const report = await getPaymentMismatches(pool, { type: type || null });
+    
+    return res.json(report);
+  } catch (error) {
+    console.error('Error fetching payment mismatches:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Check stale pending payments against Ziina now instead of waiting for the next run (admin only)
+app.post('/api/admin/payments/reconcile', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const summary = await reconcilePendingPayments(pool);
+    
+    return res.json(summary);
+  } catch (error) {
+    console.error('Error reconciling payments:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Financial reports (admin only): revenue, payments, discounts or vat.
+// ?date_from=&date_to= (default this month so far), ?group_by= (see reportService), ?format=csv to download
+app.get('/api/admin/reports/:report', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const { group_by, format = 'json' } = req.query;
+    
+    if (format !== 'json' && format !== 'csv') {
+      return res.status(400).json({ message: 'format must be either json or csv' });
+    }
+    
+    const today = new Date();
+    const dateFrom = req.query.date_from === undefined
+      ? formatDate(new Date(today.getFullYear(), today.getMonth(), 1))
+      : dateParam(req.query.date_from);
+    const dateTo = dateParam(req.query.date_to);
+    
+    if (!dateFrom || !dateTo) {
+      return res.status(400).json({ message: 'date_from and date_to must be in YYYY-MM-DD format' });
+    }
+    if (dateFrom > dateTo) {
+      return res.status(400).json({ message: 'date_from must not be after date_to' });
+    }
+    
+    const result = await buildFinancialReport(pool, req.params.report, { dateFrom, dateTo, groupBy: group_by || null });
+    
+    if (!result.success) {
+      const status = result.error_code === 'REPORT_NOT_FOUND' ? 404 : 400;
+      return res.status(status).json({ message: result.message, error_code: result.error_code });
+    }
+    
+    if (format === 'csv') {
+      const { report } = result;
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="${report.report}-${report.date_from}-to-${report.date_to}-by-${report.group_by}.csv"`);
+      return res.send(reportToCsv(report));
+    }
+    
+    return res.json(result.report);
+  } catch (error) {
+    console.error('Error building financial report:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Refund an appointment's payments through the providers that took them (admin only)
+// Optional: amount for a partial refund (default: everything still refundable), reason
+app.post('/api/admin/appointments/:id/refunds', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { amount, reason } = req.body;
+    
+    const [appointment] = await pool.execute('SELECT id FROM appointments WHERE id = ?', [id]);
+    
+    if (appointment.length === 0) {
+      return res.status(404).json({ message: 'Appointment not found' });
+    }
+    
+    const result = await createRefund(pool, {
+      appointmentId: id,
+      amount,
+      reason: reason ? String(reason).slice(0, 500) : null,
+      requestedBy: req.user.id,
+      requestedByType: 'admin'
+    });
+    
+    if (!result.success) {
+      const status = result.error_code === 'INVALID_REFUND_AMOUNT' ? 400 : 409;
+      return res.status(status).json({ message: result.message, error_code: result.error_code, details: result.details });
+    }
+    
+    // A refund Ziina rejected is still recorded, as failed with the reason. A refund spread over
+    // several payments answers with the first part and lists every part in refunds.
+    return res.status(201).json({ ...result.refund, refunds: result.refunds });
+  } catch (error) {
+    console.error('Error creating refund:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Refunds of an appointment and what is left to refund per payment (admin only)
+app.get('/api/admin/appointments/:id/refunds', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const [appointment] = await pool.execute('SELECT id FROM appointments WHERE id = ?', [req.params.id]);
+    
+    if (appointment.length === 0) {
+      return res.status(404).json({ message: 'Appointment not found' });
+    }
+    
+    const refunds = await getAppointmentRefunds(pool, req.params.id);
+    const payments = await getRefundablePayments(pool, req.params.id);
+    
+    return res.json({ refunds, payments });
+  } catch (error) {
+    console.error('Error fetching refunds:', error);
     return res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Add new available date (admin only)
-app.post('/api/admin/available-dates', authenticateToken, isAdmin, async (req, res) => {
+// Fetch the latest status of a refund from Ziina, for when a webhook was missed (admin only)
+app.post('/api/admin/refunds/:id/sync', authenticateToken, isAdmin, async (req, res) => {
   try {
-    const { date, is_available, max_appointments, service_category_id } = req.body;
+    const result = await syncRefund(pool, req.params.id);
     
-    if (!date) {
-      return res.status(400).json({ message: 'Date is required' });
+    if (!result.success) {
+      return res.status(404).json({ message: result.message, error_code: result.error_code });
     }
     
-    const [result] = await pool.execute(
-      'INSERT INTO available_dates (date, is_available, max_appointments, service_category_id, created_by) VALUES (?, ?, ?, ?, ?)',
-      [date, is_available !== undefined ? is_available : true, max_appointments || 10, service_category_id || null, req.user.id]
-    );
-    
-    return res.status(201).json({ 
-      message: 'Available date added successfully',
-      date_id: result.insertId
-    });
+    return res.json(result.refund);
   } catch (error) {
-    console.error('Error adding available date:', error);
-    if (error.code === 'ER_DUP_ENTRY') {
-      return res.status(400).json({ message: 'Date already exists' });
-    }
+    console.error('Error syncing refund:', error);
     return res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Update available date (admin only)
-app.put('/api/admin/available-dates/:id', authenticateToken, isAdmin, async (req, res) => {
+// Generate shareable link for appointment (admin only)
+// Optional: scope ('limited' hides the customer's phone, notes and exact address; 'full' shows everything),
+// label, and expires_in_days (default 30) or expires_at
+app.post('/api/admin/appointments/:id/share', authenticateToken, isAdmin, async (req, res) => {
   try {
     const { id } = req.params;
-    const { date, is_available, max_appointments, service_category_id } = req.body;
+    const { scope = DEFAULT_SHARE_SCOPE, label } = req.body;
     
-    let updateQuery = 'UPDATE available_dates SET ';
-    const updateValues = [];
-    
-    if (date) {
-      updateQuery += 'date = ?, ';
-      updateValues.push(date);
-    }
+    // Check if appointment exists
+    const [appointment] = await pool.execute(
+      'SELECT id FROM appointments WHERE id = ?',
+      [id]
+    );
     
-    if (is_available !== undefined) {
-      updateQuery += 'is_available = ?, ';
-      updateValues.push(is_available);
+    if (appointment.length === 0) {
+      return res.status(404).json({ message: 'Appointment not found' });
     }
     
-    if (max_appointments !== undefined) {
-      updateQuery += 'max_appointments = ?, ';
-      updateValues.push(max_appointments);
+    if (!SHARE_SCOPES.includes(scope)) {
+      return res.status(400).json({ message: `Scope must be one of: ${SHARE_SCOPES.join(', ')}` });
     }
     
-    if (service_category_id !== undefined) {
-      updateQuery += 'service_category_id = ?, ';
-      updateValues.push(service_category_id);
+    const expiry = resolveExpiry(req.body);
+    if (expiry.error) {
+      return res.status(400).json({ message: expiry.error });
     }
     
-    // Remove trailing comma and space
-    updateQuery = updateQuery.slice(0, -2);
-    updateQuery += ' WHERE id = ?';
-    updateValues.push(id);
-    
-    await pool.execute(updateQuery, updateValues);
+    const link = await createShareLink(pool, {
+      appointmentId: id,
+      scope,
+      label: label ? String(label).slice(0, 100) : null,
+      expiresAt: expiry.expiresAt,
+      createdBy: req.user.id
+    });
     
-    return res.json({ message: 'Available date updated successfully' });
+    res.json({
+      id: link.id,
+      shareToken: link.share_token,
+      shareUrl: link.share_url,
+      expiresAt: link.expires_at.toISOString(),
+      scope: link.scope,
+      label: link.label
+    });
   } catch (error) {
-    console.error('Error updating available date:', error);
+    console.error('Error generating share link:', error);
     return res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Delete available date (admin only)
-app.delete('/api/admin/available-dates/:id', authenticateToken, isAdmin, async (req, res) => {
+// List share links of an appointment with their state and view counts (admin only)
+app.get('/api/admin/appointments/:id/shares', authenticateToken, isAdmin, async (req, res) => {
   try {
-    const { id } = req.params;
+    const [appointment] = await pool.execute('SELECT id FROM appointments WHERE id = ?', [req.params.id]);
     
-    await pool.execute('DELETE FROM available_dates WHERE id = ?', [id]);
+    if (appointment.length === 0) {
+      return res.status(404).json({ message: 'Appointment not found' });
+    }
     
-    return res.json({ message: 'Available date deleted successfully' });
+    const links = await listShareLinks(pool, req.params.id);
+    
+    return res.json(links);
   } catch (error) {
-    console.error('Error deleting available date:', error);
+    console.error('Error fetching share links:', error);
     return res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Admin API for managing time slots
-app.get('/api/admin/available-time-slots', authenticateToken, isAdmin, async (req, res) => {
+// Who opened the appointment's share links and when (admin only)
+app.get('/api/admin/appointments/:id/shares/access-log', authenticateToken, isAdmin, async (req, res) => {
   try {
-    if (!pool) {
-      return res.status(500).json({ message: 'Database not available' });
-    }
-    
-    const { date, categoryId } = req.query;
-    let query = `
-      SELECT ats.id, ats.start_time, ats.end_time, ats.is_available, ats.extra_price, 
-             ats.max_appointments, ats.created_at, ats.date, ats.service_category_id,
-             sc.name as service_category_name, sc.slug as service_category_slug
-      FROM available_time_slots ats
-      LEFT JOIN service_categories sc ON ats.service_category_id = sc.id
-    `;
-    let params = [];
+    const [appointment] = await pool.execute('SELECT id FROM appointments WHERE id = ?', [req.params.id]);
     
-    if (date || categoryId) {
-      query += ' WHERE ';
-      let conditions = [];
-      
-      if (date) {
-        conditions.push('DATE(ats.date) = ?');
-        params.push(date);
-      }
-      
-      if (categoryId) {
-        conditions.push('(ats.service_category_id = ? OR ats.service_category_id IS NULL)');
-        params.push(categoryId);
-      }
-      
-      query += conditions.join(' AND ');
+    if (appointment.length === 0) {
+      return res.status(404).json({ message: 'Appointment not found' });
     }
     
-    query += ' ORDER BY ats.date DESC, ats.start_time ASC';
+    const entries = await getShareAccessLog(pool, req.params.id, req.query.limit);
     
-    const [rows] = await pool.execute(query, params);
-    res.json(rows);
+    return res.json(entries);
   } catch (error) {
-    console.error('Error fetching time slots:', error);
-    res.status(500).json({ message: 'Internal server error' });
+    console.error('Error fetching share access log:', error);
+    return res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Add new time slot (admin only)
-app.post('/api/admin/available-time-slots', authenticateToken, isAdmin, async (req, res) => {
+// Revoke a share link (admin only). The link stops working straight away.
+app.delete('/api/admin/appointments/:id/shares/:shareId', authenticateToken, isAdmin, async (req, res) => {
   try {
-    if (!pool) {
-      return res.status(500).json({ message: 'Database not available' });
-    }
-    
-    const { start_time, end_time, is_available, extra_price = 0, max_appointments = 1, date, service_category_id } = req.body;
+    const result = await revokeShareLink(pool, {
+      appointmentId: req.params.id,
+      shareId: req.params.shareId,
+      revokedBy: req.user.id
+    });
     
-    // Validate required fields
-    if (!start_time || !end_time || !date) {
-      return res.status(400).json({ message: 'Start time, end time, and date are required' });
+    if (!result.success) {
+      return res.status(result.error_code === 'SHARE_NOT_FOUND' ? 404 : 409).json({
+        message: result.message,
+        error_code: result.error_code
+      });
     }
+    
+    return res.json({ message: 'Share link revoked successfully' });
+  } catch (error) {
+    console.error('Error revoking share link:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
 
-    // Validate time format
-    const timeRegex = /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/;
-    if (!timeRegex.test(start_time) || !timeRegex.test(end_time)) {
-      return res.status(400).json({ message: 'Invalid time format. Use HH:MM format' });
+// Get shared appointment details (public access, no auth required)
+// Every open is logged; a logged in viewer's token is used to record who it was.
+app.get('/api/shared-appointment/:token', async (req, res) => {
+  try {
+    const { token } = req.params;
+    
+    let viewerUserId = null;
+    const authHeader = req.headers['authorization'];
+    const bearer = authHeader && authHeader.split(' ')[1];
+    if (bearer) {
+      try {
+        viewerUserId = jwt.verify(bearer, JWT_SECRET).id;
+      } catch (e) {
+        // Invalid or expired token: treat as an anonymous viewer
+      }
     }
-
-    // Validate that end time is after start time
-    if (start_time >= end_time) {
-      return res.status(400).json({ message: 'End time must be after start time' });
+    
+    const result = await openShareLink(pool, token, {
+      viewerUserId,
+      ipAddress: req.headers['x-forwarded-for'] ? req.headers['x-forwarded-for'].split(',')[0].trim() : req.socket.remoteAddress,
+      userAgent: req.headers['user-agent']
+    });
+    
+    if (!result.success) {
+      return res.status(404).json({ message: result.message, error_code: result.error_code });
     }
-
-    // Check for overlapping time slots on the same date and category
-    const [overlapping] = await pool.execute(
-      `SELECT id FROM available_time_slots 
-       WHERE date = ? AND is_available = 1 
-       AND (service_category_id = ? OR (service_category_id IS NULL AND ? IS NULL))
-       AND (
-         (start_time <= ? AND end_time > ?) OR
-         (start_time < ? AND end_time >= ?) OR
-         (start_time >= ? AND end_time <= ?)
-       )`,
-      [date, service_category_id, service_category_id, start_time, start_time, end_time, end_time, start_time, end_time]
-    );
-
-    if (overlapping.length > 0) {
-      return res.status(400).json({ message: 'Time slot overlaps with existing available slot' });
+    
+    const appointmentData = await getSharedAppointmentView(pool, result.link);
+    
+    if (!appointmentData) {
+      return res.status(404).json({ message: 'Appointment not found' });
     }
+    
+    res.json(appointmentData);
+  } catch (error) {
+    console.error('Error fetching shared appointment:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
 
-    // Insert new time slot
-    const [result] = await pool.execute(
-      'INSERT INTO available_time_slots (start_time, end_time, is_available, extra_price, max_appointments, date, service_category_id) VALUES (?, ?, ?, ?, ?, ?, ?)',
-      [start_time, end_time, is_available, extra_price, max_appointments, date, service_category_id]
-    );
+// Technician Jobs API (for field staff)
 
-    res.status(201).json({
-      id: result.insertId,
-      start_time,
-      end_time,
-      is_available,
-      extra_price,
-      date,
-      service_category_id,
-      message: 'Time slot created successfully'
-    });
+// Get the technician profile of the logged in user
+app.get('/api/technician/profile', authenticateToken, isTechnician, async (req, res) => {
+  try {
+    const technician = await getTechnician(pool, req.technician.id);
+    return res.json(technician);
   } catch (error) {
-    console.error('Error creating time slot:', error);
-    res.status(500).json({ message: 'Internal server error' });
+    console.error('Error fetching technician profile:', error);
+    return res.status(500).json({ message: 'Server error' });
   }
 });
 
-// PUT /api/admin/available-time-slots/:id - Update time slot (admin)
-app.put('/api/admin/available-time-slots/:id', authenticateToken, isAdmin, async (req, res) => {
+// Get assigned jobs - ?scope=today (default) or ?scope=upcoming
+app.get('/api/technician/jobs', authenticateToken, isTechnician, async (req, res) => {
   try {
-    if (!pool) {
-      return res.status(500).json({ message: 'Database not available' });
+    const scope = req.query.scope || 'today';
+    
+    if (scope !== 'today' && scope !== 'upcoming') {
+      return res.status(400).json({ message: 'scope must be either today or upcoming' });
     }
     
-    const { id } = req.params;
-    const { start_time, end_time, is_available, extra_price, max_appointments, service_category_id } = req.body;
-
-    // Check if time slot exists
-    const [existing] = await pool.execute(
-      'SELECT * FROM available_time_slots WHERE id = ?',
-      [id]
-    );
+    const jobs = await getTechnicianJobs(pool, req.technician.id, scope);
+    return res.json(jobs);
+  } catch (error) {
+    console.error('Error fetching technician jobs:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
 
-    if (existing.length === 0) {
-      return res.status(404).json({ message: 'Time slot not found' });
+// Get a single assigned job with its recorded actions
+app.get('/api/technician/jobs/:id', authenticateToken, isTechnician, async (req, res) => {
+  try {
+    const job = await getTechnicianJob(pool, req.technician.id, req.params.id);
+    
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found or not assigned to you' });
     }
-
-    const currentSlot = existing[0];
     
-    // If updating time fields, validate them
-    if (start_time || end_time) {
-      const newStartTime = start_time || currentSlot.start_time;
-      const newEndTime = end_time || currentSlot.end_time;
+    return res.json(job);
+  } catch (error) {
+    console.error('Error fetching technician job:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Shared handler for the job actions below. Optional latitude/longitude are recorded with the action.
+// Completing a cash-on-delivery job can record the cash taken with cash_collected (and cash_notes).
+function technicianJobAction(action) {
+  return async (req, res) => {
+    try {
+      const { latitude, longitude, cash_collected, cash_notes } = req.body;
       
-      // Validate time format
-      const timeRegex = /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/;
-      if (!timeRegex.test(newStartTime) || !timeRegex.test(newEndTime)) {
-        return res.status(400).json({ message: 'Invalid time format. Use HH:MM format' });
+      const coordinatesError = validateCoordinates(latitude, longitude);
+      if (coordinatesError) {
+        return res.status(400).json({ message: coordinatesError });
       }
-
-      // Validate that end time is after start time
-      if (newStartTime >= newEndTime) {
-        return res.status(400).json({ message: 'End time must be after start time' });
+      
+      let cashCollected = null;
+      if (action === 'completed' && cash_collected !== undefined) {
+        const validation = validateCollectedAmount(cash_collected);
+        if (validation.error) {
+          return res.status(400).json({ message: validation.error });
+        }
+        cashCollected = validation.amount;
       }
-
-      // Check for overlapping time slots on the same date (excluding current slot)
-      const [overlapping] = await pool.execute(
-        `SELECT id FROM available_time_slots 
-         WHERE id != ? AND date = ? AND is_available = 1 
-         AND (
-           (start_time <= ? AND end_time > ?) OR
-           (start_time < ? AND end_time >= ?) OR
-           (start_time >= ? AND end_time <= ?)
-         )`,
-        [id, currentSlot.date, newStartTime, newStartTime, newEndTime, newEndTime, newStartTime, newEndTime]
-    );
-
-      if (overlapping.length > 0) {
-        return res.status(400).json({ message: 'Time slot overlaps with existing available slot' });
+      
+      const result = await recordJobAction(pool, {
+        technicianId: req.technician.id,
+        userId: req.user.id,
+        appointmentId: req.params.id,
+        action,
+        latitude: latitude === undefined ? null : Number(latitude),
+        longitude: longitude === undefined ? null : Number(longitude),
+        cashCollected,
+        cashNotes: cash_notes ? String(cash_notes).trim().slice(0, 500) : null
+      });
+      
+      if (!result.success) {
+        return res.status(result.error_code === 'JOB_NOT_FOUND' ? 404 : 409).json({
+          message: result.message,
+          error_code: result.error_code,
+          details: result.details
+        });
       }
+      
+      return res.json({
+        message: 'Job updated successfully',
+        action,
+        status: result.status
+      });
+    } catch (error) {
+      console.error(`Error recording technician job action ${action}:`, error);
+      return res.status(500).json({ message: 'Server error' });
     }
+  };
+}
 
-    // Update the time slot
-    const [result] = await pool.execute(
-      `UPDATE available_time_slots 
-       SET start_time = COALESCE(?, start_time),
-           end_time = COALESCE(?, end_time),
-           is_available = COALESCE(?, is_available),
-           extra_price = COALESCE(?, extra_price),
-           max_appointments = COALESCE(?, max_appointments),
-           service_category_id = ?,
-           updated_at = NOW()
-       WHERE id = ?`,
-      [start_time, end_time, is_available, extra_price, max_appointments, service_category_id, id]
-    );
+// Technician is on the way to the customer (status stays confirmed)
+app.post('/api/technician/jobs/:id/on-my-way', authenticateToken, isTechnician, technicianJobAction('on_my_way'));
 
-    if (result.affectedRows === 0) {
-      return res.status(404).json({ message: 'Time slot not found' });
-    }
+// Technician started the job (confirmed -> in-progress)
+app.post('/api/technician/jobs/:id/start', authenticateToken, isTechnician, technicianJobAction('started'));
 
-    // Fetch updated time slot
-    const [updated] = await pool.execute(
-      'SELECT * FROM available_time_slots WHERE id = ?',
-      [id]
-    );
+// Technician completed the job (in-progress -> completed)
+app.post('/api/technician/jobs/:id/complete', authenticateToken, isTechnician, technicianJobAction('completed'));
 
-    res.json({
-      message: 'Time slot updated successfully',
-      timeSlot: updated[0]
+// Record the cash taken at a completed cash-on-delivery job, when it wasn't given on completion.
+// Body: cash_collected, optional notes. It can only be recorded once.
+app.post('/api/technician/jobs/:id/cash-collection', authenticateToken, isTechnician, async (req, res) => {
+  try {
+    const { cash_collected, notes } = req.body;
+    
+    const validation = validateCollectedAmount(cash_collected);
+    if (validation.error) {
+      return res.status(400).json({ message: validation.error });
+    }
+    
+    const result = await recordCodCollectionForJob(pool, {
+      appointmentId: req.params.id,
+      technicianId: req.technician.id,
+      userId: req.user.id,
+      amount: validation.amount,
+      notes: notes ? String(notes).trim().slice(0, 500) : null
     });
+    
+    if (!result.success) {
+      return res.status(result.error_code === 'JOB_NOT_FOUND' ? 404 : 409).json({
+        message: result.message,
+        error_code: result.error_code,
+        details: result.details
+      });
+    }
+    
+    return res.status(201).json(result.collection);
   } catch (error) {
-    console.error('Error updating time slot:', error);
-    res.status(500).json({ message: 'Internal server error' });
+    console.error('Error recording cash collection:', error);
+    return res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Delete time slot (admin only)
-app.delete('/api/admin/available-time-slots/:id', authenticateToken, isAdmin, async (req, res) => {
+// A YYYY-MM-DD query date, today when not given. Returns null when invalid.
+function dateParam(value) {
+  if (value === undefined) {
+    return formatDate(new Date());
+  }
+  return /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value).getTime()) ? value : null;
+}
+
+// The technician's cash-on-delivery jobs of a day (?date=, default today) with expected vs collected cash
+app.get('/api/technician/settlement', authenticateToken, isTechnician, async (req, res) => {
   try {
-    const { id } = req.params;
+    const date = dateParam(req.query.date);
+    if (!date) {
+      return res.status(400).json({ message: 'date must be in YYYY-MM-DD format' });
+    }
     
-    await pool.execute('DELETE FROM available_time_slots WHERE id = ?', [id]);
+    const settlement = await getTechnicianSettlement(pool, req.technician.id, date);
+    return res.json(settlement);
+  } catch (error) {
+    console.error('Error fetching technician settlement:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Upload before/after photos for an assigned job (kind=before|after form field)
+app.post('/api/technician/jobs/:id/attachments', authenticateToken, isTechnician, handlePhotoUpload, async (req, res) => {
+  try {
+    const [jobs] = await pool.execute(
+      'SELECT id, status FROM appointments WHERE id = ? AND technician_id = ?',
+      [req.params.id, req.technician.id]
+    );
     
-    return res.json({ message: 'Time slot deleted successfully' });
+    if (jobs.length === 0) {
+      return res.status(404).json({ message: 'Job not found or not assigned to you' });
+    }
+    
+    if (!['before', 'after'].includes(req.body.kind)) {
+      return res.status(400).json({ message: 'kind must be before or after', error_code: 'INVALID_ATTACHMENT_KIND' });
+    }
+    
+    if (jobs[0].status === 'cancelled') {
+      return res.status(409).json({ message: "Photos can't be added to a cancelled job", error_code: 'APPOINTMENT_CLOSED' });
+    }
+    
+    const result = await saveAttachments(pool, {
+      appointmentId: jobs[0].id,
+      files: req.files,
+      kind: req.body.kind,
+      uploadedBy: req.user.id,
+      uploaderType: 'technician'
+    });
+    
+    return sendAttachmentResult(res, result);
   } catch (error) {
-    console.error('Error deleting time slot:', error);
+    console.error('Error uploading job photos:', error);
     return res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Admin API for managing appointments
-app.get('/api/admin/appointments', authenticateToken, isAdmin, async (req, res) => {
+// List all photos on an assigned job
+app.get('/api/technician/jobs/:id/attachments', authenticateToken, isTechnician, async (req, res) => {
   try {
-    const [rows] = await pool.execute(`
-      SELECT 
-        a.id, a.user_id, a.service, a.appointment_date, a.appointment_time, a.status,
-        a.location, a.price, a.notes, a.room_type, a.room_type_slug, a.property_type, a.property_type_slug, 
-        a.quantity, a.service_category, a.service_category_slug, a.service_items_category, a.extra_price, a.cod_fee, a.payment_method,
-        a.created_at, a.updated_at,
-        u.fullName as customer_name, u.phone as customer_phone 
-      FROM appointments a 
-      LEFT JOIN users u ON a.user_id = u.id 
-      ORDER BY a.appointment_date DESC, a.appointment_time DESC
-    `);
+    const [jobs] = await pool.execute(
+      'SELECT id FROM appointments WHERE id = ? AND technician_id = ?',
+      [req.params.id, req.technician.id]
+    );
     
-    return res.json(rows);
+    if (jobs.length === 0) {
+      return res.status(404).json({ message: 'Job not found or not assigned to you' });
+    }
+    
+    const attachments = await listAttachments(pool, jobs[0].id);
+    
+    return res.json(attachments);
   } catch (error) {
-    console.error('Error fetching appointments:', error);
+    console.error('Error fetching job photos:', error);
     return res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Update appointment status (admin only)
-app.put('/api/admin/appointments/:id/status', authenticateToken, isAdmin, async (req, res) => {
+// Delete a photo the technician uploaded
+app.delete('/api/technician/jobs/:id/attachments/:attachmentId', authenticateToken, isTechnician, async (req, res) => {
   try {
-    const { id } = req.params;
-    const { status } = req.body;
+    const [jobs] = await pool.execute(
+      'SELECT id FROM appointments WHERE id = ? AND technician_id = ?',
+      [req.params.id, req.technician.id]
+    );
     
-    if (!status) {
-      return res.status(400).json({ message: 'Status is required' });
+    if (jobs.length === 0) {
+      return res.status(404).json({ message: 'Job not found or not assigned to you' });
     }
     
-    const validStatuses = ['pending', 'confirmed', 'in-progress', 'completed', 'cancelled'];
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({ message: 'Invalid status' });
+    const attachment = await getAttachment(pool, jobs[0].id, req.params.attachmentId);
+    
+    if (!attachment || attachment.uploaded_by !== req.user.id || attachment.uploader_type !== 'technician') {
+      return res.status(404).json({ message: 'Photo not found or not authorized' });
     }
     
-    await pool.execute('UPDATE appointments SET status = ? WHERE id = ?', [status, id]);
+    await deleteAttachment(pool, attachment);
     
-    return res.json({ message: 'Appointment status updated successfully' });
+    return res.json({ message: 'Photo deleted successfully' });
   } catch (error) {
-    console.error('Error updating appointment status:', error);
+    console.error('Error deleting job photo:', error);
     return res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Generate shareable link for appointment (admin only)
-app.post('/api/admin/appointments/:id/share', authenticateToken, isAdmin, async (req, res) => {
+// Admin API for the background job queue
+
+// Get background jobs (admin only) - ?status=dead&type=email.admin_notification
+app.get('/api/admin/jobs', authenticateToken, isAdmin, async (req, res) => {
   try {
-    const { id } = req.params;
-    
-    // Check if appointment exists
-    const [appointment] = await pool.execute(
-      'SELECT id FROM appointments WHERE id = ?',
-      [id]
-    );
+    const { status, type } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
     
-    if (appointment.length === 0) {
-      return res.status(404).json({ message: 'Appointment not found' });
+    if (status && !JOB_STATUSES.includes(status)) {
+      return res.status(400).json({ message: `Status must be one of: ${JOB_STATUSES.join(', ')}` });
     }
     
-    // Generate a unique share token (combination of appointment ID and random string)
-    const crypto = require('crypto');
-    const shareToken = crypto.randomBytes(32).toString('hex');
+    let query = `SELECT id, type, payload, status, attempts, max_attempts, run_at, locked_at, last_error, 
+                        completed_at, created_at, updated_at 
+                 FROM background_jobs WHERE 1=1`;
+    const params = [];
     
-    // Store the share token in database (you may want to create a shared_appointments table)
-    // For now, we'll use a simple approach with expiration
-    const expiresAt = new Date();
-    expiresAt.setDate(expiresAt.getDate() + 30); // 30 days expiration
+    if (status) {
+      query += ' AND status = ?';
+      params.push(status);
+    }
     
-    // Create shared_appointments table if it doesn't exist
-    await pool.execute(`
-      CREATE TABLE IF NOT EXISTS shared_appointments (
-        id INT AUTO_INCREMENT PRIMARY KEY,
-        appointment_id INT NOT NULL,
-        share_token VARCHAR(255) UNIQUE NOT NULL,
-        expires_at DATETIME NOT NULL,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (appointment_id) REFERENCES appointments(id) ON DELETE CASCADE
-      )
-    `);
+    if (type) {
+      query += ' AND type = ?';
+      params.push(type);
+    }
     
-    // Insert share record
-    await pool.execute(
-      'INSERT INTO shared_appointments (appointment_id, share_token, expires_at) VALUES (?, ?, ?)',
-      [id, shareToken, expiresAt]
-    );
+    query += ` ORDER BY id DESC LIMIT ${limit}`;
     
-    // Generate frontend URL instead of backend URL
-    const frontendHost = 'https://booking.mpcpest.ae';
-    const shareUrl = `${frontendHost}/shared-appointment/${shareToken}`;
+    const [jobs] = await pool.execute(query, params);
     
-    res.json({
-      shareToken,
-      shareUrl,
-      expiresAt: expiresAt.toISOString()
-    });
+    const [counts] = await pool.execute('SELECT status, COUNT(*) as count FROM background_jobs GROUP BY status');
+    const summary = {};
+    JOB_STATUSES.forEach(jobStatus => { summary[jobStatus] = 0; });
+    counts.forEach(row => { summary[row.status] = Number(row.count); });
+    
+    return res.json({ summary, jobs });
   } catch (error) {
-    console.error('Error generating share link:', error);
+    console.error('Error fetching background jobs:', error);
     return res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Get shared appointment details (public access, no auth required)
-app.get('/api/shared-appointment/:token', async (req, res) => {
+// Get a single background job (admin only)
+app.get('/api/admin/jobs/:id', authenticateToken, isAdmin, async (req, res) => {
   try {
-    const { token } = req.params;
-    
-    // Find the shared appointment
-    const [shared] = await pool.execute(`
-      SELECT sa.appointment_id, sa.expires_at 
-      FROM shared_appointments sa 
-      WHERE sa.share_token = ? AND sa.expires_at > NOW()
-    `, [token]);
+    const [jobs] = await pool.execute('SELECT * FROM background_jobs WHERE id = ?', [req.params.id]);
     
-    if (shared.length === 0) {
-      return res.status(404).json({ message: 'Shared appointment not found or expired' });
+    if (jobs.length === 0) {
+      return res.status(404).json({ message: 'Job not found' });
     }
     
-    const appointmentId = shared[0].appointment_id;
+    return res.json(jobs[0]);
+  } catch (error) {
+    console.error('Error fetching background job:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Retry a dead job now with a fresh set of attempts (admin only)
+app.post('/api/admin/jobs/:id/retry', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const [jobs] = await pool.execute('SELECT id FROM background_jobs WHERE id = ?', [req.params.id]);
+    if (jobs.length === 0) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
     
-    // Get full appointment details with customer info
-    const [appointment] = await pool.execute(`
-      SELECT 
-        a.id, a.service, a.appointment_date, a.appointment_time, a.status,
-        a.location, a.price, a.notes, a.room_type, a.room_type_slug, 
-        a.property_type, a.property_type_slug, a.quantity, a.service_category, 
-        a.service_category_slug, a.extra_price, a.cod_fee, a.payment_method,
-        a.created_at,
-        u.fullName as customer_name, u.phone as customer_phone 
-      FROM appointments a 
-      LEFT JOIN users u ON a.user_id = u.id 
-      WHERE a.id = ?
-    `, [appointmentId]);
+    const retried = await retryJob(pool, req.params.id);
     
-    if (appointment.length === 0) {
-      return res.status(404).json({ message: 'Appointment not found' });
+    if (!retried) {
+      return res.status(409).json({
+        message: 'Only dead or pending jobs can be retried',
+        error_code: 'JOB_NOT_RETRYABLE'
+      });
     }
     
-    // Return appointment details (sensitive data excluded)
-    const appointmentData = {
-      ...appointment[0],
-      // Remove sensitive user data if needed
-      // For now keeping customer name and phone as they might be needed for service
-    };
-    
-    res.json(appointmentData);
+    return res.json({ message: 'Job queued for retry' });
   } catch (error) {
-    console.error('Error fetching shared appointment:', error);
+    console.error('Error retrying background job:', error);
     return res.status(500).json({ message: 'Server error' });
   }
 });
 
 // Get all users/customers (admin only)
+// Filters: role, date_from, date_to (signup date); q searches name/phone/email; sort=created_at|name; limit/cursor to page
 app.get('/api/admin/users', authenticateToken, isAdmin, async (req, res) => {
   try {
+    const paginate = wantsPagination(req.query);
+    const listQuery = buildListQuery(USER_LIST, req.query, { paginate });
+    if (!listQuery.success) {
+      return res.status(400).json({ message: listQuery.message, error_code: listQuery.error_code });
+    }
+    
     const [rows] = await pool.execute(`
       SELECT 
-        id, 
-        fullName, 
-        email, 
-        phone, 
-        address, 
-        role, 
-        created_at,
-        (SELECT COUNT(*) FROM appointments WHERE user_id = users.id) as total_appointments,
-        (SELECT COALESCE(SUM(price), 0) FROM appointments WHERE user_id = users.id AND status = 'completed') as total_spent
-      FROM users 
-      ORDER BY created_at DESC
-    `);
-    
-    return res.json(rows);
+        u.id, 
+        u.fullName, 
+        u.email, 
+        u.phone, 
+        u.address, 
+        u.role, 
+        u.created_at,
+        (SELECT COUNT(*) FROM appointments WHERE user_id = u.id) as total_appointments,
+        (SELECT COALESCE(SUM(price), 0) FROM appointments WHERE user_id = u.id AND status = 'completed') as total_spent,
+        ${listQuery.cursorSelect}
+      FROM users u 
+      ${listQuery.where}
+      ${listQuery.orderBy}
+      ${listQuery.limitClause}
+    `, listQuery.params);
+    
+    const page = buildPage(rows, listQuery);
+    return res.json(paginate ? page : page.data);
   } catch (error) {
     console.error('Error fetching users:', error);
     return res.status(500).json({ message: 'Server error' });
@@ -3831,9 +7973,32 @@ app.get('/api/user/support-tickets/:id', authenticateToken, async (req, res) =>
 // Admin Support Ticket Endpoints
 
 // Get all support tickets (for admin)
+// Filters: status, priority, date_from, date_to, user_id; q searches customer name/phone/email and subject.
+// Without sort or paging params tickets keep the triage order (open first, then by priority).
 app.get('/api/admin/support-tickets', authenticateToken, isAdmin, async (req, res) => {
   try {
-    const [tickets] = await pool.execute(`
+    const paginate = wantsPagination(req.query);
+    const listQuery = buildListQuery(SUPPORT_TICKET_LIST, req.query, { paginate });
+    if (!listQuery.success) {
+      return res.status(400).json({ message: listQuery.message, error_code: listQuery.error_code });
+    }
+    
+    const orderBy = paginate || req.query.sort ? listQuery.orderBy : `
+      ORDER BY 
+        CASE st.status 
+          WHEN 'open' THEN 1 
+          WHEN 'in_progress' THEN 2 
+          WHEN 'resolved' THEN 3 
+          WHEN 'closed' THEN 4 
+        END,
+        CASE st.priority 
+          WHEN 'high' THEN 1 
+          WHEN 'medium' THEN 2 
+          WHEN 'low' THEN 3 
+        END,
+        st.created_at DESC`;
+    
+    const [rows] = await pool.execute(`
       SELECT 
         st.id, 
         st.user_id, 
@@ -3846,25 +8011,17 @@ app.get('/api/admin/support-tickets', authenticateToken, isAdmin, async (req, re
         st.created_at, 
         st.updated_at,
         u.fullName as user_name,
-        u.email as user_email
+        u.email as user_email,
+        ${listQuery.cursorSelect}
       FROM support_tickets st
       LEFT JOIN users u ON st.user_id = u.id
-      ORDER BY 
-        CASE st.status 
-          WHEN 'open' THEN 1 
-          WHEN 'in_progress' THEN 2 
-          WHEN 'resolved' THEN 3 
-          WHEN 'closed' THEN 4 
-        END,
-        CASE st.priority 
-          WHEN 'high' THEN 1 
-          WHEN 'medium' THEN 2 
-          WHEN 'low' THEN 3 
-        END,
-        st.created_at DESC
-    `);
+      ${listQuery.where}
+      ${orderBy}
+      ${listQuery.limitClause}
+    `, listQuery.params);
     
-    return res.json(tickets);
+    const page = buildPage(rows, listQuery);
+    return res.json(paginate ? page : page.data);
   } catch (error) {
     console.error('Error fetching support tickets for admin:', error);
     return res.status(500).json({ message: 'Server error' });
@@ -4144,16 +8301,29 @@ app.get('/api/config/:service', async (req, res) => {
 });
 
 // Get all users (for super admin user management)
+// Same filters, search and paging as /api/admin/users; the page info is returned next to users
 app.get('/api/superadmin/users', authenticateToken, isSuperAdmin, async (req, res) => {
   try {
-    const [users] = await pool.execute(`
+    const paginate = wantsPagination(req.query);
+    const listQuery = buildListQuery(USER_LIST, req.query, { paginate });
+    if (!listQuery.success) {
+      return res.status(400).json({ message: listQuery.message, error_code: listQuery.error_code });
+    }
+    
+    const [rows] = await pool.execute(`
       SELECT 
         u.id, u.phone, u.fullName, u.email, u.role, u.created_at as createdAt, u.updated_at,
         u.address,
-        (SELECT COUNT(*) FROM appointments WHERE user_id = u.id) as appointmentsCount
+        (SELECT COUNT(*) FROM appointments WHERE user_id = u.id) as appointmentsCount,
+        ${listQuery.cursorSelect}
       FROM users u
-      ORDER BY u.created_at DESC
-    `);
+      ${listQuery.where}
+      ${listQuery.orderBy}
+      ${listQuery.limitClause}
+    `, listQuery.params);
+    
+    const page = buildPage(rows, listQuery);
+    const users = page.data;
     
     // Format the response to match the frontend interface
     const formattedUsers = users.map(user => {
@@ -4181,7 +8351,7 @@ app.get('/api/superadmin/users', authenticateToken, isSuperAdmin, async (req, re
       };
     });
     
-    return res.json({ users: formattedUsers });
+    return res.json(paginate ? { users: formattedUsers, pagination: page.pagination } : { users: formattedUsers });
   } catch (error) {
     console.error('Error fetching users:', error);
     return res.status(500).json({ message: 'Server error' });
@@ -4799,16 +8969,7 @@ app.post('/api/offer-codes/apply', authenticateToken, async (req, res) => {
       discountAmount = Math.min(offer.discount_value, orderAmount);
     }
     
-    // Record usage
-    await pool.execute(`
-      INSERT INTO offer_code_usage (offer_code_id, user_id, appointment_id, order_amount, discount_amount)
-      VALUES (?, ?, ?, ?, ?)
-    `, [offerId, req.user.id, appointmentId, orderAmount, discountAmount]);
-    
-    // Update usage count
-    await pool.execute(`
-      UPDATE offer_codes SET used_count = used_count + 1 WHERE id = ?
-    `, [offerId]);
+    // Usage is recorded by the booking itself (redeemOfferCode), so calling this as well doesn't count twice
     
     res.json({
       success: true,
@@ -4854,6 +9015,7 @@ app.post('/api/admin/offer-codes', authenticateToken, isAdmin, async (req, res)
       minimumOrderAmount,
       maximumDiscountAmount,
       usageLimit,
+      usageLimitPerUser,
       startDate,
       endDate,
       applicableServices
@@ -4875,9 +9037,9 @@ app.post('/api/admin/offer-codes', authenticateToken, isAdmin, async (req, res)
     const [result] = await pool.execute(`
       INSERT INTO offer_codes (
         code, name, description, discount_type, discount_value,
-        minimum_order_amount, maximum_discount_amount, usage_limit,
+        minimum_order_amount, maximum_discount_amount, usage_limit, usage_limit_per_user,
         start_date, end_date, applicable_services, created_by
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `, [
       code.toUpperCase(),
       name,
@@ -4887,6 +9049,7 @@ app.post('/api/admin/offer-codes', authenticateToken, isAdmin, async (req, res)
       minimumOrderAmount || 0,
       maximumDiscountAmount,
       usageLimit,
+      usageLimitPerUser || null,
       startDate,
       endDate,
       applicableServices ? JSON.stringify(applicableServices) : null,
@@ -4917,6 +9080,7 @@ app.put('/api/admin/offer-codes/:id', authenticateToken, isAdmin, async (req, re
       minimumOrderAmount,
       maximumDiscountAmount,
       usageLimit,
+      usageLimitPerUser,
       startDate,
       endDate,
       isActive,
@@ -4926,7 +9090,7 @@ app.put('/api/admin/offer-codes/:id', authenticateToken, isAdmin, async (req, re
     const [result] = await pool.execute(`
       UPDATE offer_codes SET
         name = ?, description = ?, discount_type = ?, discount_value = ?,
-        minimum_order_amount = ?, maximum_discount_amount = ?, usage_limit = ?,
+        minimum_order_amount = ?, maximum_discount_amount = ?, usage_limit = ?, usage_limit_per_user = ?,
         start_date = ?, end_date = ?, is_active = ?, applicable_services = ?,
         updated_at = CURRENT_TIMESTAMP
       WHERE id = ?
@@ -4938,6 +9102,7 @@ app.put('/api/admin/offer-codes/:id', authenticateToken, isAdmin, async (req, re
       minimumOrderAmount || 0,
       maximumDiscountAmount,
       usageLimit,
+      usageLimitPerUser || null,
       startDate,
       endDate,
       isActive,
@@ -5050,7 +9215,7 @@ app.get('/api/service-items/:categorySlug', async (req, res) => {
       ORDER BY si.sort_order ASC, si.name ASC
     `, [categorySlug]);
     
-    return res.json(rows);
+    return res.json(await attachRatings(pool, rows));
   } catch (error) {
     console.error('Error fetching service items:', error);
     return res.status(500).json({ message: 'Server error' });
@@ -5073,13 +9238,71 @@ app.get('/api/service-item/:slug', async (req, res) => {
       return res.status(404).json({ message: 'Service item not found' });
     }
     
-    return res.json(rows[0]);
+    const [item] = await attachRatings(pool, rows);
+    
+    return res.json(item);
   } catch (error) {
     console.error('Error fetching service item:', error);
     return res.status(500).json({ message: 'Server error' });
   }
 });
 
+const SERVICE_ITEM_REVIEW_LIST = {
+  filters: {
+    rating: { column: 'r.rating', type: 'list', values: ['1', '2', '3', '4', '5'] }
+  },
+  sorts: {
+    created_at: [
+      { column: 'r.created_at', cursor: "DATE_FORMAT(r.created_at, '%Y-%m-%d %H:%i:%s')" },
+      { column: 'r.id' }
+    ],
+    rating: [{ column: 'r.rating' }, { column: 'r.id' }]
+  },
+  defaultSort: 'created_at',
+  defaultOrder: 'desc'
+};
+
+// Published reviews of a service item (public endpoint). Only the reviewer's first name is shown.
+app.get('/api/service-item/:slug/reviews', async (req, res) => {
+  try {
+    const [items] = await pool.execute(
+      'SELECT id FROM service_items WHERE slug = ? AND is_active = TRUE',
+      [req.params.slug]
+    );
+    
+    if (items.length === 0) {
+      return res.status(404).json({ message: 'Service item not found' });
+    }
+    
+    const listQuery = buildListQuery(SERVICE_ITEM_REVIEW_LIST, req.query);
+    if (!listQuery.success) {
+      return res.status(400).json({ message: listQuery.message, error_code: listQuery.error_code });
+    }
+    
+    const where = listQuery.where ? `${listQuery.where} AND` : 'WHERE';
+    const [rows] = await pool.execute(`
+      SELECT r.id, r.rating, r.comment, r.created_at, SUBSTRING_INDEX(u.fullName, ' ', 1) as customer_name,
+        ${listQuery.cursorSelect}
+      FROM reviews r
+      LEFT JOIN users u ON r.user_id = u.id
+      ${where} r.service_item_id = ? AND r.status = 'published'
+      ${listQuery.orderBy}
+      ${listQuery.limitClause}
+    `, [...listQuery.params, items[0].id]);
+    
+    const [summary] = await attachRatings(pool, items);
+    
+    return res.json({
+      rating_average: summary.rating_average,
+      rating_count: summary.rating_count,
+      ...buildPage(rows, listQuery)
+    });
+  } catch (error) {
+    console.error('Error fetching service item reviews:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Get filtered service pricing for a specific service item (public endpoint)
 app.get('/api/service-pricing-filtered/:serviceSlug', async (req, res) => {
   try {
@@ -5627,6 +9850,37 @@ app.put('/api/admin/service-categories/:id', authenticateToken, isAdmin, async (
   }
 });
 
+// Update reminder offsets of a service category (admin) - e.g. [1440, 120] for 24h and 2h, null for the default
+app.put('/api/admin/service-categories/:id/reminders', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reminder_offsets } = req.body;
+    
+    if (reminder_offsets === undefined) {
+      return res.status(400).json({ message: 'reminder_offsets is required (null to use the default)' });
+    }
+    
+    const validationError = validateReminderOffsets(reminder_offsets);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+    
+    const [result] = await pool.execute(
+      'UPDATE service_categories SET reminder_offsets = ? WHERE id = ?',
+      [reminder_offsets === null ? null : JSON.stringify(reminder_offsets), id]
+    );
+    
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ message: 'Service category not found' });
+    }
+    
+    return res.json({ message: 'Reminder offsets updated successfully', reminder_offsets });
+  } catch (error) {
+    console.error('Error updating service category reminders:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Delete service category (admin)
 app.delete('/api/admin/service-categories/:id', authenticateToken, isAdmin, async (req, res) => {
   try {
@@ -6772,6 +11026,30 @@ async function isAdmin(req, res, next) {
   }
 }
 
+// Middleware to check if user is an active technician (sets req.technician)
+async function isTechnician(req, res, next) {
+  try {
+    if (!pool) {
+      return res.status(500).json({ message: 'Database not available' });
+    }
+    
+    const [rows] = await pool.execute(
+      'SELECT id, is_active FROM technicians WHERE user_id = ?',
+      [req.user.id]
+    );
+    
+    if (rows.length === 0 || !rows[0].is_active) {
+      return res.status(403).json({ message: 'Technician access required' });
+    }
+    
+    req.technician = rows[0];
+    next();
+  } catch (error) {
+    console.error('Error checking technician access:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+}
+
 // Website Settings API
 
 // Get website settings (public endpoint)
@@ -6943,6 +11221,28 @@ async function startServer() {
   // Initialize database first and get the configured pool
   pool = await initializeDatabase();
   
+  // Background job queue - handlers first, then the worker
+  registerNotificationJobs(pool);
+  registerReminderJobs(pool);
+  registerGiftCardJobs(pool);
+  registerInvoiceJobs(pool);
+  startJobWorker(pool);
+  
+  // Keep template-generated availability rolling forward
+  startAvailabilityGenerator(pool);
+  
+  // Expire slot holds whose checkout never completed
+  startHoldSweeper(pool);
+  
+  // Book upcoming occurrences of recurring series
+  startSeriesGenerator(pool);
+  
+  // Email reminders ahead of confirmed appointments
+  startReminderScheduler(pool);
+  
+  // Poll Ziina for payments whose webhook never arrived
+  startPaymentReconciler(pool);
+  
   // Start the server
   app.listen(PORT, () => {
     console.log(`Server running on port ${PORT}`);
@@ -6985,8 +11285,15 @@ async function insertDefaultServiceItems() {
   }
 }
 
-// Start the application
-startServer().catch(err => {
-  console.error('Failed to start server:', err);
-  process.exit(1);
-});
\ No newline at end of file
+// Start the application when run directly (npm start); the tests require the app without starting it
+if (require.main === module) {
+  startServer().catch(err => {
+    console.error('Failed to start server:', err);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  app,
+  usePool
+};
\ No newline at end of file
@@ -0,0 +1,69 @@
+// Appointment Service
+// Shared helpers for writing appointment rows (bookings, slot holds, series)
+const { INVOICE_STATUSES, recordStatusHistory } = require('./statusService');
+const { enqueueInvoice } = require('./invoiceService');
+
+// Insert an appointment from already-priced booking data and return its id.
+// booking carries the appointment columns, already priced.
+// actor ({ actorType, actorId, reason }) is written to the status history.
+async function insertAppointment(connection, booking, actor = {}) {
+  const [result] = await connection.execute(
+    `INSERT INTO appointments
+     (user_id, service, appointment_date, appointment_time, location, price, notes,
+      room_type, room_type_slug, property_type, property_type_slug, quantity,
+      service_category, service_category_slug, service_items_category, service_item_slug, extra_price, cod_fee,
+      payment_method, status,
+      offer_code, discount_amount, vat_amount, total_amount, wallet_amount, gift_card_amount, series_id,
+      zone_surcharge, service_zone_id)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      booking.user_id,
+      booking.service,
+      booking.appointment_date,
+      booking.appointment_time,
+      typeof booking.location === 'string' ? booking.location : JSON.stringify(booking.location),
+      booking.price,
+      booking.notes || null,
+      booking.room_type || null,
+      booking.room_type_slug || null,
+      booking.property_type || null,
+      booking.property_type_slug || null,
+      booking.quantity || 1,
+      booking.service_category || null,
+      booking.service_category_slug || null,
+      booking.service_items_category || null,
+      booking.service_item_slug || null,
+      booking.extra_price || 0.00,
+      booking.cod_fee || 0.00,
+      booking.payment_method || null,
+      booking.status || 'pending',
+      booking.offer_code || null,
+      booking.discount_amount || 0.00,
+      booking.vat_amount || 0.00,
+      booking.total_amount ?? null,
+      booking.wallet_amount || 0.00,
+      booking.gift_card_amount || 0.00,
+      booking.series_id || null,
+      booking.zone_surcharge || 0.00,
+      booking.service_zone_id || null
+    ]
+  );
+
+  await recordStatusHistory(connection, {
+    appointmentId: result.insertId,
+    toStatus: booking.status || 'pending',
+    actorType: actor.actorType || 'system',
+    actorId: actor.actorId || null,
+    reason: actor.reason || null
+  });
+
+  if (INVOICE_STATUSES.includes(booking.status)) {
+    await enqueueInvoice(connection, result.insertId);
+  }
+
+  return result.insertId;
+}
+
+module.exports = {
+  insertAppointment
+};
@@ -0,0 +1,220 @@
+// Availability Template Service
+// Materialises weekly availability templates into available_dates / available_time_slots rows
+
+const DEFAULT_WINDOW_DAYS = parseInt(process.env.AVAILABILITY_WINDOW_DAYS || '30', 10);
+const GENERATOR_INTERVAL = 24 * 60 * 60 * 1000; // once a day
+
+let generatorTimer = null;
+
+// YYYY-MM-DD in server local time
+function formatDate(date) {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
+
+function timeToMinutes(time) {
+  const [hours, minutes] = String(time).split(':');
+  return parseInt(hours, 10) * 60 + parseInt(minutes, 10);
+}
+
+function minutesToTime(totalMinutes) {
+  const hours = String(Math.floor(totalMinutes / 60)).padStart(2, '0');
+  const minutes = String(totalMinutes % 60).padStart(2, '0');
+  return `${hours}:${minutes}:00`;
+}
+
+function parseDays(daysOfWeek) {
+  const days = typeof daysOfWeek === 'string' ? JSON.parse(daysOfWeek) : daysOfWeek;
+  return Array.isArray(days) ? days.map(Number) : [];
+}
+
+// Split a template's opening hours into [start, end] slot pairs
+function buildSlotTimes(template) {
+  const slots = [];
+  const start = timeToMinutes(template.start_time);
+  const end = timeToMinutes(template.end_time);
+  const duration = template.slot_duration_minutes;
+
+  for (let t = start; t + duration <= end; t += duration) {
+    slots.push([minutesToTime(t), minutesToTime(t + duration)]);
+  }
+  return slots;
+}
+
+// Create or refresh the date row. Returns false when a manual override owns the date.
+async function upsertTemplateDate(connection, template, date) {
+  const [existing] = await connection.execute(
+    `SELECT id, source FROM available_dates
+     WHERE date = ? AND (service_category_id = ? OR (service_category_id IS NULL AND ? IS NULL))
+     LIMIT 1`,
+    [date, template.service_category_id, template.service_category_id]
+  );
+
+  if (existing.length > 0) {
+    if (existing[0].source === 'manual') {
+      return false;
+    }
+
+    await connection.execute(
+      'UPDATE available_dates SET max_appointments = ?, template_id = ? WHERE id = ?',
+      [template.max_appointments_per_day, template.id, existing[0].id]
+    );
+    return 'updated';
+  }
+
+  await connection.execute(
+    `INSERT INTO available_dates (date, service_category_id, is_available, max_appointments, source, template_id)
+     VALUES (?, ?, TRUE, ?, 'template', ?)`,
+    [date, template.service_category_id, template.max_appointments_per_day, template.id]
+  );
+  return 'created';
+}
+
+// Create or refresh one slot row. Manual slots are left untouched.
+async function upsertTemplateSlot(connection, template, date, startTime, endTime) {
+  const [existing] = await connection.execute(
+    `SELECT id, source FROM available_time_slots
+     WHERE date = ? AND start_time = ? AND end_time = ?
+     AND (service_category_id = ? OR (service_category_id IS NULL AND ? IS NULL))
+     LIMIT 1`,
+    [date, startTime, endTime, template.service_category_id, template.service_category_id]
+  );
+
+  if (existing.length > 0) {
+    if (existing[0].source === 'manual') {
+      return 'skipped';
+    }
+
+    await connection.execute(
+      'UPDATE available_time_slots SET max_appointments = ?, extra_price = ?, template_id = ? WHERE id = ?',
+      [template.max_appointments_per_slot, template.extra_price, template.id, existing[0].id]
+    );
+    return 'updated';
+  }
+
+  await connection.execute(
+    `INSERT INTO available_time_slots
+     (start_time, end_time, is_available, extra_price, max_appointments, date, service_category_id, source, template_id)
+     VALUES (?, ?, TRUE, ?, ?, ?, ?, 'template', ?)`,
+    [startTime, endTime, template.extra_price, template.max_appointments_per_slot, date, template.service_category_id, template.id]
+  );
+  return 'created';
+}
+
+// Generate dates and slots from all active templates for the next `days` days.
+// Rows an admin created or edited by hand (source = 'manual') are never overwritten.
+async function generateAvailability(pool, { days = DEFAULT_WINDOW_DAYS, templateId = null } = {}) {
+  const summary = { dates_created: 0, dates_updated: 0, dates_skipped: 0, slots_created: 0, slots_updated: 0, slots_skipped: 0 };
+
+  let query = 'SELECT * FROM availability_templates WHERE is_active = TRUE';
+  const params = [];
+  if (templateId) {
+    query += ' AND id = ?';
+    params.push(templateId);
+  }
+
+  const [templates] = await pool.execute(query, params);
+  if (templates.length === 0) {
+    return summary;
+  }
+
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const today = new Date();
+    today.setHours(12, 0, 0, 0);
+
+    for (let i = 0; i < days; i++) {
+      const day = new Date(today);
+      day.setDate(today.getDate() + i);
+      const date = formatDate(day);
+
+      for (const template of templates) {
+        if (!parseDays(template.days_of_week).includes(day.getDay())) {
+          continue;
+        }
+
+        const dateResult = await upsertTemplateDate(connection, template, date);
+        if (!dateResult) {
+          // The whole date is a manual override - leave its slots alone too
+          summary.dates_skipped++;
+          continue;
+        }
+        summary[dateResult === 'created' ? 'dates_created' : 'dates_updated']++;
+
+        for (const [startTime, endTime] of buildSlotTimes(template)) {
+          const slotResult = await upsertTemplateSlot(connection, template, date, startTime, endTime);
+          summary[`slots_${slotResult}`]++;
+        }
+      }
+    }
+
+    await connection.commit();
+    connection.release();
+  } catch (error) {
+    try { await connection.rollback(); } catch (e) { /* ignore */ }
+    connection.release();
+    throw error;
+  }
+
+  console.log('Availability templates generated:', summary);
+  return summary;
+}
+
+// Booked: a non-cancelled appointment or an unexpired hold at the row's date (and start time for a slot).
+// A row without a category is shared, so any category's booking counts against it.
+function bookedAtSql(table, timeColumn) {
+  const timeFilter = timeColumn ? ` AND b.appointment_time = ${timeColumn}` : '';
+  return `EXISTS (
+      SELECT 1 FROM ${table} b LEFT JOIN service_categories sc ON sc.slug = b.service_category_slug
+      WHERE b.appointment_date = r.date${timeFilter}
+        AND ${table === 'appointments' ? "b.status != 'cancelled'" : "b.status = 'active' AND b.expires_at > NOW()"}
+        AND (r.service_category_id IS NULL OR sc.id = r.service_category_id))`;
+}
+
+// Remove the future rows a template generated that nothing is booked on, before the template
+// changes or goes away. Booked rows stay so the bookings on them keep their capacity.
+async function clearTemplateAvailability(db, templateId) {
+  const [slots] = await db.execute(
+    `DELETE r FROM available_time_slots r
+     WHERE r.template_id = ? AND r.source = 'template' AND r.date >= CURDATE()
+       AND NOT ${bookedAtSql('appointments', 'r.start_time')}
+       AND NOT ${bookedAtSql('slot_holds', 'r.start_time')}`,
+    [templateId]
+  );
+  const [dates] = await db.execute(
+    `DELETE r FROM available_dates r
+     WHERE r.template_id = ? AND r.source = 'template' AND r.date >= CURDATE()
+       AND NOT ${bookedAtSql('appointments', null)}
+       AND NOT ${bookedAtSql('slot_holds', null)}`,
+    [templateId]
+  );
+  return { slots_removed: slots.affectedRows, dates_removed: dates.affectedRows };
+}
+
+// Run the generator now and then once a day to keep the window rolling
+function startAvailabilityGenerator(pool) {
+  if (generatorTimer) {
+    return;
+  }
+
+  const run = () => generateAvailability(pool).catch(error => {
+    console.error('Error generating availability from templates:', error);
+  });
+
+  run();
+  generatorTimer = setInterval(run, GENERATOR_INTERVAL);
+}
+
+module.exports = {
+  DEFAULT_WINDOW_DAYS,
+  formatDate,
+  timeToMinutes,
+  buildSlotTimes,
+  generateAvailability,
+  clearTemplateAvailability,
+  startAvailabilityGenerator
+};
@@ -0,0 +1,176 @@
+// Admin Calendar Service
+// Aggregates bookings per day, time slot and category against capacity for the dispatch board
+const { formatDate } = require('./availabilityService');
+const { APPOINTMENT_STATUSES } = require('./statusService');
+
+const CALENDAR_VIEWS = ['day', 'week', 'month'];
+const MAX_RANGE_DAYS = 92;
+
+// 'YYYY-MM-DD' -> local Date at noon (clear of DST edges)
+function parseDate(value) {
+  const [year, month, day] = value.split('-').map(Number);
+  return new Date(year, month - 1, day, 12);
+}
+
+// Start and end date of the view containing the anchor date. Weeks run Monday to Sunday.
+function getViewRange(view, anchorDate) {
+  const anchor = parseDate(anchorDate);
+
+  if (view === 'day') {
+    return { startDate: anchorDate, endDate: anchorDate };
+  }
+
+  if (view === 'week') {
+    const start = new Date(anchor);
+    start.setDate(anchor.getDate() - ((anchor.getDay() + 6) % 7));
+    const end = new Date(start);
+    end.setDate(start.getDate() + 6);
+    return { startDate: formatDate(start), endDate: formatDate(end) };
+  }
+
+  const start = new Date(anchor.getFullYear(), anchor.getMonth(), 1, 12);
+  const end = new Date(anchor.getFullYear(), anchor.getMonth() + 1, 0, 12);
+  return { startDate: formatDate(start), endDate: formatDate(end) };
+}
+
+function emptyStatusCounts() {
+  const counts = {};
+  APPOINTMENT_STATUSES.forEach(status => { counts[status] = 0; });
+  return counts;
+}
+
+// Sum of non-cancelled bookings in a status count object
+function activeCount(counts) {
+  return Object.keys(counts)
+    .filter(status => status !== 'cancelled')
+    .reduce((sum, status) => sum + counts[status], 0);
+}
+
+// Bookings for every day in the range, grouped per time slot and category,
+// with capacity used vs max_appointments and totals by status.
+async function getCalendar(db, { startDate, endDate, categorySlug = null }) {
+  const categoryFilter = categorySlug ? ' AND service_category_slug = ?' : '';
+  const rangeParams = categorySlug ? [startDate, endDate, categorySlug] : [startDate, endDate];
+
+  const [bookings] = await db.execute(
+    `SELECT DATE_FORMAT(appointment_date, '%Y-%m-%d') as date, TIME_FORMAT(appointment_time, '%H:%i:%s') as start_time,
+            service_category_slug, status, COUNT(*) as count
+     FROM appointments
+     WHERE appointment_date BETWEEN ? AND ?${categoryFilter}
+     GROUP BY appointment_date, appointment_time, service_category_slug, status`,
+    rangeParams
+  );
+
+  const [holds] = await db.execute(
+    `SELECT DATE_FORMAT(appointment_date, '%Y-%m-%d') as date, TIME_FORMAT(appointment_time, '%H:%i:%s') as start_time,
+            service_category_slug, COUNT(*) as count
+     FROM slot_holds
+     WHERE appointment_date BETWEEN ? AND ? AND status = 'active' AND expires_at > NOW()${categoryFilter}
+     GROUP BY appointment_date, appointment_time, service_category_slug`,
+    rangeParams
+  );
+
+  let slotQuery = `SELECT ts.id, DATE_FORMAT(ts.date, '%Y-%m-%d') as date, TIME_FORMAT(ts.start_time, '%H:%i:%s') as start_time,
+                          TIME_FORMAT(ts.end_time, '%H:%i:%s') as end_time, ts.is_available, ts.max_appointments,
+                          ts.service_category_id, sc.slug as category_slug
+                   FROM available_time_slots ts
+                   LEFT JOIN service_categories sc ON ts.service_category_id = sc.id
+                   WHERE ts.date BETWEEN ? AND ?`;
+  let dateQuery = `SELECT DATE_FORMAT(ad.date, '%Y-%m-%d') as date, ad.is_available, ad.max_appointments,
+                          ad.service_category_id, sc.slug as category_slug
+                   FROM available_dates ad
+                   LEFT JOIN service_categories sc ON ad.service_category_id = sc.id
+                   WHERE ad.date BETWEEN ? AND ?`;
+  const availabilityParams = [startDate, endDate];
+
+  if (categorySlug) {
+    slotQuery += ' AND (sc.slug = ? OR ts.service_category_id IS NULL)';
+    dateQuery += ' AND (sc.slug = ? OR ad.service_category_id IS NULL)';
+    availabilityParams.push(categorySlug);
+  }
+
+  const [slots] = await db.execute(`${slotQuery} ORDER BY ts.date, ts.start_time`, availabilityParams);
+  const [dates] = await db.execute(`${dateQuery} ORDER BY ad.date`, availabilityParams);
+
+  const totals = emptyStatusCounts();
+  const days = [];
+
+  for (let day = parseDate(startDate); formatDate(day) <= endDate; day.setDate(day.getDate() + 1)) {
+    const date = formatDate(day);
+    const dayBookings = bookings.filter(row => row.date === date);
+    const dayHolds = holds.filter(row => row.date === date);
+
+    const byStatus = emptyStatusCounts();
+    dayBookings.forEach(row => { byStatus[row.status] += Number(row.count); });
+    Object.keys(byStatus).forEach(status => { totals[status] += byStatus[status]; });
+
+    // General (NULL category) slots are shared by every category
+    const inScope = (row, slot) =>
+      row.start_time === slot.start_time && (!slot.service_category_id || row.service_category_slug === slot.category_slug);
+
+    const daySlots = slots.filter(slot => slot.date === date).map(slot => {
+      const slotStatus = emptyStatusCounts();
+      dayBookings.filter(row => inScope(row, slot)).forEach(row => { slotStatus[row.status] += Number(row.count); });
+      const held = dayHolds.filter(row => inScope(row, slot)).reduce((sum, row) => sum + Number(row.count), 0);
+      const booked = activeCount(slotStatus);
+
+      return {
+        time_slot_id: slot.id,
+        start_time: slot.start_time,
+        end_time: slot.end_time,
+        service_category_id: slot.service_category_id,
+        category_slug: slot.category_slug,
+        is_available: !!slot.is_available,
+        max_appointments: slot.max_appointments,
+        booked,
+        held,
+        remaining: Math.max(0, slot.max_appointments - booked - held),
+        utilization: slot.max_appointments > 0 ? Math.round(((booked + held) / slot.max_appointments) * 100) / 100 : null,
+        by_status: slotStatus
+      };
+    });
+
+    const categories = {};
+    dayBookings.forEach(row => {
+      const slug = row.service_category_slug || 'uncategorized';
+      if (!categories[slug]) {
+        categories[slug] = { service_category_slug: row.service_category_slug, booked: 0, by_status: emptyStatusCounts() };
+      }
+      categories[slug].by_status[row.status] += Number(row.count);
+    });
+    Object.values(categories).forEach(category => { category.booked = activeCount(category.by_status); });
+
+    const dayLimits = dates.filter(row => row.date === date);
+    const maxAppointments = dayLimits.length > 0
+      ? dayLimits.reduce((sum, row) => sum + (row.is_available ? row.max_appointments : 0), 0)
+      : null;
+    const booked = activeCount(byStatus);
+    const held = dayHolds.reduce((sum, row) => sum + Number(row.count), 0);
+
+    days.push({
+      date,
+      is_available: dayLimits.length === 0 || dayLimits.some(row => row.is_available),
+      max_appointments: maxAppointments,
+      booked,
+      held,
+      remaining: maxAppointments === null ? null : Math.max(0, maxAppointments - booked - held),
+      by_status: byStatus,
+      slots: daySlots,
+      categories: Object.values(categories)
+    });
+  }
+
+  return {
+    start_date: startDate,
+    end_date: endDate,
+    totals: { booked: activeCount(totals), by_status: totals },
+    days
+  };
+}
+
+module.exports = {
+  CALENDAR_VIEWS,
+  MAX_RANGE_DAYS,
+  getViewRange,
+  getCalendar
+};
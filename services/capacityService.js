@@ -0,0 +1,205 @@
+// Booking Capacity Service
+// Counts appointments and active slot holds against available_dates / available_time_slots limits
+
+// Resolve a service category id from its slug (null when no slug given)
+async function getCategoryIdBySlug(db, slug) {
+  if (!slug) {
+    return null;
+  }
+
+  const [rows] = await db.execute('SELECT id FROM service_categories WHERE slug = ?', [slug]);
+  return rows.length > 0 ? rows[0].id : null;
+}
+
+// Count non-cancelled appointments plus unexpired holds on a date (optionally at a start time).
+// A null categorySlug means the limit is shared by every category.
+// excludeHoldId / excludeAppointmentId leave out the booking being confirmed or moved.
+async function countBookings(db, { date, time = null, categorySlug = null, excludeHoldId = null, excludeAppointmentId = null }) {
+  let filters = '';
+  const params = [date];
+
+  if (time) {
+    filters += ' AND appointment_time = ?';
+    params.push(time);
+  }
+
+  if (categorySlug) {
+    filters += ' AND service_category_slug = ?';
+    params.push(categorySlug);
+  }
+
+  const [appointmentRows] = await db.execute(
+    `SELECT COUNT(*) as count FROM appointments
+     WHERE appointment_date = ? AND status != 'cancelled'${filters}${excludeAppointmentId ? ' AND id != ?' : ''}`,
+    excludeAppointmentId ? [...params, excludeAppointmentId] : params
+  );
+
+  let holdQuery = `SELECT COUNT(*) as count FROM slot_holds
+                   WHERE appointment_date = ? AND status = 'active' AND expires_at > NOW()${filters}`;
+  const holdParams = [...params];
+
+  if (excludeHoldId) {
+    holdQuery += ' AND id != ?';
+    holdParams.push(excludeHoldId);
+  }
+
+  const [holdRows] = await db.execute(holdQuery, holdParams);
+
+  return Number(appointmentRows[0].count) + Number(holdRows[0].count);
+}
+
+// Lock the date and slot rows for a new (or rescheduled) booking and check there is room left.
+// Must run inside a transaction: concurrent bookings wait on the row locks,
+// so two customers can't both take the last place.
+async function reserveCapacity(connection, { date, time, categorySlug, excludeHoldId = null, excludeAppointmentId = null }) {
+  const categoryId = await getCategoryIdBySlug(connection, categorySlug);
+
+  // Category-specific rows win over general (NULL category) rows
+  const [dates] = await connection.execute(
+    `SELECT id, is_available, max_appointments, service_category_id
+     FROM available_dates
+     WHERE date = ? AND (service_category_id = ? OR service_category_id IS NULL)
+     ORDER BY service_category_id IS NULL ASC
+     LIMIT 1
+     FOR UPDATE`,
+    [date, categoryId]
+  );
+
+  const [slots] = await connection.execute(
+    `SELECT id, start_time, end_time, is_available, extra_price, max_appointments, service_category_id
+     FROM available_time_slots
+     WHERE date = ? AND start_time = ? AND (service_category_id = ? OR service_category_id IS NULL)
+     ORDER BY service_category_id IS NULL ASC
+     LIMIT 1
+     FOR UPDATE`,
+    [date, time, categoryId]
+  );
+
+  if (slots.length === 0 || !slots[0].is_available) {
+    return {
+      success: false,
+      error_code: 'SLOT_UNAVAILABLE',
+      message: 'The selected time slot is not available',
+      details: { date, time }
+    };
+  }
+
+  const slot = slots[0];
+
+  if (dates.length > 0) {
+    const availableDate = dates[0];
+
+    if (!availableDate.is_available) {
+      return {
+        success: false,
+        error_code: 'DATE_UNAVAILABLE',
+        message: 'The selected date is not available for booking',
+        details: { date }
+      };
+    }
+
+    const bookedOnDate = await countBookings(connection, {
+      date,
+      categorySlug: availableDate.service_category_id ? categorySlug : null,
+      excludeHoldId,
+      excludeAppointmentId
+    });
+
+    if (bookedOnDate >= availableDate.max_appointments) {
+      return {
+        success: false,
+        error_code: 'DATE_FULL',
+        message: 'The selected date is fully booked',
+        details: {
+          date,
+          max_appointments: availableDate.max_appointments,
+          booked_count: bookedOnDate,
+          remaining_capacity: 0
+        }
+      };
+    }
+  }
+
+  const bookedInSlot = await countBookings(connection, {
+    date,
+    time: slot.start_time,
+    categorySlug: slot.service_category_id ? categorySlug : null,
+    excludeHoldId,
+    excludeAppointmentId
+  });
+
+  if (bookedInSlot >= slot.max_appointments) {
+    return {
+      success: false,
+      error_code: 'SLOT_FULL',
+      message: 'The selected time slot is fully booked',
+      details: {
+        date,
+        time_slot_id: slot.id,
+        start_time: slot.start_time,
+        end_time: slot.end_time,
+        max_appointments: slot.max_appointments,
+        booked_count: bookedInSlot,
+        remaining_capacity: 0
+      }
+    };
+  }
+
+  return {
+    success: true,
+    slot,
+    remaining_capacity: slot.max_appointments - bookedInSlot - 1
+  };
+}
+
+// Add booked_count, held_count and remaining_capacity to time slot rows of a single date
+async function attachSlotCapacity(db, date, slots) {
+  if (slots.length === 0) {
+    return slots;
+  }
+
+  const [bookings] = await db.execute(
+    `SELECT TIME_FORMAT(appointment_time, '%H:%i:%s') as start_time, service_category_slug, COUNT(*) as count
+     FROM appointments
+     WHERE appointment_date = ? AND status != 'cancelled'
+     GROUP BY appointment_time, service_category_slug`,
+    [date]
+  );
+
+  const [holds] = await db.execute(
+    `SELECT TIME_FORMAT(appointment_time, '%H:%i:%s') as start_time, service_category_slug, COUNT(*) as count
+     FROM slot_holds
+     WHERE appointment_date = ? AND status = 'active' AND expires_at > NOW()
+     GROUP BY appointment_time, service_category_slug`,
+    [date]
+  );
+
+  const [categories] = await db.execute('SELECT id, slug FROM service_categories');
+  const categorySlugs = {};
+  categories.forEach(cat => { categorySlugs[cat.id] = cat.slug; });
+
+  return slots.map(slot => {
+    const scopeSlug = slot.service_category_id ? categorySlugs[slot.service_category_id] : null;
+
+    const countFor = rows => rows
+      .filter(b => b.start_time === slot.start_time && (!scopeSlug || b.service_category_slug === scopeSlug))
+      .reduce((sum, b) => sum + Number(b.count), 0);
+
+    const bookedCount = countFor(bookings);
+    const heldCount = countFor(holds);
+
+    return {
+      ...slot,
+      booked_count: bookedCount,
+      held_count: heldCount,
+      remaining_capacity: Math.max(0, slot.max_appointments - bookedCount - heldCount)
+    };
+  });
+}
+
+module.exports = {
+  getCategoryIdBySlug,
+  countBookings,
+  reserveCapacity,
+  attachSlotCapacity
+};
@@ -0,0 +1,257 @@
+// Cash on Delivery Service
+// Cash collected by technicians at COD jobs, their daily settlement and the discrepancies between
+// what should have been collected and what was. A collection is recorded once; corrections are for admins.
+const { COD_PAYMENT_METHODS, isCashOnDelivery, roundMoney } = require('./quoteService');
+
+// short / over: a collection that doesn't match the amount due, not_recorded: a completed job without one
+const COD_DISCREPANCY_TYPES = ['not_recorded', 'short', 'over'];
+const MAX_COLLECTED_AMOUNT = 100000;
+
+// What is left to collect in cash: the total less anything paid online, from the wallet or a gift card.
+// Nothing is due on a cancelled appointment. Legacy rows without a total_amount are priced from their price columns.
+const COD_EXPECTED_SQL = `(CASE WHEN a.status = 'cancelled' THEN 0
+    ELSE COALESCE(a.total_amount, a.price + COALESCE(a.extra_price, 0) + COALESCE(a.cod_fee, 0)) - COALESCE((
+    SELECT SUM(p.amount) FROM payments p
+    WHERE p.appointment_id = a.id AND p.status = 'completed' AND p.payment_method != 'cod'), 0) END)`;
+
+// Columns withCodPaymentStatus works from, for a query on appointments a
+const COD_STATE_COLUMNS = `${COD_EXPECTED_SQL} as cod_expected_amount,
+  (SELECT cc.collected_amount FROM cod_collections cc WHERE cc.appointment_id = a.id) as cod_collected_amount`;
+
+const COD_METHODS_SQL = `LOWER(a.payment_method) IN (${COD_PAYMENT_METHODS.map(() => '?').join(', ')})`;
+
+function validateCollectedAmount(amount) {
+  const value = roundMoney(Number(amount));
+  if (amount === undefined || amount === null || amount === '' || isNaN(value) || value < 0) {
+    return { error: 'cash_collected must be a number of 0 or more' };
+  }
+  if (value > MAX_COLLECTED_AMOUNT) {
+    return { error: `cash_collected can be at most ${MAX_COLLECTED_AMOUNT}` };
+  }
+  return { amount: value };
+}
+
+// paid, partially_paid or unpaid for a COD appointment, null for any other payment method.
+// unknown when there is no amount due to compare against.
+function codPaymentStatus(paymentMethod, expected, collected) {
+  if (!isCashOnDelivery(paymentMethod)) {
+    return null;
+  }
+  if (expected === null || expected === undefined || isNaN(parseFloat(expected))) {
+    return 'unknown';
+  }
+  const due = roundMoney(parseFloat(expected) || 0);
+  const paid = collected === null || collected === undefined ? 0 : roundMoney(parseFloat(collected));
+  if (paid >= due) {
+    return 'paid';
+  }
+  return paid > 0 ? 'partially_paid' : 'unpaid';
+}
+
+// Add cod_payment_status to an appointment row selected with COD_STATE_COLUMNS
+function withCodPaymentStatus(row) {
+  const isCod = isCashOnDelivery(row.payment_method);
+  return {
+    ...row,
+    cod_expected_amount: isCod && row.cod_expected_amount !== null ? roundMoney(parseFloat(row.cod_expected_amount)) : null,
+    cod_collected_amount: row.cod_collected_amount === null || row.cod_collected_amount === undefined
+      ? null
+      : parseFloat(row.cod_collected_amount),
+    cod_payment_status: codPaymentStatus(row.payment_method, row.cod_expected_amount, row.cod_collected_amount)
+  };
+}
+
+// Where a job stands against the cash due: collected, short, over, not_recorded or open (not completed yet)
+function collectionStatus(job) {
+  if (job.collected_amount === null || job.collected_amount === undefined) {
+    return job.status === 'completed' ? 'not_recorded' : 'open';
+  }
+  const difference = roundMoney(parseFloat(job.collected_amount) - parseFloat(job.expected_amount));
+  if (difference <= -0.01) {
+    return 'short';
+  }
+  return difference >= 0.01 ? 'over' : 'collected';
+}
+
+function formatCollectionJob(job) {
+  const expected = roundMoney(parseFloat(job.expected_amount) || 0);
+  const collected = job.collected_amount === null ? null : roundMoney(parseFloat(job.collected_amount));
+  return {
+    ...job,
+    expected_amount: expected,
+    collected_amount: collected,
+    difference: collected === null ? null : roundMoney(collected - expected),
+    collection_status: collectionStatus(job)
+  };
+}
+
+// COD jobs with their collections. A collected job belongs to whoever collected it,
+// an uncollected one to the technician it is assigned to.
+async function getCollectionJobs(db, { dateFrom, dateTo, technicianId = null }) {
+  const technicianFilter = technicianId
+    ? 'AND ((cc.id IS NULL AND a.technician_id = ?) OR cc.technician_id = ?)'
+    : 'AND (a.technician_id IS NOT NULL OR cc.id IS NOT NULL)';
+
+  const [jobs] = await db.execute(
+    `SELECT a.id as appointment_id, DATE_FORMAT(a.appointment_date, '%Y-%m-%d') as appointment_date,
+            a.appointment_time, a.service, a.status, a.payment_method, a.total_amount,
+            u.fullName as customer_name, u.phone as customer_phone,
+            COALESCE(cc.technician_id, a.technician_id) as technician_id, tu.fullName as technician_name,
+            ${COD_EXPECTED_SQL} as expected_amount,
+            cc.id as collection_id, cc.collected_amount, cc.notes as collection_notes, cc.collected_at
+     FROM appointments a
+     LEFT JOIN users u ON a.user_id = u.id
+     LEFT JOIN cod_collections cc ON cc.appointment_id = a.id
+     LEFT JOIN technicians t ON t.id = COALESCE(cc.technician_id, a.technician_id)
+     LEFT JOIN users tu ON t.user_id = tu.id
+     WHERE a.appointment_date >= ? AND a.appointment_date <= ? AND ${COD_METHODS_SQL}
+       AND (a.status != 'cancelled' OR cc.id IS NOT NULL)
+       ${technicianFilter}
+     ORDER BY a.appointment_date ASC, a.appointment_time ASC, a.id ASC`,
+    [dateFrom, dateTo, ...COD_PAYMENT_METHODS, ...(technicianId ? [technicianId, technicianId] : [])]
+  );
+
+  return jobs.map(formatCollectionJob);
+}
+
+// Record the cash a technician collected at a completed COD job, with a completed 'cod' payment
+// for the amount. Must run inside a transaction.
+async function recordCodCollection(connection, { appointmentId, technicianId, userId, amount, notes = null }) {
+  const [appointments] = await connection.execute(
+    `SELECT a.id, a.user_id, a.status, a.payment_method, a.technician_id, ${COD_EXPECTED_SQL} as expected_amount
+     FROM appointments a WHERE a.id = ? FOR UPDATE`,
+    [appointmentId]
+  );
+
+  if (appointments.length === 0 || Number(appointments[0].technician_id) !== Number(technicianId)) {
+    return { success: false, error_code: 'JOB_NOT_FOUND', message: 'Job not found or not assigned to you' };
+  }
+
+  const appointment = appointments[0];
+
+  if (!isCashOnDelivery(appointment.payment_method)) {
+    return { success: false, error_code: 'NOT_CASH_ON_DELIVERY', message: 'This job is not paid cash on delivery' };
+  }
+  if (appointment.status !== 'completed') {
+    return {
+      success: false,
+      error_code: 'INVALID_JOB_ACTION',
+      message: 'Cash can only be recorded for a completed job',
+      details: { current_status: appointment.status }
+    };
+  }
+
+  const [existing] = await connection.execute('SELECT id FROM cod_collections WHERE appointment_id = ?', [appointmentId]);
+  if (existing.length > 0) {
+    return {
+      success: false,
+      error_code: 'COD_ALREADY_RECORDED',
+      message: 'Cash collection was already recorded for this job'
+    };
+  }
+
+  const [result] = await connection.execute(
+    `INSERT INTO cod_collections (appointment_id, technician_id, collected_amount, notes, collected_by)
+     VALUES (?, ?, ?, ?, ?)`,
+    [appointmentId, technicianId, amount, notes, userId]
+  );
+
+  if (amount > 0) {
+    const [payment] = await connection.execute(
+      `INSERT INTO payments (user_id, order_id, appointment_id, payment_id, amount, currency, status, payment_method, created_at)
+       VALUES (?, ?, ?, ?, ?, 'AED', 'completed', 'cod', NOW())`,
+      [appointment.user_id, `appointment_${appointmentId}`, appointmentId, `cod_${result.insertId}`, amount]
+    );
+    await connection.execute('UPDATE cod_collections SET payment_id = ? WHERE id = ?', [payment.insertId, result.insertId]);
+  }
+
+  return {
+    success: true,
+    collection: formatCollectionJob({
+      appointment_id: Number(appointmentId),
+      status: appointment.status,
+      collection_id: result.insertId,
+      expected_amount: appointment.expected_amount,
+      collected_amount: amount,
+      collection_notes: notes
+    })
+  };
+}
+
+// recordCodCollection in a transaction of its own
+async function recordCodCollectionForJob(pool, collection) {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const result = await recordCodCollection(connection, collection);
+    if (!result.success) {
+      await connection.rollback();
+      connection.release();
+      return result;
+    }
+
+    await connection.commit();
+    connection.release();
+    return result;
+  } catch (error) {
+    try { await connection.rollback(); } catch (e) { /* ignore */ }
+    connection.release();
+    throw error;
+  }
+}
+
+// One technician's COD jobs of a day with expected vs collected cash.
+// Expected only counts completed jobs, where the cash should be in hand.
+async function getTechnicianSettlement(db, technicianId, date) {
+  const jobs = await getCollectionJobs(db, { dateFrom: date, dateTo: date, technicianId });
+
+  const dueJobs = jobs.filter(job => job.status === 'completed' || job.collected_amount !== null);
+  const expected = roundMoney(dueJobs.reduce((sum, job) => sum + job.expected_amount, 0));
+  const collected = roundMoney(jobs.reduce((sum, job) => sum + (job.collected_amount || 0), 0));
+
+  const counts = {};
+  jobs.forEach(job => {
+    counts[job.collection_status] = (counts[job.collection_status] || 0) + 1;
+  });
+
+  return {
+    technician_id: Number(technicianId),
+    date,
+    currency: 'AED',
+    expected_amount: expected,
+    collected_amount: collected,
+    difference: roundMoney(collected - expected),
+    counts,
+    jobs
+  };
+}
+
+// COD jobs whose collection doesn't match the amount due, or completed without one
+async function getCodDiscrepancies(db, { dateFrom, dateTo, technicianId = null, type = null }) {
+  const jobs = await getCollectionJobs(db, { dateFrom, dateTo, technicianId });
+
+  const counts = {};
+  COD_DISCREPANCY_TYPES.forEach(item => { counts[item] = 0; });
+
+  const discrepancies = jobs.filter(job => COD_DISCREPANCY_TYPES.includes(job.collection_status));
+  discrepancies.forEach(job => { counts[job.collection_status] += 1; });
+
+  return {
+    counts,
+    total_difference: roundMoney(discrepancies.reduce((sum, job) => sum + (job.difference || 0), 0)),
+    discrepancies: type ? discrepancies.filter(job => job.collection_status === type) : discrepancies
+  };
+}
+
+module.exports = {
+  COD_DISCREPANCY_TYPES,
+  COD_STATE_COLUMNS,
+  validateCollectedAmount,
+  codPaymentStatus,
+  withCodPaymentStatus,
+  recordCodCollection,
+  recordCodCollectionForJob,
+  getTechnicianSettlement,
+  getCodDiscrepancies
+};
@@ -1,6 +1,16 @@
 const nodemailer = require('nodemailer');
 require('dotenv').config();
 
+// For values from users that end up in an HTML email
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
 // Create transporter with SMTP configuration from environment variables
 const createTransporter = () => {
   return nodemailer.createTransport({
@@ -364,13 +374,16 @@ async function sendAppointmentReminder(appointmentData) {
       appointment_date,
       appointment_time,
       address,
-      appointment_id
+      appointment_id,
+      reminder_when = 'tomorrow' // 'today', 'tomorrow' or 'on YYYY-MM-DD'
     } = appointmentData;
 
+    const whenLabel = reminder_when.charAt(0).toUpperCase() + reminder_when.slice(1);
+
     const mailOptions = {
       from: `"${process.env.SMTP_FROM_NAME}" <${process.env.SMTP_FROM_EMAIL}>`,
       to: customer_email,
-      subject: `Appointment Reminder - Tomorrow at ${appointment_time}`,
+      subject: `Appointment Reminder - ${whenLabel} at ${appointment_time}`,
       html: `
         <!DOCTYPE html>
         <html>
@@ -660,8 +673,8 @@ async function sendAppointmentReminder(appointmentData) {
               <div class="greeting">Hello ${customer_name},</div>
               
               <div class="reminder-message">
-                <div class="reminder-title">Tomorrow's Appointment</div>
-                <div class="reminder-text">We're excited to serve you tomorrow! Here's a friendly reminder about your scheduled appointment.</div>
+                <div class="reminder-title">${reminder_when === 'today' ? "Today's" : reminder_when === 'tomorrow' ? "Tomorrow's" : 'Upcoming'} Appointment</div>
+                <div class="reminder-text">We're excited to serve you ${reminder_when}! Here's a friendly reminder about your scheduled appointment.</div>
               </div>
               
               <div class="appointment-card">
@@ -744,6 +757,166 @@ async function sendAppointmentReminder(appointmentData) {
   }
 }
 
+// Send gift card email to its recipient
+async function sendGiftCardEmail(giftCardData) {
+  try {
+    const transporter = createTransporter();
+    
+    const {
+      recipient_email,
+      recipient_name,
+      purchaser_name,
+      title,
+      code,
+      amount,
+      currency = 'AED',
+      message,
+      expires_at,
+      category_name
+    } = giftCardData;
+
+    // Everything here but the amount is typed in by the customer who bought the card
+    const sender = purchaser_name || 'AppointPro Dubai';
+    const greeting = recipient_name ? `Hi ${escapeHtml(recipient_name)},` : 'Hi,';
+    const usableFor = category_name ? `your next ${escapeHtml(category_name)} booking` : 'any of our services';
+
+    const mailOptions = {
+      from: `"${process.env.SMTP_FROM_NAME}" <${process.env.SMTP_FROM_EMAIL}>`,
+      to: recipient_email,
+      subject: `${sender} sent you a ${title}`,
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="utf-8">
+          <title>Your Gift Card</title>
+          <style>
+            * { margin: 0; padding: 0; box-sizing: border-box; }
+            body { 
+              font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; 
+              line-height: 1.6; 
+              color: #333; 
+              background-color: #f8fafc;
+            }
+            .email-container { 
+              max-width: 600px; 
+              margin: 0 auto; 
+              background-color: #ffffff;
+              border-radius: 12px;
+              overflow: hidden;
+              box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);
+            }
+            .header { 
+              background: linear-gradient(135deg, #8b5cf6 0%, #6d28d9 100%);
+              color: white; 
+              padding: 35px 30px;
+              text-align: center;
+            }
+            .header h1 { font-size: 26px; font-weight: 700; margin-bottom: 6px; }
+            .header p { font-size: 15px; opacity: 0.9; }
+            .content { padding: 35px 30px; }
+            .greeting { font-size: 17px; margin-bottom: 15px; }
+            .personal-message {
+              background: #f5f3ff;
+              border-left: 4px solid #8b5cf6;
+              padding: 15px 20px;
+              border-radius: 8px;
+              font-style: italic;
+              margin-bottom: 25px;
+            }
+            .card {
+              border: 2px dashed #8b5cf6;
+              border-radius: 12px;
+              padding: 25px;
+              text-align: center;
+              margin-bottom: 25px;
+            }
+            .card-amount { font-size: 34px; font-weight: 700; color: #6d28d9; }
+            .card-label { font-size: 13px; color: #6b7280; text-transform: uppercase; letter-spacing: 1px; margin-top: 15px; }
+            .card-code {
+              font-family: 'Courier New', monospace;
+              font-size: 22px;
+              font-weight: 700;
+              letter-spacing: 2px;
+              background: #f9fafb;
+              border-radius: 8px;
+              padding: 10px;
+              margin-top: 6px;
+            }
+            .card-expiry { font-size: 14px; color: #6b7280; margin-top: 15px; }
+            .how-to {
+              color: #4b5563;
+              font-size: 14px;
+              background: #f9fafb;
+              border-radius: 8px;
+              padding: 15px 20px;
+            }
+            .footer { 
+              background-color: #1f2937; 
+              color: #d1d5db; 
+              padding: 25px 30px; 
+              text-align: center;
+            }
+            .footer-title { font-size: 16px; font-weight: 600; color: #ffffff; margin-bottom: 5px; }
+            .footer-text { font-size: 13px; }
+          </style>
+        </head>
+        <body>
+          <div class="email-container">
+            <div class="header">
+              <h1>🎁 ${escapeHtml(title)}</h1>
+              <p>A gift from ${escapeHtml(sender)}</p>
+            </div>
+            
+            <div class="content">
+              <div class="greeting">${greeting}</div>
+              <p style="margin-bottom: 20px;">${escapeHtml(sender)} has sent you a gift card you can use for ${usableFor}.</p>
+              
+              ${message ? `
+              <div class="personal-message">"${escapeHtml(message)}"</div>
+              ` : ''}
+              
+              <div class="card">
+                <div class="card-amount">${escapeHtml(currency)} ${escapeHtml(amount)}</div>
+                <div class="card-label">Gift card code</div>
+                <div class="card-code">${escapeHtml(code)}</div>
+                ${expires_at ? `<div class="card-expiry">Valid until ${escapeHtml(expires_at)}</div>` : ''}
+              </div>
+              
+              <div class="how-to">
+                <strong>How to use it:</strong><br>
+                Enter the code at checkout when you book. Whatever you don't use stays on the card for your next booking.
+              </div>
+            </div>
+            
+            <div class="footer">
+              <div class="footer-title">Enjoy your gift!</div>
+              <div class="footer-text">AppointPro Dubai - Your trusted service partner</div>
+            </div>
+          </div>
+        </body>
+        </html>
+      `
+    };
+
+    const result = await transporter.sendMail(mailOptions);
+    console.log('✅ Gift card email sent:', result.messageId);
+    
+    return {
+      success: true,
+      message: 'Gift card email sent successfully',
+      messageId: result.messageId
+    };
+  } catch (error) {
+    console.error('❌ Error sending gift card email:', error);
+    return {
+      success: false,
+      message: 'Failed to send gift card email',
+      error: error.message
+    };
+  }
+}
+
 // Send admin notification email
 async function sendAdminNotification(appointmentData) {
   try {
@@ -1135,5 +1308,7 @@ module.exports = {
   sendAppointmentConfirmation,
   sendAppointmentReminder,
   sendAdminNotification,
-  sendEmail
+  sendGiftCardEmail,
+  sendEmail,
+  escapeHtml
 };
\ No newline at end of file
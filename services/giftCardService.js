@@ -0,0 +1,395 @@
+// Gift Card Service
+// Prepaid vouchers with a unique code and a balance that can be spent over several bookings.
+// A purchased card stays pending until its payment completes; an admin-issued card is active at once.
+// The expiry starts counting when the card activates, and the recipient is emailed then.
+const crypto = require('crypto');
+const { roundMoney } = require('./quoteService');
+const { registerJobHandler, enqueueJob } = require('./queueService');
+const { assertSent } = require('./notificationService');
+const { sendGiftCardEmail } = require('./emailService');
+
+// 'expired' is not stored, an active card past expires_at is reported as expired
+const GIFT_CARD_STATUSES = ['pending', 'active', 'redeemed', 'void'];
+const MIN_GIFT_CARD_AMOUNT = 50;
+const MAX_GIFT_CARD_AMOUNT = 5000;
+const GIFT_CARD_VALIDITY_MONTHS = parseInt(process.env.GIFT_CARD_VALIDITY_MONTHS, 10) || 12;
+
+// No 0/O or 1/I/L, so codes survive being read out or typed from a printout
+const CODE_ALPHABET = '23456789ABCDEFGHJKMNPQRSTUVWXYZ';
+const CODE_INSERT_ATTEMPTS = 5;
+
+function generateGiftCardCode() {
+  const groups = [];
+  for (let group = 0; group < 3; group++) {
+    let chars = '';
+    for (let i = 0; i < 4; i++) {
+      chars += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+    }
+    groups.push(chars);
+  }
+  return `GC-${groups.join('-')}`;
+}
+
+function normalizeGiftCardCode(code) {
+  return String(code || '').trim().toUpperCase();
+}
+
+function isExpired(card) {
+  return !!card.expires_at && new Date(card.expires_at).getTime() < Date.now();
+}
+
+function effectiveStatus(card) {
+  return card.status === 'active' && isExpired(card) ? 'expired' : card.status;
+}
+
+// Card fields safe to show to whoever holds the code
+function formatGiftCard(card) {
+  return {
+    id: card.id,
+    code: card.code,
+    title: card.title,
+    service_category_slug: card.service_category_slug,
+    initial_amount: parseFloat(card.initial_amount),
+    balance: parseFloat(card.balance),
+    currency: card.currency,
+    status: effectiveStatus(card),
+    recipient_name: card.recipient_name,
+    expires_at: card.expires_at,
+    activated_at: card.activated_at,
+    created_at: card.created_at
+  };
+}
+
+// Validate the card details of a purchase or an admin issue, returns { error } or { values }
+function validateGiftCardInput(body, { requireRecipient = true } = {}) {
+  const { amount, title, service_category_slug, recipient_name, recipient_email, message } = body;
+
+  const value = roundMoney(Number(amount));
+  if (amount === undefined || amount === null || amount === '' || isNaN(value)) {
+    return { error: 'amount must be a number' };
+  }
+  if (value < MIN_GIFT_CARD_AMOUNT || value > MAX_GIFT_CARD_AMOUNT) {
+    return { error: `amount must be between ${MIN_GIFT_CARD_AMOUNT} and ${MAX_GIFT_CARD_AMOUNT} AED` };
+  }
+
+  const email = recipient_email ? String(recipient_email).trim() : null;
+  if (requireRecipient && !email) {
+    return { error: 'recipient_email is required' };
+  }
+  if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+    return { error: 'recipient_email is not a valid email address' };
+  }
+
+  if (message && String(message).length > 500) {
+    return { error: 'message can be at most 500 characters' };
+  }
+
+  return {
+    values: {
+      amount: value,
+      title: title && String(title).trim() ? String(title).trim().slice(0, 150) : 'Gift Card',
+      serviceCategorySlug: service_category_slug || null,
+      recipientName: recipient_name ? String(recipient_name).trim().slice(0, 150) : null,
+      recipientEmail: email,
+      message: message ? String(message).trim() : null
+    }
+  };
+}
+
+async function getGiftCard(db, giftCardId) {
+  const [cards] = await db.execute('SELECT * FROM gift_cards WHERE id = ?', [giftCardId]);
+  return cards[0] || null;
+}
+
+async function getGiftCardByCode(db, code) {
+  const [cards] = await db.execute('SELECT * FROM gift_cards WHERE code = ?', [normalizeGiftCardCode(code)]);
+  return cards[0] || null;
+}
+
+async function getGiftCardTransactions(db, giftCardId) {
+  const [transactions] = await db.execute(
+    `SELECT id, type, amount, balance_after, appointment_id, created_at
+     FROM gift_card_transactions WHERE gift_card_id = ? ORDER BY id DESC`,
+    [giftCardId]
+  );
+  return transactions;
+}
+
+// Insert a card under a fresh code, drawing again on the rare duplicate
+async function insertGiftCard(pool, values, { status, purchaserUserId = null, createdBy = null }) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const [result] = await pool.execute(
+        `INSERT INTO gift_cards (code, title, service_category_slug, initial_amount, balance, currency, status,
+                                 purchaser_user_id, recipient_name, recipient_email, message, created_by,
+                                 activated_at, expires_at)
+         VALUES (?, ?, ?, ?, ?, 'AED', ?, ?, ?, ?, ?, ?, ${status === 'active' ? 'NOW(), DATE_ADD(NOW(), INTERVAL ? MONTH)' : 'NULL, NULL'})`,
+        [
+          generateGiftCardCode(), values.title, values.serviceCategorySlug, values.amount, values.amount, status,
+          purchaserUserId, values.recipientName, values.recipientEmail, values.message, createdBy,
+          ...(status === 'active' ? [GIFT_CARD_VALIDITY_MONTHS] : [])
+        ]
+      );
+      return result.insertId;
+    } catch (error) {
+      if (error.code !== 'ER_DUP_ENTRY' || attempt >= CODE_INSERT_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+}
+
+// A card bought by a customer. It is paid through the payment flow with order_id giftcard_<id>.
+async function createGiftCard(pool, values, { purchaserUserId }) {
+  const giftCardId = await insertGiftCard(pool, values, { status: 'pending', purchaserUserId });
+  await pool.execute('UPDATE gift_cards SET order_id = ? WHERE id = ?', [`giftcard_${giftCardId}`, giftCardId]);
+  return getGiftCard(pool, giftCardId);
+}
+
+// A complimentary card from an admin, active straight away
+async function issueGiftCard(pool, values, { createdBy }) {
+  const giftCardId = await insertGiftCard(pool, values, { status: 'active', createdBy });
+  if (values.recipientEmail) {
+    await enqueueJob(pool, 'email.gift_card', { gift_card_id: giftCardId });
+  }
+  return getGiftCard(pool, giftCardId);
+}
+
+// Activate the card of a completed giftcard_<id> payment. Safe to call again for the same order.
+async function activateGiftCard(pool, orderId) {
+  const [result] = await pool.execute(
+    `UPDATE gift_cards SET status = 'active', activated_at = NOW(), expires_at = DATE_ADD(NOW(), INTERVAL ? MONTH)
+     WHERE order_id = ? AND status = 'pending'`,
+    [GIFT_CARD_VALIDITY_MONTHS, orderId]
+  );
+
+  const [cards] = await pool.execute('SELECT * FROM gift_cards WHERE order_id = ?', [orderId]);
+  const card = cards[0] || null;
+
+  if (result.affectedRows > 0 && card.recipient_email) {
+    await enqueueJob(pool, 'email.gift_card', { gift_card_id: card.id });
+  }
+
+  return { activated: result.affectedRows > 0, gift_card: card };
+}
+
+// Why a card can't pay for a booking in this category, or null when it can
+function checkGiftCardUsable(card, categorySlug) {
+  if (!card) {
+    return { error_code: 'GIFT_CARD_NOT_FOUND', message: 'Gift card not found' };
+  }
+  if (card.status === 'pending') {
+    return { error_code: 'GIFT_CARD_NOT_ACTIVE', message: 'This gift card has not been paid for yet' };
+  }
+  if (card.status === 'void') {
+    return { error_code: 'GIFT_CARD_VOID', message: 'This gift card is no longer valid' };
+  }
+  if (card.status === 'redeemed' || parseFloat(card.balance) <= 0) {
+    return { error_code: 'GIFT_CARD_EMPTY', message: 'This gift card has been used up' };
+  }
+  if (isExpired(card)) {
+    return { error_code: 'GIFT_CARD_EXPIRED', message: 'This gift card has expired' };
+  }
+  if (card.service_category_slug && card.service_category_slug !== categorySlug) {
+    return {
+      error_code: 'GIFT_CARD_NOT_VALID_FOR_SERVICE',
+      message: 'This gift card can only be used for another service',
+      details: { service_category_slug: card.service_category_slug }
+    };
+  }
+  return null;
+}
+
+// How much of a booking total to take from a gift card: gift_card_amount asks for an exact amount,
+// otherwise as much as the balance allows. Partial use leaves the rest on the card.
+function resolveGiftCardSpend({ gift_card_amount }, total, card, categorySlug) {
+  const unusable = checkGiftCardUsable(card, categorySlug);
+  if (unusable) {
+    return { success: false, ...unusable };
+  }
+
+  const balance = parseFloat(card.balance);
+
+  if (gift_card_amount !== undefined && gift_card_amount !== null && gift_card_amount !== '') {
+    const value = roundMoney(Number(gift_card_amount));
+    if (isNaN(value) || value <= 0) {
+      return { success: false, error_code: 'INVALID_GIFT_CARD_AMOUNT', message: 'gift_card_amount must be a positive number' };
+    }
+    if (value > total) {
+      return { success: false, error_code: 'INVALID_GIFT_CARD_AMOUNT', message: 'gift_card_amount is more than the booking total' };
+    }
+    if (value > balance) {
+      return {
+        success: false,
+        error_code: 'INSUFFICIENT_GIFT_CARD_BALANCE',
+        message: `Gift card balance is ${balance.toFixed(2)} AED`,
+        details: { balance }
+      };
+    }
+    return { success: true, amount: value };
+  }
+
+  return { success: true, amount: roundMoney(Math.min(balance, total)) };
+}
+
+// Spend from a card for a booking. Must run inside a transaction: the card row is locked
+// and checked again, so two bookings can't spend the same balance.
+async function redeemGiftCard(connection, { code, amount, appointmentId, categorySlug }) {
+  const [cards] = await connection.execute('SELECT * FROM gift_cards WHERE code = ? FOR UPDATE', [normalizeGiftCardCode(code)]);
+  const card = cards[0] || null;
+
+  const unusable = checkGiftCardUsable(card, categorySlug);
+  if (unusable) {
+    return { success: false, ...unusable };
+  }
+
+  const balance = parseFloat(card.balance);
+  const value = roundMoney(amount);
+  if (value > balance) {
+    return {
+      success: false,
+      error_code: 'INSUFFICIENT_GIFT_CARD_BALANCE',
+      message: `Gift card balance is ${balance.toFixed(2)} AED`,
+      details: { balance }
+    };
+  }
+
+  const balanceAfter = roundMoney(balance - value);
+  await connection.execute(
+    'UPDATE gift_cards SET balance = ?, status = ? WHERE id = ?',
+    [balanceAfter, balanceAfter > 0 ? 'active' : 'redeemed', card.id]
+  );
+
+  const [result] = await connection.execute(
+    `INSERT INTO gift_card_transactions (gift_card_id, type, amount, balance_after, appointment_id)
+     VALUES (?, 'redeem', ?, ?, ?)`,
+    [card.id, value, balanceAfter, appointmentId]
+  );
+
+  return {
+    success: true,
+    transaction: { id: result.insertId, gift_card_id: card.id, amount: value, balance_after: balanceAfter }
+  };
+}
+
+// Put a refunded gift card payment back on the card it was spent from.
+// paymentId is the payments.payment_id of the redemption, giftcard_<transaction id>.
+async function refundToGiftCard(pool, { paymentId, amount, appointmentId }) {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const [cards] = await connection.execute(
+      `SELECT gc.* FROM gift_card_transactions gct JOIN gift_cards gc ON gct.gift_card_id = gc.id
+       WHERE gct.id = ? FOR UPDATE`,
+      [String(paymentId).replace('giftcard_', '')]
+    );
+    const card = cards[0] || null;
+
+    if (!card) {
+      await connection.rollback();
+      connection.release();
+      return { success: false, error_code: 'GIFT_CARD_NOT_FOUND', message: 'Gift card of this payment not found' };
+    }
+    if (card.status === 'void') {
+      await connection.rollback();
+      connection.release();
+      return { success: false, error_code: 'GIFT_CARD_VOID', message: `Gift card ${card.code} has been voided` };
+    }
+
+    const balanceAfter = roundMoney(parseFloat(card.balance) + roundMoney(amount));
+    await connection.execute(
+      `UPDATE gift_cards SET balance = ?, status = 'active' WHERE id = ?`,
+      [balanceAfter, card.id]
+    );
+    await connection.execute(
+      `INSERT INTO gift_card_transactions (gift_card_id, type, amount, balance_after, appointment_id)
+       VALUES (?, 'refund', ?, ?, ?)`,
+      [card.id, roundMoney(amount), balanceAfter, appointmentId]
+    );
+
+    await connection.commit();
+    connection.release();
+    return { success: true, gift_card_id: card.id, balance: balanceAfter };
+  } catch (error) {
+    try { await connection.rollback(); } catch (e) { /* ignore */ }
+    connection.release();
+    throw error;
+  }
+}
+
+// Void a card so it can't be spent any more. The remaining balance is kept for the record.
+async function voidGiftCard(pool, giftCardId, { voidedBy, reason = null }) {
+  const card = await getGiftCard(pool, giftCardId);
+  if (!card) {
+    return { success: false, error_code: 'GIFT_CARD_NOT_FOUND', message: 'Gift card not found' };
+  }
+
+  const [result] = await pool.execute(
+    `UPDATE gift_cards SET status = 'void', voided_at = NOW(), voided_by = ?, void_reason = ?
+     WHERE id = ? AND status != 'void'`,
+    [voidedBy, reason, giftCardId]
+  );
+
+  if (result.affectedRows === 0) {
+    return { success: false, error_code: 'GIFT_CARD_ALREADY_VOID', message: 'Gift card is already void' };
+  }
+
+  return { success: true, gift_card: await getGiftCard(pool, giftCardId) };
+}
+
+// Register the queue handler that emails a card to its recipient
+function registerGiftCardJobs(pool) {
+  registerJobHandler('email.gift_card', async ({ gift_card_id }) => {
+    const [cards] = await pool.execute(
+      `SELECT gc.*, u.fullName as purchaser_name, sc.name as category_name
+       FROM gift_cards gc
+       LEFT JOIN users u ON gc.purchaser_user_id = u.id
+       LEFT JOIN service_categories sc ON gc.service_category_slug = sc.slug
+       WHERE gc.id = ?`,
+      [gift_card_id]
+    );
+    const card = cards[0];
+
+    // Voided since it was queued
+    if (!card || card.status !== 'active' || !card.recipient_email) {
+      return;
+    }
+
+    assertSent(await sendGiftCardEmail({
+      recipient_email: card.recipient_email,
+      recipient_name: card.recipient_name,
+      purchaser_name: card.purchaser_name,
+      title: card.title,
+      code: card.code,
+      amount: parseFloat(card.balance).toFixed(2),
+      currency: card.currency,
+      message: card.message,
+      expires_at: card.expires_at ? new Date(card.expires_at).toISOString().split('T')[0] : null,
+      // A card limited to one category says so, with the slug if the category is gone
+      category_name: card.service_category_slug ? card.category_name || card.service_category_slug : null
+    }));
+  });
+}
+
+module.exports = {
+  GIFT_CARD_STATUSES,
+  MIN_GIFT_CARD_AMOUNT,
+  MAX_GIFT_CARD_AMOUNT,
+  GIFT_CARD_VALIDITY_MONTHS,
+  generateGiftCardCode,
+  normalizeGiftCardCode,
+  formatGiftCard,
+  validateGiftCardInput,
+  getGiftCard,
+  getGiftCardByCode,
+  getGiftCardTransactions,
+  createGiftCard,
+  issueGiftCard,
+  activateGiftCard,
+  resolveGiftCardSpend,
+  redeemGiftCard,
+  refundToGiftCard,
+  voidGiftCard,
+  registerGiftCardJobs
+};
@@ -0,0 +1,201 @@
+// Slot Hold Service
+// Short-lived reservations on a time slot while the customer checks out and pays
+const crypto = require('crypto');
+const { reserveCapacity } = require('./capacityService');
+const { insertAppointment } = require('./appointmentService');
+const { redeemOfferCode, roundMoney } = require('./quoteService');
+
+const HOLD_MINUTES = parseInt(process.env.SLOT_HOLD_MINUTES || '15', 10);
+const PAYMENT_HOLD_MINUTES = parseInt(process.env.PAYMENT_HOLD_MINUTES || '30', 10);
+const SWEEP_INTERVAL = 60 * 1000; // 1 minute
+
+let sweepTimer = null;
+
+// Place a hold on the slot for the given booking. bookingData holds the
+// appointment columns (already priced) used when the hold is confirmed.
+async function placeHold(pool, { userId, date, time, categorySlug, bookingData }) {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    // Holds count against capacity exactly like appointments
+    const capacity = await reserveCapacity(connection, { date, time, categorySlug });
+    if (!capacity.success) {
+      await connection.rollback();
+      connection.release();
+      return capacity;
+    }
+
+    const orderId = `hold_${crypto.randomBytes(12).toString('hex')}`;
+    const [result] = await connection.execute(
+      `INSERT INTO slot_holds
+       (user_id, order_id, time_slot_id, appointment_date, appointment_time, service_category_slug, booking_data, status, expires_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, 'active', DATE_ADD(NOW(), INTERVAL ? MINUTE))`,
+      [userId, orderId, capacity.slot.id, date, time, categorySlug || null, JSON.stringify(bookingData), HOLD_MINUTES]
+    );
+
+    await connection.commit();
+    connection.release();
+
+    const [holds] = await pool.execute('SELECT id, order_id, expires_at FROM slot_holds WHERE id = ?', [result.insertId]);
+    return { success: true, hold: holds[0] };
+  } catch (error) {
+    try { await connection.rollback(); } catch (e) { /* ignore */ }
+    connection.release();
+    throw error;
+  }
+}
+
+// Active (unexpired) hold for an order id, optionally owned by a user
+async function getActiveHold(db, orderId, userId = null) {
+  let query = `SELECT * FROM slot_holds WHERE order_id = ? AND status = 'active' AND expires_at > NOW()`;
+  const params = [orderId];
+
+  if (userId) {
+    query += ' AND user_id = ?';
+    params.push(userId);
+  }
+
+  const [rows] = await db.execute(query, params);
+  return rows.length > 0 ? rows[0] : null;
+}
+
+// Give the customer time to finish paying once a payment intent exists
+async function extendHoldForPayment(db, holdId) {
+  await db.execute(
+    `UPDATE slot_holds SET expires_at = GREATEST(expires_at, DATE_ADD(NOW(), INTERVAL ? MINUTE))
+     WHERE id = ? AND status = 'active'`,
+    [PAYMENT_HOLD_MINUTES, holdId]
+  );
+}
+
+// Release a hold the customer no longer needs
+async function releaseHold(db, holdId, userId) {
+  const [result] = await db.execute(
+    `UPDATE slot_holds SET status = 'released' WHERE id = ? AND user_id = ? AND status = 'active'`,
+    [holdId, userId]
+  );
+  return result.affectedRows > 0;
+}
+
+// Turn a paid hold into a confirmed appointment. Safe to call more than once
+// for the same order: a hold that was already confirmed returns its appointment.
+async function confirmHold(pool, orderId) {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const [holds] = await connection.execute(
+      `SELECT id, user_id, status, appointment_id, booking_data, service_category_slug,
+              DATE_FORMAT(appointment_date, '%Y-%m-%d') as appointment_date, appointment_time,
+              expires_at <= NOW() as is_expired
+       FROM slot_holds WHERE order_id = ? FOR UPDATE`,
+      [orderId]
+    );
+
+    if (holds.length === 0) {
+      await connection.rollback();
+      connection.release();
+      return { success: false, error_code: 'HOLD_NOT_FOUND', message: 'Slot hold not found' };
+    }
+
+    const hold = holds[0];
+
+    if (hold.status === 'confirmed') {
+      await connection.commit();
+      connection.release();
+      return { success: true, appointment_id: hold.appointment_id, created: false };
+    }
+
+    if (hold.status === 'released') {
+      await connection.rollback();
+      connection.release();
+      return { success: false, error_code: 'HOLD_RELEASED', message: 'Slot hold was released before payment completed' };
+    }
+
+    // The hold ran out before the payment landed - only book if there is still room
+    if (hold.status === 'expired' || hold.is_expired) {
+      const capacity = await reserveCapacity(connection, {
+        date: hold.appointment_date,
+        time: hold.appointment_time,
+        categorySlug: hold.service_category_slug,
+        excludeHoldId: hold.id
+      });
+
+      if (!capacity.success) {
+        await connection.execute("UPDATE slot_holds SET status = 'expired' WHERE id = ?", [hold.id]);
+        await connection.commit();
+        connection.release();
+        return { success: false, error_code: 'HOLD_EXPIRED', message: 'Slot hold expired and the slot is no longer available' };
+      }
+    }
+
+    const booking = typeof hold.booking_data === 'string' ? JSON.parse(hold.booking_data) : hold.booking_data;
+
+    const appointmentId = await insertAppointment(connection, {
+      ...booking,
+      user_id: hold.user_id,
+      appointment_date: hold.appointment_date,
+      appointment_time: hold.appointment_time,
+      service_category_slug: hold.service_category_slug,
+      status: 'confirmed'
+    }, { actorType: 'system', reason: 'Payment completed for slot hold' });
+
+    // The customer already paid the discounted price, so the use is recorded even if the code ran out meanwhile
+    if (booking.offer_code) {
+      await redeemOfferCode(connection, {
+        code: booking.offer_code,
+        userId: hold.user_id,
+        appointmentId,
+        orderAmount: roundMoney(Number(booking.price) + Number(booking.discount_amount || 0)),
+        discountAmount: booking.discount_amount || 0
+      }, { enforce: false });
+    }
+
+    await connection.execute(
+      "UPDATE slot_holds SET status = 'confirmed', appointment_id = ? WHERE id = ?",
+      [appointmentId, hold.id]
+    );
+
+    await connection.commit();
+    connection.release();
+
+    return { success: true, appointment_id: appointmentId, created: true };
+  } catch (error) {
+    try { await connection.rollback(); } catch (e) { /* ignore */ }
+    connection.release();
+    throw error;
+  }
+}
+
+// Mark holds whose time ran out as expired. Capacity checks already ignore
+// them by expires_at, this just keeps the table tidy for reporting.
+async function expireHolds(db) {
+  const [result] = await db.execute(
+    "UPDATE slot_holds SET status = 'expired' WHERE status = 'active' AND expires_at <= NOW()"
+  );
+  return result.affectedRows;
+}
+
+function startHoldSweeper(pool) {
+  if (sweepTimer) {
+    return;
+  }
+
+  sweepTimer = setInterval(() => {
+    expireHolds(pool).catch(error => {
+      console.error('Error expiring slot holds:', error);
+    });
+  }, SWEEP_INTERVAL);
+}
+
+module.exports = {
+  HOLD_MINUTES,
+  placeHold,
+  getActiveHold,
+  extendHoldForPayment,
+  releaseHold,
+  confirmHold,
+  expireHolds,
+  startHoldSweeper
+};
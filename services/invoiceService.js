@@ -0,0 +1,566 @@
+// Invoice Service
+// UAE VAT tax invoices for completed or fully paid appointments and credit notes against them, rendered to HTML and PDF
+const { VAT_RATE, roundMoney } = require('./quoteService');
+const { formatAddress } = require('./notificationService');
+const { registerJobHandler, enqueueJob } = require('./queueService');
+const { renderPdf, canRenderText, textWidth, wrapText } = require('./pdfService');
+const { escapeHtml } = require('./emailService');
+
+const DOCUMENT_TYPES = ['invoice', 'credit_note'];
+const DOCUMENT_FORMATS = ['pdf', 'html'];
+
+const DOCUMENT_PREFIXES = {
+  invoice: process.env.INVOICE_PREFIX || 'INV',
+  credit_note: process.env.CREDIT_NOTE_PREFIX || 'CN'
+};
+
+const DOCUMENT_TITLES = {
+  invoice: 'Tax Invoice',
+  credit_note: 'Tax Credit Note'
+};
+
+// Seller details printed on every document. A tax invoice isn't valid without the TRN.
+function getCompanyDetails() {
+  return {
+    name: process.env.COMPANY_NAME || 'AppointPro Dubai',
+    trn: process.env.COMPANY_TRN || null,
+    address: process.env.COMPANY_ADDRESS || 'Dubai, United Arab Emirates',
+    email: process.env.COMPANY_EMAIL || null,
+    phone: process.env.COMPANY_PHONE || null
+  };
+}
+
+function companyNotConfigured() {
+  return {
+    success: false,
+    error_code: 'COMPANY_TRN_NOT_CONFIGURED',
+    message: 'Tax invoices cannot be issued until COMPANY_TRN is configured'
+  };
+}
+
+// Next gap-free number of a document type. Must run inside the transaction that inserts the document.
+async function nextDocumentNumber(connection, documentType) {
+  await connection.execute(
+    'INSERT IGNORE INTO invoice_sequences (document_type, next_number) VALUES (?, 1)',
+    [documentType]
+  );
+  const [[sequence]] = await connection.execute(
+    'SELECT next_number FROM invoice_sequences WHERE document_type = ? FOR UPDATE',
+    [documentType]
+  );
+  await connection.execute(
+    'UPDATE invoice_sequences SET next_number = next_number + 1 WHERE document_type = ?',
+    [documentType]
+  );
+
+  return `${DOCUMENT_PREFIXES[documentType]}-${String(sequence.next_number).padStart(6, '0')}`;
+}
+
+async function getInvoiceableAppointment(db, appointmentId, { forUpdate = false } = {}) {
+  const [appointments] = await db.execute(
+    `SELECT a.id, a.user_id, a.service, a.status, a.location, a.price, a.extra_price, a.zone_surcharge, a.cod_fee,
+            a.offer_code, a.discount_amount, a.vat_amount, a.total_amount, a.quantity, a.room_type, a.property_type,
+            u.fullName, u.email, u.phone,
+            (SELECT COALESCE(SUM(p.amount), 0) FROM payments p WHERE p.appointment_id = a.id AND p.status = 'completed') as paid_amount
+     FROM appointments a
+     LEFT JOIN users u ON a.user_id = u.id
+     WHERE a.id = ?${forUpdate ? ' FOR UPDATE' : ''}`,
+    [appointmentId]
+  );
+  return appointments.length > 0 ? appointments[0] : null;
+}
+
+// Invoice lines from the amounts stored on the appointment. The VAT total is the VAT that was charged.
+function buildInvoiceLines(appointment) {
+  const quantity = parseInt(appointment.quantity, 10) || 1;
+  const discount = roundMoney(parseFloat(appointment.discount_amount || 0));
+  const serviceAmount = roundMoney(parseFloat(appointment.price || 0) + discount);
+  const details = [appointment.property_type, appointment.room_type].filter(Boolean).join(' ');
+
+  const lines = [{
+    code: 'service',
+    description: details ? `${appointment.service} - ${details}` : appointment.service,
+    quantity,
+    unit_price: roundMoney(serviceAmount / quantity),
+    amount: serviceAmount
+  }];
+
+  if (discount > 0) {
+    lines.push({ code: 'discount', description: `Discount${appointment.offer_code ? ` (${appointment.offer_code})` : ''}`, amount: -discount });
+  }
+
+  [
+    ['time_slot', 'Time slot surcharge', appointment.extra_price],
+    ['zone_surcharge', 'Area surcharge', appointment.zone_surcharge],
+    ['cod_fee', 'Cash on delivery fee', appointment.cod_fee]
+  ].forEach(([code, description, value]) => {
+    const amount = roundMoney(parseFloat(value || 0));
+    if (amount > 0) {
+      lines.push({ code, description, quantity: 1, unit_price: amount, amount });
+    }
+  });
+
+  const subtotal = roundMoney(lines.reduce((sum, line) => sum + line.amount, 0));
+  const storedVat = appointment.vat_amount !== null ? parseFloat(appointment.vat_amount) : 0;
+  const vatAmount = storedVat > 0 ? roundMoney(storedVat) : roundMoney(subtotal * VAT_RATE);
+
+  return {
+    lines: lines.map(line => ({
+      quantity: 1,
+      unit_price: line.amount,
+      ...line,
+      vat_rate: VAT_RATE,
+      vat_amount: roundMoney(line.amount * VAT_RATE),
+      total: roundMoney(line.amount * (1 + VAT_RATE))
+    })),
+    subtotal,
+    vat_amount: vatAmount,
+    total: roundMoney(subtotal + vatAmount)
+  };
+}
+
+async function insertDocument(connection, document, lines) {
+  const [result] = await connection.execute(
+    `INSERT INTO invoices (document_type, invoice_number, appointment_id, user_id, original_invoice_id, refund_id, reason,
+                           seller_name, seller_trn, seller_address, customer_name, customer_email, customer_phone,
+                           customer_address, currency, subtotal, vat_rate, vat_amount, total, issued_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      document.document_type, document.invoice_number, document.appointment_id, document.user_id,
+      document.original_invoice_id || null, document.refund_id || null, document.reason || null,
+      document.seller_name, document.seller_trn, document.seller_address,
+      document.customer_name, document.customer_email, document.customer_phone, document.customer_address,
+      document.currency, document.subtotal, VAT_RATE, document.vat_amount, document.total, document.issued_by || null
+    ]
+  );
+
+  for (const [index, line] of lines.entries()) {
+    await connection.execute(
+      `INSERT INTO invoice_lines (invoice_id, line_number, code, description, quantity, unit_price, amount, vat_rate, vat_amount, total)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [result.insertId, index + 1, line.code, line.description, line.quantity, line.unit_price, line.amount,
+        line.vat_rate, line.vat_amount, line.total]
+    );
+  }
+
+  return result.insertId;
+}
+
+// A document with its lines, optionally only when it belongs to the given appointment
+async function getInvoice(db, invoiceId, { appointmentId = null } = {}) {
+  const [invoices] = await db.execute(
+    `SELECT i.*, o.invoice_number as original_invoice_number
+     FROM invoices i
+     LEFT JOIN invoices o ON i.original_invoice_id = o.id
+     WHERE i.id = ?${appointmentId ? ' AND i.appointment_id = ?' : ''}`,
+    appointmentId ? [invoiceId, appointmentId] : [invoiceId]
+  );
+
+  if (invoices.length === 0) {
+    return null;
+  }
+
+  const [lines] = await db.execute(
+    'SELECT * FROM invoice_lines WHERE invoice_id = ? ORDER BY line_number ASC',
+    [invoiceId]
+  );
+
+  return { ...invoices[0], lines };
+}
+
+// Invoice and credit notes of an appointment, oldest first, without lines
+async function listAppointmentInvoices(db, appointmentId) {
+  const [invoices] = await db.execute(
+    `SELECT id, document_type, invoice_number, original_invoice_id, refund_id, reason, currency,
+            subtotal, vat_amount, total, issued_at
+     FROM invoices
+     WHERE appointment_id = ?
+     ORDER BY issued_at ASC, id ASC`,
+    [appointmentId]
+  );
+  return invoices;
+}
+
+// Whether the completed payments cover the booked total. A part payment (e.g. a gift card with the rest in cash)
+// waits for the rest or for the job to be completed.
+function isPaidInFull(appointment) {
+  if (appointment.total_amount === null || appointment.total_amount === undefined) {
+    return false;
+  }
+  return parseFloat(appointment.paid_amount) >= parseFloat(appointment.total_amount) - 0.005;
+}
+
+// Issue the tax invoice of an appointment once it is completed or paid in full. Issuing again returns the existing invoice.
+async function issueInvoice(pool, appointmentId, { issuedBy = null } = {}) {
+  const company = getCompanyDetails();
+  if (!company.trn) {
+    return companyNotConfigured();
+  }
+
+  const connection = await pool.getConnection();
+  let invoiceId;
+
+  try {
+    await connection.beginTransaction();
+
+    // Locking the appointment serialises concurrent requests for its invoice
+    const appointment = await getInvoiceableAppointment(connection, appointmentId, { forUpdate: true });
+    if (!appointment) {
+      await connection.rollback();
+      connection.release();
+      return { success: false, error_code: 'APPOINTMENT_NOT_FOUND', message: 'Appointment not found' };
+    }
+
+    const [existing] = await connection.execute(
+      `SELECT id FROM invoices WHERE appointment_id = ? AND document_type = 'invoice'`,
+      [appointmentId]
+    );
+    if (existing.length > 0) {
+      await connection.rollback();
+      connection.release();
+      return { success: true, created: false, invoice: await getInvoice(pool, existing[0].id) };
+    }
+
+    if (appointment.status !== 'completed' && !isPaidInFull(appointment)) {
+      await connection.rollback();
+      connection.release();
+      return {
+        success: false,
+        error_code: 'INVOICE_NOT_AVAILABLE',
+        message: 'A tax invoice is issued once the appointment is paid in full or completed'
+      };
+    }
+
+    const { lines, subtotal, vat_amount, total } = buildInvoiceLines(appointment);
+
+    invoiceId = await insertDocument(connection, {
+      document_type: 'invoice',
+      invoice_number: await nextDocumentNumber(connection, 'invoice'),
+      appointment_id: appointment.id,
+      user_id: appointment.user_id,
+      seller_name: company.name,
+      seller_trn: company.trn,
+      seller_address: company.address,
+      customer_name: appointment.fullName,
+      customer_email: appointment.email,
+      customer_phone: appointment.phone,
+      customer_address: formatAddress(appointment.location) || null,
+      currency: 'AED',
+      subtotal,
+      vat_amount,
+      total,
+      issued_by: issuedBy
+    }, lines);
+
+    await connection.commit();
+    connection.release();
+  } catch (error) {
+    try { await connection.rollback(); } catch (e) { /* ignore */ }
+    connection.release();
+    throw error;
+  }
+
+  return { success: true, created: true, invoice: await getInvoice(pool, invoiceId) };
+}
+
+// Issue the invoice in the background once the appointment is confirmed, paid or completed; it is only issued
+// when the booking is by then paid in full or completed.
+// Queued in the caller's transaction, so it runs after the change that made it due is committed.
+async function enqueueInvoice(db, appointmentId) {
+  await enqueueJob(db, 'invoice.issue', { appointment_id: appointmentId });
+}
+
+// Register the queue handler that issues invoices. An appointment that isn't paid in full or completed yet is
+// queued again by the payment or completion that makes it due.
+function registerInvoiceJobs(pool) {
+  registerJobHandler('invoice.issue', async ({ appointment_id }) => {
+    const result = await issueInvoice(pool, appointment_id);
+    if (!result.success && !['INVOICE_NOT_AVAILABLE', 'APPOINTMENT_NOT_FOUND', 'COMPANY_TRN_NOT_CONFIGURED'].includes(result.error_code)) {
+      throw new Error(`Could not issue invoice: ${result.error_code}`);
+    }
+  });
+}
+
+// Credit part or all of an appointment's invoice, for a refund or a cancellation.
+// amount is VAT inclusive; without it whatever is left on the invoice is credited.
+async function issueCreditNote(pool, { appointmentId, amount = null, reason = null, refundId = null, issuedBy = null }) {
+  const company = getCompanyDetails();
+  if (!company.trn) {
+    return companyNotConfigured();
+  }
+
+  const connection = await pool.getConnection();
+  let creditNoteId;
+
+  try {
+    await connection.beginTransaction();
+
+    const [invoices] = await connection.execute(
+      `SELECT * FROM invoices WHERE appointment_id = ? AND document_type = 'invoice' FOR UPDATE`,
+      [appointmentId]
+    );
+    if (invoices.length === 0) {
+      await connection.rollback();
+      connection.release();
+      return { success: false, error_code: 'INVOICE_NOT_FOUND', message: 'This appointment has no tax invoice to credit' };
+    }
+    const invoice = invoices[0];
+
+    // One credit note per refund, even when the refund completes twice (webhook and status sync)
+    if (refundId) {
+      const [existing] = await connection.execute('SELECT id FROM invoices WHERE refund_id = ?', [refundId]);
+      if (existing.length > 0) {
+        await connection.rollback();
+        connection.release();
+        return { success: true, created: false, invoice: await getInvoice(pool, existing[0].id) };
+      }
+    }
+
+    const [[{ credited }]] = await connection.execute(
+      `SELECT COALESCE(SUM(total), 0) as credited FROM invoices WHERE original_invoice_id = ? AND document_type = 'credit_note'`,
+      [invoice.id]
+    );
+    const remaining = roundMoney(parseFloat(invoice.total) - parseFloat(credited));
+    const creditTotal = amount === null || amount === undefined ? remaining : roundMoney(Number(amount));
+
+    if (isNaN(creditTotal) || creditTotal <= 0) {
+      await connection.rollback();
+      connection.release();
+      return remaining <= 0
+        ? { success: false, error_code: 'INVOICE_FULLY_CREDITED', message: 'The invoice has already been fully credited' }
+        : { success: false, error_code: 'INVALID_CREDIT_AMOUNT', message: 'amount must be a positive number' };
+    }
+    if (creditTotal > remaining) {
+      await connection.rollback();
+      connection.release();
+      return {
+        success: false,
+        error_code: 'CREDIT_EXCEEDS_INVOICE',
+        message: `At most ${remaining.toFixed(2)} ${invoice.currency} can be credited on ${invoice.invoice_number}`,
+        details: { remaining }
+      };
+    }
+
+    const subtotal = roundMoney(creditTotal / (1 + VAT_RATE));
+    const vatAmount = roundMoney(creditTotal - subtotal);
+
+    creditNoteId = await insertDocument(connection, {
+      document_type: 'credit_note',
+      invoice_number: await nextDocumentNumber(connection, 'credit_note'),
+      appointment_id: invoice.appointment_id,
+      user_id: invoice.user_id,
+      original_invoice_id: invoice.id,
+      refund_id: refundId,
+      reason,
+      seller_name: company.name,
+      seller_trn: company.trn,
+      seller_address: company.address,
+      customer_name: invoice.customer_name,
+      customer_email: invoice.customer_email,
+      customer_phone: invoice.customer_phone,
+      customer_address: invoice.customer_address,
+      currency: invoice.currency,
+      subtotal,
+      vat_amount: vatAmount,
+      total: creditTotal,
+      issued_by: issuedBy
+    }, [{
+      code: refundId ? 'refund' : 'credit',
+      description: `${reason || (refundId ? 'Refund' : 'Credit')} - ${invoice.invoice_number}`,
+      quantity: 1,
+      unit_price: subtotal,
+      amount: subtotal,
+      vat_rate: VAT_RATE,
+      vat_amount: vatAmount,
+      total: creditTotal
+    }]);
+
+    await connection.commit();
+    connection.release();
+  } catch (error) {
+    try { await connection.rollback(); } catch (e) { /* ignore */ }
+    connection.release();
+    throw error;
+  }
+
+  return { success: true, created: true, invoice: await getInvoice(pool, creditNoteId) };
+}
+
+function formatMoney(value) {
+  return parseFloat(value).toFixed(2);
+}
+
+function formatIssueDate(value) {
+  return new Date(value).toISOString().split('T')[0];
+}
+
+function renderInvoiceHtml(invoice) {
+  const title = DOCUMENT_TITLES[invoice.document_type];
+  const rows = invoice.lines.map(line => `
+        <tr>
+          <td>${escapeHtml(line.description)}</td>
+          <td class="num">${escapeHtml(line.quantity)}</td>
+          <td class="num">${formatMoney(line.unit_price)}</td>
+          <td class="num">${formatMoney(line.amount)}</td>
+          <td class="num">${formatMoney(line.vat_amount)}</td>
+          <td class="num">${formatMoney(line.total)}</td>
+        </tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>${title} ${escapeHtml(invoice.invoice_number)}</title>
+  <style>
+    body { font-family: Helvetica, Arial, sans-serif; color: #111827; margin: 40px; }
+    h1 { margin: 0 0 4px; }
+    .meta, .parties { display: flex; justify-content: space-between; margin-bottom: 24px; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { padding: 8px; border-bottom: 1px solid #e5e7eb; text-align: left; }
+    .num { text-align: right; }
+    .totals td { border: none; }
+  </style>
+</head>
+<body>
+  <h1>${title}</h1>
+  <div class="meta">
+    <div>
+      <strong>${escapeHtml(invoice.seller_name)}</strong><br>
+      ${escapeHtml(invoice.seller_address)}<br>
+      TRN: ${escapeHtml(invoice.seller_trn)}
+    </div>
+    <div>
+      Number: <strong>${escapeHtml(invoice.invoice_number)}</strong><br>
+      Date: ${formatIssueDate(invoice.issued_at)}<br>
+      Appointment: #${escapeHtml(invoice.appointment_id)}${invoice.original_invoice_number ? `<br>Credits invoice: ${escapeHtml(invoice.original_invoice_number)}` : ''}
+    </div>
+  </div>
+  <div class="parties">
+    <div>
+      <strong>Bill to</strong><br>
+      ${escapeHtml(invoice.customer_name)}<br>
+      ${escapeHtml(invoice.customer_address)}<br>
+      ${escapeHtml(invoice.customer_phone)} ${escapeHtml(invoice.customer_email)}
+    </div>
+  </div>
+  <table>
+    <thead>
+      <tr>
+        <th>Description</th><th class="num">Qty</th><th class="num">Unit price</th>
+        <th class="num">Taxable amount</th><th class="num">VAT ${Math.round(parseFloat(invoice.vat_rate) * 100)}%</th>
+        <th class="num">Total (${escapeHtml(invoice.currency)})</th>
+      </tr>
+    </thead>
+    <tbody>${rows}
+    </tbody>
+    <tfoot class="totals">
+      <tr><td colspan="5" class="num">Total excluding VAT</td><td class="num">${formatMoney(invoice.subtotal)}</td></tr>
+      <tr><td colspan="5" class="num">VAT</td><td class="num">${formatMoney(invoice.vat_amount)}</td></tr>
+      <tr><td colspan="5" class="num"><strong>Total ${escapeHtml(invoice.currency)}</strong></td><td class="num"><strong>${formatMoney(invoice.total)}</strong></td></tr>
+    </tfoot>
+  </table>
+</body>
+</html>`;
+}
+
+// The PDF only has the standard Latin-1 fonts; a document with other scripts (e.g. an Arabic name)
+// is sent as HTML instead
+function canRenderInvoicePdf(invoice) {
+  const fields = [
+    invoice.seller_name, invoice.seller_address, invoice.customer_name, invoice.customer_address,
+    invoice.customer_phone, invoice.customer_email, ...invoice.lines.map(line => line.description)
+  ];
+  return fields.every(canRenderText);
+}
+
+// Single-page layout; an appointment never has more lines than fit
+function renderInvoicePdf(invoice) {
+  const items = [];
+  const text = (value, x, y, options = {}) => items.push({ text: value, x, y, ...options });
+  const rule = y => items.push({ type: 'line', x1: 40, y1: y, x2: 555, y2: y });
+
+  text(DOCUMENT_TITLES[invoice.document_type], 40, 60, { size: 20, bold: true });
+  text(invoice.seller_name, 40, 90, { bold: true });
+  let sellerY = 90;
+  wrapText(invoice.seller_address, 10, 280).forEach(line => {
+    sellerY += 14;
+    text(line, 40, sellerY);
+  });
+  sellerY += 14;
+  text(`TRN: ${invoice.seller_trn}`, 40, sellerY);
+
+  text(`Number: ${invoice.invoice_number}`, 555, 90, { align: 'right', bold: true });
+  text(`Date: ${formatIssueDate(invoice.issued_at)}`, 555, 104, { align: 'right' });
+  text(`Appointment: #${invoice.appointment_id}`, 555, 118, { align: 'right' });
+  if (invoice.original_invoice_number) {
+    text(`Credits invoice: ${invoice.original_invoice_number}`, 555, 132, { align: 'right' });
+  }
+
+  let y = Math.max(sellerY, invoice.original_invoice_number ? 132 : 118) + 42;
+  text('Bill to', 40, y, { bold: true });
+  [
+    invoice.customer_name,
+    ...wrapText(invoice.customer_address, 10, 300),
+    [invoice.customer_phone, invoice.customer_email].filter(Boolean).join('  ')
+  ]
+    .filter(Boolean)
+    .forEach(value => {
+      y += 14;
+      text(value, 40, y);
+    });
+
+  const columns = [
+    { label: 'Description', x: 40 },
+    { label: 'Qty', x: 300, align: 'right' },
+    { label: 'Unit price', x: 365, align: 'right' },
+    { label: 'Taxable', x: 430, align: 'right' },
+    { label: 'VAT', x: 490, align: 'right' },
+    { label: `Total ${invoice.currency}`, x: 555, align: 'right' }
+  ];
+
+  y = Math.max(y + 38, 240);
+  columns.forEach(column => text(column.label, column.x, y, { bold: true, align: column.align }));
+  rule(y + 6);
+
+  invoice.lines.forEach(line => {
+    y += 20;
+    let description = line.description;
+    while (description.length > 3 && textWidth(description, 10) > 220) {
+      description = `${description.slice(0, -4)}...`;
+    }
+    text(description, 40, y);
+    text(String(line.quantity), 300, y, { align: 'right' });
+    text(formatMoney(line.unit_price), 365, y, { align: 'right' });
+    text(formatMoney(line.amount), 430, y, { align: 'right' });
+    text(formatMoney(line.vat_amount), 490, y, { align: 'right' });
+    text(formatMoney(line.total), 555, y, { align: 'right' });
+  });
+
+  rule(y + 8);
+  y += 26;
+  text('Total excluding VAT', 490, y, { align: 'right' });
+  text(formatMoney(invoice.subtotal), 555, y, { align: 'right' });
+  y += 16;
+  text(`VAT ${Math.round(parseFloat(invoice.vat_rate) * 100)}%`, 490, y, { align: 'right' });
+  text(formatMoney(invoice.vat_amount), 555, y, { align: 'right' });
+  y += 18;
+  text(`Total ${invoice.currency}`, 490, y, { align: 'right', bold: true });
+  text(formatMoney(invoice.total), 555, y, { align: 'right', bold: true });
+
+  return renderPdf([items]);
+}
+
+module.exports = {
+  DOCUMENT_TYPES,
+  DOCUMENT_FORMATS,
+  buildInvoiceLines,
+  getInvoice,
+  listAppointmentInvoices,
+  issueInvoice,
+  issueCreditNote,
+  enqueueInvoice,
+  registerInvoiceJobs,
+  canRenderInvoicePdf,
+  renderInvoiceHtml,
+  renderInvoicePdf
+};
@@ -0,0 +1,172 @@
+// Technician Job Service
+// On-my-way / started / completed actions recorded by technicians in the field
+const { changeAppointmentStatus } = require('./statusService');
+const { COD_STATE_COLUMNS, withCodPaymentStatus, recordCodCollection } = require('./codService');
+
+// Each action, the status the job must be in and the status it moves to
+const JOB_ACTIONS = {
+  on_my_way: { from: ['confirmed'], to: 'confirmed' },
+  started: { from: ['confirmed'], to: 'in-progress' },
+  completed: { from: ['in-progress'], to: 'completed' }
+};
+
+const JOB_COLUMNS = `a.id, a.service, DATE_FORMAT(a.appointment_date, '%Y-%m-%d') as appointment_date, a.appointment_time,
+  a.status, a.location, a.notes, a.room_type, a.property_type, a.quantity, a.service_category, a.service_category_slug,
+  a.service_items_category, a.payment_method, a.total_amount, u.fullName as customer_name, u.phone as customer_phone,
+  ${COD_STATE_COLUMNS}`;
+
+// Validate optional GPS coordinates, returns an error message or null
+function validateCoordinates(latitude, longitude) {
+  if (latitude === undefined && longitude === undefined) {
+    return null;
+  }
+
+  const lat = Number(latitude);
+  const lng = Number(longitude);
+
+  if (latitude === undefined || longitude === undefined || isNaN(lat) || isNaN(lng)) {
+    return 'latitude and longitude must be provided together as numbers';
+  }
+  if (lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+    return 'latitude must be between -90 and 90 and longitude between -180 and 180';
+  }
+  return null;
+}
+
+// Jobs assigned to a technician. scope 'today' or 'upcoming' (today onwards).
+async function getTechnicianJobs(db, technicianId, scope = 'today') {
+  const dateFilter = scope === 'upcoming' ? 'a.appointment_date >= CURDATE()' : 'a.appointment_date = CURDATE()';
+
+  const [jobs] = await db.execute(
+    `SELECT ${JOB_COLUMNS}
+     FROM appointments a
+     LEFT JOIN users u ON a.user_id = u.id
+     WHERE a.technician_id = ? AND ${dateFilter} AND a.status != 'cancelled'
+     ORDER BY a.appointment_date ASC, a.appointment_time ASC`,
+    [technicianId]
+  );
+
+  return jobs.map(withCodPaymentStatus);
+}
+
+// A single job with its recorded actions, or null if it isn't assigned to this technician
+async function getTechnicianJob(db, technicianId, appointmentId) {
+  const [jobs] = await db.execute(
+    `SELECT ${JOB_COLUMNS}
+     FROM appointments a
+     LEFT JOIN users u ON a.user_id = u.id
+     WHERE a.id = ? AND a.technician_id = ?`,
+    [appointmentId, technicianId]
+  );
+
+  if (jobs.length === 0) {
+    return null;
+  }
+
+  const [events] = await db.execute(
+    `SELECT action, latitude, longitude, created_at FROM technician_job_events
+     WHERE appointment_id = ? ORDER BY created_at ASC, id ASC`,
+    [appointmentId]
+  );
+
+  return { ...withCodPaymentStatus(jobs[0]), events };
+}
+
+// Record a job action and move the appointment status along. On completion, cashCollected records
+// the cash taken for a COD job in the same transaction.
+async function recordJobAction(pool, { technicianId, userId, appointmentId, action, latitude, longitude, cashCollected = null, cashNotes = null }) {
+  const rule = JOB_ACTIONS[action];
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const [appointments] = await connection.execute(
+      'SELECT id, status FROM appointments WHERE id = ? AND technician_id = ? FOR UPDATE',
+      [appointmentId, technicianId]
+    );
+
+    if (appointments.length === 0) {
+      await connection.rollback();
+      connection.release();
+      return { success: false, error_code: 'JOB_NOT_FOUND', message: 'Job not found or not assigned to you' };
+    }
+
+    const appointment = appointments[0];
+
+    if (!rule.from.includes(appointment.status)) {
+      await connection.rollback();
+      connection.release();
+      return {
+        success: false,
+        error_code: 'INVALID_JOB_ACTION',
+        message: `Cannot mark a ${appointment.status} job as ${action.replace(/_/g, ' ')}`,
+        details: { current_status: appointment.status, action }
+      };
+    }
+
+    const [existing] = await connection.execute(
+      'SELECT id FROM technician_job_events WHERE appointment_id = ? AND action = ?',
+      [appointmentId, action]
+    );
+
+    if (existing.length > 0) {
+      await connection.rollback();
+      connection.release();
+      return {
+        success: false,
+        error_code: 'INVALID_JOB_ACTION',
+        message: `Job was already marked as ${action.replace(/_/g, ' ')}`,
+        details: { current_status: appointment.status, action }
+      };
+    }
+
+    await connection.execute(
+      `INSERT INTO technician_job_events (appointment_id, technician_id, action, latitude, longitude)
+       VALUES (?, ?, ?, ?, ?)`,
+      [appointmentId, technicianId, action, latitude ?? null, longitude ?? null]
+    );
+
+    if (rule.to !== appointment.status) {
+      await changeAppointmentStatus(connection, {
+        appointmentId,
+        toStatus: rule.to,
+        actorType: 'technician',
+        actorId: userId,
+        reason: `Technician marked job as ${action.replace(/_/g, ' ')}`
+      });
+    }
+
+    if (action === 'completed' && cashCollected !== null) {
+      const collection = await recordCodCollection(connection, {
+        appointmentId,
+        technicianId,
+        userId,
+        amount: cashCollected,
+        notes: cashNotes
+      });
+
+      if (!collection.success) {
+        await connection.rollback();
+        connection.release();
+        return collection;
+      }
+    }
+
+    await connection.commit();
+    connection.release();
+
+    return { success: true, status: rule.to };
+  } catch (error) {
+    try { await connection.rollback(); } catch (e) { /* ignore */ }
+    connection.release();
+    throw error;
+  }
+}
+
+module.exports = {
+  JOB_ACTIONS,
+  validateCoordinates,
+  getTechnicianJobs,
+  getTechnicianJob,
+  recordJobAction
+};
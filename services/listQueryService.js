@@ -0,0 +1,168 @@
+// List Query Service
+// Shared filtering, sorting, free-text search and cursor (keyset) pagination for admin list endpoints
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+function invalidQuery(message) {
+  return { success: false, error_code: 'INVALID_LIST_QUERY', message };
+}
+
+function encodeCursor(values) {
+  return Buffer.from(JSON.stringify(values)).toString('base64url');
+}
+
+// Sort values from a cursor, null when it is malformed
+function decodeCursor(cursor, expectedLength) {
+  try {
+    const values = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    return Array.isArray(values) && values.length === expectedLength ? values : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// True when the request asked for a page (older clients get the full list)
+function wantsPagination(query) {
+  return query.limit !== undefined || query.cursor !== undefined;
+}
+
+// Build WHERE / ORDER BY / LIMIT for a list.
+//
+// spec = {
+//   filters: { name: { column, type: 'list' | 'eq' | 'gte' | 'lte', values? } },
+//   searchColumns: ['u.fullName', ...],
+//   sorts: { name: [{ column, cursor?, nullsAs? }, ...] }  - last column must be unique (the id),
+//     a nullable column needs nullsAs, the SQL value its NULLs sort as (in the cursor's format),
+//   defaultSort: 'name', defaultOrder: 'desc'
+// }
+// query is req.query: filter names, q (search), sort, order, limit, cursor.
+// Returns { success: false, error_code: 'INVALID_LIST_QUERY', message } for bad input.
+function buildListQuery(spec, query, { paginate = true } = {}) {
+  const conditions = [];
+  const params = [];
+
+  for (const [name, filter] of Object.entries(spec.filters || {})) {
+    const value = query[name];
+    if (value === undefined || value === '') {
+      continue;
+    }
+
+    if (filter.type === 'list') {
+      const values = String(value).split(',').map(item => item.trim()).filter(Boolean);
+      if (filter.values) {
+        const invalid = values.filter(item => !filter.values.includes(item));
+        if (invalid.length > 0) {
+          return invalidQuery(`Invalid ${name}: ${invalid.join(', ')}. Allowed: ${filter.values.join(', ')}`);
+        }
+      }
+      conditions.push(`${filter.column} IN (${values.map(() => '?').join(', ')})`);
+      params.push(...values);
+    } else if (filter.type === 'gte' || filter.type === 'lte') {
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        return invalidQuery(`${name} must be a date in YYYY-MM-DD format`);
+      }
+      // Inclusive whole days, also for DATETIME columns
+      conditions.push(filter.type === 'gte' ? `${filter.column} >= ?` : `${filter.column} < DATE_ADD(?, INTERVAL 1 DAY)`);
+      params.push(value);
+    } else {
+      conditions.push(`${filter.column} = ?`);
+      params.push(value);
+    }
+  }
+
+  const search = query.q || query.search;
+  if (search && spec.searchColumns && spec.searchColumns.length > 0) {
+    const term = `%${String(search).trim().replace(/[\\%_]/g, '\\$&')}%`;
+    conditions.push(`(${spec.searchColumns.map(column => `${column} LIKE ?`).join(' OR ')})`);
+    spec.searchColumns.forEach(() => params.push(term));
+  }
+
+  const sortName = query.sort || spec.defaultSort;
+  const sortColumns = spec.sorts[sortName];
+  if (!sortColumns) {
+    return invalidQuery(`Invalid sort. Allowed: ${Object.keys(spec.sorts).join(', ')}`);
+  }
+
+  // NULL never compares in the keyset condition, so nullable columns sort and page by a stand-in value
+  const sortExpressions = sortColumns.map(sortColumn => (sortColumn.nullsAs === undefined
+    ? sortColumn.column
+    : `COALESCE(${sortColumn.column}, ${sortColumn.nullsAs})`));
+
+  const order = String(query.order || spec.defaultOrder || 'desc').toLowerCase();
+  if (order !== 'asc' && order !== 'desc') {
+    return invalidQuery('order must be asc or desc');
+  }
+
+  let limit = null;
+  if (paginate) {
+    limit = query.limit === undefined ? DEFAULT_LIMIT : parseInt(query.limit, 10);
+    if (!Number.isInteger(limit) || limit < 1) {
+      return invalidQuery('limit must be a positive whole number');
+    }
+    limit = Math.min(limit, MAX_LIMIT);
+
+    // Keyset: continue strictly after the last row of the previous page
+    if (query.cursor) {
+      const values = decodeCursor(query.cursor, sortColumns.length);
+      if (!values) {
+        return invalidQuery('Invalid cursor');
+      }
+      conditions.push(`(${sortExpressions.join(', ')}) ${order === 'desc' ? '<' : '>'} (${values.map(() => '?').join(', ')})`);
+      params.push(...values);
+    }
+  }
+
+  const direction = order.toUpperCase();
+
+  return {
+    success: true,
+    where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+    params,
+    // Extra select columns carrying the sort values for the next cursor
+    cursorSelect: sortColumns.map((sortColumn, index) => {
+      const cursor = sortColumn.cursor || sortColumn.column;
+      return `${sortColumn.nullsAs === undefined ? cursor : `COALESCE(${cursor}, ${sortColumn.nullsAs})`} as _cursor_${index}`;
+    }).join(', '),
+    orderBy: `ORDER BY ${sortExpressions.map(expression => `${expression} ${direction}`).join(', ')}`,
+    // One extra row tells us whether there is another page
+    limitClause: limit ? `LIMIT ${limit + 1}` : '',
+    limit,
+    sortColumns
+  };
+}
+
+// Trim the extra row, strip the cursor columns and build the page envelope
+function buildPage(rows, listQuery) {
+  const hasMore = listQuery.limit !== null && rows.length > listQuery.limit;
+  const pageRows = hasMore ? rows.slice(0, listQuery.limit) : rows;
+
+  let nextCursor = null;
+  if (hasMore) {
+    const last = pageRows[pageRows.length - 1];
+    nextCursor = encodeCursor(listQuery.sortColumns.map((sortColumn, index) => last[`_cursor_${index}`]));
+  }
+
+  const data = pageRows.map(row => {
+    const clean = { ...row };
+    listQuery.sortColumns.forEach((sortColumn, index) => { delete clean[`_cursor_${index}`]; });
+    return clean;
+  });
+
+  return {
+    data,
+    pagination: {
+      limit: listQuery.limit,
+      has_more: hasMore,
+      next_cursor: nextCursor
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  wantsPagination,
+  buildListQuery,
+  buildPage
+};
@@ -0,0 +1,155 @@
+// Appointment Notification Service
+// Builds email data from the database and queues booking notifications
+const { sendAppointmentConfirmation, sendAdminNotification } = require('./emailService');
+const { sendSMS } = require('./dynamicApiService');
+const { registerJobHandler, enqueueJob } = require('./queueService');
+const { VAT_RATE } = require('./quoteService');
+
+// Booking SMS to the customer is opt-in until every deployment has Twilio configured
+const BOOKING_SMS_ENABLED = process.env.BOOKING_SMS_ENABLED === 'true';
+
+// Format a location JSON object into a single address line
+function formatAddress(location) {
+  if (typeof location === 'string') {
+    try {
+      location = JSON.parse(location);
+    } catch (e) {
+      return location;
+    }
+  }
+
+  if (typeof location !== 'object' || location === null) {
+    return location;
+  }
+
+  // Extract meaningful address components
+  const addressParts = [];
+
+  if (location.address_line1) {
+    addressParts.push(location.address_line1);
+  }
+
+  if (location.address_line2 && location.address_line2 !== "0" && String(location.address_line2).trim() !== "") {
+    addressParts.push(`Apt/Unit: ${location.address_line2}`);
+  }
+
+  if (location.city) {
+    addressParts.push(location.city);
+  }
+
+  if (location.state) {
+    addressParts.push(location.state);
+  }
+
+  if (location.country) {
+    addressParts.push(location.country);
+  }
+
+  return addressParts.join(', ');
+}
+
+// Load everything the email templates need for one appointment
+async function getAppointmentEmailData(pool, appointmentId) {
+  const [rows] = await pool.execute(
+    `SELECT a.id, a.service, DATE_FORMAT(a.appointment_date, "%Y-%m-%d") as appointment_date,
+            TIME_FORMAT(a.appointment_time, "%l:%i %p") as appointment_time, a.location, a.price,
+            a.extra_price, a.cod_fee, a.total_amount, a.payment_method, a.notes, a.room_type,
+            a.property_type, a.quantity, u.fullName, u.email, u.phone
+     FROM appointments a
+     JOIN users u ON a.user_id = u.id
+     WHERE a.id = ?`,
+    [appointmentId]
+  );
+
+  if (rows.length === 0) {
+    return null;
+  }
+
+  const appointment = rows[0];
+  const totalAmount = appointment.total_amount !== null
+    ? parseFloat(appointment.total_amount)
+    : (parseFloat(appointment.price) + parseFloat(appointment.extra_price || 0) + parseFloat(appointment.cod_fee || 0)) * (1 + VAT_RATE); // Including VAT
+
+  return {
+    appointment_id: appointment.id,
+    customer_name: appointment.fullName,
+    customer_email: appointment.email,
+    customer_phone: appointment.phone,
+    service_name: appointment.service,
+    appointment_date: appointment.appointment_date,
+    appointment_time: appointment.appointment_time.trim(),
+    address: formatAddress(appointment.location),
+    total_amount: totalAmount,
+    payment_method: appointment.payment_method,
+    notes: appointment.notes || '',
+    room_type: appointment.room_type,
+    property_type: appointment.property_type,
+    quantity: appointment.quantity || 1
+  };
+}
+
+// Queue the customer confirmation and admin notification for a new booking.
+// Each send is its own job so a failing one is retried without repeating the other.
+async function enqueueBookingNotifications(db, appointmentId) {
+  await enqueueJob(db, 'email.appointment_confirmation', { appointment_id: appointmentId });
+  await enqueueJob(db, 'email.admin_notification', { appointment_id: appointmentId });
+
+  if (BOOKING_SMS_ENABLED) {
+    await enqueueJob(db, 'sms.booking_confirmation', { appointment_id: appointmentId });
+  }
+}
+
+// Queue a plain SMS
+async function enqueueSMS(db, to, message) {
+  return enqueueJob(db, 'sms.send', { to, message });
+}
+
+// Load email data or fail the job so it is retried
+async function requireEmailData(pool, appointmentId) {
+  const emailData = await getAppointmentEmailData(pool, appointmentId);
+  if (!emailData) {
+    throw new Error(`Appointment ${appointmentId} not found`);
+  }
+  return emailData;
+}
+
+// Turn a { success: false } result from the email/SMS helpers into a failed attempt
+function assertSent(result) {
+  if (!result || !result.success) {
+    throw new Error((result && (result.error || result.message)) || 'Send failed');
+  }
+  return result;
+}
+
+// Register the queue handlers for notification jobs
+function registerNotificationJobs(pool) {
+  registerJobHandler('email.appointment_confirmation', async ({ appointment_id }) => {
+    const emailData = await requireEmailData(pool, appointment_id);
+    assertSent(await sendAppointmentConfirmation(emailData));
+  });
+
+  registerJobHandler('email.admin_notification', async ({ appointment_id }) => {
+    const emailData = await requireEmailData(pool, appointment_id);
+    assertSent(await sendAdminNotification(emailData));
+  });
+
+  registerJobHandler('sms.booking_confirmation', async ({ appointment_id }) => {
+    const data = await requireEmailData(pool, appointment_id);
+    const message = `Hi ${data.customer_name}, your ${data.service_name} booking #${data.appointment_id} ` +
+      `on ${data.appointment_date} at ${data.appointment_time} is received. Total: AED ${data.total_amount.toFixed(2)}`;
+    assertSent(await sendSMS(data.customer_phone, message, pool));
+  });
+
+  registerJobHandler('sms.send', async ({ to, message }) => {
+    assertSent(await sendSMS(to, message, pool));
+  });
+}
+
+module.exports = {
+  formatAddress,
+  getAppointmentEmailData,
+  assertSent,
+  enqueueBookingNotifications,
+  enqueueSMS,
+  registerNotificationJobs
+};
@@ -269,8 +269,8 @@ function cleanExpiredOTPs() {
   }
 }
 
-// Clean expired OTPs every 5 minutes
-setInterval(cleanExpiredOTPs, 5 * 60 * 1000);
+// Clean expired OTPs every 5 minutes (unref'd, so requiring the app doesn't keep a process alive)
+setInterval(cleanExpiredOTPs, 5 * 60 * 1000).unref();
 
 module.exports = {
   sendOTP,
@@ -0,0 +1,306 @@
+// Payment Provider Service
+// One interface over the payment gateways, so routes never talk to a gateway directly. Every provider has
+// name, mode ('sandbox' or 'live'), online (whether the customer pays through a checkout page) and:
+//   createIntent({ amount, currency, orderId, description, successUrl, cancelUrl })
+//     -> { ok, payment_id, status, redirect_url, message, data }
+//   getStatus(paymentId) -> { ok, status, provider_status, amount, currency, redirect_url?, message, data }
+//   refund({ refundId, paymentId, amount, currency }) -> { ok, status, message, data }
+//   getRefundStatus(refundId) -> { ok, status, message, data }
+//   verifyWebhook(rawBody, headers) -> boolean
+// Amounts are in major units (AED). Statuses are already mapped onto payments.status / refunds.status.
+//
+// Online providers are configured in api_configurations under their own service_name. additional_config.mode
+// picks 'sandbox' or 'live' (sandbox when unset); a row with status 'testing' is always sandbox. When several are
+// configured, the one with additional_config.default = true takes new payments. Cash on delivery needs no row.
+const crypto = require('crypto');
+const {
+  SIGNATURE_HEADER,
+  normalizeZiinaStatus,
+  normalizeZiinaRefundStatus,
+  computeSignature,
+  verifySignature,
+  ziinaRequest
+} = require('./ziinaClient');
+
+const PAYMENT_PROVIDERS = ['ziina', 'mock', 'cod'];
+const ONLINE_PAYMENT_PROVIDERS = ['ziina', 'mock'];
+// Tenders the app settles itself at booking, recorded as completed payments with these methods
+const INTERNAL_PAYMENT_METHODS = ['wallet', 'gift_card'];
+const PAYMENT_MODES = ['sandbox', 'live'];
+
+function toFils(amount) {
+  return Math.round(Number(amount) * 100);
+}
+
+function unsupported(message) {
+  return { ok: false, status: null, message };
+}
+
+function createZiinaProvider(config) {
+  return {
+    name: 'ziina',
+    mode: config.mode,
+    online: true,
+    webhookSecret: config.webhook_secret,
+
+    async createIntent({ amount, currency, successUrl, cancelUrl }) {
+      const response = await ziinaRequest(config, 'POST', '/payment_intent', {
+        amount: toFils(amount),
+        currency_code: currency,
+        success_url: successUrl,
+        cancel_url: cancelUrl,
+        test: config.mode === 'sandbox'
+      });
+
+      if (!response.ok) {
+        return {
+          ok: false,
+          message: (response.data && response.data.message) || 'Failed to create payment with Ziina',
+          data: response.data
+        };
+      }
+
+      return {
+        ok: true,
+        payment_id: response.data.id,
+        status: normalizeZiinaStatus(response.data.status) || 'pending',
+        redirect_url: response.data.redirect_url,
+        data: response.data
+      };
+    },
+
+    async getStatus(paymentId) {
+      const response = await ziinaRequest(config, 'GET', `/payment_intent/${paymentId}`);
+
+      if (!response.ok || !response.data) {
+        return {
+          ok: false,
+          message: (response.data && response.data.message) || 'Failed to get payment status from Ziina',
+          data: response.data
+        };
+      }
+
+      return {
+        ok: true,
+        status: normalizeZiinaStatus(response.data.status),
+        provider_status: response.data.status,
+        amount: response.data.amount / 100, // from fils
+        currency: response.data.currency_code || response.data.currency,
+        redirect_url: response.data.redirect_url,
+        data: response.data
+      };
+    },
+
+    // Ziina uses our id as the refund id, so resubmitting the same refund can't pay out twice
+    async refund({ refundId, paymentId, amount, currency }) {
+      const response = await ziinaRequest(config, 'POST', '/refund', {
+        id: refundId,
+        payment_intent_id: paymentId,
+        amount: toFils(amount),
+        currency_code: currency
+      });
+
+      if (!response.ok) {
+        return {
+          ok: false,
+          message: (response.data && response.data.message) || `Ziina refund request failed with status ${response.status}`,
+          data: response.data
+        };
+      }
+
+      return { ok: true, status: normalizeZiinaRefundStatus(response.data && response.data.status) || 'processing', data: response.data };
+    },
+
+    async getRefundStatus(refundId) {
+      const response = await ziinaRequest(config, 'GET', `/refund/${refundId}`);
+
+      if (!response.ok || !response.data) {
+        return { ok: false, message: 'Failed to get refund status from Ziina', data: response.data };
+      }
+
+      return { ok: true, status: normalizeZiinaRefundStatus(response.data.status), data: response.data };
+    },
+
+    verifyWebhook(rawBody, headers) {
+      return verifySignature(config.webhook_secret, rawBody, headers[SIGNATURE_HEADER]);
+    }
+  };
+}
+
+// Cash on delivery: nothing to charge online, the technician collects the cash at the appointment
+function createCodProvider() {
+  return {
+    name: 'cod',
+    mode: 'live',
+    online: false,
+    webhookSecret: null,
+
+    async createIntent() {
+      return {
+        ok: true,
+        payment_id: `cod_${crypto.randomUUID()}`,
+        status: 'pending',
+        redirect_url: null
+      };
+    },
+
+    async getStatus() {
+      return unsupported('Cash payments are confirmed when the cash is collected');
+    },
+
+    async refund() {
+      return unsupported('Refunds are not supported for cod payments');
+    },
+
+    async getRefundStatus() {
+      return unsupported('Refunds are not supported for cod payments');
+    },
+
+    verifyWebhook() {
+      return false;
+    }
+  };
+}
+
+// Local stand-in that settles payments without leaving the app. additional_config.outcome sets how every
+// payment ends ('completed' by default, or 'failed' / 'cancelled'). Only runs in sandbox mode.
+const mockPayments = new Map();
+const mockRefunds = new Map();
+
+function createMockProvider(config) {
+  const outcome = ['completed', 'failed', 'cancelled'].includes(config.outcome) ? config.outcome : 'completed';
+
+  return {
+    name: 'mock',
+    mode: 'sandbox',
+    online: true,
+    webhookSecret: config.api_key,
+
+    async createIntent({ amount, currency, successUrl, cancelUrl }) {
+      const payment = { id: `mock_${crypto.randomUUID()}`, amount: Number(amount), currency, status: outcome };
+      mockPayments.set(payment.id, payment);
+
+      return {
+        ok: true,
+        payment_id: payment.id,
+        status: 'pending',
+        redirect_url: outcome === 'completed' ? successUrl : cancelUrl,
+        data: payment
+      };
+    },
+
+    async getStatus(paymentId) {
+      const payment = mockPayments.get(paymentId);
+      if (!payment) {
+        return { ok: false, message: 'Mock payment not found' };
+      }
+      return {
+        ok: true,
+        status: payment.status,
+        provider_status: payment.status,
+        amount: payment.amount,
+        currency: payment.currency,
+        data: payment
+      };
+    },
+
+    async refund({ refundId, paymentId, amount }) {
+      if (!mockPayments.has(paymentId)) {
+        return { ok: false, message: 'Mock payment not found' };
+      }
+      mockRefunds.set(refundId, { id: refundId, payment_id: paymentId, amount, status: 'completed' });
+      return { ok: true, status: 'completed', data: mockRefunds.get(refundId) };
+    },
+
+    async getRefundStatus(refundId) {
+      const refund = mockRefunds.get(refundId);
+      return refund ? { ok: true, status: refund.status, data: refund } : { ok: false, message: 'Mock refund not found' };
+    },
+
+    verifyWebhook(rawBody, headers) {
+      return !!rawBody && !!config.api_key && headers[SIGNATURE_HEADER] === computeSignature(config.api_key, rawBody);
+    }
+  };
+}
+
+const PROVIDER_FACTORIES = {
+  ziina: createZiinaProvider,
+  mock: createMockProvider,
+  cod: createCodProvider
+};
+
+function parseAdditionalConfig(value) {
+  if (!value) {
+    return {};
+  }
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+function toProviderConfig(row) {
+  const additional = parseAdditionalConfig(row.additional_config);
+  const mode = row.status === 'testing' || additional.mode !== 'live' ? 'sandbox' : 'live';
+
+  return {
+    ...additional,
+    name: row.service_name,
+    api_key: row.api_key,
+    webhook_secret: additional.webhook_secret || null,
+    mode,
+    is_default: additional.default === true
+  };
+}
+
+async function getProviderConfigs(db) {
+  const [rows] = await db.execute(
+    `SELECT service_name, api_key, additional_config, status FROM api_configurations
+     WHERE service_name IN (${ONLINE_PAYMENT_PROVIDERS.map(() => '?').join(', ')}) AND status IN ('active', 'testing')`,
+    ONLINE_PAYMENT_PROVIDERS
+  );
+  return rows.map(toProviderConfig);
+}
+
+function buildProvider(config) {
+  // The mock never takes real money, so it can't be switched to live
+  if (config.name === 'mock' && config.mode === 'live') {
+    console.error('Payment provider mock is configured as live and has been ignored');
+    return null;
+  }
+  return PROVIDER_FACTORIES[config.name](config);
+}
+
+// The provider that owns a payment (payments.payment_method), or null when it isn't configured
+async function getPaymentProvider(db, name) {
+  if (name === 'cod') {
+    return createCodProvider();
+  }
+  if (!ONLINE_PAYMENT_PROVIDERS.includes(name)) {
+    return null;
+  }
+
+  const config = (await getProviderConfigs(db)).find(item => item.name === name);
+  return config ? buildProvider(config) : null;
+}
+
+// The online provider new payments go through: the configured default, else the first configured one
+async function getActivePaymentProvider(db) {
+  const configs = await getProviderConfigs(db);
+  configs.sort((a, b) => (b.is_default - a.is_default)
+    || ONLINE_PAYMENT_PROVIDERS.indexOf(a.name) - ONLINE_PAYMENT_PROVIDERS.indexOf(b.name));
+
+  for (const config of configs) {
+    const provider = buildProvider(config);
+    if (provider) {
+      return provider;
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  PAYMENT_PROVIDERS,
+  ONLINE_PAYMENT_PROVIDERS,
+  INTERNAL_PAYMENT_METHODS,
+  PAYMENT_MODES,
+  getPaymentProvider,
+  getActivePaymentProvider
+};
@@ -0,0 +1,125 @@
+// PDF Service
+// Minimal PDF writer for text documents (invoices, reports) without an external renderer.
+// Pages are A4 portrait in points, origin top-left; only the standard Helvetica fonts are used.
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+
+// The standard fonts only cover Latin-1, anything else is replaced (check with canRenderText first)
+function escapePdfText(text) {
+  return String(text === null || text === undefined ? '' : text)
+    .replace(/[^\x20-\x7e\xa0-\xff]/g, '?')
+    .replace(/\\/g, '\\\\')
+    .replace(/\(/g, '\\(')
+    .replace(/\)/g, '\\)');
+}
+
+// True when the text only uses characters the standard fonts can draw
+function canRenderText(text) {
+  return !/[^\x20-\x7e\xa0-\xff\r\n\t]/.test(String(text === null || text === undefined ? '' : text));
+}
+
+// Approximate Helvetica text width, good enough to right-align amounts
+function textWidth(text, size) {
+  return String(text).length * size * 0.5;
+}
+
+// Break text into lines no wider than maxWidth, at spaces where possible and mid-word otherwise
+function wrapText(text, size, maxWidth) {
+  const maxChars = Math.max(1, Math.floor(maxWidth / (size * 0.5)));
+  const lines = [];
+
+  String(text === null || text === undefined ? '' : text).split(/\r?\n/).forEach(paragraph => {
+    let line = '';
+    paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+      while (word.length > maxChars) {
+        if (line) {
+          lines.push(line);
+          line = '';
+        }
+        lines.push(word.slice(0, maxChars));
+        word = word.slice(maxChars);
+      }
+      if (!line) {
+        line = word;
+      } else if (line.length + 1 + word.length <= maxChars) {
+        line += ` ${word}`;
+      } else {
+        lines.push(line);
+        line = word;
+      }
+    });
+    if (line) {
+      lines.push(line);
+    }
+  });
+
+  return lines;
+}
+
+function pageContent(items) {
+  const commands = [];
+
+  items.forEach(item => {
+    if (item.type === 'line') {
+      commands.push(`${item.width || 0.5} w ${item.x1} ${PAGE_HEIGHT - item.y1} m ${item.x2} ${PAGE_HEIGHT - item.y2} l S`);
+      return;
+    }
+
+    const size = item.size || 10;
+    const x = item.align === 'right' ? item.x - textWidth(item.text, size) : item.x;
+    commands.push(`BT /${item.bold ? 'F2' : 'F1'} ${size} Tf ${x.toFixed(2)} ${(PAGE_HEIGHT - item.y).toFixed(2)} Td (${escapePdfText(item.text)}) Tj ET`);
+  });
+
+  return commands.join('\n');
+}
+
+// pages: arrays of items, each { text, x, y, size?, bold?, align? } or { type: 'line', x1, y1, x2, y2, width? }
+function renderPdf(pages) {
+  const objects = [];
+  const addObject = body => {
+    objects.push(body);
+    return objects.length;
+  };
+
+  const catalogId = addObject(null);
+  const pagesId = addObject(null);
+  const regularFontId = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+  const boldFontId = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+
+  const pageIds = pages.map(items => {
+    const content = Buffer.from(pageContent(items), 'latin1');
+    const contentId = addObject(`<< /Length ${content.length} >>\nstream\n${content.toString('latin1')}\nendstream`);
+    return addObject(
+      `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << /F1 ${regularFontId} 0 R /F2 ${boldFontId} 0 R >> >> /Contents ${contentId} 0 R >>`
+    );
+  });
+
+  objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+  objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+  let output = '%PDF-1.4\n';
+  const offsets = [];
+  objects.forEach((body, index) => {
+    offsets.push(Buffer.byteLength(output, 'latin1'));
+    output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+  });
+
+  const xrefOffset = Buffer.byteLength(output, 'latin1');
+  output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  offsets.forEach(offset => {
+    output += `${String(offset).padStart(10, '0')} 00000 n \n`;
+  });
+  output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(output, 'latin1');
+}
+
+module.exports = {
+  PAGE_WIDTH,
+  PAGE_HEIGHT,
+  canRenderText,
+  textWidth,
+  wrapText,
+  renderPdf
+};
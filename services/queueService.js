@@ -0,0 +1,161 @@
+// Background Job Queue Service
+// MySQL-backed queue with a polling worker, exponential backoff retries and a dead-letter state
+
+const POLL_INTERVAL = parseInt(process.env.JOB_POLL_INTERVAL_MS || '5000', 10);
+const DEFAULT_MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS || '5', 10);
+const BASE_RETRY_SECONDS = 30; // 30s, 1m, 2m, 4m ...
+const MAX_RETRY_SECONDS = 60 * 60;
+const STALE_LOCK_MINUTES = 10; // a worker that died mid-job releases it after this
+const BATCH_SIZE = 10;
+
+const JOB_STATUSES = ['pending', 'processing', 'completed', 'dead'];
+
+const handlers = {};
+let workerTimer = null;
+
+// Register the function that runs jobs of a type. handler(payload, job) throws to fail the attempt.
+function registerJobHandler(type, handler) {
+  handlers[type] = handler;
+}
+
+// Add a job to the queue. delaySeconds postpones the first attempt.
+async function enqueueJob(db, type, payload = {}, { delaySeconds = 0, maxAttempts = DEFAULT_MAX_ATTEMPTS } = {}) {
+  const [result] = await db.execute(
+    `INSERT INTO background_jobs (type, payload, max_attempts, run_at)
+     VALUES (?, ?, ?, DATE_ADD(NOW(), INTERVAL ? SECOND))`,
+    [type, JSON.stringify(payload), maxAttempts, delaySeconds]
+  );
+  return result.insertId;
+}
+
+function retryDelaySeconds(attempts) {
+  return Math.min(BASE_RETRY_SECONDS * Math.pow(2, Math.max(0, attempts - 1)), MAX_RETRY_SECONDS);
+}
+
+// Claim a pending job. The conditional UPDATE means only one worker wins it.
+async function claimJob(pool, jobId) {
+  const [result] = await pool.execute(
+    `UPDATE background_jobs SET status = 'processing', attempts = attempts + 1, locked_at = NOW()
+     WHERE id = ? AND status = 'pending'`,
+    [jobId]
+  );
+  return result.affectedRows === 1;
+}
+
+async function runJob(pool, job) {
+  const handler = handlers[job.type];
+  const attempts = job.attempts + 1;
+
+  try {
+    if (!handler) {
+      throw new Error(`No handler registered for job type ${job.type}`);
+    }
+
+    const payload = typeof job.payload === 'string' ? JSON.parse(job.payload) : job.payload;
+    await handler(payload, { ...job, attempts });
+
+    await pool.execute(
+      `UPDATE background_jobs SET status = 'completed', locked_at = NULL, last_error = NULL, completed_at = NOW()
+       WHERE id = ?`,
+      [job.id]
+    );
+    return 'completed';
+  } catch (error) {
+    const message = error && error.message ? error.message : String(error);
+
+    if (attempts >= job.max_attempts) {
+      console.error(`Background job ${job.id} (${job.type}) failed permanently:`, message);
+      await pool.execute(
+        `UPDATE background_jobs SET status = 'dead', locked_at = NULL, last_error = ? WHERE id = ?`,
+        [message, job.id]
+      );
+      return 'dead';
+    }
+
+    console.error(`Background job ${job.id} (${job.type}) failed, attempt ${attempts}/${job.max_attempts}:`, message);
+    await pool.execute(
+      `UPDATE background_jobs SET status = 'pending', locked_at = NULL, last_error = ?,
+       run_at = DATE_ADD(NOW(), INTERVAL ? SECOND)
+       WHERE id = ?`,
+      [message, retryDelaySeconds(attempts), job.id]
+    );
+    return 'retry';
+  }
+}
+
+// Run every job that is due, one batch at a time
+async function processDueJobs(pool) {
+  const summary = { completed: 0, retry: 0, dead: 0 };
+
+  // Put jobs back whose worker died while running them
+  await pool.execute(
+    `UPDATE background_jobs SET status = 'pending', locked_at = NULL
+     WHERE status = 'processing' AND locked_at < DATE_SUB(NOW(), INTERVAL ? MINUTE)`,
+    [STALE_LOCK_MINUTES]
+  );
+
+  for (;;) {
+    const [jobs] = await pool.execute(
+      `SELECT id, type, payload, attempts, max_attempts FROM background_jobs
+       WHERE status = 'pending' AND run_at <= NOW()
+       ORDER BY run_at ASC, id ASC
+       LIMIT ${BATCH_SIZE}`
+    );
+
+    if (jobs.length === 0) {
+      break;
+    }
+
+    for (const job of jobs) {
+      if (await claimJob(pool, job.id)) {
+        summary[await runJob(pool, job)]++;
+      }
+    }
+
+    if (jobs.length < BATCH_SIZE) {
+      break;
+    }
+  }
+
+  return summary;
+}
+
+// Put a dead (or stuck) job back on the queue with a fresh set of attempts
+async function retryJob(db, jobId) {
+  const [result] = await db.execute(
+    `UPDATE background_jobs SET status = 'pending', attempts = 0, locked_at = NULL, run_at = NOW()
+     WHERE id = ? AND status IN ('dead', 'pending')`,
+    [jobId]
+  );
+  return result.affectedRows > 0;
+}
+
+function startJobWorker(pool) {
+  if (workerTimer) {
+    return;
+  }
+
+  let running = false;
+  workerTimer = setInterval(() => {
+    if (running) {
+      return;
+    }
+    running = true;
+    processDueJobs(pool)
+      .catch(error => {
+        console.error('Error processing background jobs:', error);
+      })
+      .finally(() => {
+        running = false;
+      });
+  }, POLL_INTERVAL);
+}
+
+module.exports = {
+  JOB_STATUSES,
+  registerJobHandler,
+  enqueueJob,
+  processDueJobs,
+  retryJob,
+  startJobWorker
+};
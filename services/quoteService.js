@@ -0,0 +1,344 @@
+// Quote Service
+// Works out booking prices on the server from service_pricing, time slots, service zones and offer codes
+const { resolveServiceZone } = require('./zoneService');
+
+const VAT_RATE = 0.05; // UAE VAT
+const COD_FEE = parseFloat(process.env.COD_FEE || '5.00');
+const COD_PAYMENT_METHODS = ['cod', 'cash', 'cash_on_delivery'];
+
+function roundMoney(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function isCashOnDelivery(paymentMethod) {
+  return !!paymentMethod && COD_PAYMENT_METHODS.includes(String(paymentMethod).toLowerCase());
+}
+
+// Discount for an offer code row (same rules as /api/offer-codes/validate)
+function calculateOfferDiscount(offer, orderAmount) {
+  let discountAmount = 0;
+  if (offer.discount_type === 'percentage') {
+    discountAmount = (orderAmount * offer.discount_value) / 100;
+    if (offer.maximum_discount_amount && discountAmount > offer.maximum_discount_amount) {
+      discountAmount = offer.maximum_discount_amount;
+    }
+  } else {
+    discountAmount = Math.min(offer.discount_value, orderAmount);
+  }
+  return roundMoney(Number(discountAmount));
+}
+
+// Find the service_pricing row, preferring one tied to the service item
+async function findServicePricing(db, { categorySlug, propertyTypeSlug, roomTypeSlug, serviceItemSlug }) {
+  const [rows] = await db.execute(
+    `SELECT sp.id, sp.price, sp.discount_price, sp.service_item_id, sp.service_category_id,
+            sc.name as category_name, pt.name as property_type_name, rt.name as room_type_name,
+            si.slug as service_item_slug
+     FROM service_pricing sp
+     JOIN service_categories sc ON sp.service_category_id = sc.id
+     JOIN property_types pt ON sp.property_type_id = pt.id
+     JOIN room_types rt ON sp.room_type_id = rt.id
+     LEFT JOIN service_items si ON sp.service_item_id = si.id
+     WHERE sc.slug = ? AND pt.slug = ? AND rt.slug = ? AND sp.is_active = TRUE`,
+    [categorySlug, propertyTypeSlug, roomTypeSlug]
+  );
+
+  if (rows.length === 0) {
+    return null;
+  }
+
+  return rows.find(row => serviceItemSlug && row.service_item_slug === serviceItemSlug)
+    || rows.find(row => row.service_item_id === null)
+    || rows[0];
+}
+
+// Extra charge of the slot the customer picked (category slot wins over general)
+async function getSlotExtraPrice(db, { date, time, categoryId }) {
+  if (!date || !time) {
+    return 0;
+  }
+
+  const [slots] = await db.execute(
+    `SELECT extra_price FROM available_time_slots
+     WHERE date = ? AND start_time = ? AND (service_category_id = ? OR service_category_id IS NULL)
+     ORDER BY service_category_id IS NULL ASC
+     LIMIT 1`,
+    [date, time, categoryId]
+  );
+
+  return slots.length > 0 ? parseFloat(slots[0].extra_price || 0) : 0;
+}
+
+// offer_codes.applicable_services lists the service categories an offer is limited to (NULL or empty: all of them)
+function offerAppliesToCategory(offer, category) {
+  let services = offer.applicable_services;
+  if (typeof services === 'string') {
+    try {
+      services = JSON.parse(services);
+    } catch (e) {
+      services = null;
+    }
+  }
+  if (!Array.isArray(services) || services.length === 0) {
+    return true;
+  }
+  return services.some(item => String(item) === String(category.id) || item === category.slug);
+}
+
+// How often a customer has used an offer code
+async function countOfferUses(db, offerId, userId) {
+  const [[{ uses }]] = await db.execute(
+    'SELECT COUNT(*) as uses FROM offer_code_usage WHERE offer_code_id = ? AND user_id = ?',
+    [offerId, userId]
+  );
+  return Number(uses);
+}
+
+function offerUserLimitReached(offer) {
+  return {
+    success: false,
+    error_code: 'OFFER_CODE_USER_LIMIT',
+    message: 'You have already used this offer code as many times as it allows',
+    details: { usage_limit_per_user: offer.usage_limit_per_user }
+  };
+}
+
+// Load an offer code and check it can be used for this order of a service category.
+// With a userId the customer's own uses count against usage_limit_per_user as well.
+async function resolveOfferCode(db, code, orderAmount, category, userId = null) {
+  const [offerRows] = await db.execute(
+    `SELECT * FROM offer_codes
+     WHERE code = ? AND is_active = TRUE
+     AND start_date <= NOW() AND end_date >= NOW()`,
+    [code.toUpperCase()]
+  );
+
+  if (offerRows.length === 0) {
+    return { success: false, error_code: 'INVALID_OFFER_CODE', message: 'Invalid or expired offer code' };
+  }
+
+  const offer = offerRows[0];
+
+  if (offer.usage_limit !== null && offer.used_count >= offer.usage_limit) {
+    return { success: false, error_code: 'OFFER_CODE_EXHAUSTED', message: 'This offer code has reached its usage limit' };
+  }
+
+  if (userId && offer.usage_limit_per_user !== null && offer.usage_limit_per_user !== undefined &&
+      await countOfferUses(db, offer.id, userId) >= offer.usage_limit_per_user) {
+    return offerUserLimitReached(offer);
+  }
+
+  if (!offerAppliesToCategory(offer, category)) {
+    return {
+      success: false,
+      error_code: 'OFFER_NOT_APPLICABLE',
+      message: 'This offer code is not applicable to the selected service'
+    };
+  }
+
+  if (orderAmount < offer.minimum_order_amount) {
+    return {
+      success: false,
+      error_code: 'OFFER_MINIMUM_NOT_MET',
+      message: `Minimum order amount of AED ${offer.minimum_order_amount} required for this offer`
+    };
+  }
+
+  return { success: true, offer };
+}
+
+// Record one use of an offer code by a new booking, inside the booking's transaction. The conditional
+// increment locks the offer row, so two bookings can't both take its last use. With enforce: false the use
+// is recorded even past the limits - for a slot hold that was already paid with the discount.
+async function redeemOfferCode(connection, { code, userId, appointmentId, orderAmount, discountAmount }, { enforce = true } = {}) {
+  const [offers] = await connection.execute('SELECT id, usage_limit, usage_limit_per_user FROM offer_codes WHERE code = ?', [code]);
+  if (offers.length === 0) {
+    return { success: false, error_code: 'INVALID_OFFER_CODE', message: 'Invalid or expired offer code' };
+  }
+  const offer = offers[0];
+
+  const [result] = await connection.execute(
+    `UPDATE offer_codes SET used_count = used_count + 1
+     WHERE id = ?${enforce ? ' AND (usage_limit IS NULL OR used_count < usage_limit)' : ''}`,
+    [offer.id]
+  );
+  if (result.affectedRows === 0) {
+    return { success: false, error_code: 'OFFER_CODE_EXHAUSTED', message: 'This offer code has reached its usage limit' };
+  }
+
+  if (enforce && offer.usage_limit_per_user !== null && await countOfferUses(connection, offer.id, userId) >= offer.usage_limit_per_user) {
+    return offerUserLimitReached(offer);
+  }
+
+  await connection.execute(
+    `INSERT INTO offer_code_usage (offer_code_id, user_id, appointment_id, order_amount, discount_amount)
+     VALUES (?, ?, ?, ?, ?)`,
+    [offer.id, userId, appointmentId, orderAmount, discountAmount]
+  );
+  return { success: true, offer_id: offer.id };
+}
+
+// Build an itemised quote for a booking.
+// The service price is discounted by the offer code, then the slot extra, zone
+// surcharge and COD fee are added and VAT is charged on the lot.
+// When a location is given it must fall inside a service zone (OUT_OF_AREA otherwise).
+// Re-quotes of an existing booking pass carried_discount ({ code, amount }) instead of offer_code:
+// the discount it was booked with stands even once the code has expired or run out.
+// user_id is the customer booking, checked against the offer's per-customer limit.
+async function calculateQuote(db, params) {
+  const {
+    service_category_slug,
+    property_type_slug,
+    room_type_slug,
+    service_item_slug,
+    quantity,
+    appointment_date,
+    appointment_time,
+    payment_method,
+    offer_code,
+    carried_discount,
+    location,
+    user_id
+  } = params;
+
+  if (!service_category_slug || !property_type_slug || !room_type_slug) {
+    return {
+      success: false,
+      error_code: 'MISSING_PRICING_FIELDS',
+      message: 'service_category_slug, property_type_slug and room_type_slug are required'
+    };
+  }
+
+  const pricing = await findServicePricing(db, {
+    categorySlug: service_category_slug,
+    propertyTypeSlug: property_type_slug,
+    roomTypeSlug: room_type_slug,
+    serviceItemSlug: service_item_slug
+  });
+
+  if (!pricing) {
+    return {
+      success: false,
+      error_code: 'PRICING_NOT_FOUND',
+      message: 'No active pricing found for the selected service, property and room type'
+    };
+  }
+
+  const qty = Math.max(1, parseInt(quantity, 10) || 1);
+  const listPrice = parseFloat(pricing.price);
+  const unitPrice = pricing.discount_price !== null && parseFloat(pricing.discount_price) < listPrice
+    ? parseFloat(pricing.discount_price)
+    : listPrice;
+  const serviceSubtotal = roundMoney(unitPrice * qty);
+
+  const lineItems = [{
+    code: 'service',
+    description: `${pricing.category_name} - ${pricing.property_type_name} ${pricing.room_type_name}`,
+    unit_price: unitPrice,
+    list_price: listPrice,
+    quantity: qty,
+    amount: serviceSubtotal
+  }];
+
+  let discountAmount = 0;
+  let appliedOffer = null;
+  if (offer_code) {
+    const offerResult = await resolveOfferCode(db, offer_code, serviceSubtotal, {
+      id: pricing.service_category_id,
+      slug: service_category_slug
+    }, user_id || null);
+    if (!offerResult.success) {
+      return offerResult;
+    }
+
+    appliedOffer = offerResult.offer;
+    discountAmount = calculateOfferDiscount(appliedOffer, serviceSubtotal);
+    lineItems.push({
+      code: 'discount',
+      description: `Offer code ${appliedOffer.code}`,
+      amount: -discountAmount
+    });
+  } else if (carried_discount && parseFloat(carried_discount.amount) > 0) {
+    appliedOffer = { id: null, code: carried_discount.code || null };
+    discountAmount = Math.min(roundMoney(parseFloat(carried_discount.amount)), serviceSubtotal);
+    lineItems.push({
+      code: 'discount',
+      description: appliedOffer.code ? `Offer code ${appliedOffer.code}` : 'Discount',
+      amount: -discountAmount
+    });
+  }
+
+  const extraPrice = roundMoney(await getSlotExtraPrice(db, {
+    date: appointment_date,
+    time: appointment_time,
+    categoryId: pricing.service_category_id
+  }));
+  if (extraPrice > 0) {
+    lineItems.push({ code: 'time_slot', description: 'Time slot surcharge', amount: extraPrice });
+  }
+
+  let zoneSurcharge = 0;
+  let serviceZone = null;
+  if (location !== undefined && location !== null) {
+    const zoneResult = await resolveServiceZone(db, location, pricing.service_category_id);
+    if (!zoneResult.success) {
+      return zoneResult;
+    }
+
+    serviceZone = zoneResult.zone;
+    zoneSurcharge = roundMoney(zoneResult.surcharge);
+    if (zoneSurcharge > 0) {
+      lineItems.push({ code: 'zone_surcharge', description: `Area surcharge (${serviceZone.name})`, amount: zoneSurcharge });
+    }
+  }
+
+  const codFee = isCashOnDelivery(payment_method) ? roundMoney(COD_FEE) : 0;
+  if (codFee > 0) {
+    lineItems.push({ code: 'cod_fee', description: 'Cash on delivery fee', amount: codFee });
+  }
+
+  const price = roundMoney(serviceSubtotal - discountAmount);
+  const subtotal = roundMoney(price + extraPrice + zoneSurcharge + codFee);
+  const vatAmount = roundMoney(subtotal * VAT_RATE);
+
+  return {
+    success: true,
+    quote: {
+      currency: 'AED',
+      service_pricing_id: pricing.id,
+      line_items: lineItems,
+      service_subtotal: serviceSubtotal,
+      discount_amount: discountAmount,
+      price,
+      extra_price: extraPrice,
+      zone_surcharge: zoneSurcharge,
+      cod_fee: codFee,
+      subtotal,
+      vat_rate: VAT_RATE,
+      vat_amount: vatAmount,
+      total: roundMoney(subtotal + vatAmount),
+      offer: appliedOffer ? { id: appliedOffer.id, code: appliedOffer.code } : null,
+      service_zone: serviceZone
+    }
+  };
+}
+
+// True when client-supplied amounts differ from the quote by more than a fil
+function quoteMismatches(quote, { price, extra_price, cod_fee }) {
+  const differs = (clientValue, serverValue) =>
+    clientValue !== undefined && clientValue !== null && clientValue !== ''
+    && Math.abs(parseFloat(clientValue) - serverValue) > 0.01;
+
+  return differs(price, quote.price) || differs(extra_price, quote.extra_price) || differs(cod_fee, quote.cod_fee);
+}
+
+module.exports = {
+  VAT_RATE,
+  COD_PAYMENT_METHODS,
+  roundMoney,
+  isCashOnDelivery,
+  calculateOfferDiscount,
+  calculateQuote,
+  redeemOfferCode,
+  quoteMismatches
+};
@@ -0,0 +1,190 @@
+// Payment Reconciliation Service
+// Polls the payment providers for payments left pending (missed webhooks) and reports payments that don't match their appointment
+const { applyPaymentStatus, applyPaymentOutcome } = require('./ziinaService');
+const { ONLINE_PAYMENT_PROVIDERS, INTERNAL_PAYMENT_METHODS, getPaymentProvider } = require('./paymentProviderService');
+const { COD_PAYMENT_METHODS } = require('./quoteService');
+
+// A pending payment is stale once the customer has had this long to finish on the checkout page
+const STALE_PENDING_MINUTES = parseInt(process.env.PAYMENT_RECONCILE_AFTER_MINUTES || '15', 10);
+const RECONCILE_INTERVAL = 5 * 60 * 1000; // 5 minutes
+const RECONCILE_BATCH_SIZE = 50;
+
+const MISMATCH_TYPES = [
+  'stale_pending',
+  'paid_appointment_pending',
+  'paid_appointment_cancelled',
+  'paid_without_appointment',
+  'amount_mismatch',
+  'confirmed_without_payment'
+];
+
+const INTERNAL_METHODS_SQL = INTERNAL_PAYMENT_METHODS.map(name => `'${name}'`).join(', ');
+const COD_METHODS_SQL = COD_PAYMENT_METHODS.map(name => `'${name}'`).join(', ');
+
+let reconcileTimer = null;
+
+// Check stale pending online payments with their provider, least recently checked first.
+// Status changes go through the same forward-only path as the webhook, so the appointment follows.
+async function reconcilePendingPayments(pool) {
+  const summary = { checked: 0, updated: 0, failed: 0 };
+
+  const [payments] = await pool.execute(
+    `SELECT id, payment_id, payment_method FROM payments
+     WHERE status = 'pending' AND payment_method IN (${ONLINE_PAYMENT_PROVIDERS.map(() => '?').join(', ')})
+       AND created_at < DATE_SUB(NOW(), INTERVAL ? MINUTE)
+     ORDER BY last_reconciled_at IS NOT NULL, last_reconciled_at ASC, created_at ASC
+     LIMIT ${RECONCILE_BATCH_SIZE}`,
+    [...ONLINE_PAYMENT_PROVIDERS, STALE_PENDING_MINUTES]
+  );
+
+  const providers = {};
+
+  for (const stale of payments) {
+    if (!(stale.payment_method in providers)) {
+      providers[stale.payment_method] = await getPaymentProvider(pool, stale.payment_method);
+    }
+    const provider = providers[stale.payment_method];
+    if (!provider) {
+      continue;
+    }
+
+    summary.checked++;
+    try {
+      const response = await provider.getStatus(stale.payment_id);
+      await pool.execute('UPDATE payments SET last_reconciled_at = NOW() WHERE id = ?', [stale.id]);
+
+      if (!response.ok) {
+        console.error('Payment reconciliation - provider error:', { payment_id: stale.payment_id, provider: provider.name, message: response.message });
+        summary.failed++;
+        continue;
+      }
+
+      const { applied, payment } = await applyPaymentStatus(pool, stale.payment_id, response.status);
+      if (applied) {
+        const note = await applyPaymentOutcome(pool, payment);
+        console.log(`Payment reconciliation - ${payment.payment_id}: ${payment.previous_status} -> ${payment.status}${note ? `. ${note}` : ''}`);
+        summary.updated++;
+      }
+    } catch (error) {
+      console.error('Payment reconciliation - error checking payment:', { payment_id: stale.payment_id, error: error.message });
+      summary.failed++;
+    }
+  }
+
+  return summary;
+}
+
+// Payments and appointments that disagree, newest first. Optionally only one mismatch type.
+async function getPaymentMismatches(db, { type = null } = {}) {
+  const queries = {
+    stale_pending: `
+      SELECT 'stale_pending' as type, p.id as payment_id, p.payment_id as provider_payment_id, p.order_id,
+             p.amount, p.status as payment_status, p.created_at, a.id as appointment_id, a.status as appointment_status,
+             a.total_amount as appointment_total
+      FROM payments p LEFT JOIN appointments a ON p.appointment_id = a.id
+      WHERE p.status = 'pending' AND p.payment_method IN (${ONLINE_PAYMENT_PROVIDERS.map(name => `'${name}'`).join(', ')})
+        AND p.created_at < DATE_SUB(NOW(), INTERVAL ${STALE_PENDING_MINUTES} MINUTE)`,
+    // A wallet or gift card part taken at booking leaves the rest to pay online or in cash, so on its own
+    // it only means the booking should be confirmed once it covers the whole total
+    paid_appointment_pending: `
+      SELECT 'paid_appointment_pending' as type, p.id as payment_id, p.payment_id as provider_payment_id, p.order_id,
+             p.amount, p.status as payment_status, p.created_at, a.id as appointment_id, a.status as appointment_status,
+             a.total_amount as appointment_total
+      FROM payments p JOIN appointments a ON p.appointment_id = a.id
+      WHERE p.status = 'completed' AND a.status = 'pending'
+        AND (p.payment_method NOT IN (${INTERNAL_METHODS_SQL})
+          OR (SELECT SUM(paid.amount) FROM payments paid
+              WHERE paid.appointment_id = a.id AND paid.status = 'completed') >= a.total_amount - 0.005)`,
+    paid_appointment_cancelled: `
+      SELECT 'paid_appointment_cancelled' as type, p.id as payment_id, p.payment_id as provider_payment_id, p.order_id,
+             p.amount, p.status as payment_status, p.created_at, a.id as appointment_id, a.status as appointment_status,
+             a.total_amount as appointment_total
+      FROM payments p JOIN appointments a ON p.appointment_id = a.id
+      WHERE p.status = 'completed' AND a.status = 'cancelled'
+        AND p.amount > (SELECT COALESCE(SUM(r.amount), 0) FROM refunds r WHERE r.payment_id = p.id AND r.status = 'completed')`,
+    paid_without_appointment: `
+      SELECT 'paid_without_appointment' as type, p.id as payment_id, p.payment_id as provider_payment_id, p.order_id,
+             p.amount, p.status as payment_status, p.created_at, NULL as appointment_id, NULL as appointment_status,
+             NULL as appointment_total
+      FROM payments p
+      WHERE p.status = 'completed' AND p.appointment_id IS NULL AND p.order_id NOT LIKE 'giftcard\\_%'
+        AND p.amount > (SELECT COALESCE(SUM(r.amount), 0) FROM refunds r WHERE r.payment_id = p.id AND r.status = 'completed')`,
+    // Paying more than the total is always wrong. Paying less is only wrong once the online payment for the rest
+    // has landed: a wallet or gift card part on its own is still waiting for it, and cash jobs are
+    // checked against what the technician collected in the COD reconciliation
+    amount_mismatch: `
+      SELECT 'amount_mismatch' as type, NULL as payment_id, NULL as provider_payment_id, NULL as order_id,
+             p.paid as amount, 'completed' as payment_status, p.created_at, a.id as appointment_id,
+             a.status as appointment_status, a.total_amount as appointment_total
+      FROM appointments a
+      JOIN (SELECT appointment_id, SUM(amount) as paid, MAX(created_at) as created_at,
+                   SUM(payment_method NOT IN (${INTERNAL_METHODS_SQL})) as external_payments
+            FROM payments WHERE status = 'completed' AND appointment_id IS NOT NULL
+            GROUP BY appointment_id) p ON p.appointment_id = a.id
+      WHERE a.total_amount IS NOT NULL
+        AND (p.paid - a.total_amount >= 0.01
+          OR (a.total_amount - p.paid >= 0.01 AND p.external_payments > 0
+            AND (a.payment_method IS NULL OR LOWER(a.payment_method) NOT IN (${COD_METHODS_SQL}))))`,
+    confirmed_without_payment: `
+      SELECT 'confirmed_without_payment' as type, NULL as payment_id, NULL as provider_payment_id, NULL as order_id,
+             NULL as amount, NULL as payment_status, a.created_at, a.id as appointment_id, a.status as appointment_status,
+             a.total_amount as appointment_total
+      FROM appointments a
+      WHERE a.status IN ('confirmed', 'in-progress', 'completed')
+        AND a.payment_method IS NOT NULL AND LOWER(a.payment_method) NOT IN (${COD_PAYMENT_METHODS.map(() => '?').join(', ')})
+        AND NOT EXISTS (SELECT 1 FROM payments p WHERE p.appointment_id = a.id AND p.status = 'completed')`
+  };
+
+  const types = type ? [type] : MISMATCH_TYPES;
+  const mismatches = [];
+
+  for (const mismatchType of types) {
+    const params = mismatchType === 'confirmed_without_payment' ? COD_PAYMENT_METHODS : [];
+    const [rows] = await db.execute(queries[mismatchType], params);
+    mismatches.push(...rows);
+  }
+
+  mismatches.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+
+  const counts = {};
+  MISMATCH_TYPES.forEach(mismatchType => {
+    counts[mismatchType] = mismatches.filter(row => row.type === mismatchType).length;
+  });
+
+  return { counts, mismatches };
+}
+
+function startPaymentReconciler(pool) {
+  if (reconcileTimer) {
+    return;
+  }
+
+  let running = false;
+  reconcileTimer = setInterval(() => {
+    // Skip a tick if the previous run is still going
+    if (running) {
+      return;
+    }
+    running = true;
+    reconcilePendingPayments(pool)
+      .then(summary => {
+        if (summary.updated > 0 || summary.failed > 0) {
+          console.log('Payment reconciliation:', summary);
+        }
+      })
+      .catch(error => {
+        console.error('Error reconciling payments:', error);
+      })
+      .finally(() => {
+        running = false;
+      });
+  }, RECONCILE_INTERVAL);
+}
+
+module.exports = {
+  STALE_PENDING_MINUTES,
+  MISMATCH_TYPES,
+  reconcilePendingPayments,
+  getPaymentMismatches,
+  startPaymentReconciler
+};
@@ -0,0 +1,352 @@
+// Refund Service
+// Full and partial refunds of completed payments through the payment provider that took them
+const crypto = require('crypto');
+const { getPaymentProvider } = require('./paymentProviderService');
+const { issueCreditNote } = require('./invoiceService');
+const { recordWalletEntry } = require('./walletService');
+const { refundToGiftCard } = require('./giftCardService');
+
+const REFUND_STATUSES = ['pending', 'processing', 'completed', 'failed'];
+
+// pending: recorded, not yet accepted by the provider; processing: accepted; completed and failed are final
+const REFUND_STATUS_RANK = {
+  pending: 0,
+  processing: 1,
+  completed: 2,
+  failed: 2
+};
+
+function roundMoney(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Completed payments of an appointment with how much of each is still refundable.
+// Failed refunds don't count against the payment.
+async function getRefundablePayments(db, appointmentId, { forUpdate = false } = {}) {
+  const [payments] = await db.execute(
+    `SELECT p.id, p.user_id, p.payment_id, p.order_id, p.amount, p.currency, p.payment_method
+     FROM payments p
+     WHERE p.status = 'completed' AND p.appointment_id = ?
+     ORDER BY p.created_at ASC${forUpdate ? ' FOR UPDATE' : ''}`,
+    [appointmentId]
+  );
+
+  for (const payment of payments) {
+    const [[{ refunded }]] = await db.execute(
+      `SELECT COALESCE(SUM(amount), 0) as refunded FROM refunds WHERE payment_id = ? AND status != 'failed'`,
+      [payment.id]
+    );
+    payment.refunded_amount = roundMoney(parseFloat(refunded));
+    payment.refundable_amount = roundMoney(parseFloat(payment.amount) - payment.refunded_amount);
+  }
+
+  return payments;
+}
+
+async function getRefund(db, refundId) {
+  const [refunds] = await db.execute('SELECT * FROM refunds WHERE id = ?', [refundId]);
+  return refunds.length > 0 ? refunds[0] : null;
+}
+
+// Move a refund to a new status if that is a step forward, by our id or the provider refund id
+async function applyRefundStatus(db, { refundId = null, providerRefundId = null }, status, failureReason = null) {
+  const [refunds] = await db.execute(
+    'SELECT id, status FROM refunds WHERE id = ? OR (provider_refund_id IS NOT NULL AND provider_refund_id = ?)',
+    [refundId, providerRefundId]
+  );
+
+  if (refunds.length === 0) {
+    return { applied: false, refund: null };
+  }
+
+  const refund = refunds[0];
+  if (!status || REFUND_STATUS_RANK[status] <= REFUND_STATUS_RANK[refund.status]) {
+    return { applied: false, refund };
+  }
+
+  const [result] = await db.execute(
+    `UPDATE refunds SET status = ?, failure_reason = ?,
+     completed_at = IF(? = 'completed', NOW(), completed_at)
+     WHERE id = ? AND status = ?`,
+    [status, failureReason, status, refund.id, refund.status]
+  );
+
+  const applied = result.affectedRows === 1;
+  if (applied && status === 'completed') {
+    await creditCompletedRefund(db, refund.id);
+  }
+
+  return { applied, refund: { ...refund, previous_status: refund.status, status } };
+}
+
+// A completed refund is credited on the appointment's tax invoice, when one was issued
+async function creditCompletedRefund(pool, refundId) {
+  try {
+    const refund = await getRefund(pool, refundId);
+    if (!refund || !refund.appointment_id) {
+      return;
+    }
+
+    const result = await issueCreditNote(pool, {
+      appointmentId: refund.appointment_id,
+      amount: refund.amount,
+      reason: refund.reason || 'Refund',
+      refundId: refund.id
+    });
+    if (!result.success && !['INVOICE_NOT_FOUND', 'COMPANY_TRN_NOT_CONFIGURED'].includes(result.error_code)) {
+      console.error('Could not issue credit note for refund:', { refund_id: refund.id, error_code: result.error_code });
+    }
+  } catch (error) {
+    console.error('Error issuing credit note for refund:', error);
+  }
+}
+
+// Send a recorded refund to the provider that took the payment. Wallet payments go back to the wallet
+// and gift card payments back onto the card.
+async function submitRefund(pool, refund, payment) {
+  if (payment.payment_method === 'wallet') {
+    const credit = await recordWalletEntry(pool, {
+      userId: payment.user_id,
+      type: 'credit',
+      amount: parseFloat(refund.amount),
+      reason: refund.reason || `Refund of booking #${refund.appointment_id}`,
+      source: 'refund',
+      appointmentId: refund.appointment_id
+    });
+    await applyRefundStatus(pool, { refundId: refund.id }, credit.success ? 'completed' : 'failed', credit.success ? null : credit.message);
+    return;
+  }
+
+  if (payment.payment_method === 'gift_card') {
+    const restore = await refundToGiftCard(pool, {
+      paymentId: payment.payment_id,
+      amount: parseFloat(refund.amount),
+      appointmentId: refund.appointment_id
+    });
+    await applyRefundStatus(pool, { refundId: refund.id }, restore.success ? 'completed' : 'failed', restore.success ? null : restore.message);
+    return;
+  }
+
+  const provider = await getPaymentProvider(pool, payment.payment_method);
+  if (!provider) {
+    await applyRefundStatus(pool, { refundId: refund.id }, 'failed', `Payment provider ${payment.payment_method} is not configured`);
+    return;
+  }
+
+  // The provider refund id is ours, so resubmitting the same refund can't pay out twice
+  const response = await provider.refund({
+    refundId: refund.provider_refund_id,
+    paymentId: payment.payment_id,
+    amount: refund.amount,
+    currency: refund.currency
+  });
+
+  if (!response.ok) {
+    console.error('Refund error:', { refund_id: refund.id, provider: provider.name, message: response.message, data: response.data });
+    await applyRefundStatus(pool, { refundId: refund.id }, 'failed', response.message);
+    return;
+  }
+
+  await applyRefundStatus(pool, { refundId: refund.id }, response.status || 'processing');
+}
+
+// Refund part or all of what an appointment was paid. Without an amount everything still refundable is refunded.
+// A booking paid several ways is refunded from the payment with the most left first and then the next, one refund
+// per payment, each back through the provider (or wallet / gift card) that took it.
+// The refunds are recorded first (so concurrent requests can't over-refund) and then sent to the providers.
+async function createRefund(pool, { appointmentId, amount = null, reason = null, requestedBy = null, requestedByType = 'admin' }) {
+  const connection = await pool.getConnection();
+  const parts = [];
+
+  try {
+    await connection.beginTransaction();
+
+    const payments = await getRefundablePayments(connection, appointmentId, { forUpdate: true });
+    const refundable = payments.filter(item => item.refundable_amount > 0);
+
+    if (refundable.length === 0) {
+      await connection.rollback();
+      connection.release();
+      return {
+        success: false,
+        error_code: 'NO_REFUNDABLE_PAYMENT',
+        message: 'This appointment has no completed payment left to refund'
+      };
+    }
+
+    const requested = amount === null || amount === undefined ? null : roundMoney(Number(amount));
+    if (requested !== null && (isNaN(requested) || requested <= 0)) {
+      await connection.rollback();
+      connection.release();
+      return { success: false, error_code: 'INVALID_REFUND_AMOUNT', message: 'amount must be a positive number' };
+    }
+
+    const refundableTotal = roundMoney(refundable.reduce((sum, item) => sum + item.refundable_amount, 0));
+    const refundAmount = requested === null ? refundableTotal : requested;
+
+    if (refundAmount > refundableTotal) {
+      await connection.rollback();
+      connection.release();
+      return {
+        success: false,
+        error_code: 'REFUND_EXCEEDS_PAYMENT',
+        message: `At most ${refundableTotal.toFixed(2)} ${refundable[0].currency} can be refunded`,
+        details: {
+          refundable_amount: refundableTotal,
+          refunded_amount: roundMoney(payments.reduce((sum, item) => sum + item.refunded_amount, 0)),
+          payments: refundable.map(item => ({
+            payment_id: item.id,
+            payment_method: item.payment_method,
+            refundable_amount: item.refundable_amount
+          }))
+        }
+      };
+    }
+
+    // sort is stable, so payments with the same balance go oldest first
+    const ordered = [...refundable].sort((a, b) => b.refundable_amount - a.refundable_amount);
+    let remaining = refundAmount;
+
+    for (const payment of ordered) {
+      if (remaining <= 0) {
+        break;
+      }
+      const partAmount = roundMoney(Math.min(remaining, payment.refundable_amount));
+
+      const [result] = await connection.execute(
+        `INSERT INTO refunds (payment_id, appointment_id, amount, currency, reason, status, provider, provider_refund_id,
+                              requested_by, requested_by_type)
+         VALUES (?, ?, ?, ?, ?, 'pending', ?, ?, ?, ?)`,
+        [payment.id, appointmentId, partAmount, payment.currency, reason, payment.payment_method,
+          crypto.randomUUID(), requestedBy, requestedByType]
+      );
+      parts.push({ refundId: result.insertId, payment });
+      remaining = roundMoney(remaining - partAmount);
+    }
+
+    await connection.commit();
+    connection.release();
+  } catch (error) {
+    try { await connection.rollback(); } catch (e) { /* ignore */ }
+    connection.release();
+    throw error;
+  }
+
+  const refunds = [];
+  for (const { refundId, payment } of parts) {
+    try {
+      await submitRefund(pool, await getRefund(pool, refundId), payment);
+    } catch (error) {
+      console.error('Error submitting refund:', error);
+      await applyRefundStatus(pool, { refundId }, 'failed', error.message);
+    }
+    refunds.push(await getRefund(pool, refundId));
+  }
+
+  return { success: true, refund: refunds[0], refunds };
+}
+
+// Refund the whole of a completed payment that never became a booking, e.g. a slot hold paid for after
+// the slot was gone. At most one live refund per payment, so a redelivered webhook doesn't refund twice.
+async function refundUnbookedPayment(pool, paymentId, reason) {
+  const [payments] = await pool.execute(
+    `SELECT id, user_id, payment_id, order_id, amount, currency, payment_method FROM payments
+     WHERE id = ? AND status = 'completed' AND appointment_id IS NULL`,
+    [paymentId]
+  );
+
+  if (payments.length === 0) {
+    return { success: false, error_code: 'NO_REFUNDABLE_PAYMENT', message: 'No completed payment without a booking to refund' };
+  }
+
+  const payment = payments[0];
+  const [existing] = await pool.execute(
+    "SELECT id FROM refunds WHERE payment_id = ? AND status != 'failed' ORDER BY id DESC LIMIT 1",
+    [payment.id]
+  );
+  if (existing.length > 0) {
+    return { success: true, refund: await getRefund(pool, existing[0].id) };
+  }
+
+  const [result] = await pool.execute(
+    `INSERT INTO refunds (payment_id, appointment_id, amount, currency, reason, status, provider, provider_refund_id,
+                          requested_by, requested_by_type)
+     VALUES (?, NULL, ?, ?, ?, 'pending', ?, ?, NULL, 'system')`,
+    [payment.id, payment.amount, payment.currency, reason, payment.payment_method, crypto.randomUUID()]
+  );
+
+  try {
+    await submitRefund(pool, await getRefund(pool, result.insertId), payment);
+  } catch (error) {
+    console.error('Error submitting refund:', error);
+    await applyRefundStatus(pool, { refundId: result.insertId }, 'failed', error.message);
+  }
+
+  return { success: true, refund: await getRefund(pool, result.insertId) };
+}
+
+// Ask the provider for the latest status of a refund that is still in flight
+async function syncRefund(pool, refundId) {
+  const refund = await getRefund(pool, refundId);
+  if (!refund) {
+    return { success: false, error_code: 'REFUND_NOT_FOUND', message: 'Refund not found' };
+  }
+
+  if (refund.status === 'processing') {
+    const provider = await getPaymentProvider(pool, refund.provider);
+    if (provider) {
+      const response = await provider.getRefundStatus(refund.provider_refund_id);
+      if (response.ok) {
+        await applyRefundStatus(pool, { refundId: refund.id }, response.status);
+      }
+    }
+  }
+
+  return { success: true, refund: await getRefund(pool, refundId) };
+}
+
+async function getAppointmentRefunds(db, appointmentId) {
+  const [refunds] = await db.execute(
+    `SELECT r.id, r.payment_id, r.amount, r.currency, r.reason, r.status, r.failure_reason, r.provider,
+            r.provider_refund_id, r.requested_by, r.requested_by_type, r.created_at, r.completed_at
+     FROM refunds r
+     WHERE r.appointment_id = ?
+     ORDER BY r.created_at ASC, r.id ASC`,
+    [appointmentId]
+  );
+  return refunds;
+}
+
+// Overall refund state for the customer: null, pending, failed, partially_refunded or refunded
+function summarizeRefunds(refunds, paidAmount) {
+  if (refunds.length === 0) {
+    return { refund_status: null, refunded_amount: 0 };
+  }
+
+  const refunded = roundMoney(refunds
+    .filter(refund => refund.status === 'completed')
+    .reduce((sum, refund) => sum + parseFloat(refund.amount), 0));
+  const inFlight = refunds.some(refund => refund.status === 'pending' || refund.status === 'processing');
+
+  let refundStatus;
+  if (inFlight) {
+    refundStatus = 'pending';
+  } else if (refunded === 0) {
+    refundStatus = 'failed';
+  } else {
+    refundStatus = paidAmount !== null && refunded >= roundMoney(paidAmount) ? 'refunded' : 'partially_refunded';
+  }
+
+  return { refund_status: refundStatus, refunded_amount: refunded };
+}
+
+module.exports = {
+  REFUND_STATUSES,
+  getRefundablePayments,
+  applyRefundStatus,
+  createRefund,
+  refundUnbookedPayment,
+  syncRefund,
+  getAppointmentRefunds,
+  summarizeRefunds
+};
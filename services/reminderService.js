@@ -0,0 +1,222 @@
+// Appointment Reminder Service
+// Queues reminder emails ahead of confirmed appointments and logs every send
+const { sendAppointmentReminder } = require('./emailService');
+const { getAppointmentEmailData, assertSent } = require('./notificationService');
+const { formatDate } = require('./availabilityService');
+const { registerJobHandler, enqueueJob } = require('./queueService');
+
+// Minutes before the appointment, used when a category has no reminder_offsets of its own
+const DEFAULT_REMINDER_OFFSETS = (process.env.REMINDER_OFFSETS_MINUTES || '1440,120')
+  .split(',')
+  .map(value => parseInt(value, 10))
+  .filter(value => value > 0);
+// How many times a reminder whose job ran out of attempts is queued again
+const MAX_REMINDER_REQUEUES = parseInt(process.env.REMINDER_MAX_REQUEUES || '3', 10);
+const REMINDER_INTERVAL = 60 * 1000; // 1 minute
+
+let reminderTimer = null;
+
+// Validate a reminder_offsets array, returns an error message or null
+function validateReminderOffsets(offsets) {
+  if (offsets === null) {
+    return null;
+  }
+  if (!Array.isArray(offsets) || offsets.length === 0) {
+    return 'reminder_offsets must be a non-empty array of minutes, or null for the default';
+  }
+  if (!offsets.every(offset => Number.isInteger(offset) && offset > 0 && offset <= 14 * 24 * 60)) {
+    return 'Each reminder offset must be a whole number of minutes between 1 and 20160 (14 days)';
+  }
+  return null;
+}
+
+// Reminder offsets per category slug, plus the default for everything else
+async function getReminderOffsets(db) {
+  const [categories] = await db.execute(
+    'SELECT slug, reminder_offsets FROM service_categories WHERE reminder_offsets IS NOT NULL'
+  );
+
+  const offsets = {};
+  categories.forEach(category => {
+    const parsed = typeof category.reminder_offsets === 'string'
+      ? JSON.parse(category.reminder_offsets)
+      : category.reminder_offsets;
+    if (Array.isArray(parsed) && parsed.length > 0) {
+      offsets[category.slug] = parsed.map(Number);
+    }
+  });
+
+  return offsets;
+}
+
+// "today", "tomorrow" or "on YYYY-MM-DD" for the email copy
+function reminderWhen(appointmentDate) {
+  const today = new Date();
+  const tomorrow = new Date();
+  tomorrow.setDate(today.getDate() + 1);
+
+  if (appointmentDate === formatDate(today)) {
+    return 'today';
+  }
+  if (appointmentDate === formatDate(tomorrow)) {
+    return 'tomorrow';
+  }
+  return `on ${appointmentDate}`;
+}
+
+// Queue every reminder that is due. Each (appointment, offset, appointment time) is claimed in
+// appointment_reminders before queueing, so restarts never send it twice while a reschedule starts afresh.
+// A reminder whose job ran out of attempts is queued again, up to MAX_REMINDER_REQUEUES times.
+async function queueDueReminders(pool) {
+  const summary = { queued: 0, skipped: 0 };
+
+  const categoryOffsets = await getReminderOffsets(pool);
+  const maxOffset = Math.max(...DEFAULT_REMINDER_OFFSETS, ...Object.values(categoryOffsets).flat());
+  if (!Number.isFinite(maxOffset)) {
+    return summary;
+  }
+
+  const [appointments] = await pool.execute(
+    `SELECT id, service_category_slug, DATE_FORMAT(appointment_date, '%Y-%m-%d') as appointment_date,
+            DATE_FORMAT(TIMESTAMP(appointment_date, appointment_time), '%Y-%m-%d %H:%i:%s') as scheduled_for,
+            TIMESTAMPDIFF(MINUTE, NOW(), TIMESTAMP(appointment_date, appointment_time)) as minutes_until
+     FROM appointments
+     WHERE status = 'confirmed'
+       AND TIMESTAMP(appointment_date, appointment_time) > NOW()
+       AND TIMESTAMP(appointment_date, appointment_time) <= DATE_ADD(NOW(), INTERVAL ? MINUTE)`,
+    [maxOffset]
+  );
+
+  for (const appointment of appointments) {
+    const offsets = categoryOffsets[appointment.service_category_slug] || DEFAULT_REMINDER_OFFSETS;
+
+    const [logged] = await pool.execute(
+      'SELECT offset_minutes, status, requeue_count FROM appointment_reminders WHERE appointment_id = ? AND scheduled_for = ?',
+      [appointment.id, appointment.scheduled_for]
+    );
+    const retryable = row => row.status === 'failed' && row.requeue_count < MAX_REMINDER_REQUEUES;
+    const loggedOffsets = logged.filter(row => !retryable(row)).map(row => row.offset_minutes);
+
+    // Offsets whose moment has passed and that were never handled, nearest first
+    const due = offsets
+      .filter(offset => appointment.minutes_until <= offset && !loggedOffsets.includes(offset))
+      .sort((a, b) => a - b);
+
+    if (due.length === 0) {
+      continue;
+    }
+
+    // Booked late (or the server was down): only send the nearest reminder, skip the rest
+    const [offset, ...stale] = due;
+    for (const staleOffset of stale) {
+      await pool.execute(
+        `INSERT INTO appointment_reminders (appointment_id, offset_minutes, scheduled_for, channel, status)
+         VALUES (?, ?, ?, 'email', 'skipped')
+         ON DUPLICATE KEY UPDATE status = 'skipped'`,
+        [appointment.id, staleOffset, appointment.scheduled_for]
+      );
+      summary.skipped++;
+    }
+
+    // A failed row is claimed back by its status, a new one by its unique key; either way only one run wins
+    const failed = logged.find(row => row.offset_minutes === offset && retryable(row));
+    const [claim] = failed
+      ? await pool.execute(
+        `UPDATE appointment_reminders SET status = 'sending', error = NULL, requeue_count = requeue_count + 1
+         WHERE appointment_id = ? AND offset_minutes = ? AND scheduled_for = ? AND status = 'failed' AND requeue_count < ?`,
+        [appointment.id, offset, appointment.scheduled_for, MAX_REMINDER_REQUEUES]
+      )
+      : await pool.execute(
+        `INSERT IGNORE INTO appointment_reminders (appointment_id, offset_minutes, scheduled_for, channel, status)
+         VALUES (?, ?, ?, 'email', 'sending')`,
+        [appointment.id, offset, appointment.scheduled_for]
+      );
+    if (claim.affectedRows === 0) {
+      continue;
+    }
+
+    await enqueueJob(pool, 'email.appointment_reminder', {
+      appointment_id: appointment.id,
+      offset_minutes: offset,
+      scheduled_for: appointment.scheduled_for,
+      reminder_when: reminderWhen(appointment.appointment_date)
+    });
+    summary.queued++;
+  }
+
+  if (summary.queued || summary.skipped) {
+    console.log('Appointment reminders processed:', summary);
+  }
+  return summary;
+}
+
+// Queue handler: send one reminder and record the outcome in appointment_reminders.
+// A send that fails is retried by the queue; the row is only marked failed once the job is out of attempts.
+function registerReminderJobs(pool) {
+  registerJobHandler('email.appointment_reminder', async ({ appointment_id, offset_minutes, scheduled_for, reminder_when }, job) => {
+    const [appointments] = await pool.execute(
+      `SELECT status, DATE_FORMAT(TIMESTAMP(appointment_date, appointment_time), '%Y-%m-%d %H:%i:%s') as scheduled_for
+       FROM appointments WHERE id = ?`,
+      [appointment_id]
+    );
+    const reminderKey = [appointment_id, offset_minutes, scheduled_for];
+
+    // Cancelled or rescheduled since it was queued; a reschedule gets reminders of its own
+    if (appointments.length === 0 || appointments[0].status !== 'confirmed' || appointments[0].scheduled_for !== scheduled_for) {
+      await pool.execute(
+        `UPDATE appointment_reminders SET status = 'skipped'
+         WHERE appointment_id = ? AND offset_minutes = ? AND scheduled_for = ?`,
+        reminderKey
+      );
+      return;
+    }
+
+    try {
+      const emailData = await getAppointmentEmailData(pool, appointment_id);
+      assertSent(await sendAppointmentReminder({ ...emailData, reminder_when }));
+    } catch (error) {
+      await pool.execute(
+        `UPDATE appointment_reminders SET status = ?, error = ?
+         WHERE appointment_id = ? AND offset_minutes = ? AND scheduled_for = ?`,
+        [job.attempts >= job.max_attempts ? 'failed' : 'sending', error.message, ...reminderKey]
+      );
+      throw error;
+    }
+
+    await pool.execute(
+      `UPDATE appointment_reminders SET status = 'sent', error = NULL, sent_at = NOW()
+       WHERE appointment_id = ? AND offset_minutes = ? AND scheduled_for = ?`,
+      reminderKey
+    );
+  });
+}
+
+function startReminderScheduler(pool) {
+  if (reminderTimer) {
+    return;
+  }
+
+  let running = false;
+  reminderTimer = setInterval(() => {
+    // Skip a tick if the previous run is still going
+    if (running) {
+      return;
+    }
+    running = true;
+    queueDueReminders(pool)
+      .catch(error => {
+        console.error('Error sending appointment reminders:', error);
+      })
+      .finally(() => {
+        running = false;
+      });
+  }, REMINDER_INTERVAL);
+}
+
+module.exports = {
+  DEFAULT_REMINDER_OFFSETS,
+  validateReminderOffsets,
+  queueDueReminders,
+  registerReminderJobs,
+  startReminderScheduler
+};
@@ -0,0 +1,300 @@
+// Financial Report Service
+// Revenue, payments received, discounts and VAT over a date range, as column definitions and rows
+// so the same report can be returned as JSON or exported to CSV.
+//
+// Revenue and discounts are recognised on completed appointments by appointment date (the date of supply).
+// VAT follows the tax documents actually issued: invoices add output VAT and credit notes take it back,
+// each on its issue date.
+const { roundMoney } = require('./quoteService');
+const { INTERNAL_PAYMENT_METHODS } = require('./paymentProviderService');
+
+// Amounts of an appointment a. Appointments from before server-side quotes have no total or VAT stored.
+const TOTAL_SQL = 'COALESCE(a.total_amount, a.price + COALESCE(a.extra_price, 0) + COALESCE(a.cod_fee, 0))';
+const VAT_SQL = 'COALESCE(a.vat_amount, 0)';
+const DISCOUNT_SQL = 'COALESCE(a.discount_amount, 0)';
+
+const PERIOD_GROUPINGS = ['day', 'week', 'month'];
+
+// Weeks start on Monday and are labelled with that date
+function periodExpression(groupBy, column) {
+  if (groupBy === 'day') {
+    return `DATE_FORMAT(${column}, '%Y-%m-%d')`;
+  }
+  if (groupBy === 'week') {
+    return `DATE_FORMAT(DATE_SUB(DATE(${column}), INTERVAL WEEKDAY(${column}) DAY), '%Y-%m-%d')`;
+  }
+  return `DATE_FORMAT(${column}, '%Y-%m')`;
+}
+
+function sumRows(rows, keys) {
+  const totals = {};
+  keys.forEach(key => {
+    totals[key] = roundMoney(rows.reduce((sum, row) => sum + (Number(row[key]) || 0), 0));
+  });
+  return totals;
+}
+
+function toNumbers(rows, keys) {
+  return rows.map(row => {
+    const converted = { ...row };
+    keys.forEach(key => { converted[key] = roundMoney(Number(row[key]) || 0); });
+    return converted;
+  });
+}
+
+// Completed appointments grouped by period, service category or payment method
+async function getRevenueReport(db, { dateFrom, dateTo, groupBy }) {
+  const groupExpressions = {
+    category: "COALESCE(a.service_category, a.service_category_slug, 'Uncategorized')",
+    payment_method: "COALESCE(LOWER(a.payment_method), 'unknown')"
+  };
+  const groupExpression = groupExpressions[groupBy] || periodExpression(groupBy, 'a.appointment_date');
+  const orderBy = groupExpressions[groupBy] ? 'total_amount DESC' : 'group_key ASC';
+
+  const [rows] = await db.execute(
+    `SELECT ${groupExpression} as group_key,
+            COUNT(*) as appointments,
+            SUM(${TOTAL_SQL} - ${VAT_SQL} + ${DISCOUNT_SQL}) as gross_amount,
+            SUM(${DISCOUNT_SQL}) as discount_amount,
+            SUM(${TOTAL_SQL} - ${VAT_SQL}) as net_amount,
+            SUM(${VAT_SQL}) as vat_amount,
+            SUM(${TOTAL_SQL}) as total_amount,
+            SUM(COALESCE(r.refunded, 0)) as refunded_amount
+     FROM appointments a
+     LEFT JOIN (SELECT appointment_id, SUM(amount) as refunded FROM refunds WHERE status = 'completed' GROUP BY appointment_id) r
+       ON r.appointment_id = a.id
+     WHERE a.status = 'completed' AND a.appointment_date >= ? AND a.appointment_date <= ?
+     GROUP BY group_key
+     ORDER BY ${orderBy}`,
+    [dateFrom, dateTo]
+  );
+
+  const amounts = ['gross_amount', 'discount_amount', 'net_amount', 'vat_amount', 'total_amount', 'refunded_amount'];
+  const data = toNumbers(rows, amounts).map(row => ({ ...row, appointments: Number(row.appointments) }));
+
+  return {
+    columns: [
+      { key: 'group_key', label: groupBy === 'category' ? 'Service category' : groupBy === 'payment_method' ? 'Payment method' : 'Period' },
+      { key: 'appointments', label: 'Appointments', type: 'count' },
+      { key: 'gross_amount', label: 'Gross (excl. VAT)' },
+      { key: 'discount_amount', label: 'Discounts' },
+      { key: 'net_amount', label: 'Net (excl. VAT)' },
+      { key: 'vat_amount', label: 'VAT' },
+      { key: 'total_amount', label: 'Total (incl. VAT)' },
+      { key: 'refunded_amount', label: 'Refunded' }
+    ],
+    rows: data,
+    totals: { appointments: data.reduce((sum, row) => sum + row.appointments, 0), ...sumRows(data, amounts) }
+  };
+}
+
+// Completed payments by the date they were taken, with what has been refunded of them.
+// Wallet and gift card spends move store credit the customer already paid for (or was given), not money
+// received, so they are left out.
+async function getPaymentsReport(db, { dateFrom, dateTo, groupBy }) {
+  const groupExpression = groupBy === 'payment_method' ? 'p.payment_method' : periodExpression(groupBy, 'p.created_at');
+
+  const [rows] = await db.execute(
+    `SELECT ${groupExpression} as group_key,
+            COUNT(*) as payments,
+            SUM(p.amount) as received_amount,
+            SUM(COALESCE(r.refunded, 0)) as refunded_amount,
+            SUM(p.amount - COALESCE(r.refunded, 0)) as net_amount
+     FROM payments p
+     LEFT JOIN (SELECT payment_id, SUM(amount) as refunded FROM refunds WHERE status = 'completed' GROUP BY payment_id) r
+       ON r.payment_id = p.id
+     WHERE p.status = 'completed' AND p.created_at >= ? AND p.created_at < DATE_ADD(?, INTERVAL 1 DAY)
+       AND p.payment_method NOT IN (${INTERNAL_PAYMENT_METHODS.map(() => '?').join(', ')})
+     GROUP BY group_key
+     ORDER BY ${groupBy === 'payment_method' ? 'received_amount DESC' : 'group_key ASC'}`,
+    [dateFrom, dateTo, ...INTERNAL_PAYMENT_METHODS]
+  );
+
+  const amounts = ['received_amount', 'refunded_amount', 'net_amount'];
+  const data = toNumbers(rows, amounts).map(row => ({ ...row, payments: Number(row.payments) }));
+
+  return {
+    columns: [
+      { key: 'group_key', label: groupBy === 'payment_method' ? 'Payment method' : 'Period' },
+      { key: 'payments', label: 'Payments', type: 'count' },
+      { key: 'received_amount', label: 'Received' },
+      { key: 'refunded_amount', label: 'Refunded' },
+      { key: 'net_amount', label: 'Net received' }
+    ],
+    rows: data,
+    totals: { payments: data.reduce((sum, row) => sum + row.payments, 0), ...sumRows(data, amounts) }
+  };
+}
+
+// Discounts on completed appointments, as the revenue report counts them, by offer code or by period
+async function getDiscountReport(db, { dateFrom, dateTo, groupBy }) {
+  const groupExpression = groupBy === 'offer_code'
+    ? "COALESCE(a.offer_code, 'No code')"
+    : periodExpression(groupBy, 'a.appointment_date');
+
+  const [rows] = await db.execute(
+    `SELECT ${groupExpression} as group_key,
+            COUNT(*) as uses,
+            SUM(a.price + ${DISCOUNT_SQL}) as order_amount,
+            SUM(${DISCOUNT_SQL}) as discount_amount
+     FROM appointments a
+     WHERE a.status = 'completed' AND ${DISCOUNT_SQL} > 0
+       AND a.appointment_date >= ? AND a.appointment_date <= ?
+     GROUP BY group_key
+     ORDER BY ${groupBy === 'offer_code' ? 'discount_amount DESC' : 'group_key ASC'}`,
+    [dateFrom, dateTo]
+  );
+
+  const amounts = ['order_amount', 'discount_amount'];
+  const data = toNumbers(rows, amounts).map(row => ({ ...row, uses: Number(row.uses) }));
+
+  return {
+    columns: [
+      { key: 'group_key', label: groupBy === 'offer_code' ? 'Offer code' : 'Period' },
+      { key: 'uses', label: 'Appointments', type: 'count' },
+      { key: 'order_amount', label: 'Service amount before discount' },
+      { key: 'discount_amount', label: 'Discount given' }
+    ],
+    rows: data,
+    totals: { uses: data.reduce((sum, row) => sum + row.uses, 0), ...sumRows(data, amounts) }
+  };
+}
+
+// Output VAT of the tax invoices issued less the VAT of the credit notes issued, per period
+// (month by default, so a quarter gives the three months of the return)
+async function getVatReport(db, { dateFrom, dateTo, groupBy }) {
+  const [documents] = await db.execute(
+    `SELECT ${periodExpression(groupBy, 'i.issued_at')} as group_key, i.document_type,
+            COUNT(*) as documents,
+            SUM(i.subtotal) as taxable_amount,
+            SUM(i.vat_amount) as vat_amount
+     FROM invoices i
+     WHERE i.issued_at >= ? AND i.issued_at < DATE_ADD(?, INTERVAL 1 DAY)
+     GROUP BY group_key, i.document_type`,
+    [dateFrom, dateTo]
+  );
+
+  const periods = {};
+  const periodRow = key => {
+    if (!periods[key]) {
+      periods[key] = {
+        group_key: key,
+        invoices: 0,
+        taxable_amount: 0,
+        vat_amount: 0,
+        credit_notes: 0,
+        adjustment_taxable_amount: 0,
+        adjustment_vat_amount: 0
+      };
+    }
+    return periods[key];
+  };
+
+  // Credit notes are stored as positive amounts and reduce the period they were issued in
+  documents.forEach(row => {
+    const period = periodRow(row.group_key);
+    const taxable = roundMoney(Number(row.taxable_amount) || 0);
+    const vat = roundMoney(Number(row.vat_amount) || 0);
+    if (row.document_type === 'credit_note') {
+      period.credit_notes = Number(row.documents);
+      period.adjustment_taxable_amount = -taxable;
+      period.adjustment_vat_amount = -vat;
+    } else {
+      period.invoices = Number(row.documents);
+      period.taxable_amount = taxable;
+      period.vat_amount = vat;
+    }
+  });
+
+  const data = Object.values(periods)
+    .sort((a, b) => a.group_key.localeCompare(b.group_key))
+    .map(row => ({ ...row, net_vat_amount: roundMoney(row.vat_amount + row.adjustment_vat_amount) }));
+
+  return {
+    columns: [
+      { key: 'group_key', label: 'Period' },
+      { key: 'invoices', label: 'Invoices', type: 'count' },
+      { key: 'taxable_amount', label: 'Standard rated supplies' },
+      { key: 'vat_amount', label: 'Output VAT' },
+      { key: 'credit_notes', label: 'Credit notes', type: 'count' },
+      { key: 'adjustment_taxable_amount', label: 'Credit note adjustments' },
+      { key: 'adjustment_vat_amount', label: 'VAT on adjustments' },
+      { key: 'net_vat_amount', label: 'Net VAT due' }
+    ],
+    rows: data,
+    totals: {
+      invoices: data.reduce((sum, row) => sum + row.invoices, 0),
+      credit_notes: data.reduce((sum, row) => sum + row.credit_notes, 0),
+      ...sumRows(data, ['taxable_amount', 'vat_amount', 'adjustment_taxable_amount', 'adjustment_vat_amount', 'net_vat_amount'])
+    }
+  };
+}
+
+// Each report with the groupings it supports, the first one being the default
+const FINANCIAL_REPORTS = {
+  revenue: { groupings: ['month', 'week', 'day', 'category', 'payment_method'], build: getRevenueReport },
+  payments: { groupings: ['month', 'week', 'day', 'payment_method'], build: getPaymentsReport },
+  discounts: { groupings: ['offer_code', ...PERIOD_GROUPINGS], build: getDiscountReport },
+  vat: { groupings: ['month', 'week', 'day'], build: getVatReport }
+};
+
+async function buildFinancialReport(db, name, { dateFrom, dateTo, groupBy = null }) {
+  const spec = FINANCIAL_REPORTS[name];
+  if (!spec) {
+    return { success: false, error_code: 'REPORT_NOT_FOUND', message: `Report must be one of: ${Object.keys(FINANCIAL_REPORTS).join(', ')}` };
+  }
+
+  const grouping = groupBy || spec.groupings[0];
+  if (!spec.groupings.includes(grouping)) {
+    return {
+      success: false,
+      error_code: 'INVALID_GROUP_BY',
+      message: `group_by must be one of: ${spec.groupings.join(', ')}`
+    };
+  }
+
+  const report = await spec.build(db, { dateFrom, dateTo, groupBy: grouping });
+
+  return {
+    success: true,
+    report: {
+      report: name,
+      date_from: dateFrom,
+      date_to: dateTo,
+      group_by: grouping,
+      currency: 'AED',
+      ...report
+    }
+  };
+}
+
+// Quote a CSV cell. Amounts get two decimals; text that a spreadsheet would run as a formula is prefixed with a quote.
+function csvCell(value, type = null) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text = typeof value === 'number' ? value.toFixed(type === 'count' ? 0 : 2) : String(value);
+  if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// The report as CSV: a header row, the rows and a Total row
+function reportToCsv(report) {
+  const lines = [report.columns.map(column => csvCell(column.label)).join(',')];
+
+  report.rows.forEach(row => {
+    lines.push(report.columns.map(column => csvCell(row[column.key], column.type)).join(','));
+  });
+
+  lines.push(report.columns.map((column, index) => csvCell(index === 0 ? 'Total' : report.totals[column.key], column.type)).join(','));
+
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+module.exports = {
+  FINANCIAL_REPORTS,
+  buildFinancialReport,
+  reportToCsv
+};
@@ -0,0 +1,155 @@
+// Review Service
+// Customer ratings for completed appointments, admin moderation and per-service rating summaries
+
+const REVIEW_STATUSES = ['published', 'hidden'];
+const MAX_COMMENT_LENGTH = 2000;
+
+// Validate rating and comment, returns an error message or null
+function validateReview({ rating, comment }) {
+  if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+    return 'rating must be a whole number from 1 to 5';
+  }
+  if (comment !== undefined && comment !== null && typeof comment !== 'string') {
+    return 'comment must be text';
+  }
+  if (comment && comment.length > MAX_COMMENT_LENGTH) {
+    return `comment can be at most ${MAX_COMMENT_LENGTH} characters`;
+  }
+  return null;
+}
+
+// The service item an appointment was for, matched on its category and service name
+async function findServiceItemId(db, appointment) {
+  if (!appointment.service_category_slug) {
+    return null;
+  }
+
+  const [items] = await db.execute(
+    `SELECT si.id FROM service_items si
+     JOIN service_categories sc ON si.category_id = sc.id
+     WHERE sc.slug = ? AND (si.name = ? OR si.slug = ?)
+     LIMIT 1`,
+    [appointment.service_category_slug, appointment.service, appointment.service]
+  );
+
+  return items.length > 0 ? items[0].id : null;
+}
+
+// Leave a review for the user's completed appointment. One review per appointment.
+async function createReview(db, { appointmentId, userId, rating, comment }) {
+  const [appointments] = await db.execute(
+    'SELECT id, status, service, service_category_slug FROM appointments WHERE id = ? AND user_id = ?',
+    [appointmentId, userId]
+  );
+
+  if (appointments.length === 0) {
+    return { success: false, error_code: 'APPOINTMENT_NOT_FOUND', message: 'Appointment not found or not authorized' };
+  }
+
+  const appointment = appointments[0];
+  if (appointment.status !== 'completed') {
+    return {
+      success: false,
+      error_code: 'APPOINTMENT_NOT_COMPLETED',
+      message: 'You can review an appointment once it is completed',
+      details: { status: appointment.status }
+    };
+  }
+
+  const serviceItemId = await findServiceItemId(db, appointment);
+
+  try {
+    const [result] = await db.execute(
+      `INSERT INTO reviews (appointment_id, user_id, service_item_id, service_category_slug, rating, comment)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [appointment.id, userId, serviceItemId, appointment.service_category_slug, rating, comment ? comment.trim() : null]
+    );
+
+    return { success: true, review: await getReview(db, result.insertId) };
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return { success: false, error_code: 'REVIEW_EXISTS', message: 'You have already reviewed this appointment' };
+    }
+    throw error;
+  }
+}
+
+async function getReview(db, reviewId) {
+  const [reviews] = await db.execute(
+    `SELECT r.id, r.appointment_id, r.user_id, r.service_item_id, r.service_category_slug, r.rating, r.comment,
+            r.status, r.moderation_note, r.moderated_by, r.moderated_at, r.created_at, r.updated_at
+     FROM reviews r WHERE r.id = ?`,
+    [reviewId]
+  );
+  return reviews.length > 0 ? reviews[0] : null;
+}
+
+// Publish or hide a review (admin moderation)
+async function moderateReview(db, reviewId, { status, note, adminId }) {
+  if (!REVIEW_STATUSES.includes(status)) {
+    return {
+      success: false,
+      error_code: 'INVALID_REVIEW_STATUS',
+      message: `status must be one of: ${REVIEW_STATUSES.join(', ')}`
+    };
+  }
+
+  const [result] = await db.execute(
+    `UPDATE reviews SET status = ?, moderation_note = ?, moderated_by = ?, moderated_at = NOW() WHERE id = ?`,
+    [status, note || null, adminId, reviewId]
+  );
+
+  if (result.affectedRows === 0) {
+    return { success: false, error_code: 'REVIEW_NOT_FOUND', message: 'Review not found' };
+  }
+
+  return { success: true, review: await getReview(db, reviewId) };
+}
+
+// "4.7/5 (15 reviews)", or null when there are none yet
+function formatRatingText(average, count) {
+  if (!count) {
+    return null;
+  }
+  return `${average.toFixed(1)}/5 (${count} ${count === 1 ? 'review' : 'reviews'})`;
+}
+
+// Add rating_average, rating_count and rating_text (computed from published reviews) to service items
+async function attachRatings(db, items) {
+  if (items.length === 0) {
+    return items;
+  }
+
+  const ids = items.map(item => item.id);
+  const [summaries] = await db.execute(
+    `SELECT service_item_id, AVG(rating) as average, COUNT(*) as count
+     FROM reviews
+     WHERE status = 'published' AND service_item_id IN (${ids.map(() => '?').join(', ')})
+     GROUP BY service_item_id`,
+    ids
+  );
+
+  return items.map(item => {
+    const summary = summaries.find(row => row.service_item_id === item.id);
+    const count = summary ? Number(summary.count) : 0;
+    const average = summary ? Math.round(parseFloat(summary.average) * 10) / 10 : null;
+
+    return {
+      ...item,
+      rating_average: average,
+      rating_count: count,
+      rating_text: formatRatingText(average, count)
+    };
+  });
+}
+
+module.exports = {
+  REVIEW_STATUSES,
+  MAX_COMMENT_LENGTH,
+  validateReview,
+  createReview,
+  getReview,
+  moderateReview,
+  formatRatingText,
+  attachRatings
+};
@@ -0,0 +1,248 @@
+// Booking Series Service
+// Recurring bookings (weekly / biweekly / monthly) materialised into individual appointments
+const { reserveCapacity } = require('./capacityService');
+const { calculateQuote } = require('./quoteService');
+const { insertAppointment } = require('./appointmentService');
+const { formatDate } = require('./availabilityService');
+
+const FREQUENCIES = ['weekly', 'biweekly', 'monthly'];
+const HORIZON_DAYS = parseInt(process.env.SERIES_HORIZON_DAYS || '60', 10);
+const GENERATOR_INTERVAL = 24 * 60 * 60 * 1000; // once a day
+const MAX_OCCURRENCES = 520; // hard stop for open-ended calculations
+
+const SERIES_COLUMNS = `id, user_id, frequency, DATE_FORMAT(start_date, '%Y-%m-%d') as start_date,
+  appointment_time, DATE_FORMAT(end_date, '%Y-%m-%d') as end_date, occurrence_count, status,
+  DATE_FORMAT(paused_until, '%Y-%m-%d') as paused_until, skipped_dates, service_category_slug,
+  booking_data, created_at, updated_at`;
+
+let generatorTimer = null;
+
+// 'YYYY-MM-DD' -> local Date at noon (clear of DST edges)
+function parseDate(value) {
+  const [year, month, day] = value.split('-').map(Number);
+  return new Date(year, month - 1, day, 12);
+}
+
+function parseJson(value, fallback) {
+  if (value === null || value === undefined) {
+    return fallback;
+  }
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+// The n-th (0-based) occurrence date of a series
+function nthOccurrence(series, n) {
+  const start = parseDate(series.start_date);
+
+  if (series.frequency === 'monthly') {
+    // Same day of month, clamped to the last day of shorter months
+    const target = new Date(start.getFullYear(), start.getMonth() + n, 1, 12);
+    const daysInMonth = new Date(target.getFullYear(), target.getMonth() + 1, 0).getDate();
+    target.setDate(Math.min(start.getDate(), daysInMonth));
+    return target;
+  }
+
+  const step = series.frequency === 'biweekly' ? 14 : 7;
+  const date = new Date(start);
+  date.setDate(start.getDate() + n * step);
+  return date;
+}
+
+// All scheduled occurrence dates up to and including `until` (a 'YYYY-MM-DD' string).
+// Skipped dates are still part of the schedule and count towards occurrence_count.
+function occurrenceDates(series, until) {
+  const dates = [];
+  const limit = series.occurrence_count || MAX_OCCURRENCES;
+
+  for (let n = 0; n < limit; n++) {
+    const date = formatDate(nthOccurrence(series, n));
+    if (date > until || (series.end_date && date > series.end_date)) {
+      break;
+    }
+    dates.push(date);
+  }
+  return dates;
+}
+
+// Book every missing occurrence inside the rolling horizon.
+// Occurrences whose slot is full are reported back and retried on the next run.
+async function generateSeriesAppointments(pool, series, { horizonDays = HORIZON_DAYS } = {}) {
+  const summary = { created: [], conflicts: [] };
+
+  if (series.status !== 'active') {
+    return summary;
+  }
+
+  const today = formatDate(new Date());
+  const horizon = new Date();
+  horizon.setDate(horizon.getDate() + horizonDays);
+
+  const skipped = parseJson(series.skipped_dates, []);
+  const booking = parseJson(series.booking_data, {});
+
+  const [existing] = await pool.execute(
+    `SELECT DATE_FORMAT(appointment_date, '%Y-%m-%d') as appointment_date
+     FROM appointments WHERE series_id = ?`,
+    [series.id]
+  );
+  const bookedDates = new Set(existing.map(row => row.appointment_date));
+
+  for (const date of occurrenceDates(series, formatDate(horizon))) {
+    if (date < today || bookedDates.has(date) || skipped.includes(date)) {
+      continue;
+    }
+    if (series.paused_until && date <= series.paused_until) {
+      continue;
+    }
+
+    // Price each occurrence on its own - slot surcharges differ by date
+    const quoteResult = await calculateQuote(pool, {
+      ...booking,
+      service_category_slug: series.service_category_slug,
+      appointment_date: date,
+      appointment_time: series.appointment_time,
+      offer_code: null
+    });
+
+    if (!quoteResult.success) {
+      summary.conflicts.push({ date, error_code: quoteResult.error_code, message: quoteResult.message });
+      continue;
+    }
+
+    const quote = quoteResult.quote;
+    const connection = await pool.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      const capacity = await reserveCapacity(connection, {
+        date,
+        time: series.appointment_time,
+        categorySlug: series.service_category_slug
+      });
+
+      if (!capacity.success) {
+        await connection.rollback();
+        connection.release();
+        summary.conflicts.push({ date, error_code: capacity.error_code, message: capacity.message });
+        continue;
+      }
+
+      const appointmentId = await insertAppointment(connection, {
+        ...booking,
+        user_id: series.user_id,
+        appointment_date: date,
+        appointment_time: series.appointment_time,
+        service_category_slug: series.service_category_slug,
+        price: quote.price,
+        extra_price: quote.extra_price,
+        zone_surcharge: quote.zone_surcharge,
+        service_zone_id: quote.service_zone ? quote.service_zone.id : null,
+        cod_fee: quote.cod_fee,
+        discount_amount: quote.discount_amount,
+        vat_amount: quote.vat_amount,
+        total_amount: quote.total,
+        status: 'pending',
+        series_id: series.id
+      }, { actorType: 'system', reason: `Generated from booking series ${series.id}` });
+
+      await connection.commit();
+      connection.release();
+      summary.created.push({ date, appointment_id: appointmentId });
+    } catch (error) {
+      try { await connection.rollback(); } catch (e) { /* ignore */ }
+      connection.release();
+      throw error;
+    }
+  }
+
+  // A finite series with nothing left to schedule is done
+  const allDates = occurrenceDates(series, series.end_date || '9999-12-31');
+  const finite = series.end_date || series.occurrence_count;
+  if (finite && allDates.length > 0 && allDates[allDates.length - 1] < today) {
+    await pool.execute("UPDATE booking_series SET status = 'completed' WHERE id = ?", [series.id]);
+  }
+
+  return summary;
+}
+
+async function getSeries(db, seriesId, userId = null) {
+  let query = `SELECT ${SERIES_COLUMNS} FROM booking_series WHERE id = ?`;
+  const params = [seriesId];
+
+  if (userId) {
+    query += ' AND user_id = ?';
+    params.push(userId);
+  }
+
+  const [rows] = await db.execute(query, params);
+  return rows.length > 0 ? rows[0] : null;
+}
+
+// Occurrence timeline for a series: booked appointments, skipped dates and
+// dates still to be booked inside the horizon
+async function getSeriesOccurrences(db, series) {
+  const [appointments] = await db.execute(
+    `SELECT id, DATE_FORMAT(appointment_date, '%Y-%m-%d') as appointment_date, appointment_time, status, total_amount
+     FROM appointments WHERE series_id = ? ORDER BY appointment_date ASC`,
+    [series.id]
+  );
+
+  const byDate = {};
+  appointments.forEach(appointment => { byDate[appointment.appointment_date] = appointment; });
+
+  const horizon = new Date();
+  horizon.setDate(horizon.getDate() + HORIZON_DAYS);
+  const skipped = parseJson(series.skipped_dates, []);
+
+  return occurrenceDates(series, formatDate(horizon)).map(date => {
+    if (byDate[date]) {
+      return { date, status: byDate[date].status, appointment: byDate[date] };
+    }
+    if (skipped.includes(date)) {
+      return { date, status: 'skipped', appointment: null };
+    }
+    if (series.paused_until && date <= series.paused_until) {
+      return { date, status: 'paused', appointment: null };
+    }
+    return { date, status: 'unscheduled', appointment: null };
+  });
+}
+
+// Run every active series through the generator
+async function generateAllSeries(pool) {
+  const [seriesRows] = await pool.execute(`SELECT ${SERIES_COLUMNS} FROM booking_series WHERE status = 'active'`);
+
+  for (const series of seriesRows) {
+    try {
+      const summary = await generateSeriesAppointments(pool, series);
+      if (summary.conflicts.length > 0) {
+        console.log(`Booking series ${series.id} has unbooked occurrences:`, summary.conflicts);
+      }
+    } catch (error) {
+      console.error(`Error generating booking series ${series.id}:`, error);
+    }
+  }
+}
+
+function startSeriesGenerator(pool) {
+  if (generatorTimer) {
+    return;
+  }
+
+  const run = () => generateAllSeries(pool).catch(error => {
+    console.error('Error generating booking series:', error);
+  });
+
+  run();
+  generatorTimer = setInterval(run, GENERATOR_INTERVAL);
+}
+
+module.exports = {
+  FREQUENCIES,
+  occurrenceDates,
+  generateSeriesAppointments,
+  getSeries,
+  getSeriesOccurrences,
+  generateAllSeries,
+  startSeriesGenerator
+};
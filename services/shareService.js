@@ -0,0 +1,232 @@
+// Shared Appointment Link Service
+// Expiring, revocable share links for appointments with scoped (PII-limited) views and an access log
+const crypto = require('crypto');
+
+// full: everything the admin sees; limited: for third parties, no phone/notes and only the area of the address
+const SHARE_SCOPES = ['full', 'limited'];
+const DEFAULT_SHARE_SCOPE = 'limited';
+const DEFAULT_EXPIRY_DAYS = 30;
+const MAX_EXPIRY_DAYS = 365;
+const SHARE_BASE_URL = process.env.SHARE_BASE_URL || 'https://booking.mpcpest.ae';
+
+function buildShareUrl(token) {
+  return `${SHARE_BASE_URL}/shared-appointment/${token}`;
+}
+
+// Expiry from expires_in_days or an expires_at date, returns { expiresAt } or { error }
+function resolveExpiry({ expires_in_days, expires_at }) {
+  if (expires_at !== undefined && expires_at !== null) {
+    const expiresAt = new Date(expires_at);
+    if (isNaN(expiresAt.getTime()) || expiresAt <= new Date()) {
+      return { error: 'expires_at must be a date in the future' };
+    }
+    if (expiresAt - new Date() > MAX_EXPIRY_DAYS * 24 * 60 * 60 * 1000) {
+      return { error: `Share links can last at most ${MAX_EXPIRY_DAYS} days` };
+    }
+    return { expiresAt };
+  }
+
+  const days = expires_in_days === undefined || expires_in_days === null ? DEFAULT_EXPIRY_DAYS : Number(expires_in_days);
+  if (!Number.isInteger(days) || days < 1 || days > MAX_EXPIRY_DAYS) {
+    return { error: `expires_in_days must be a whole number from 1 to ${MAX_EXPIRY_DAYS}` };
+  }
+
+  const expiresAt = new Date();
+  expiresAt.setDate(expiresAt.getDate() + days);
+  return { expiresAt };
+}
+
+async function createShareLink(db, { appointmentId, scope = DEFAULT_SHARE_SCOPE, label = null, expiresAt, createdBy }) {
+  const shareToken = crypto.randomBytes(32).toString('hex');
+
+  const [result] = await db.execute(
+    `INSERT INTO shared_appointments (appointment_id, share_token, scope, label, expires_at, created_by)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [appointmentId, shareToken, scope, label, expiresAt, createdBy]
+  );
+
+  return {
+    id: result.insertId,
+    appointment_id: Number(appointmentId),
+    scope,
+    label,
+    share_token: shareToken,
+    share_url: buildShareUrl(shareToken),
+    expires_at: expiresAt
+  };
+}
+
+function linkState(link) {
+  if (link.revoked_at) {
+    return 'revoked';
+  }
+  return new Date(link.expires_at) <= new Date() ? 'expired' : 'active';
+}
+
+// Every link of an appointment with its state and how often it was opened
+async function listShareLinks(db, appointmentId) {
+  const [links] = await db.execute(
+    `SELECT sa.id, sa.appointment_id, sa.share_token, sa.scope, sa.label, sa.expires_at, sa.revoked_at,
+            sa.created_at, sa.created_by, cu.fullName as created_by_name, sa.revoked_by,
+            (SELECT COUNT(*) FROM shared_appointment_access_log l WHERE l.share_id = sa.id AND l.outcome = 'viewed') as view_count,
+            (SELECT MAX(l.accessed_at) FROM shared_appointment_access_log l WHERE l.share_id = sa.id) as last_accessed_at
+     FROM shared_appointments sa
+     LEFT JOIN users cu ON sa.created_by = cu.id
+     WHERE sa.appointment_id = ?
+     ORDER BY sa.created_at DESC, sa.id DESC`,
+    [appointmentId]
+  );
+
+  return links.map(link => ({
+    ...link,
+    view_count: Number(link.view_count),
+    share_url: buildShareUrl(link.share_token),
+    state: linkState(link)
+  }));
+}
+
+async function revokeShareLink(db, { appointmentId, shareId, revokedBy }) {
+  const [result] = await db.execute(
+    `UPDATE shared_appointments SET revoked_at = NOW(), revoked_by = ?
+     WHERE id = ? AND appointment_id = ? AND revoked_at IS NULL`,
+    [revokedBy, shareId, appointmentId]
+  );
+
+  if (result.affectedRows === 0) {
+    const [links] = await db.execute(
+      'SELECT id FROM shared_appointments WHERE id = ? AND appointment_id = ?',
+      [shareId, appointmentId]
+    );
+    if (links.length === 0) {
+      return { success: false, error_code: 'SHARE_NOT_FOUND', message: 'Share link not found' };
+    }
+    return { success: false, error_code: 'SHARE_ALREADY_REVOKED', message: 'Share link is already revoked' };
+  }
+
+  return { success: true };
+}
+
+async function logShareAccess(db, { shareId, appointmentId, outcome, viewerUserId = null, ipAddress = null, userAgent = null }) {
+  await db.execute(
+    `INSERT INTO shared_appointment_access_log (share_id, appointment_id, outcome, viewer_user_id, ip_address, user_agent)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [shareId, appointmentId, outcome, viewerUserId, ipAddress, userAgent ? String(userAgent).slice(0, 255) : null]
+  );
+}
+
+// Look up a link by token, logging every attempt on a known link (viewed, expired or revoked)
+async function openShareLink(db, token, viewer = {}) {
+  const [links] = await db.execute(
+    'SELECT id, appointment_id, scope, expires_at, revoked_at FROM shared_appointments WHERE share_token = ?',
+    [token]
+  );
+
+  if (links.length === 0) {
+    return { success: false, error_code: 'SHARE_NOT_FOUND', message: 'Shared appointment not found or expired' };
+  }
+
+  const link = links[0];
+  const state = linkState(link);
+  await logShareAccess(db, {
+    shareId: link.id,
+    appointmentId: link.appointment_id,
+    outcome: state === 'active' ? 'viewed' : state,
+    ...viewer
+  });
+
+  if (state !== 'active') {
+    return {
+      success: false,
+      error_code: state === 'revoked' ? 'SHARE_REVOKED' : 'SHARE_EXPIRED',
+      message: 'Shared appointment not found or expired'
+    };
+  }
+
+  return { success: true, link };
+}
+
+// Only the area of the address: no building, apartment or coordinates
+function limitLocation(location) {
+  let parsed = location;
+  if (typeof parsed === 'string') {
+    try {
+      parsed = JSON.parse(parsed);
+    } catch (e) {
+      return null;
+    }
+  }
+  if (!parsed || typeof parsed !== 'object') {
+    return null;
+  }
+
+  const area = {};
+  ['community', 'area', 'locality', 'city', 'emirate', 'state', 'country'].forEach(field => {
+    if (parsed[field]) {
+      area[field] = parsed[field];
+    }
+  });
+  return area;
+}
+
+// The appointment as seen through a link of the given scope
+async function getSharedAppointmentView(db, link) {
+  const [appointments] = await db.execute(
+    `SELECT
+      a.id, a.service, a.appointment_date, a.appointment_time, a.status,
+      a.location, a.price, a.notes, a.room_type, a.room_type_slug,
+      a.property_type, a.property_type_slug, a.quantity, a.service_category,
+      a.service_category_slug, a.extra_price, a.cod_fee, a.payment_method,
+      a.created_at,
+      u.fullName as customer_name, u.phone as customer_phone
+    FROM appointments a
+    LEFT JOIN users u ON a.user_id = u.id
+    WHERE a.id = ?`,
+    [link.appointment_id]
+  );
+
+  if (appointments.length === 0) {
+    return null;
+  }
+
+  const appointment = { ...appointments[0], share_scope: link.scope, share_expires_at: link.expires_at };
+  if (link.scope === 'full') {
+    return appointment;
+  }
+
+  return {
+    ...appointment,
+    location: limitLocation(appointment.location),
+    notes: null,
+    customer_name: appointment.customer_name ? appointment.customer_name.split(' ')[0] : null,
+    customer_phone: null
+  };
+}
+
+async function getShareAccessLog(db, appointmentId, limit = 100) {
+  const [entries] = await db.execute(
+    `SELECT l.id, l.share_id, sa.label, sa.scope, l.outcome, l.viewer_user_id, u.fullName as viewer_name,
+            l.ip_address, l.user_agent, l.accessed_at
+     FROM shared_appointment_access_log l
+     JOIN shared_appointments sa ON l.share_id = sa.id
+     LEFT JOIN users u ON l.viewer_user_id = u.id
+     WHERE l.appointment_id = ?
+     ORDER BY l.accessed_at DESC, l.id DESC
+     LIMIT ${Math.max(1, Math.min(parseInt(limit, 10) || 100, 500))}`,
+    [appointmentId]
+  );
+  return entries;
+}
+
+module.exports = {
+  SHARE_SCOPES,
+  DEFAULT_SHARE_SCOPE,
+  DEFAULT_EXPIRY_DAYS,
+  MAX_EXPIRY_DAYS,
+  resolveExpiry,
+  createShareLink,
+  listShareLinks,
+  revokeShareLink,
+  openShareLink,
+  getSharedAppointmentView,
+  getShareAccessLog
+};
@@ -0,0 +1,152 @@
+// Appointment Status Service
+// Central list of allowed status transitions and the status history log
+const { enqueueInvoice } = require('./invoiceService');
+
+const APPOINTMENT_STATUSES = ['pending', 'confirmed', 'in-progress', 'completed', 'cancelled'];
+
+// Allowed next statuses for staff (admins, technicians and the system).
+// Completed and cancelled appointments are final.
+const STATUS_TRANSITIONS = {
+  pending: ['confirmed', 'cancelled'],
+  confirmed: ['in-progress', 'completed', 'cancelled'],
+  'in-progress': ['completed', 'cancelled'],
+  completed: [],
+  cancelled: []
+};
+
+// Customers can only cancel, and only before the job has started
+const CUSTOMER_TRANSITIONS = {
+  pending: ['cancelled'],
+  confirmed: ['cancelled']
+};
+
+const ACTOR_TYPES = ['customer', 'admin', 'technician', 'system'];
+
+// Reaching one of these makes the tax invoice due, when the appointment is also paid in full or completed
+const INVOICE_STATUSES = ['confirmed', 'completed'];
+
+function canTransition(fromStatus, toStatus, actorType) {
+  const transitions = actorType === 'customer' ? CUSTOMER_TRANSITIONS : STATUS_TRANSITIONS;
+  return (transitions[fromStatus] || []).includes(toStatus);
+}
+
+// Append a row to the status timeline. fromStatus is null for a newly created appointment.
+async function recordStatusHistory(db, { appointmentId, fromStatus = null, toStatus, actorType = 'system', actorId = null, reason = null }) {
+  await db.execute(
+    `INSERT INTO appointment_status_history
+     (appointment_id, from_status, to_status, actor_type, actor_user_id, reason)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [appointmentId, fromStatus, toStatus, actorType, actorId, reason]
+  );
+}
+
+// Move an appointment to a new status if the transition is allowed for the actor.
+// Pass userId to restrict the change to that customer's own appointment.
+// Locks the row when db is a connection inside a transaction.
+async function changeAppointmentStatus(db, { appointmentId, toStatus, actorType = 'system', actorId = null, reason = null, userId = null }) {
+  if (!APPOINTMENT_STATUSES.includes(toStatus)) {
+    return { success: false, error_code: 'INVALID_STATUS', message: 'Invalid status' };
+  }
+
+  let query = 'SELECT id, status FROM appointments WHERE id = ?';
+  const params = [appointmentId];
+
+  if (userId) {
+    query += ' AND user_id = ?';
+    params.push(userId);
+  }
+
+  const [appointments] = await db.execute(`${query} FOR UPDATE`, params);
+
+  if (appointments.length === 0) {
+    return { success: false, error_code: 'APPOINTMENT_NOT_FOUND', message: 'Appointment not found or not authorized' };
+  }
+
+  const fromStatus = appointments[0].status;
+
+  if (fromStatus === toStatus) {
+    return { success: true, changed: false, from_status: fromStatus, to_status: toStatus };
+  }
+
+  if (!canTransition(fromStatus, toStatus, actorType)) {
+    return {
+      success: false,
+      error_code: 'INVALID_STATUS_TRANSITION',
+      message: `Cannot change appointment status from ${fromStatus} to ${toStatus}`,
+      details: {
+        from_status: fromStatus,
+        to_status: toStatus,
+        allowed: (actorType === 'customer' ? CUSTOMER_TRANSITIONS : STATUS_TRANSITIONS)[fromStatus] || []
+      }
+    };
+  }
+
+  await db.execute('UPDATE appointments SET status = ? WHERE id = ?', [toStatus, appointmentId]);
+  await recordStatusHistory(db, { appointmentId, fromStatus, toStatus, actorType, actorId, reason });
+
+  if (INVOICE_STATUSES.includes(toStatus)) {
+    await enqueueInvoice(db, appointmentId);
+  }
+
+  return { success: true, changed: true, from_status: fromStatus, to_status: toStatus };
+}
+
+// changeAppointmentStatus in its own transaction
+async function transitionAppointmentStatus(pool, params) {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+    const result = await changeAppointmentStatus(connection, params);
+    await connection.commit();
+    connection.release();
+    return result;
+  } catch (error) {
+    try { await connection.rollback(); } catch (e) { /* ignore */ }
+    connection.release();
+    throw error;
+  }
+}
+
+// Cancel several appointments (e.g. a paused series), skipping any that can no longer be cancelled.
+// Returns the ids that were cancelled.
+async function cancelAppointments(pool, appointmentIds, { actorType = 'system', actorId = null, reason = null } = {}) {
+  const cancelled = [];
+
+  for (const appointmentId of appointmentIds) {
+    const result = await transitionAppointmentStatus(pool, { appointmentId, toStatus: 'cancelled', actorType, actorId, reason });
+    if (result.success && result.changed) {
+      cancelled.push(appointmentId);
+    }
+  }
+
+  return cancelled;
+}
+
+// Status timeline of an appointment, oldest first
+async function getStatusHistory(db, appointmentId) {
+  const [rows] = await db.execute(
+    `SELECT h.id, h.from_status, h.to_status, h.actor_type, h.actor_user_id, u.fullName as actor_name,
+            h.reason, h.created_at
+     FROM appointment_status_history h
+     LEFT JOIN users u ON h.actor_user_id = u.id
+     WHERE h.appointment_id = ?
+     ORDER BY h.created_at ASC, h.id ASC`,
+    [appointmentId]
+  );
+
+  return rows;
+}
+
+module.exports = {
+  APPOINTMENT_STATUSES,
+  STATUS_TRANSITIONS,
+  CUSTOMER_TRANSITIONS,
+  ACTOR_TYPES,
+  INVOICE_STATUSES,
+  canTransition,
+  recordStatusHistory,
+  changeAppointmentStatus,
+  transitionAppointmentStatus,
+  cancelAppointments,
+  getStatusHistory
+};
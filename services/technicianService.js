@@ -0,0 +1,286 @@
+// Technician Service
+// Field staff profiles, skills, working hours, days off and job assignment
+const { getCategoryIdBySlug } = require('./capacityService');
+
+const DEFAULT_JOB_MINUTES = parseInt(process.env.DEFAULT_JOB_MINUTES || '60', 10);
+
+function timeToMinutes(time) {
+  const [hours, minutes] = String(time).split(':');
+  return parseInt(hours, 10) * 60 + parseInt(minutes, 10);
+}
+
+// Weekday (0 = Sunday) of a 'YYYY-MM-DD' date
+function dayOfWeek(date) {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(year, month - 1, day, 12).getDay();
+}
+
+// Start/end minutes of a job. The end comes from the booked time slot,
+// falling back to DEFAULT_JOB_MINUTES when the slot row is gone.
+async function getJobWindow(db, appointment) {
+  const start = timeToMinutes(appointment.appointment_time);
+  const categoryId = await getCategoryIdBySlug(db, appointment.service_category_slug);
+
+  const [slots] = await db.execute(
+    `SELECT end_time FROM available_time_slots
+     WHERE date = ? AND start_time = ? AND (service_category_id = ? OR service_category_id IS NULL)
+     ORDER BY service_category_id IS NULL ASC
+     LIMIT 1`,
+    [appointment.appointment_date, appointment.appointment_time, categoryId]
+  );
+
+  const end = slots.length > 0 ? timeToMinutes(slots[0].end_time) : start + DEFAULT_JOB_MINUTES;
+  return { start, end: end > start ? end : start + DEFAULT_JOB_MINUTES };
+}
+
+// Check whether a technician can take an appointment: active, skilled for the
+// category, working that day and time, and free of overlapping jobs.
+// appointment needs id, appointment_date ('YYYY-MM-DD'), appointment_time and service_category_slug.
+async function checkAssignment(db, technicianId, appointment) {
+  const [technicians] = await db.execute('SELECT id, is_active FROM technicians WHERE id = ?', [technicianId]);
+
+  if (technicians.length === 0) {
+    return { success: false, error_code: 'TECHNICIAN_NOT_FOUND', message: 'Technician not found' };
+  }
+
+  if (!technicians[0].is_active) {
+    return { success: false, error_code: 'TECHNICIAN_INACTIVE', message: 'Technician is not active' };
+  }
+
+  const categoryId = await getCategoryIdBySlug(db, appointment.service_category_slug);
+  if (categoryId) {
+    const [skills] = await db.execute(
+      'SELECT 1 FROM technician_skills WHERE technician_id = ? AND service_category_id = ?',
+      [technicianId, categoryId]
+    );
+
+    if (skills.length === 0) {
+      return {
+        success: false,
+        error_code: 'MISSING_SKILL',
+        message: 'Technician is not skilled for this service category',
+        details: { service_category_slug: appointment.service_category_slug }
+      };
+    }
+  }
+
+  const [daysOff] = await db.execute(
+    'SELECT reason FROM technician_days_off WHERE technician_id = ? AND date = ?',
+    [technicianId, appointment.appointment_date]
+  );
+
+  if (daysOff.length > 0) {
+    return {
+      success: false,
+      error_code: 'TECHNICIAN_DAY_OFF',
+      message: 'Technician is off on this date',
+      details: { date: appointment.appointment_date, reason: daysOff[0].reason }
+    };
+  }
+
+  const job = await getJobWindow(db, appointment);
+
+  // Technicians without any working hours configured are not restricted
+  const [hours] = await db.execute(
+    'SELECT day_of_week, start_time, end_time FROM technician_working_hours WHERE technician_id = ?',
+    [technicianId]
+  );
+
+  if (hours.length > 0) {
+    const weekday = dayOfWeek(appointment.appointment_date);
+    const covered = hours.some(row =>
+      Number(row.day_of_week) === weekday &&
+      timeToMinutes(row.start_time) <= job.start &&
+      timeToMinutes(row.end_time) >= job.end
+    );
+
+    if (!covered) {
+      return {
+        success: false,
+        error_code: 'OUTSIDE_WORKING_HOURS',
+        message: 'Appointment is outside the technician\'s working hours',
+        details: { date: appointment.appointment_date, time: appointment.appointment_time }
+      };
+    }
+  }
+
+  const [otherJobs] = await db.execute(
+    `SELECT id, DATE_FORMAT(appointment_date, '%Y-%m-%d') as appointment_date, appointment_time, service_category_slug
+     FROM appointments
+     WHERE technician_id = ? AND appointment_date = ? AND status != 'cancelled' AND id != ?`,
+    [technicianId, appointment.appointment_date, appointment.id || 0]
+  );
+
+  for (const other of otherJobs) {
+    const window = await getJobWindow(db, other);
+    if (window.start < job.end && job.start < window.end) {
+      return {
+        success: false,
+        error_code: 'TECHNICIAN_CONFLICT',
+        message: 'Technician already has a job at this time',
+        details: { conflicting_appointment_id: other.id, date: other.appointment_date, time: other.appointment_time }
+      };
+    }
+  }
+
+  return { success: true };
+}
+
+// Assign (or with technicianId null, unassign) a technician to an appointment.
+// The technician row is locked so two admins can't double-book the same person.
+async function assignTechnician(pool, appointmentId, technicianId) {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    if (technicianId) {
+      await connection.execute('SELECT id FROM technicians WHERE id = ? FOR UPDATE', [technicianId]);
+    }
+
+    const [appointments] = await connection.execute(
+      `SELECT id, DATE_FORMAT(appointment_date, '%Y-%m-%d') as appointment_date, appointment_time,
+              service_category_slug, status, technician_id
+       FROM appointments WHERE id = ? FOR UPDATE`,
+      [appointmentId]
+    );
+
+    if (appointments.length === 0) {
+      await connection.rollback();
+      connection.release();
+      return { success: false, error_code: 'APPOINTMENT_NOT_FOUND', message: 'Appointment not found' };
+    }
+
+    const appointment = appointments[0];
+
+    if (technicianId) {
+      if (appointment.status === 'cancelled' || appointment.status === 'completed') {
+        await connection.rollback();
+        connection.release();
+        return {
+          success: false,
+          error_code: 'APPOINTMENT_CLOSED',
+          message: `Cannot assign a technician to a ${appointment.status} appointment`
+        };
+      }
+
+      const check = await checkAssignment(connection, technicianId, appointment);
+      if (!check.success) {
+        await connection.rollback();
+        connection.release();
+        return check;
+      }
+    }
+
+    await connection.execute(
+      'UPDATE appointments SET technician_id = ?, assigned_at = ? WHERE id = ?',
+      [technicianId || null, technicianId ? new Date() : null, appointmentId]
+    );
+
+    await connection.commit();
+    connection.release();
+
+    return { success: true, previous_technician_id: appointment.technician_id };
+  } catch (error) {
+    try { await connection.rollback(); } catch (e) { /* ignore */ }
+    connection.release();
+    throw error;
+  }
+}
+
+// Technician profile with user details, skills, working hours and upcoming days off
+async function getTechnician(db, technicianId) {
+  const [rows] = await db.execute(
+    `SELECT t.id, t.user_id, t.is_active, t.notes, t.created_at, t.updated_at,
+            u.fullName as full_name, u.phone, u.email
+     FROM technicians t
+     JOIN users u ON t.user_id = u.id
+     WHERE t.id = ?`,
+    [technicianId]
+  );
+
+  if (rows.length === 0) {
+    return null;
+  }
+
+  const [skills] = await db.execute(
+    `SELECT sc.id, sc.name, sc.slug
+     FROM technician_skills ts
+     JOIN service_categories sc ON ts.service_category_id = sc.id
+     WHERE ts.technician_id = ?
+     ORDER BY sc.name`,
+    [technicianId]
+  );
+
+  const [workingHours] = await db.execute(
+    `SELECT day_of_week, start_time, end_time FROM technician_working_hours
+     WHERE technician_id = ? ORDER BY day_of_week`,
+    [technicianId]
+  );
+
+  const [daysOff] = await db.execute(
+    `SELECT DATE_FORMAT(date, '%Y-%m-%d') as date, reason FROM technician_days_off
+     WHERE technician_id = ? AND date >= CURDATE() ORDER BY date`,
+    [technicianId]
+  );
+
+  return { ...rows[0], skills, working_hours: workingHours, days_off: daysOff };
+}
+
+// Replace a technician's skills with the given service category ids
+async function setSkills(connection, technicianId, categoryIds) {
+  await connection.execute('DELETE FROM technician_skills WHERE technician_id = ?', [technicianId]);
+
+  for (const categoryId of categoryIds) {
+    await connection.execute(
+      'INSERT INTO technician_skills (technician_id, service_category_id) VALUES (?, ?)',
+      [technicianId, categoryId]
+    );
+  }
+}
+
+// Replace a technician's weekly working hours
+async function setWorkingHours(connection, technicianId, workingHours) {
+  await connection.execute('DELETE FROM technician_working_hours WHERE technician_id = ?', [technicianId]);
+
+  for (const row of workingHours) {
+    await connection.execute(
+      'INSERT INTO technician_working_hours (technician_id, day_of_week, start_time, end_time) VALUES (?, ?, ?, ?)',
+      [technicianId, row.day_of_week, row.start_time, row.end_time]
+    );
+  }
+}
+
+// Validate a working_hours array, returns an error message or null
+function validateWorkingHours(workingHours) {
+  if (!Array.isArray(workingHours)) {
+    return 'working_hours must be an array';
+  }
+
+  const seenDays = new Set();
+  for (const row of workingHours) {
+    const day = Number(row.day_of_week);
+    if (!Number.isInteger(day) || day < 0 || day > 6) {
+      return 'day_of_week must be between 0 (Sunday) and 6 (Saturday)';
+    }
+    if (seenDays.has(day)) {
+      return 'Each day_of_week can only appear once';
+    }
+    seenDays.add(day);
+
+    if (!row.start_time || !row.end_time || timeToMinutes(row.start_time) >= timeToMinutes(row.end_time)) {
+      return 'Each working hours entry needs a start_time before its end_time';
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  DEFAULT_JOB_MINUTES,
+  getJobWindow,
+  checkAssignment,
+  assignTechnician,
+  getTechnician,
+  setSkills,
+  setWorkingHours,
+  validateWorkingHours
+};
@@ -0,0 +1,257 @@
+// Appointment Attachment Service
+// Photo uploads for appointments (customer problem photos, technician before/after photos)
+// with pluggable storage: Cloudinary in production, local disk for development
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const multer = require('multer');
+
+const MAX_UPLOAD_BYTES = parseInt(process.env.UPLOAD_MAX_BYTES || String(5 * 1024 * 1024), 10);
+const MAX_FILES_PER_UPLOAD = 5;
+const MAX_ATTACHMENTS_PER_APPOINTMENT = 20;
+const UPLOAD_DIR = process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads');
+const UPLOAD_PUBLIC_PATH = '/uploads';
+
+const ATTACHMENT_KINDS = ['problem', 'before', 'after'];
+const ALLOWED_MIME_TYPES = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/heic': 'heic'
+};
+
+// Files are kept in memory and handed to the storage driver once validated
+const photoUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_BYTES, files: MAX_FILES_PER_UPLOAD },
+  fileFilter: (req, file, callback) => {
+    if (!ALLOWED_MIME_TYPES[file.mimetype]) {
+      const error = new Error(`Unsupported file type ${file.mimetype}. Allowed: ${Object.keys(ALLOWED_MIME_TYPES).join(', ')}`);
+      error.code = 'UNSUPPORTED_FILE_TYPE';
+      return callback(error);
+    }
+    callback(null, true);
+  }
+});
+
+// MIME type from the file's first bytes, so a renamed file can't pass as an image
+function detectMimeType(buffer) {
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'image/jpeg';
+  }
+  if (buffer.length >= 8 && buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return 'image/png';
+  }
+  if (buffer.length >= 12 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    return 'image/webp';
+  }
+  if (buffer.length >= 12 && buffer.toString('ascii', 4, 8) === 'ftyp' &&
+      ['heic', 'heix', 'mif1', 'msf1', 'heif'].includes(buffer.toString('ascii', 8, 12))) {
+    return 'image/heic';
+  }
+  return null;
+}
+
+// Storage drivers: save(file, key) -> { url }, remove(key)
+const localStorage = {
+  name: 'local',
+  async save(file, key) {
+    const filePath = path.join(UPLOAD_DIR, key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, file.buffer);
+    return { key, url: `${process.env.UPLOAD_PUBLIC_URL || ''}${UPLOAD_PUBLIC_PATH}/${key}` };
+  },
+  async remove(key) {
+    try {
+      await fs.unlink(path.join(UPLOAD_DIR, key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+};
+
+// Active cloudinary row from api_configurations: api_key plus cloud_name, api_secret and optional folder
+async function getCloudinaryConfig(db) {
+  const [configs] = await db.execute(
+    'SELECT api_key, additional_config FROM api_configurations WHERE service_name = ? AND status = "active"',
+    ['cloudinary']
+  );
+  if (configs.length === 0) {
+    return null;
+  }
+
+  const additional = typeof configs[0].additional_config === 'string'
+    ? JSON.parse(configs[0].additional_config)
+    : configs[0].additional_config || {};
+  if (!additional.cloud_name || !additional.api_secret) {
+    return null;
+  }
+  return { api_key: configs[0].api_key, ...additional };
+}
+
+function cloudinaryStorage(config) {
+  const cloudinary = require('cloudinary').v2;
+  cloudinary.config({
+    cloud_name: config.cloud_name,
+    api_key: config.api_key,
+    api_secret: config.api_secret,
+    secure: true
+  });
+  // Optional folder prefix so several environments can share one Cloudinary account
+  const prefix = config.folder ? `${config.folder}/` : '';
+
+  return {
+    name: 'cloudinary',
+    save(file, key) {
+      return new Promise((resolve, reject) => {
+        cloudinary.uploader.upload_stream(
+          { public_id: `${prefix}${key.replace(/\.[^.]+$/, '')}`, resource_type: 'image' },
+          (error, result) => (error ? reject(error) : resolve({ key: result.public_id, url: result.secure_url }))
+        ).end(file.buffer);
+      });
+    },
+    async remove(key) {
+      await cloudinary.uploader.destroy(key, { resource_type: 'image' });
+    }
+  };
+}
+
+// Cloudinary when it is configured in api_configurations, local disk otherwise.
+// UPLOAD_STORAGE=local forces local disk.
+async function getStorageDriver(pool, name = null) {
+  const wanted = name || process.env.UPLOAD_STORAGE || null;
+  if (wanted === 'local') {
+    return localStorage;
+  }
+
+  const config = await getCloudinaryConfig(pool);
+  if (config) {
+    return cloudinaryStorage(config);
+  }
+  if (wanted === 'cloudinary') {
+    throw new Error('Cloudinary storage is not configured');
+  }
+  return localStorage;
+}
+
+async function listAttachments(db, appointmentId) {
+  const [attachments] = await db.execute(
+    `SELECT aa.id, aa.appointment_id, aa.kind, aa.url, aa.mime_type, aa.size_bytes, aa.original_name,
+            aa.uploaded_by, aa.uploader_type, u.fullName as uploaded_by_name, aa.created_at
+     FROM appointment_attachments aa
+     LEFT JOIN users u ON aa.uploaded_by = u.id
+     WHERE aa.appointment_id = ?
+     ORDER BY aa.created_at ASC, aa.id ASC`,
+    [appointmentId]
+  );
+  return attachments;
+}
+
+async function getAttachment(db, appointmentId, attachmentId) {
+  const [attachments] = await db.execute(
+    'SELECT * FROM appointment_attachments WHERE id = ? AND appointment_id = ?',
+    [attachmentId, appointmentId]
+  );
+  return attachments.length > 0 ? attachments[0] : null;
+}
+
+// Validate and store uploaded photos, then record them against the appointment.
+// Stored files are removed again if anything fails part way.
+async function saveAttachments(pool, { appointmentId, files, kind, uploadedBy, uploaderType }) {
+  if (!ATTACHMENT_KINDS.includes(kind)) {
+    return {
+      success: false,
+      error_code: 'INVALID_ATTACHMENT_KIND',
+      message: `kind must be one of: ${ATTACHMENT_KINDS.join(', ')}`
+    };
+  }
+
+  if (!files || files.length === 0) {
+    return { success: false, error_code: 'NO_FILES', message: 'Attach at least one photo in the "photos" field' };
+  }
+
+  for (const file of files) {
+    const detected = detectMimeType(file.buffer);
+    if (!detected || detected !== file.mimetype) {
+      return {
+        success: false,
+        error_code: 'UNSUPPORTED_FILE_TYPE',
+        message: `${file.originalname} is not a valid ${file.mimetype} image`,
+        details: { file: file.originalname, declared: file.mimetype, detected }
+      };
+    }
+  }
+
+  const [[{ count }]] = await pool.execute(
+    'SELECT COUNT(*) as count FROM appointment_attachments WHERE appointment_id = ?',
+    [appointmentId]
+  );
+  if (Number(count) + files.length > MAX_ATTACHMENTS_PER_APPOINTMENT) {
+    return {
+      success: false,
+      error_code: 'TOO_MANY_ATTACHMENTS',
+      message: `An appointment can have at most ${MAX_ATTACHMENTS_PER_APPOINTMENT} photos`,
+      details: { current: Number(count), max: MAX_ATTACHMENTS_PER_APPOINTMENT }
+    };
+  }
+
+  const storage = await getStorageDriver(pool);
+  const stored = [];
+
+  try {
+    for (const file of files) {
+      const key = `appointments/${appointmentId}/${crypto.randomUUID()}.${ALLOWED_MIME_TYPES[file.mimetype]}`;
+      const saved = await storage.save(file, key);
+      stored.push({ file, ...saved });
+    }
+
+    const ids = [];
+    for (const item of stored) {
+      const [result] = await pool.execute(
+        `INSERT INTO appointment_attachments
+         (appointment_id, kind, storage, storage_key, url, mime_type, size_bytes, original_name, uploaded_by, uploader_type)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [appointmentId, kind, storage.name, item.key, item.url, item.file.mimetype, item.file.size,
+          item.file.originalname.slice(0, 255), uploadedBy, uploaderType]
+      );
+      ids.push(result.insertId);
+    }
+
+    const attachments = await listAttachments(pool, appointmentId);
+    return { success: true, attachments: attachments.filter(attachment => ids.includes(attachment.id)) };
+  } catch (error) {
+    for (const item of stored) {
+      try {
+        await pool.execute('DELETE FROM appointment_attachments WHERE storage = ? AND storage_key = ?', [storage.name, item.key]);
+        await storage.remove(item.key);
+      } catch (cleanupError) {
+        console.error('Error cleaning up attachment upload:', cleanupError);
+      }
+    }
+    throw error;
+  }
+}
+
+// Remove the stored file and its record
+async function deleteAttachment(pool, attachment) {
+  const storage = await getStorageDriver(pool, attachment.storage);
+  await storage.remove(attachment.storage_key);
+  await pool.execute('DELETE FROM appointment_attachments WHERE id = ?', [attachment.id]);
+}
+
+module.exports = {
+  MAX_UPLOAD_BYTES,
+  MAX_FILES_PER_UPLOAD,
+  UPLOAD_DIR,
+  UPLOAD_PUBLIC_PATH,
+  ATTACHMENT_KINDS,
+  photoUpload,
+  detectMimeType,
+  getStorageDriver,
+  listAttachments,
+  getAttachment,
+  saveAttachments,
+  deleteAttachment
+};
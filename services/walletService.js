@@ -0,0 +1,146 @@
+// Wallet Service
+// Store credit per user as an append-only ledger. Entries are never updated or deleted;
+// each one records the balance after it, and corrections are new entries.
+const { roundMoney } = require('./quoteService');
+
+const WALLET_ENTRY_TYPES = ['credit', 'debit'];
+// admin: granted or taken back by an admin, booking: spent at checkout, refund: a wallet payment refunded
+const WALLET_SOURCES = ['admin', 'booking', 'refund'];
+const MAX_WALLET_ENTRY = 100000;
+
+// Balance from the latest entry
+async function getWalletBalance(db, userId) {
+  const [entries] = await db.execute(
+    'SELECT balance_after FROM wallet_transactions WHERE user_id = ? ORDER BY id DESC LIMIT 1',
+    [userId]
+  );
+  return entries.length > 0 ? parseFloat(entries[0].balance_after) : 0;
+}
+
+function validateWalletAmount(amount) {
+  const value = roundMoney(Number(amount));
+  if (amount === undefined || amount === null || amount === '' || isNaN(value) || value <= 0) {
+    return { error: 'amount must be a positive number' };
+  }
+  if (value > MAX_WALLET_ENTRY) {
+    return { error: `amount can be at most ${MAX_WALLET_ENTRY}` };
+  }
+  return { amount: value };
+}
+
+// Append one entry. Must run inside a transaction: the user row is locked so entries
+// for the same user are written one at a time and balance_after stays correct.
+async function addWalletEntry(connection, { userId, type, amount, reason, source, appointmentId = null, createdBy = null }) {
+  const [users] = await connection.execute('SELECT id FROM users WHERE id = ? FOR UPDATE', [userId]);
+  if (users.length === 0) {
+    return { success: false, error_code: 'USER_NOT_FOUND', message: 'User not found' };
+  }
+
+  const balance = await getWalletBalance(connection, userId);
+  const value = roundMoney(amount);
+
+  if (type === 'debit' && value > balance) {
+    return {
+      success: false,
+      error_code: 'INSUFFICIENT_WALLET_BALANCE',
+      message: `Wallet balance is ${balance.toFixed(2)} AED`,
+      details: { balance }
+    };
+  }
+
+  const balanceAfter = roundMoney(type === 'credit' ? balance + value : balance - value);
+  const [result] = await connection.execute(
+    `INSERT INTO wallet_transactions (user_id, type, amount, balance_after, reason, source, appointment_id, created_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [userId, type, value, balanceAfter, reason, source, appointmentId, createdBy]
+  );
+
+  return {
+    success: true,
+    entry: {
+      id: result.insertId,
+      user_id: Number(userId),
+      type,
+      amount: value,
+      balance_after: balanceAfter,
+      reason,
+      source,
+      appointment_id: appointmentId ? Number(appointmentId) : null
+    }
+  };
+}
+
+// addWalletEntry in a transaction of its own
+async function recordWalletEntry(pool, entry) {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const result = await addWalletEntry(connection, entry);
+    if (!result.success) {
+      await connection.rollback();
+      connection.release();
+      return result;
+    }
+
+    await connection.commit();
+    connection.release();
+    return result;
+  } catch (error) {
+    try { await connection.rollback(); } catch (e) { /* ignore */ }
+    connection.release();
+    throw error;
+  }
+}
+
+// How much of a booking total to take from the wallet at checkout.
+// use_wallet spends as much as the balance allows; wallet_amount asks for an exact amount;
+// payment_method 'wallet' means the wallet pays everything.
+function resolveWalletSpend({ use_wallet, wallet_amount, payment_method }, total, balance) {
+  if (payment_method === 'wallet') {
+    if (balance < total) {
+      return {
+        success: false,
+        error_code: 'INSUFFICIENT_WALLET_BALANCE',
+        message: `Wallet balance of ${balance.toFixed(2)} AED does not cover the total of ${total.toFixed(2)} AED`,
+        details: { balance, total }
+      };
+    }
+    return { success: true, amount: total };
+  }
+
+  if (wallet_amount !== undefined && wallet_amount !== null && wallet_amount !== '') {
+    const validation = validateWalletAmount(wallet_amount);
+    if (validation.error) {
+      return { success: false, error_code: 'INVALID_WALLET_AMOUNT', message: `wallet_amount: ${validation.error}` };
+    }
+    if (validation.amount > total) {
+      return { success: false, error_code: 'INVALID_WALLET_AMOUNT', message: 'wallet_amount is more than the booking total' };
+    }
+    if (validation.amount > balance) {
+      return {
+        success: false,
+        error_code: 'INSUFFICIENT_WALLET_BALANCE',
+        message: `Wallet balance is ${balance.toFixed(2)} AED`,
+        details: { balance }
+      };
+    }
+    return { success: true, amount: validation.amount };
+  }
+
+  if (use_wallet === true || use_wallet === 'true') {
+    return { success: true, amount: roundMoney(Math.min(balance, total)) };
+  }
+
+  return { success: true, amount: 0 };
+}
+
+module.exports = {
+  WALLET_ENTRY_TYPES,
+  WALLET_SOURCES,
+  getWalletBalance,
+  validateWalletAmount,
+  addWalletEntry,
+  recordWalletEntry,
+  resolveWalletSpend
+};
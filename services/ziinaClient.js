@@ -0,0 +1,82 @@
+// Ziina API Client
+// HTTP calls, status mapping and webhook signatures for the Ziina API
+const crypto = require('crypto');
+
+// Point at a local fake Ziina (scripts/fakeZiina.js) in development
+const ZIINA_API_URL = process.env.ZIINA_API_URL || 'https://api-v2.ziina.com/api';
+
+const SIGNATURE_HEADER = 'x-hmac-signature';
+
+// Ziina payment intent statuses mapped onto payments.status
+const ZIINA_STATUS_MAP = {
+  requires_payment_instrument: 'pending',
+  requires_user_action: 'pending',
+  pending: 'pending',
+  completed: 'completed',
+  failed: 'failed',
+  canceled: 'cancelled',
+  cancelled: 'cancelled'
+};
+
+function normalizeZiinaStatus(status) {
+  return ZIINA_STATUS_MAP[String(status || '').toLowerCase()] || null;
+}
+
+// Ziina refund status -> refunds.status
+function normalizeZiinaRefundStatus(status) {
+  const value = String(status || '').toLowerCase();
+  if (value === 'completed' || value === 'succeeded') {
+    return 'completed';
+  }
+  if (value === 'failed' || value === 'canceled' || value === 'cancelled') {
+    return 'failed';
+  }
+  return value ? 'processing' : null;
+}
+
+// Hex HMAC-SHA256 of the raw request body, as Ziina sends in X-Hmac-Signature
+function computeSignature(secret, rawBody) {
+  return crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+}
+
+function verifySignature(secret, rawBody, signature) {
+  if (!secret || !rawBody || !signature) {
+    return false;
+  }
+
+  const expected = Buffer.from(computeSignature(secret, rawBody), 'hex');
+  const received = Buffer.from(String(signature).trim().toLowerCase(), 'hex');
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
+
+// Call the Ziina API. Returns { ok, status, data } and never throws on HTTP errors.
+async function ziinaRequest(config, method, path, body = undefined) {
+  const response = await fetch(`${ZIINA_API_URL}${path}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${config.api_key}`,
+      'Accept': 'application/json'
+    },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+
+  let data = null;
+  try {
+    data = await response.json();
+  } catch (e) {
+    data = null;
+  }
+
+  return { ok: response.ok, status: response.status, data };
+}
+
+module.exports = {
+  ZIINA_API_URL,
+  SIGNATURE_HEADER,
+  normalizeZiinaStatus,
+  normalizeZiinaRefundStatus,
+  computeSignature,
+  verifySignature,
+  ziinaRequest
+};
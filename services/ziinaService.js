@@ -0,0 +1,247 @@
+// Ziina Payment Service
+// De-duplicated Ziina webhook events and forward-only payment status
+const crypto = require('crypto');
+const { confirmHold } = require('./holdService');
+const { transitionAppointmentStatus } = require('./statusService');
+const { enqueueBookingNotifications } = require('./notificationService');
+const { normalizeZiinaStatus, normalizeZiinaRefundStatus } = require('./ziinaClient');
+const { applyRefundStatus, refundUnbookedPayment } = require('./refundService');
+const { activateGiftCard } = require('./giftCardService');
+const { enqueueInvoice } = require('./invoiceService');
+
+// A payment only ever moves up this order; completed, failed and cancelled are final
+const PAYMENT_STATUS_RANK = {
+  pending: 0,
+  completed: 1,
+  failed: 1,
+  cancelled: 1
+};
+
+function isForwardPaymentStatus(currentStatus, nextStatus) {
+  if (currentStatus === nextStatus) {
+    return false;
+  }
+  return PAYMENT_STATUS_RANK[nextStatus] > (PAYMENT_STATUS_RANK[currentStatus] ?? -1);
+}
+
+// Ziina posts { event, data: { id, status, ... } }; the older flat { payment_id, status } shape is accepted too.
+// For refund events data.id is the refund and data.payment_intent_id the payment.
+// Events without an id are identified by a hash of their body.
+// Returns null for a payload that isn't shaped like an event at all.
+function parseWebhookEvent(body, rawBody) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return null;
+  }
+  const eventType = body.event || body.type || 'payment_intent.status.updated';
+  const eventId = body.id || body.event_id || null;
+  if (typeof eventType !== 'string' || (eventId !== null && !['string', 'number'].includes(typeof eventId))) {
+    return null;
+  }
+
+  const data = typeof body.data === 'object' && body.data !== null ? body.data : body;
+  const isRefund = eventType.startsWith('refund.');
+  const paymentId = isRefund ? data.payment_intent_id : data.id || data.payment_id || body.payment_id || null;
+
+  return {
+    event_id: eventId ? String(eventId) : crypto.createHash('sha256').update(rawBody).digest('hex'),
+    event_type: eventType,
+    payment_id: paymentId ? String(paymentId) : null,
+    refund_id: isRefund && data.id ? String(data.id) : null,
+    raw_status: data.status || body.status || null,
+    status: isRefund ? normalizeZiinaRefundStatus(data.status) : normalizeZiinaStatus(data.status || body.status)
+  };
+}
+
+// Store the raw event. Returns { eventId, duplicate, retry }: duplicate when it was already handled,
+// retry when an earlier delivery of it failed part way and it is processed again.
+async function recordWebhookEvent(db, event, payload) {
+  const [result] = await db.execute(
+    `INSERT IGNORE INTO payment_webhook_events (provider, event_id, event_type, payment_id, status, payload)
+     VALUES ('ziina', ?, ?, ?, ?, ?)`,
+    [event.event_id, event.event_type, event.payment_id, event.raw_status, JSON.stringify(payload)]
+  );
+
+  if (result.affectedRows === 1) {
+    return { eventId: result.insertId, duplicate: false, retry: false };
+  }
+
+  const [existing] = await db.execute(
+    `SELECT id, processing_status FROM payment_webhook_events WHERE provider = 'ziina' AND event_id = ?`,
+    [event.event_id]
+  );
+
+  const duplicate = ['processed', 'ignored'].includes(existing[0].processing_status);
+  return { eventId: existing[0].id, duplicate, retry: !duplicate };
+}
+
+async function finishWebhookEvent(db, eventId, processingStatus, note = null) {
+  await db.execute(
+    `UPDATE payment_webhook_events SET processing_status = ?, note = ?, processed_at = NOW() WHERE id = ?`,
+    [processingStatus, note, eventId]
+  );
+}
+
+// Move a payment to a new status if that is a step forward.
+// Returns { applied, payment } where payment is the stored row (null when unknown).
+async function applyPaymentStatus(db, paymentId, status) {
+  const [payments] = await db.execute(
+    'SELECT id, user_id, order_id, appointment_id, payment_id, amount, status FROM payments WHERE payment_id = ?',
+    [paymentId]
+  );
+
+  if (payments.length === 0) {
+    return { applied: false, payment: null };
+  }
+
+  const payment = payments[0];
+  if (!status || !isForwardPaymentStatus(payment.status, status)) {
+    return { applied: false, payment };
+  }
+
+  // Conditional on the status we read, so two deliveries can't both apply
+  const [result] = await db.execute(
+    'UPDATE payments SET status = ?, updated_at = NOW() WHERE id = ? AND status = ?',
+    [status, payment.id, payment.status]
+  );
+
+  return { applied: result.affectedRows === 1, payment: { ...payment, previous_status: payment.status, status } };
+}
+
+// Effects of a payment reaching a final status: confirm the slot hold, activate a gift card,
+// or confirm the linked appointment
+async function applyPaymentOutcome(pool, payment) {
+  const orderId = String(payment.order_id);
+
+  if (payment.status === 'pending') {
+    return null;
+  }
+
+  if (orderId.startsWith('hold_')) {
+    if (payment.status === 'completed') {
+      const holdResult = await confirmHold(pool, orderId);
+      // The slot went while the customer was paying: give the money back instead of keeping it without a booking.
+      // A refund that can't be made leaves the payment in the paid_without_appointment mismatches for an admin.
+      if (!holdResult.success) {
+        const refundResult = await refundUnbookedPayment(pool, payment.id, `Slot no longer available (${holdResult.error_code})`);
+        const refundNote = refundResult.success
+          ? `Refund ${refundResult.refund.id} ${refundResult.refund.status}`
+          : `Not refunded: ${refundResult.error_code}`;
+        console.error('Paid slot hold could not be confirmed:', {
+          order_id: orderId,
+          payment_id: payment.payment_id,
+          error_code: holdResult.error_code,
+          refund: refundNote
+        });
+        return `Could not confirm slot hold: ${holdResult.error_code}. ${refundNote}`;
+      }
+      await pool.execute(
+        'UPDATE payments SET appointment_id = ? WHERE id = ? AND appointment_id IS NULL',
+        [holdResult.appointment_id, payment.id]
+      );
+      if (holdResult.created) {
+        try {
+          await enqueueBookingNotifications(pool, holdResult.appointment_id);
+        } catch (queueError) {
+          console.error('Ziina webhook - error queueing booking notifications:', queueError);
+        }
+      }
+      return `Slot hold confirmed as appointment ${holdResult.appointment_id}`;
+    }
+
+    // Keep the hold so the customer can try paying again; it lapses at expires_at like any other
+    return 'Slot hold kept for another payment attempt';
+  }
+
+  // A paid gift card goes live and is emailed to its recipient; an unpaid one stays pending
+  if (orderId.startsWith('giftcard_')) {
+    if (payment.status !== 'completed') {
+      return null;
+    }
+    const { activated, gift_card } = await activateGiftCard(pool, orderId);
+    if (!gift_card) {
+      return 'Gift card not found';
+    }
+    return activated ? `Gift card ${gift_card.id} activated` : `Gift card ${gift_card.id} already ${gift_card.status}`;
+  }
+
+  if (payment.status === 'completed' && payment.appointment_id) {
+    const statusResult = await transitionAppointmentStatus(pool, {
+      appointmentId: payment.appointment_id,
+      toStatus: 'confirmed',
+      actorType: 'system',
+      reason: `Ziina payment ${payment.payment_id} completed`
+    });
+    if (!statusResult.success) {
+      return `Could not confirm appointment: ${statusResult.error_code}`;
+    }
+    // Confirming queues the invoice; an appointment that was already confirmed is invoiced now it is paid
+    if (!statusResult.changed) {
+      await enqueueInvoice(pool, payment.appointment_id);
+    }
+    return 'Appointment confirmed';
+  }
+
+  return null;
+}
+
+// Handle a verified webhook delivery end to end
+// Returns { outcome, event }; outcome 'invalid' (with a null event) for a malformed payload.
+async function processZiinaWebhook(pool, body, rawBody) {
+  const event = parseWebhookEvent(body, rawBody);
+  if (!event) {
+    return { outcome: 'invalid', event: null };
+  }
+
+  const { eventId, duplicate, retry } = await recordWebhookEvent(pool, event, body);
+
+  if (duplicate) {
+    return { outcome: 'duplicate', event };
+  }
+
+  try {
+    if (event.refund_id) {
+      const { applied, refund } = await applyRefundStatus(pool, { providerRefundId: event.refund_id }, event.status);
+      const note = !refund ? 'Unknown refund' : applied ? `Refund ${refund.previous_status} -> ${refund.status}` : `Refund already ${refund.status}`;
+      await finishWebhookEvent(pool, eventId, applied ? 'processed' : 'ignored', note);
+      return { outcome: applied ? 'processed' : 'ignored', event };
+    }
+
+    if (!event.payment_id || !event.status) {
+      await finishWebhookEvent(pool, eventId, 'ignored', 'No payment id or unknown status');
+      return { outcome: 'ignored', event };
+    }
+
+    const { applied, payment } = await applyPaymentStatus(pool, event.payment_id, event.status);
+
+    if (!payment) {
+      await finishWebhookEvent(pool, eventId, 'ignored', 'Unknown payment');
+      return { outcome: 'ignored', event };
+    }
+
+    // The status was stored by the failed delivery but its effects may not have run
+    if (!applied && retry && payment.status === event.status) {
+      const note = await applyPaymentOutcome(pool, payment);
+      await finishWebhookEvent(pool, eventId, 'processed', `Retried: ${note || payment.status}`);
+      return { outcome: 'processed', event };
+    }
+    if (!applied) {
+      await finishWebhookEvent(pool, eventId, 'ignored', `Payment already ${payment.status}`);
+      return { outcome: 'ignored', event };
+    }
+
+    const note = await applyPaymentOutcome(pool, payment);
+    await finishWebhookEvent(pool, eventId, 'processed', `${payment.previous_status} -> ${payment.status}${note ? `. ${note}` : ''}`);
+    return { outcome: 'processed', event };
+  } catch (error) {
+    await finishWebhookEvent(pool, eventId, 'failed', error.message);
+    throw error;
+  }
+}
+
+module.exports = {
+  isForwardPaymentStatus,
+  parseWebhookEvent,
+  applyPaymentStatus,
+  applyPaymentOutcome,
+  processZiinaWebhook
+};
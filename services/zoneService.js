@@ -0,0 +1,178 @@
+// Service Zone Service
+// Checks a customer's address against admin-managed coverage zones (polygons or emirate/community lists)
+
+const ZONE_TYPES = ['polygon', 'areas'];
+
+function parseJson(value, fallback) {
+  if (value === null || value === undefined) {
+    return fallback;
+  }
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+// Lowercase, trim and drop "emirate of" so "Emirate of Dubai" matches "dubai"
+function normalizeArea(value) {
+  return String(value || '')
+    .toLowerCase()
+    .replace(/^emirate of\s+/, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Coordinates from the location JSON, null when it has none
+function getCoordinates(location) {
+  const source = location.coordinates || location;
+  const lat = source.latitude ?? source.lat;
+  const lng = source.longitude ?? source.lng;
+
+  if (lat === undefined || lat === null || lng === undefined || lng === null || lat === '' || lng === '') {
+    return null;
+  }
+  if (isNaN(Number(lat)) || isNaN(Number(lng))) {
+    return null;
+  }
+  return { lat: Number(lat), lng: Number(lng) };
+}
+
+// Ray casting point-in-polygon. polygon is an array of [lat, lng] points.
+function pointInPolygon(point, polygon) {
+  let inside = false;
+
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [latI, lngI] = polygon[i].map(Number);
+    const [latJ, lngJ] = polygon[j].map(Number);
+
+    const crosses = (lngI > point.lng) !== (lngJ > point.lng) &&
+      point.lat < ((latJ - latI) * (point.lng - lngI)) / (lngJ - lngI) + latI;
+    if (crosses) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+function zoneMatches(zone, location, coordinates) {
+  if (zone.zone_type === 'polygon') {
+    const polygon = parseJson(zone.polygon, []);
+    return !!coordinates && polygon.length >= 3 && pointInPolygon(coordinates, polygon);
+  }
+
+  const emirates = parseJson(zone.emirates, []).map(normalizeArea);
+  const communities = parseJson(zone.communities, []).map(normalizeArea);
+
+  const emirate = normalizeArea(location.emirate || location.state || location.city);
+  const communityCandidates = [location.community, location.locality, location.area, location.city]
+    .filter(Boolean)
+    .map(normalizeArea);
+
+  if (emirates.length > 0 && !emirates.includes(emirate)) {
+    return false;
+  }
+  if (communities.length > 0 && !communityCandidates.some(candidate => communities.includes(candidate))) {
+    return false;
+  }
+  return emirates.length > 0 || communities.length > 0;
+}
+
+// Find the zone serving a location for a service category.
+// With no active zones configured every address is accepted (surcharge 0).
+async function resolveServiceZone(db, location, categoryId = null) {
+  if (typeof location === 'string') {
+    try {
+      location = JSON.parse(location);
+    } catch (e) {
+      location = {};
+    }
+  }
+  location = location || {};
+
+  const [zones] = await db.execute(
+    `SELECT id, name, zone_type, polygon, emirates, communities, surcharge
+     FROM service_zones WHERE is_active = TRUE
+     ORDER BY priority DESC, id ASC`
+  );
+
+  if (zones.length === 0) {
+    return { success: true, zone: null, surcharge: 0 };
+  }
+
+  const coordinates = getCoordinates(location);
+  const matching = zones.filter(zone => zoneMatches(zone, location, coordinates));
+
+  if (matching.length === 0) {
+    return {
+      success: false,
+      error_code: 'OUT_OF_AREA',
+      message: 'Sorry, we do not serve this address yet',
+      details: { emirate: location.emirate || location.state || location.city || null, has_coordinates: !!coordinates }
+    };
+  }
+
+  for (const zone of matching) {
+    const [categoryRules] = await db.execute(
+      'SELECT service_category_id, is_available, surcharge FROM service_zone_categories WHERE zone_id = ?',
+      [zone.id]
+    );
+
+    // A zone without category rules offers every category at the zone surcharge
+    if (categoryRules.length === 0 || !categoryId) {
+      return { success: true, zone: { id: zone.id, name: zone.name }, surcharge: parseFloat(zone.surcharge || 0) };
+    }
+
+    const rule = categoryRules.find(row => Number(row.service_category_id) === Number(categoryId));
+    if (rule && rule.is_available) {
+      const surcharge = rule.surcharge !== null ? rule.surcharge : zone.surcharge;
+      return { success: true, zone: { id: zone.id, name: zone.name }, surcharge: parseFloat(surcharge || 0) };
+    }
+  }
+
+  return {
+    success: false,
+    error_code: 'SERVICE_NOT_AVAILABLE_IN_ZONE',
+    message: 'This service is not available at your address',
+    details: { zone_id: matching[0].id, zone_name: matching[0].name }
+  };
+}
+
+// Validate zone fields, returns an error message or null
+function validateZone({ name, zone_type, polygon, emirates, communities, surcharge }) {
+  if (!name) {
+    return 'Zone name is required';
+  }
+  if (!ZONE_TYPES.includes(zone_type)) {
+    return `zone_type must be one of: ${ZONE_TYPES.join(', ')}`;
+  }
+
+  if (zone_type === 'polygon') {
+    if (!Array.isArray(polygon) || polygon.length < 3) {
+      return 'polygon must be an array of at least 3 [latitude, longitude] points';
+    }
+    const validPoint = point => Array.isArray(point) && point.length === 2 &&
+      Math.abs(Number(point[0])) <= 90 && Math.abs(Number(point[1])) <= 180 &&
+      !isNaN(Number(point[0])) && !isNaN(Number(point[1]));
+    if (!polygon.every(validPoint)) {
+      return 'Each polygon point must be a [latitude, longitude] pair';
+    }
+  } else {
+    const isList = value => value === undefined || value === null ||
+      (Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim() !== ''));
+    if (!isList(emirates) || !isList(communities)) {
+      return 'emirates and communities must be arrays of names';
+    }
+    if ((!emirates || emirates.length === 0) && (!communities || communities.length === 0)) {
+      return 'An areas zone needs at least one emirate or community';
+    }
+  }
+
+  if (surcharge !== undefined && surcharge !== null && (isNaN(Number(surcharge)) || Number(surcharge) < 0)) {
+    return 'surcharge must be a positive amount';
+  }
+  return null;
+}
+
+module.exports = {
+  ZONE_TYPES,
+  pointInPolygon,
+  resolveServiceZone,
+  validateZone
+};
@@ -0,0 +1,168 @@
+// Fake Database
+// In-memory stand-in for the mysql2 pool that answers the queries of the Ziina payment and refund flows.
+// Any other query throws, so a test fails loudly when a flow starts using SQL the fake doesn't know.
+// Transactions are accepted but not isolated: every statement applies straight away.
+
+function normalize(sql) {
+  return sql.replace(/\s+/g, ' ').trim();
+}
+
+function createFakeDb() {
+  const tables = {
+    api_configurations: [],
+    appointments: [],
+    appointment_status_history: [],
+    payments: [],
+    payment_webhook_events: [],
+    refunds: [],
+    background_jobs: []
+  };
+  const nextIds = {};
+
+  function insert(table, row) {
+    nextIds[table] = (nextIds[table] || 0) + 1;
+    const stored = { id: nextIds[table], ...row };
+    tables[table].push(stored);
+    return stored;
+  }
+
+  function find(table, predicate) {
+    return tables[table].filter(predicate);
+  }
+
+  // Update the matching rows, returning the mysql2 result shape
+  function update(table, predicate, changes) {
+    const rows = find(table, predicate);
+    rows.forEach(row => Object.assign(row, changes));
+    return [{ affectedRows: rows.length }];
+  }
+
+  const statements = [
+    [/^SELECT service_name, api_key, additional_config, status FROM api_configurations/, names =>
+      [find('api_configurations', row => names.includes(row.service_name) && ['active', 'testing'].includes(row.status))]],
+
+    [/^INSERT IGNORE INTO payment_webhook_events/, ([eventId, eventType, paymentId, status, payload]) => {
+      if (find('payment_webhook_events', row => row.event_id === eventId).length > 0) {
+        return [{ affectedRows: 0, insertId: 0 }];
+      }
+      const row = insert('payment_webhook_events', {
+        provider: 'ziina',
+        event_id: eventId,
+        event_type: eventType,
+        payment_id: paymentId,
+        status,
+        payload,
+        processing_status: 'received'
+      });
+      return [{ affectedRows: 1, insertId: row.id }];
+    }],
+
+    [/^SELECT id, processing_status FROM payment_webhook_events WHERE provider = 'ziina' AND event_id = \?/, ([eventId]) =>
+      [find('payment_webhook_events', row => row.event_id === eventId)]],
+
+    [/^UPDATE payment_webhook_events SET processing_status = \?, note = \?/, ([processingStatus, note, id]) =>
+      update('payment_webhook_events', row => row.id === id, { processing_status: processingStatus, note })],
+
+    [/^SELECT id, user_id, order_id, appointment_id, payment_id, amount, status FROM payments WHERE payment_id = \?/, ([paymentId]) =>
+      [find('payments', row => row.payment_id === paymentId)]],
+
+    [/^UPDATE payments SET status = \?, updated_at = NOW\(\) WHERE id = \? AND status = \?/, ([status, id, currentStatus]) =>
+      update('payments', row => row.id === id && row.status === currentStatus, { status })],
+
+    [/^SELECT p\.id, p\.user_id, p\.payment_id, p\.order_id, p\.amount, p\.currency, p\.payment_method FROM payments p WHERE p\.status = 'completed' AND p\.appointment_id = \?/, ([appointmentId]) =>
+      [find('payments', row => row.status === 'completed' && row.appointment_id === appointmentId)]],
+
+    [/^SELECT id, status FROM appointments WHERE id = \? FOR UPDATE/, ([id]) =>
+      [find('appointments', row => row.id === id)]],
+
+    [/^UPDATE appointments SET status = \? WHERE id = \?/, ([status, id]) =>
+      update('appointments', row => row.id === id, { status })],
+
+    [/^INSERT INTO appointment_status_history/, ([appointmentId, fromStatus, toStatus, actorType, actorId, reason]) => {
+      const row = insert('appointment_status_history', {
+        appointment_id: appointmentId,
+        from_status: fromStatus,
+        to_status: toStatus,
+        actor_type: actorType,
+        actor_user_id: actorId,
+        reason
+      });
+      return [{ affectedRows: 1, insertId: row.id }];
+    }],
+
+    [/^INSERT INTO background_jobs/, ([type, payload, maxAttempts]) => {
+      const row = insert('background_jobs', { type, payload: JSON.parse(payload), max_attempts: maxAttempts, status: 'pending' });
+      return [{ affectedRows: 1, insertId: row.id }];
+    }],
+
+    [/^SELECT COALESCE\(SUM\(amount\), 0\) as refunded FROM refunds WHERE payment_id = \? AND status != 'failed'/, ([paymentId]) => {
+      const refunded = find('refunds', row => row.payment_id === paymentId && row.status !== 'failed')
+        .reduce((sum, row) => sum + Number(row.amount), 0);
+      return [[{ refunded }]];
+    }],
+
+    [/^INSERT INTO refunds .* VALUES \(\?, \?, \?, \?, \?, 'pending', \?, \?, \?, \?\)/, params => {
+      const [paymentId, appointmentId, amount, currency, reason, provider, providerRefundId, requestedBy, requestedByType] = params;
+      const row = insert('refunds', {
+        payment_id: paymentId,
+        appointment_id: appointmentId,
+        amount,
+        currency,
+        reason,
+        status: 'pending',
+        failure_reason: null,
+        provider,
+        provider_refund_id: providerRefundId,
+        requested_by: requestedBy,
+        requested_by_type: requestedByType,
+        completed_at: null
+      });
+      return [{ affectedRows: 1, insertId: row.id }];
+    }],
+
+    [/^SELECT \* FROM refunds WHERE id = \?/, ([id]) =>
+      [find('refunds', row => row.id === id)]],
+
+    [/^SELECT id, status FROM refunds WHERE id = \? OR \(provider_refund_id IS NOT NULL AND provider_refund_id = \?\)/, ([id, providerRefundId]) =>
+      [find('refunds', row => row.id === id || (row.provider_refund_id !== null && row.provider_refund_id === providerRefundId))]],
+
+    [/^UPDATE refunds SET status = \?, failure_reason = \?/, ([status, failureReason, , id, currentStatus]) =>
+      update('refunds', row => row.id === id && row.status === currentStatus, {
+        status,
+        failure_reason: failureReason,
+        ...(status === 'completed' ? { completed_at: new Date() } : {})
+      })]
+  ];
+
+  async function execute(sql, params = []) {
+    const text = normalize(sql);
+    const statement = statements.find(([pattern]) => pattern.test(text));
+    if (!statement) {
+      throw new Error(`Fake database has no answer for: ${text}`);
+    }
+    return statement[1](params);
+  }
+
+  const connection = {
+    execute,
+    query: execute,
+    async beginTransaction() {},
+    async commit() {},
+    async rollback() {},
+    release() {}
+  };
+
+  const pool = {
+    execute,
+    query: execute,
+    async getConnection() {
+      return connection;
+    }
+  };
+
+  return { pool, tables, insert, find };
+}
+
+module.exports = {
+  createFakeDb
+};
@@ -0,0 +1,277 @@
+// Ziina payments against the fake Ziina in scripts/fakeZiina.js: the provider talks to it over HTTP and it
+// sends signed webhooks back to the app from server.js, served on the in-memory database.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const http = require('http');
+const { createFakeZiina } = require('../scripts/fakeZiina');
+const { createFakeDb } = require('./helpers/fakeDb');
+
+const WEBHOOK_SECRET = 'test-webhook-secret';
+
+const db = createFakeDb();
+
+let ziinaServer;
+let webhookServer;
+let ziinaUrl;
+let webhookUrl;
+let fake;
+let services;
+
+function listen(server) {
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+  });
+}
+
+function close(server) {
+  return new Promise(resolve => {
+    server.closeAllConnections();
+    server.close(() => resolve());
+  });
+}
+
+// What the webhook route answered to the last event the fake sent
+function lastOutcome() {
+  return fake.sentEvents.at(-1).body.outcome;
+}
+
+// POST a body to the webhook route as it is, signed over exactly these bytes unless a signature is given
+function postWebhook(body, signature = crypto.createHmac('sha256', WEBHOOK_SECRET).update(body).digest('hex')) {
+  return fetch(`${webhookUrl}/api/payments/ziina/webhook`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...(signature ? { 'X-Hmac-Signature': signature } : {}) },
+    body
+  });
+}
+
+// Run with the webhook_secret taken out of the ziina configuration, as before one is set up
+async function withoutWebhookSecret(run) {
+  const config = db.tables.api_configurations.find(row => row.service_name === 'ziina');
+  const additionalConfig = config.additional_config;
+  config.additional_config = JSON.stringify({});
+  try {
+    await run();
+  } finally {
+    config.additional_config = additionalConfig;
+  }
+}
+
+// A pending appointment with a Ziina payment waiting on the fake, as the create payment route leaves it
+async function createPendingPayment(amount = 150, appointment = db.insert('appointments', { user_id: 1, status: 'pending', total_amount: amount })) {
+  const provider = await services.getPaymentProvider(db.pool, 'ziina');
+  const intent = await provider.createIntent({ amount, currency: 'AED', orderId: `appointment_${appointment.id}` });
+  assert.strictEqual(intent.ok, true);
+
+  const payment = db.insert('payments', {
+    user_id: 1,
+    order_id: `appointment_${appointment.id}`,
+    appointment_id: appointment.id,
+    payment_id: intent.payment_id,
+    amount,
+    currency: 'AED',
+    status: 'pending',
+    payment_method: 'ziina'
+  });
+  return { appointment, payment, intent };
+}
+
+// Finish the payment on the fake's pay page, which sends the webhook before it answers
+async function pay(intent, status = 'completed') {
+  const response = await fetch(`${ziinaUrl}/pay/${intent.payment_id}/${status}`, { method: 'POST' });
+  assert.strictEqual(response.status, 200);
+}
+
+function historyOf(appointmentId) {
+  return db.find('appointment_status_history', row => row.appointment_id === appointmentId);
+}
+
+async function waitFor(check, timeoutMs = 2000) {
+  const started = Date.now();
+  while (!check()) {
+    if (Date.now() - started > timeoutMs) {
+      throw new Error('Timed out waiting for the fake Ziina');
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+before(async () => {
+  // Ports are picked first: the fake needs the webhook url and the Ziina client reads its url when loaded
+  ziinaServer = http.createServer();
+  webhookServer = http.createServer();
+  ziinaUrl = await listen(ziinaServer);
+  webhookUrl = await listen(webhookServer);
+  process.env.ZIINA_API_URL = `${ziinaUrl}/api`;
+
+  fake = createFakeZiina({
+    webhookUrl: `${webhookUrl}/api/payments/ziina/webhook`,
+    webhookSecret: WEBHOOK_SECRET,
+    baseUrl: ziinaUrl,
+    refundDelayMs: 10
+  });
+  ziinaServer.on('request', fake.app);
+
+  services = {
+    ...require('../services/paymentProviderService'),
+    ...require('../services/refundService')
+  };
+  const server = require('../server');
+  server.usePool(db.pool);
+  webhookServer.on('request', server.app);
+
+  db.insert('api_configurations', {
+    service_name: 'ziina',
+    api_key: 'test-api-key',
+    additional_config: JSON.stringify({ webhook_secret: WEBHOOK_SECRET }),
+    status: 'testing'
+  });
+});
+
+after(async () => {
+  await close(ziinaServer);
+  await close(webhookServer);
+});
+
+test('a completed payment webhook confirms the appointment', async () => {
+  const { appointment, payment, intent } = await createPendingPayment();
+
+  await pay(intent);
+
+  assert.strictEqual(lastOutcome(), 'processed');
+  assert.strictEqual(payment.status, 'completed');
+  assert.strictEqual(appointment.status, 'confirmed');
+  assert.deepStrictEqual(historyOf(appointment.id).map(row => [row.from_status, row.to_status, row.actor_type]), [
+    ['pending', 'confirmed', 'system']
+  ]);
+  assert.ok(db.find('background_jobs', job => job.type === 'invoice.issue' && job.payload.appointment_id === appointment.id).length === 1);
+});
+
+test('a failed payment webhook leaves the appointment pending', async () => {
+  const { appointment, payment, intent } = await createPendingPayment();
+
+  await pay(intent, 'failed');
+
+  assert.strictEqual(lastOutcome(), 'processed');
+  assert.strictEqual(payment.status, 'failed');
+  assert.strictEqual(appointment.status, 'pending');
+  assert.strictEqual(historyOf(appointment.id).length, 0);
+});
+
+test('a redelivered or replayed webhook is ignored', async () => {
+  const { appointment, intent } = await createPendingPayment();
+  await pay(intent);
+  const jobCount = db.tables.background_jobs.length;
+
+  // The same event again
+  const resend = await fetch(`${ziinaUrl}/_fake/payment_intent/${intent.payment_id}/resend`, { method: 'POST' });
+  assert.deepStrictEqual(await resend.json(), { webhook_status: 200 });
+  assert.strictEqual(lastOutcome(), 'duplicate');
+
+  // A new event for a status the payment already has
+  const status = await fake.deliver(fake.setStatus(fake.intents.get(intent.payment_id), 'completed'));
+  assert.strictEqual(status, 200);
+  assert.strictEqual(lastOutcome(), 'ignored');
+
+  // A late pending event can't move the payment back
+  await fake.deliver(fake.setStatus(fake.intents.get(intent.payment_id), 'requires_payment_instrument'));
+  assert.strictEqual(lastOutcome(), 'ignored');
+
+  assert.strictEqual(appointment.status, 'confirmed');
+  assert.strictEqual(historyOf(appointment.id).length, 1);
+  assert.strictEqual(db.tables.background_jobs.length, jobCount);
+});
+
+test('a webhook with a bad signature is rejected with 401', async () => {
+  const { appointment, payment, intent } = await createPendingPayment();
+  const eventCount = db.tables.payment_webhook_events.length;
+  const body = JSON.stringify(fake.setStatus(fake.intents.get(intent.payment_id), 'completed'));
+
+  const signedWithOtherSecret = crypto.createHmac('sha256', 'not-the-secret').update(body).digest('hex');
+  assert.strictEqual((await postWebhook(body, signedWithOtherSecret)).status, 401);
+  assert.strictEqual((await postWebhook(body, 'not-hex')).status, 401);
+  assert.strictEqual((await postWebhook(body, null)).status, 401);
+
+  assert.strictEqual(db.tables.payment_webhook_events.length, eventCount);
+  assert.strictEqual(payment.status, 'pending');
+  assert.strictEqual(appointment.status, 'pending');
+});
+
+test('the webhook signature is checked over the raw body, not the parsed JSON', async () => {
+  const { appointment, intent } = await createPendingPayment();
+  const event = fake.setStatus(fake.intents.get(intent.payment_id), 'completed');
+  const compact = JSON.stringify(event);
+  const indented = JSON.stringify(event, null, 2);
+
+  // The same JSON laid out differently doesn't match a signature over the bytes that were signed
+  const signedCompact = crypto.createHmac('sha256', WEBHOOK_SECRET).update(compact).digest('hex');
+  assert.strictEqual((await postWebhook(indented, signedCompact)).status, 401);
+  assert.strictEqual(appointment.status, 'pending');
+
+  const response = await postWebhook(indented);
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual((await response.json()).outcome, 'processed');
+  assert.strictEqual(appointment.status, 'confirmed');
+});
+
+test('webhooks are refused with 503 while no webhook_secret is configured', async () => {
+  const { appointment, payment, intent } = await createPendingPayment();
+  const eventCount = db.tables.payment_webhook_events.length;
+
+  await withoutWebhookSecret(async () => {
+    assert.strictEqual(await fake.deliver(fake.setStatus(fake.intents.get(intent.payment_id), 'completed')), 503);
+  });
+
+  assert.strictEqual(db.tables.payment_webhook_events.length, eventCount);
+  assert.strictEqual(payment.status, 'pending');
+  assert.strictEqual(appointment.status, 'pending');
+});
+
+test('a refund whose webhook never arrives is completed by a status sync', async () => {
+  const { appointment, intent } = await createPendingPayment(200);
+  await pay(intent);
+
+  await withoutWebhookSecret(async () => {
+    const result = await services.createRefund(db.pool, { appointmentId: appointment.id, amount: 50, reason: 'Partial refund' });
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.refund.status, 'processing');
+
+    const ziinaRefund = fake.refunds.get(result.refund.provider_refund_id);
+    assert.strictEqual(ziinaRefund.amount, 5000);
+    assert.strictEqual(ziinaRefund.payment_intent_id, intent.payment_id);
+
+    // The fake completes the refund and its webhook bounces off
+    await waitFor(() => fake.sentEvents.some(sent => sent.event.data.id === ziinaRefund.id));
+    assert.strictEqual(fake.sentEvents.at(-1).status, 503);
+
+    const synced = await services.syncRefund(db.pool, result.refund.id);
+    assert.strictEqual(synced.success, true);
+    assert.strictEqual(synced.refund.status, 'completed');
+    assert.ok(synced.refund.completed_at);
+
+    // A second sync leaves a finished refund alone
+    const again = await services.syncRefund(db.pool, result.refund.id);
+    assert.strictEqual(again.refund.status, 'completed');
+  });
+});
+
+test('a refund larger than one payment is spread over the payments of the booking', async () => {
+  const { appointment, intent: first } = await createPendingPayment(100);
+  await pay(first);
+  const { intent: second } = await createPendingPayment(60, appointment);
+  await pay(second);
+
+  const result = await services.createRefund(db.pool, { appointmentId: appointment.id, amount: 130 });
+  assert.strictEqual(result.success, true);
+  assert.deepStrictEqual(result.refunds.map(refund => [refund.amount, refund.status]), [[100, 'processing'], [30, 'processing']]);
+  assert.deepStrictEqual(
+    result.refunds.map(refund => fake.refunds.get(refund.provider_refund_id).payment_intent_id),
+    [first.payment_id, second.payment_id]
+  );
+
+  const over = await services.createRefund(db.pool, { appointmentId: appointment.id, amount: 40 });
+  assert.strictEqual(over.error_code, 'REFUND_EXCEEDS_PAYMENT');
+  assert.strictEqual(over.details.refundable_amount, 30);
+
+  await waitFor(() => result.refunds.every(refund => db.find('refunds', row => row.id === refund.id)[0].status === 'completed'));
+});